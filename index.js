@@ -7,10 +7,27 @@ import * as storyService from './services/storyService.js';
 import * as quizService from './services/quizService.js';
 import * as scheduler from './services/scheduler.js';
 import * as reviewService from './services/reviewService.js';
+import * as srsService from './services/srsService.js';
+import * as settingsService from './services/settingsService.js';
+import * as pauseService from './services/pauseService.js';
+import * as pacingService from './services/pacingService.js';
+import * as conversationService from './services/conversationService.js';
+import * as sessionService from './services/sessionService.js';
+import * as lessonService from './services/lessonService.js';
+import * as llmService from './services/llmService.js';
+import * as courseService from './services/courseService.js';
+import * as curriculumService from './services/curriculumService.js';
+import * as languageService from './services/languageService.js';
+import * as conjugationService from './services/conjugationService.js';
+import * as drillService from './services/drillService.js';
+import * as grammarService from './services/grammarService.js';
+import * as localeService from './services/localeService.js';
+import { t } from './services/localeService.js';
 
 /**
- * Imparo Italiano - Italian Learning Telegram Bot
- * Main entry point with structured 12-week curriculum
+ * Imparo Italiano - Language Learning Telegram Bot
+ * Main entry point with structured courses from A1 to B1, one set per language pack
+ * (Italian is the default; see languages/), written in each learner's native language (see locales/)
  */
 
 // Verify environment variables are loaded
@@ -19,7 +36,7 @@ if (!process.env.TELEGRAM_BOT_TOKEN) {
   process.exit(1);
 }
 
-if (!process.env.OPENAI_API_KEY) {
+if (!process.env.OPENAI_API_KEY && process.env.LLM_PROVIDER !== 'mock') {
   console.error('❌ ERROR: OPENAI_API_KEY environment variable is not set');
   process.exit(1);
 }
@@ -29,13 +46,8 @@ console.log('✅ Environment variables loaded successfully');
 // Initialize Telegram Bot
 const bot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN?.trim(), { polling: true });
 
-// Initialize OpenAI services
-wordsService.initializeOpenAI();
-storyService.initializeOpenAI();
-quizService.initializeOpenAI();
-
-// Store user conversation context
-const userContext = new Map();
+// Initialize the LLM gateway (OpenAI, or offline fixtures with LLM_PROVIDER=mock)
+llmService.initializeLLM();
 
 /**
  * Initialize the bot and all services
@@ -51,14 +63,48 @@ async function initialize() {
     // Start scheduled jobs
     scheduler.startScheduler();
     
-    console.log('🤖 Imparo Italiano Bot is running...');
-    console.log('Bot is ready to help users learn Italian! 🇮🇹');
+    const pack = languageService.loadLanguage();
+    console.log(`🤖 ${pack.botName} Bot is running...`);
+    console.log(`Bot is ready to help users learn ${pack.name}! ${pack.flag}`);
   } catch (error) {
     console.error('❌ Initialization error:', error);
     process.exit(1);
   }
 }
 
+/**
+ * Native language to reply in before the user's record is loaded (unknown users, errors)
+ * @param {Object} msg - Telegram message or callback query
+ * @returns {string} Locale matching the user's Telegram language, or the deployment's default
+ */
+function getReplyLocale(msg) {
+  return localeService.parseLocale(msg.from?.language_code) || localeService.getDefaultLocale();
+}
+
+/**
+ * The command list shown by /start and /help
+ * @param {Object} user - User record
+ * @returns {string} Message text (Markdown)
+ */
+function formatCommandList(user) {
+  const language = user?.language || languageService.getDefaultLanguage();
+  return t(user?.native_language, 'commands.list', {
+    name: languageService.loadLanguage(language).name,
+    levels: curriculumService.listLevels(language).join(', ')
+  });
+}
+
+/**
+ * "Week 3, Day 2" in the user's native language
+ * @param {string} nativeLanguage - Locale code
+ * @param {number} week - Week number
+ * @param {number} day - Day number
+ * @returns {string} Position text
+ */
+function formatPosition(nativeLanguage, week, day) {
+  return t(nativeLanguage, 'common.weekDay', { week, day });
+}
+
 // Command: /start
 bot.onText(/\/start/, async (msg) => {
   const chatId = msg.chat.id;
@@ -71,78 +117,57 @@ bot.onText(/\/start/, async (msg) => {
     let user = await db.getUser(userId);
     const isNewUser = !user;
     
-    // Register only if new user
+    // Register only if new user, writing to them in their Telegram language when we have it
     if (!user) {
-      user = await db.registerUser(userId, username, firstName);
+      user = await db.registerUser(userId, username, firstName, getReplyLocale(msg));
     }
     
     // Get current progress
-    const currentTask = await planService.getCurrentTask(user.start_date);
-    
-    const welcomeMessage = isNewUser ? `
-🇮🇹 *Benvenuto! Welcome to Imparo Italiano!* 🇮🇹
-
-${firstName}, I'm your AI-powered Italian learning assistant with a structured 12-week curriculum!
-
-📚 *How it works:*
-• *08:00 UTC* - Daily learning task (vocabulary, grammar, reading, etc.)
-• *20:00 UTC* - Evening reminder and practice
-• *Sunday 19:00 UTC* - Weekly quiz
-
-📖 *12-Week Curriculum:*
-Week 1: Greetings and Basic Phrases
-Week 2: Numbers and Dates
-Week 3: Family and Relationships
-Week 4: Daily Routine
-...and much more!
-
-*Available Commands:*
-/start - Start your Italian journey
-/status - View your current progress
-/today - Get today's lesson
-/week - See this week's plan
-/vocab - Get vocabulary for today (8-10 words, story-based)
-/review - Review previous vocabulary (spaced repetition)
-/reviewquiz - Take interactive review quiz
-/quiz - Take a practice quiz
-/setday <days> - Set start date (e.g., /setday 1 = started yesterday)
-/help - Show this help message
-
-*Ready to start your Italian journey?*
-Type /today to begin! 🚀
-
-_Note: Daily tasks are sent every morning at 8:00 UTC. You can also request content anytime using commands!_
-` : `
-🇮🇹 *Welcome back, ${firstName}!* 🇮🇹
-
-You're currently on *Week ${currentTask.weekNumber}, Day ${currentTask.dayNumber}* of your Italian journey!
-
-📚 *How it works:*
-• *08:00 UTC* - Daily learning task (vocabulary, grammar, reading, etc.)
-• *20:00 UTC* - Evening reminder and practice
-• *Sunday 19:00 UTC* - Weekly quiz
-
-*Available Commands:*
-/start - Start your Italian journey
-/status - View your current progress
-/today - Get today's lesson
-/week - See this week's plan
-/vocab - Get vocabulary for today (8-10 words, story-based)
-/review - Review previous vocabulary (spaced repetition)
-/reviewquiz - Take interactive review quiz
-/quiz - Take a practice quiz
-/setday <days> - Set start date (e.g., /setday 1 = started yesterday)
-/help - Show this help message
-
-*Ready to continue your Italian journey?*
-Type /today to see today's lesson! 🚀
-
-_Your learning journey started on ${new Date(user.start_date).toDateString()}_`;
+    const currentTask = await planService.getCurrentTask(user.start_date, user);
+    const nativeLanguage = user.native_language;
+    const pack = languageService.loadLanguage(user.language);
+    const course = curriculumService.loadCourse(user.course, user.language);
+    const levels = courseService.listCourses(user.language).map(c => c.level);
+    const laterLevels = levels.filter(level => level !== user.course);
+    const schedule = t(nativeLanguage, 'start.schedule', {
+      morning: user.morning_time || '08:00',
+      evening: user.evening_time || '20:00',
+      timezone: (user.timezone || 'UTC').replace(/_/g, ' ')
+    });
+    
+    const welcomeMessage = isNewUser
+      ? t(nativeLanguage, 'start.welcome', {
+        flag: pack.flag,
+        welcome: pack.phrases.welcome.text,
+        botName: pack.botName,
+        firstName,
+        name: pack.name,
+        firstLevel: levels[0],
+        lastLevel: levels[levels.length - 1],
+        schedule,
+        weeks: course.weeks.length,
+        level: course.level,
+        weekList: course.weeks.slice(0, 4).map(week => `${t(nativeLanguage, 'week.label', { week: week.week })}: ${week.theme}`).join('\n'),
+        otherLevels: laterLevels.length > 0
+          ? t(nativeLanguage, 'start.otherLevels', { name: pack.name, levels: laterLevels.join(` ${t(nativeLanguage, 'common.or')} `) })
+          : '',
+        commands: formatCommandList(user)
+      })
+      : t(nativeLanguage, 'start.welcomeBack', {
+        flag: pack.flag,
+        firstName,
+        position: formatPosition(nativeLanguage, currentTask.weekNumber, currentTask.dayNumber),
+        name: pack.name,
+        level: currentTask.course,
+        schedule,
+        commands: formatCommandList(user),
+        startDate: new Date(user.start_date).toDateString()
+      });
     
     await bot.sendMessage(chatId, welcomeMessage, { parse_mode: 'Markdown' });
   } catch (error) {
     console.error('Error in /start:', error);
-    await bot.sendMessage(chatId, '❌ Sorry, there was an error. Please try again.');
+    await bot.sendMessage(chatId, t(getReplyLocale(msg), 'common.error'));
   }
 });
 
@@ -155,54 +180,52 @@ bot.onText(/\/status/, async (msg) => {
     const user = await db.getUser(userId);
     
     if (!user) {
-      await bot.sendMessage(chatId, 'Please use /start first to begin your journey!');
+      await bot.sendMessage(chatId, t(getReplyLocale(msg), 'common.startFirst'));
       return;
     }
 
-    const currentTask = await planService.getCurrentTask(user.start_date);
+    const currentTask = await planService.getCurrentTask(user.start_date, user);
     
     if (currentTask.completed) {
-      await bot.sendMessage(chatId, '🎉 Congratulations! You have completed the entire 12-week program! Bravissimo!');
+      await bot.sendMessage(chatId, courseService.formatCompletion(currentTask));
       return;
     }
 
-    const weekVocab = await db.getWeekVocabulary(userId, currentTask.weekNumber);
+    const weekVocab = await db.getWeekVocabulary(userId, currentTask.weekNumber, currentTask.course, currentTask.language);
     const dailyPlan = await planService.generateDailyPlan(
       currentTask.weekNumber, 
-      currentTask.dayNumber
+      currentTask.dayNumber,
+      currentTask.course,
+      currentTask.language
     );
     
     // Get review statistics
     const reviewStats = await reviewService.getReviewStats(userId);
     
-    const statusMessage = `
-📊 *Your Learning Progress*
-
-*Week ${currentTask.weekNumber} of 12* - ${dailyPlan.theme}
-*Day ${currentTask.dayNumber} of 7*
-*Total Days:* ${currentTask.totalDays}
-
-*Today's Focus:* ${dailyPlan.focus}
-${dailyPlan.vocabularyCount > 0 ? `*New Words Today:* ${dailyPlan.vocabularyCount} words\n` : ''}
-*Estimated Time:* ${dailyPlan.estimatedTime}
-
-*This Week:*
-📖 Vocabulary learned: ${weekVocab.length} words
-🔄 Words reviewed: ${reviewStats.totalWordsReviewed} words
-🎯 Theme: ${dailyPlan.theme}
-
-*Review Progress:*
-✅ Mastered words: ${reviewStats.masteredWords}
-📚 Words to review: ${reviewStats.wordsToReview}
-
-*Keep going!* 💪
-Type /today to get today's lesson, /review for vocabulary review, or /week to see the full week plan.
-`;
+    const statusMessage = t(currentTask.nativeLanguage, 'status.message', {
+      level: currentTask.course,
+      week: currentTask.weekNumber,
+      totalWeeks: currentTask.totalWeeks,
+      theme: dailyPlan.theme,
+      day: currentTask.dayNumber,
+      totalDays: currentTask.totalDays,
+      pauseStatus: pauseService.formatPauseStatus(user),
+      pacingStatus: pacingService.formatPacingStatus(currentTask),
+      focus: dailyPlan.focus,
+      newWords: dailyPlan.vocabularyCount > 0
+        ? t(currentTask.nativeLanguage, 'status.newWords', { count: dailyPlan.vocabularyCount })
+        : '',
+      estimatedTime: dailyPlan.estimatedTime,
+      learned: weekVocab.length,
+      reviewed: reviewStats.totalWordsReviewed,
+      mastered: reviewStats.masteredWords,
+      toReview: reviewStats.wordsToReview
+    });
     
     await bot.sendMessage(chatId, statusMessage, { parse_mode: 'Markdown' });
   } catch (error) {
     console.error('Error in /status:', error);
-    await bot.sendMessage(chatId, '❌ Sorry, there was an error. Please try again.');
+    await bot.sendMessage(chatId, t(getReplyLocale(msg), 'common.error'));
   }
 });
 
@@ -216,155 +239,14 @@ bot.onText(/\/today/, async (msg) => {
     
     const user = await db.getUser(userId);
     if (!user) {
-      await bot.sendMessage(chatId, 'Please use /start first to begin!');
-      return;
-    }
-
-    const currentTask = await planService.getCurrentTask(user.start_date);
-    
-    if (currentTask.completed) {
-      await bot.sendMessage(chatId, '🎉 You have completed the program! Bravissimo!');
+      await bot.sendMessage(chatId, t(getReplyLocale(msg), 'common.startFirst'));
       return;
     }
 
-    // Generate daily plan
-    const dailyPlan = await planService.generateDailyPlan(
-      currentTask.weekNumber, 
-      currentTask.dayNumber
-    );
-
-    // Check if this day includes review (Days 2-7)
-    if (dailyPlan.includesReview && currentTask.dayNumber > 1) {
-      // Send review first
-      const reviewWords = await reviewService.getWordsForReview(
-        userId,
-        currentTask.weekNumber,
-        user.start_date
-      );
-      
-      if (reviewWords.length > 0) {
-        const reviewQuiz = reviewService.generateReviewQuiz(reviewWords);
-        if (reviewQuiz) {
-          let reviewMessage = `🔄 *Daily Review* (Spaced Repetition)\n\n`;
-          reviewMessage += `Reviewing ${reviewQuiz.wordsCount} words from previous days:\n\n`;
-          reviewMessage += `*Instructions:* ${reviewQuiz.instructions}\n\n`;
-          
-          reviewMessage += `Take your time! Try to recall each word before checking. 💪\n\n`;
-          reviewMessage += `Type /reviewquiz to take the interactive review quiz!`;
-          
-          await bot.sendMessage(chatId, reviewMessage, { parse_mode: 'Markdown' });
-        }
-      }
-      
-      // Small delay before main content
-      await new Promise(resolve => setTimeout(resolve, 500));
-    }
-
-    // Generate content based on task focus
-    const focus = dailyPlan.focus;
-    const wordCount = dailyPlan.vocabularyCount || 10;
-    
-    if (focus === 'introduction' || focus === 'integration' || focus === 'expansion') {
-      // New vocabulary + grammar integrated learning
-      const vocabData = await wordsService.generateDailyWords(
-        dailyPlan.theme,
-        dailyPlan.task,
-        focus,
-        wordCount
-      );
-      
-      let message = `🌅 *Morning Learning Session*\n\n`;
-      message += wordsService.formatWordsMessage(vocabData);
-      
-      // Add grammar integration message
-      message += `\n\n📝 *Grammar Integration:*\n`;
-      message += `Today you'll learn grammar rules that use these words!\n`;
-      message += `Everything connects together - vocabulary + grammar + context.\n\n`;
-      message += `Type /grammar to see today's grammar lesson!`;
-      
-      await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
-      
-      // Save vocabulary (extract words array for storage)
-      const wordsArray = wordsService.extractWords(vocabData);
-      await db.saveVocabulary(userId, currentTask.weekNumber, wordsArray);
-    } else if (focus === 'practice') {
-      // Review + listening practice
-      const reviewWords = await reviewService.getWordsForReview(
-        userId,
-        currentTask.weekNumber,
-        user.start_date
-      );
-      
-      let message = `🎧 *Practice Session*\n\n`;
-      message += `📚 *Review:* ${reviewWords.length} words from this week\n`;
-      message += `🎧 *Listening:* Practice understanding spoken Italian\n`;
-      message += `🗣️ *Speaking:* Practice pronunciation\n\n`;
-      message += `Use /vocab to review vocabulary, or /quiz for listening exercises!`;
-      
-      await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
-      
-    } else if (focus === 'reading') {
-      const weekVocab = await db.getWeekVocabulary(userId, currentTask.weekNumber);
-      const story = await storyService.generateTaskBasedStory(
-        dailyPlan.theme,
-        dailyPlan.task,
-        weekVocab
-      );
-      const message = storyService.formatStoryMessage(story);
-      await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
-    } else if (['practice', 'writing'].includes(focus)) {
-      const weekVocab = await db.getWeekVocabulary(userId, currentTask.weekNumber);
-      const prompt = await storyService.generatePracticePrompt(dailyPlan.theme, weekVocab);
-      const message = storyService.formatPracticeMessage(prompt);
-      await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
-    } else if (focus === 'quiz') {
-      const weekVocab = await db.getWeekVocabulary(userId, currentTask.weekNumber);
-      const quiz = await quizService.generateWeeklyQuiz(
-        currentTask.weekNumber,
-        dailyPlan.theme,
-        weekVocab
-      );
-      const message = quizService.formatQuizMessage(quiz);
-      await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
-    } else {
-      // Other focuses - show the daily plan with improved structure
-      const taskMessage = `
-📝 *Today's Learning Plan*
-
-*Week ${dailyPlan.weekNumber}, Day ${dailyPlan.dayNumber}*
-*Theme:* ${dailyPlan.theme}
-
-📚 *Today's Focus:* ${dailyPlan.focus}
-⏱️ *Estimated Time:* ${dailyPlan.estimatedTime}
-${dailyPlan.vocabularyCount > 0 ? `📖 *New Words:* ${dailyPlan.vocabularyCount} words\n` : ''}
-${dailyPlan.includesReview ? '🔄 *Includes Review:* Yes (spaced repetition)\n' : ''}
-
-*Your Task:*
-${dailyPlan.description}
-
-*Today's Structure:*
-${dailyPlan.morning ? `🌅 Morning: ${dailyPlan.morning.replace('_', ' ')}\n` : ''}
-${dailyPlan.afternoon ? `🌆 Afternoon: ${dailyPlan.afternoon.replace('_', ' ')}\n` : ''}
-${dailyPlan.evening ? `🌙 Evening: ${dailyPlan.evening.replace('_', ' ')}\n` : ''}
-
-*Exercises:*
-${dailyPlan.exercises.map(ex => `• ${ex.description}`).join('\n')}
-
-*Commands:*
-${dailyPlan.vocabularyCount > 0 ? '/vocab - Get today\'s vocabulary\n' : ''}
-${dailyPlan.includesReview ? '/review - Review previous words\n' : ''}
-/quiz - Practice quiz
-/week - See this week's plan
-
-*Buono studio!* (Happy studying!) 📖✨
-
-_Everything is connected - vocabulary, grammar, and context work together!_ 💪
-`;
-      await bot.sendMessage(chatId, taskMessage, { parse_mode: 'Markdown' });
-    }
+    await sendTodaysLesson(chatId, userId, user);
   } catch (error) {
     console.error('Error in /today:', error);
-    await bot.sendMessage(chatId, '❌ Sorry, there was an error generating your lesson. Please try again.');
+    await bot.sendMessage(chatId, t(getReplyLocale(msg), 'today.error'));
   }
 });
 
@@ -376,20 +258,26 @@ bot.onText(/\/week/, async (msg) => {
   try {
     const user = await db.getUser(userId);
     if (!user) {
-      await bot.sendMessage(chatId, 'Please use /start first!');
+      await bot.sendMessage(chatId, t(getReplyLocale(msg), 'common.startFirst'));
       return;
     }
 
-    const currentTask = await planService.getCurrentTask(user.start_date);
-    const weekData = await planService.getWeekOverview(currentTask.weekNumber);
+    const currentTask = await planService.getCurrentTask(user.start_date, user);
+    const weekData = await planService.getWeekOverview(currentTask.weekNumber, currentTask.course, currentTask.language);
     
-    let message = `📅 *Week ${weekData.week} Overview*\n\n`;
-    message += `*Theme:* ${weekData.theme}\n\n`;
-    message += `*Daily Plan:*\n`;
+    const { nativeLanguage } = currentTask;
+    let message = t(nativeLanguage, 'week.title', { week: weekData.week, theme: weekData.theme });
+    
+    if (weekData.objectives.length > 0) {
+      message += t(nativeLanguage, 'week.objectives');
+      message += weekData.objectives.map(objective => `• ${objective}`).join('\n') + '\n\n';
+    }
+    
+    message += t(nativeLanguage, 'week.dailyPlan');
     
     weekData.days.forEach(day => {
       const emoji = day.day === currentTask.dayNumber ? '👉' : '📌';
-      message += `\n${emoji} *Day ${day.day}* - ${day.focus}\n`;
+      message += `\n${emoji} ${t(nativeLanguage, 'week.day', { day: day.day })} - ${day.focus}\n`;
       message += `   ${day.task}\n`;
       message += `   ⏱️ ${day.estimatedTime}\n`;
     });
@@ -397,7 +285,7 @@ bot.onText(/\/week/, async (msg) => {
     await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
   } catch (error) {
     console.error('Error in /week:', error);
-    await bot.sendMessage(chatId, '❌ Sorry, there was an error. Please try again.');
+    await bot.sendMessage(chatId, t(getReplyLocale(msg), 'common.error'));
   }
 });
 
@@ -411,39 +299,74 @@ bot.onText(/\/vocab/, async (msg) => {
     
     const user = await db.getUser(userId);
     if (!user) {
-      await bot.sendMessage(chatId, 'Please use /start first!');
+      await bot.sendMessage(chatId, t(getReplyLocale(msg), 'common.startFirst'));
       return;
     }
 
-    const currentTask = await planService.getCurrentTask(user.start_date);
+    const currentTask = await planService.getCurrentTask(user.start_date, user);
     const dailyPlan = await planService.generateDailyPlan(
       currentTask.weekNumber, 
-      currentTask.dayNumber
+      currentTask.dayNumber,
+      currentTask.course,
+      currentTask.language
     );
     
-    // Use new story-based vocabulary generation
-    const wordCount = dailyPlan.vocabularyCount || 10;
-    const vocabData = await wordsService.generateDailyWords(
-      dailyPlan.theme,
-      dailyPlan.task,
-      dailyPlan.focus,
-      wordCount
-    );
+    // Same words as /today - generated once per day, then served from storage
+    const vocabData = await lessonService.getWords(userId, currentTask, dailyPlan);
     
-    const message = wordsService.formatWordsMessage(vocabData);
+    const message = wordsService.formatWordsMessage(vocabData, currentTask.language, currentTask.nativeLanguage);
     await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
-    
-    // Save vocabulary
-    const wordsArray = wordsService.extractWords(vocabData);
-    await db.saveVocabulary(userId, currentTask.weekNumber, wordsArray);
   } catch (error) {
     console.error('Error in /vocab:', error);
-    await bot.sendMessage(chatId, '❌ Sorry, there was an error. Please try again.');
+    await bot.sendMessage(chatId, t(getReplyLocale(msg), 'common.error'));
+  }
+});
+
+// Command: /regenerate - Replace today's stored lesson (or one part of it) with a fresh one
+bot.onText(/^\/regenerate(?:\s+(\w+))?$/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+  const part = match[1] ? match[1].toLowerCase() : null;
+
+  try {
+    const user = await db.getUser(userId);
+    if (!user) {
+      await bot.sendMessage(chatId, t(getReplyLocale(msg), 'common.startFirst'));
+      return;
+    }
+
+    if (part && !lessonService.LESSON_PARTS.includes(part)) {
+      await bot.sendMessage(chatId, t(user.native_language, 'regenerate.usage', { parts: lessonService.LESSON_PARTS.join('|') }));
+      return;
+    }
+
+    const currentTask = await planService.getCurrentTask(user.start_date, user);
+    if (currentTask.completed) {
+      await bot.sendMessage(chatId, courseService.formatCompletion(currentTask));
+      return;
+    }
+
+    await lessonService.regenerateLesson(
+      userId, currentTask.weekNumber, currentTask.dayNumber, part, currentTask.course, currentTask.language
+    );
+    
+    if (part) {
+      const command = { words: '/vocab', story: '/today', prompt: '/practice', quiz: '/quiz' }[part];
+      await bot.sendMessage(chatId, t(user.native_language, 'regenerate.part', { part, command }));
+      return;
+    }
+    
+    await bot.sendMessage(chatId, t(user.native_language, 'regenerate.all'));
+    await bot.sendChatAction(chatId, 'typing');
+    await sendTodaysLesson(chatId, userId, user);
+  } catch (error) {
+    console.error('Error in /regenerate:', error);
+    await bot.sendMessage(chatId, t(getReplyLocale(msg), 'common.error'));
   }
 });
 
 // Command: /review - Review previous vocabulary
-bot.onText(/\/review/, async (msg) => {
+bot.onText(/^\/review$/, async (msg) => {
   const chatId = msg.chat.id;
   const userId = msg.from.id;
 
@@ -452,11 +375,11 @@ bot.onText(/\/review/, async (msg) => {
     
     const user = await db.getUser(userId);
     if (!user) {
-      await bot.sendMessage(chatId, 'Please use /start first!');
+      await bot.sendMessage(chatId, t(getReplyLocale(msg), 'common.startFirst'));
       return;
     }
 
-    const currentTask = await planService.getCurrentTask(user.start_date);
+    const currentTask = await planService.getCurrentTask(user.start_date, user);
     
     const reviewWords = await reviewService.getWordsForReview(
       userId,
@@ -465,29 +388,28 @@ bot.onText(/\/review/, async (msg) => {
     );
     
     if (reviewWords.length === 0) {
-      await bot.sendMessage(chatId, `✅ No words to review right now! Keep learning new words and they'll appear here for review.`, { parse_mode: 'Markdown' });
+      await bot.sendMessage(chatId, t(user.native_language, 'review.none'), { parse_mode: 'Markdown' });
       return;
     }
     
-    const reviewQuiz = reviewService.generateReviewQuiz(reviewWords);
+    const reviewQuiz = reviewService.generateReviewQuiz(reviewWords, user.language, user.native_language);
     
     if (reviewQuiz) {
-      let message = `🔄 *Daily Review* (Spaced Repetition) 🔄\n\n`;
-      message += `*Words to Review:* ${reviewQuiz.wordsCount}\n\n`;
-      message += `*Instructions:*\n${reviewQuiz.instructions}\n\n`;
-      message += `Type /reviewquiz to take the interactive review quiz!\n\n`;
-      message += `Or type /reviewwords to see all words that need review.`;
+      const message = t(user.native_language, 'review.message', {
+        count: reviewQuiz.wordsCount,
+        instructions: reviewQuiz.instructions
+      });
       
       await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
     }
   } catch (error) {
     console.error('Error in /review:', error);
-    await bot.sendMessage(chatId, '❌ Sorry, there was an error. Please try again.');
+    await bot.sendMessage(chatId, t(getReplyLocale(msg), 'common.error'));
   }
 });
 
 // Command: /reviewquiz - Take review quiz
-bot.onText(/\/reviewquiz/, async (msg) => {
+bot.onText(/^\/reviewquiz$/, async (msg) => {
   const chatId = msg.chat.id;
   const userId = msg.from.id;
 
@@ -496,11 +418,11 @@ bot.onText(/\/reviewquiz/, async (msg) => {
     
     const user = await db.getUser(userId);
     if (!user) {
-      await bot.sendMessage(chatId, 'Please use /start first!');
+      await bot.sendMessage(chatId, t(getReplyLocale(msg), 'common.startFirst'));
       return;
     }
 
-    const currentTask = await planService.getCurrentTask(user.start_date);
+    const currentTask = await planService.getCurrentTask(user.start_date, user);
     
     const reviewWords = await reviewService.getWordsForReview(
       userId,
@@ -509,36 +431,23 @@ bot.onText(/\/reviewquiz/, async (msg) => {
     );
     
     if (reviewWords.length === 0) {
-      await bot.sendMessage(chatId, `✅ No words to review right now!`, { parse_mode: 'Markdown' });
+      await bot.sendMessage(chatId, t(user.native_language, 'review.noneShort'), { parse_mode: 'Markdown' });
       return;
     }
     
-    const reviewQuiz = reviewService.generateReviewQuiz(reviewWords);
+    const reviewQuiz = reviewService.generateReviewQuiz(reviewWords, user.language, user.native_language);
     
     if (reviewQuiz) {
-      let message = `📚 *Review Quiz* 📚\n\n`;
-      
-      reviewQuiz.questions.forEach((q, index) => {
-        message += `*Question ${index + 1}:*\n`;
-        message += `${q.question}\n\n`;
-        message += `*Answer:* ${q.correctAnswer}\n`;
-        message += `${q.explanation}\n\n`;
-        message += `─\n\n`;
-      });
-      
-      message += `*Great job on your review!* 💪\n`;
-      message += `Keep practicing these words - spaced repetition helps you remember long-term!`;
-      
-      await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+      await startQuizSession(chatId, userId, reviewQuiz, 'review', user.course, user.language, user.native_language);
     }
   } catch (error) {
     console.error('Error in /reviewquiz:', error);
-    await bot.sendMessage(chatId, '❌ Sorry, there was an error. Please try again.');
+    await bot.sendMessage(chatId, t(getReplyLocale(msg), 'common.error'));
   }
 });
 
 // Command: /quiz - Get a quiz
-bot.onText(/\/quiz/, async (msg) => {
+bot.onText(/^\/quiz$/, async (msg) => {
   const chatId = msg.chat.id;
   const userId = msg.from.id;
 
@@ -547,202 +456,1278 @@ bot.onText(/\/quiz/, async (msg) => {
     
     const user = await db.getUser(userId);
     if (!user) {
-      await bot.sendMessage(chatId, 'Please use /start first!');
+      await bot.sendMessage(chatId, t(getReplyLocale(msg), 'common.startFirst'));
       return;
     }
 
-    const currentTask = await planService.getCurrentTask(user.start_date);
-    const weekVocab = await db.getWeekVocabulary(userId, currentTask.weekNumber);
+    const currentTask = await planService.getCurrentTask(user.start_date, user);
     const dailyPlan = await planService.generateDailyPlan(
       currentTask.weekNumber, 
-      currentTask.dayNumber
-    );
-    
-    const quiz = await quizService.generateWeeklyQuiz(
-      currentTask.weekNumber,
-      dailyPlan.theme,
-      weekVocab
+      currentTask.dayNumber,
+      currentTask.course,
+      currentTask.language
     );
     
-    const message = quizService.formatQuizMessage(quiz);
-    await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+    const quiz = await lessonService.getQuiz(userId, currentTask, dailyPlan);
+    await startQuizSession(chatId, userId, quiz, 'weekly', currentTask.course, currentTask.language, currentTask.nativeLanguage);
   } catch (error) {
     console.error('Error in /quiz:', error);
-    await bot.sendMessage(chatId, '❌ Sorry, there was an error. Please try again.');
+    await bot.sendMessage(chatId, t(getReplyLocale(msg), 'common.error'));
   }
 });
 
-// Command: /setday - Manually set your start day (for testing)
-bot.onText(/\/setday (\d+)/, async (msg, match) => {
+// Command: /practice - Writing practice with feedback and revisions
+bot.onText(/^\/practice$/, async (msg) => {
   const chatId = msg.chat.id;
   const userId = msg.from.id;
-  const daysAgo = parseInt(match[1]);
 
   try {
+    await bot.sendChatAction(chatId, 'typing');
+    
     const user = await db.getUser(userId);
     if (!user) {
-      await bot.sendMessage(chatId, 'Please use /start first!');
+      await bot.sendMessage(chatId, t(getReplyLocale(msg), 'common.startFirst'));
       return;
     }
 
-    // Set start date to X days ago
-    const newStartDate = new Date();
-    newStartDate.setDate(newStartDate.getDate() - daysAgo);
+    const currentTask = await planService.getCurrentTask(user.start_date, user);
+    if (currentTask.completed) {
+      await bot.sendMessage(chatId, courseService.formatCompletion(currentTask));
+      return;
+    }
 
-    // Update user's start date
-    await db.updateUserStartDate(userId, newStartDate);
-    
-    // Calculate new progress
-    const progress = planService.calculateProgress(newStartDate);
-    const currentTask = await planService.getCurrentTask(newStartDate);
     const dailyPlan = await planService.generateDailyPlan(
       currentTask.weekNumber, 
-      currentTask.dayNumber
+      currentTask.dayNumber,
+      currentTask.course,
+      currentTask.language
     );
+    
+    await startPracticeSession(chatId, userId, currentTask, dailyPlan);
+  } catch (error) {
+    console.error('Error in /practice:', error);
+    await bot.sendMessage(chatId, t(getReplyLocale(msg), 'common.error'));
+  }
+});
+
+// Command: /conj <verb> - Conjugation table from the offline engine
+bot.onText(/^\/conj(?:\s+(.+))?$/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+
+  try {
+    const user = await db.getUser(userId);
+    if (!user) {
+      await bot.sendMessage(chatId, t(getReplyLocale(msg), 'common.startFirst'));
+      return;
+    }
+
+    const nativeLanguage = user.native_language;
+    if (!match[1]) {
+      await bot.sendMessage(chatId, t(nativeLanguage, 'conj.usage'));
+      return;
+    }
+
+    const language = user.language || languageService.getDefaultLanguage();
+    if (!conjugationService.loadVerbs(language)) {
+      await bot.sendMessage(chatId, t(nativeLanguage, 'conj.unavailable', { name: languageService.loadLanguage(language).name }));
+      return;
+    }
+
+    const table = conjugationService.conjugate(match[1], language);
+    if (!table) {
+      await bot.sendMessage(chatId, t(nativeLanguage, 'conj.unknown', { verb: match[1].trim() }));
+      return;
+    }
+
+    await bot.sendMessage(chatId, conjugationService.formatConjugation(table, language, nativeLanguage), { parse_mode: 'Markdown' });
+  } catch (error) {
+    console.error('Error in /conj:', error);
+    await bot.sendMessage(chatId, t(getReplyLocale(msg), 'common.error'));
+  }
+});
+
+// Command: /grammar [topic] - The grammar reference, today's topics first
+bot.onText(/^\/grammar(?:\s+(.+))?$/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
 
-    await bot.sendMessage(chatId, `✅ *Start date adjusted!*
+  try {
+    const user = await db.getUser(userId);
+    if (!user) {
+      await bot.sendMessage(chatId, t(getReplyLocale(msg), 'common.startFirst'));
+      return;
+    }
 
-Start date set to: ${newStartDate.toDateString()} (${daysAgo} days ago)
+    const nativeLanguage = user.native_language;
+    const language = user.language || languageService.getDefaultLanguage();
+    const { name } = languageService.loadLanguage(language);
+    if (!grammarService.loadGrammar(language)) {
+      await bot.sendMessage(chatId, t(nativeLanguage, 'grammar.unavailable', { name }));
+      return;
+    }
 
-*Current Progress:*
-Week ${progress.weekNumber}, Day ${progress.dayNumber}
-Theme: ${currentTask.theme}
-Today's Focus: ${dailyPlan.focus}
-Task: ${dailyPlan.task}
+    if (match[1]) {
+      const topic = grammarService.findTopic(match[1], language);
+      if (topic) {
+        const { text, options } = grammarService.formatTopic(topic, nativeLanguage);
+        await bot.sendMessage(chatId, text, options);
+        return;
+      }
+      await bot.sendMessage(chatId, t(nativeLanguage, 'grammar.notFound', { query: match[1].trim() }));
+    }
 
-Type /today to get your current lesson!`, { parse_mode: 'Markdown' });
+    const { text, options } = grammarService.formatTopicList(language, nativeLanguage, await getTodaysGrammarTopics(user), name);
+    await bot.sendMessage(chatId, text, options);
   } catch (error) {
-    console.error('Error in /setday:', error);
-    await bot.sendMessage(chatId, '❌ Error setting start date.');
+    console.error('Error in /grammar:', error);
+    await bot.sendMessage(chatId, t(getReplyLocale(msg), 'common.error'));
   }
 });
 
-// Command: /help
-bot.onText(/\/help/, async (msg) => {
+// Command: /drill [verbs|articles|numbers] - Drill on the verbs or nouns in the user's vocabulary, or on numbers
+bot.onText(/^\/drill(?:\s+(\S+))?$/, async (msg, match) => {
   const chatId = msg.chat.id;
-  
-  const helpMessage = `
-🆘 *Imparo Italiano - Help Guide*
-
-*Scheduled Messages:*
-• 08:00 UTC - Morning vocabulary
-• 20:00 UTC - Evening story
-• 21:00 UTC - Practice exercises
-• Sunday 19:00 UTC - Weekly quiz
-
-*Commands:*
-/start - Start your Italian journey
-/status - View your current progress
-/today - Get today's lesson
-/week - See this week's plan
-/vocab - Get vocabulary for today
-/quiz - Take a practice quiz
-/setday <days> - Set start date (e.g., /setday 1 = started yesterday)
-/help - Show this help message
-
-*Free Conversation:*
-Just chat with me in Italian or English anytime!
-I'll help with translations, corrections, and explanations.
-
-*Tips:*
-✨ Follow the daily schedule for best results
-✨ Practice consistently
-✨ Don't skip the quizzes
-✨ Ask questions anytime
-
-*Having issues?*
-Make sure you've started with /start and check your timezone.
-
-Buono studio! (Happy studying!) 📚🇮🇹
-`;
-  
-  await bot.sendMessage(chatId, helpMessage, { parse_mode: 'Markdown' });
+  const userId = msg.from.id;
+
+  try {
+    const user = await db.getUser(userId);
+    if (!user) {
+      await bot.sendMessage(chatId, t(getReplyLocale(msg), 'common.startFirst'));
+      return;
+    }
+
+    const nativeLanguage = user.native_language;
+    const language = user.language || languageService.getDefaultLanguage();
+    const kind = drillService.parseDrillKeyword(match[1]);
+    if (!kind) {
+      await bot.sendMessage(chatId, drillService.formatDrillUsage(language, nativeLanguage), { parse_mode: 'Markdown' });
+      return;
+    }
+    if (!drillService.isDrillAvailable(kind, language)) {
+      await bot.sendMessage(chatId, t(nativeLanguage, `drill.${kind}.unavailable`, { name: languageService.loadLanguage(language).name }));
+      return;
+    }
+
+    const drill = await drillService.startDrill(userId, user, kind);
+    if (!drill) {
+      await bot.sendMessage(chatId, t(nativeLanguage, `drill.${kind}.noItems`), { parse_mode: 'Markdown' });
+      return;
+    }
+
+    await beginSession(chatId, userId, 'drill', { drill }, nativeLanguage);
+    await bot.sendMessage(chatId, drillService.formatDrillIntro(drill), { parse_mode: 'Markdown' });
+    await bot.sendMessage(chatId, drillService.formatDrillQuestion(drill), { parse_mode: 'Markdown' });
+  } catch (error) {
+    console.error('Error in /drill:', error);
+    await bot.sendMessage(chatId, t(getReplyLocale(msg), 'common.error'));
+  }
 });
 
-// Handle regular messages (conversation)
-bot.on('message', async (msg) => {
+// Command: /cancel - Leave the current quiz, practice or settings prompt
+bot.onText(/^\/cancel$/, async (msg) => {
   const chatId = msg.chat.id;
   const userId = msg.from.id;
-  const text = msg.text;
-  
-  // Ignore if it's a command (already handled)
-  if (text && text.startsWith('/')) {
-    return;
+
+  try {
+    const user = await db.getUser(userId);
+    const nativeLanguage = user?.native_language || getReplyLocale(msg);
+    const { session } = await sessionService.getSession(userId);
+    if (!session) {
+      await bot.sendMessage(chatId, t(nativeLanguage, 'cancel.nothing'));
+      return;
+    }
+
+    if (session.type === 'quiz') {
+      await removeQuestionKeyboard(chatId, session.data.quiz);
+    }
+    await sessionService.endSession(userId);
+    await bot.sendMessage(chatId, t(nativeLanguage, 'cancel.done', { label: sessionService.getLabel(session, nativeLanguage) }));
+  } catch (error) {
+    console.error('Error in /cancel:', error);
+    await bot.sendMessage(chatId, t(getReplyLocale(msg), 'common.error'));
   }
-  
-  // Ignore non-text messages
-  if (!text) {
-    return;
+});
+
+// Command: /reviewmode - Show or switch the spaced repetition algorithm
+bot.onText(/^\/reviewmode(?:\s+(\w+))?$/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+  const requested = match[1] ? match[1].toLowerCase() : null;
+
+  try {
+    const user = await db.getUser(userId);
+    if (!user) {
+      await bot.sendMessage(chatId, t(getReplyLocale(msg), 'common.startFirst'));
+      return;
+    }
+
+    if (!requested) {
+      await bot.sendMessage(chatId, t(user.native_language, 'reviewmode.overview', {
+        algorithm: user.review_algorithm === 'fsrs' ? 'FSRS' : 'SM-2'
+      }), { parse_mode: 'Markdown' });
+      return;
+    }
+
+    if (!srsService.ALGORITHMS.includes(requested)) {
+      await bot.sendMessage(chatId, t(user.native_language, 'reviewmode.unknown'));
+      return;
+    }
+
+    await db.updateUserReviewAlgorithm(userId, requested);
+    await bot.sendMessage(chatId, t(user.native_language, 'reviewmode.switched', {
+      algorithm: requested === 'fsrs' ? 'FSRS' : 'SM-2'
+    }), { parse_mode: 'Markdown' });
+  } catch (error) {
+    console.error('Error in /reviewmode:', error);
+    await bot.sendMessage(chatId, t(getReplyLocale(msg), 'common.error'));
   }
-  
+});
+
+// Command: /settings - Timezone and delivery times
+bot.onText(/^\/settings(?:\s+(\w+)\s+(.+))?$/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+
   try {
-    await bot.sendChatAction(chatId, 'typing');
-    
-    // Get user context
     const user = await db.getUser(userId);
     if (!user) {
-      await bot.sendMessage(chatId, 'Please use /start first to begin your journey! 🚀');
+      await bot.sendMessage(chatId, t(getReplyLocale(msg), 'common.startFirst'));
       return;
     }
 
-    const currentTask = await planService.getCurrentTask(user.start_date);
-    
-    // Check if user is submitting practice sentences
-    const context = userContext.get(userId) || {};
-    if (context.awaitingPractice) {
-      const weekVocab = await db.getWeekVocabulary(userId, currentTask.weekNumber);
-      const dailyPlan = await planService.generateDailyPlan(
-        currentTask.weekNumber, 
-        currentTask.dayNumber
-      );
-      const feedback = await storyService.checkUserSentences(text, dailyPlan.theme, weekVocab);
-      
-      await bot.sendMessage(chatId, `✅ *Feedback on your sentences:*\n\n${feedback}`, { parse_mode: 'Markdown' });
-      
-      // Save progress
-      await db.saveDailyProgress(userId, currentTask.weekNumber, currentTask.dayNumber, {
-        sentencesSubmitted: text,
-        taskCompleted: true
-      });
-      
-      userContext.delete(userId);
+    // Shortcut: /settings timezone Europe/Rome, /settings morning 7:30, /settings evening 21:00
+    if (match[1]) {
+      const fields = { timezone: 'timezone', tz: 'timezone', morning: 'morning_time', evening: 'evening_time' };
+      const field = fields[match[1].toLowerCase()];
+      if (!field) {
+        await bot.sendMessage(chatId, t(user.native_language, 'settings.unknown'));
+        return;
+      }
+      await applySetting(chatId, userId, field, match[2]);
       return;
     }
-    
-    // General conversation with context about user's progress
-    const response = await getChatGPTResponse(userId, text, currentTask);
-    await bot.sendMessage(chatId, response, { parse_mode: 'Markdown' });
-    
+
+    const { text, options } = settingsService.formatSettingsMessage(user);
+    await bot.sendMessage(chatId, text, options);
   } catch (error) {
-    console.error('Error handling message:', error);
-    await bot.sendMessage(chatId, '❌ Sorry, I encountered an error. Please try again.');
+    console.error('Error in /settings:', error);
+    await bot.sendMessage(chatId, t(getReplyLocale(msg), 'common.error'));
   }
 });
 
-/**
- * Get ChatGPT response for general conversation
- */
-async function getChatGPTResponse(userId, message, currentTask) {
+// Command: /done - Mark today's task complete
+bot.onText(/^\/done$/, async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+
   try {
-    const openai = wordsService.initializeOpenAI();
-    const dailyPlan = await planService.generateDailyPlan(
-      currentTask.weekNumber, 
-      currentTask.dayNumber
-    );
-    
-    const systemPrompt = `Italian teacher. Week ${currentTask.weekNumber}/12. Theme: "${currentTask.theme}". Task: "${dailyPlan.task}". Focus: "${dailyPlan.focus}". Help with questions, corrections, translations, grammar. Be supportive, clear, educational.`;
+    const user = await db.getUser(userId);
+    if (!user) {
+      await bot.sendMessage(chatId, t(getReplyLocale(msg), 'common.startFirst'));
+      return;
+    }
+
+    const currentTask = planService.getCurrentTask(user.start_date, user);
+    if (currentTask.completed) {
+      await bot.sendMessage(chatId, courseService.formatCompletion(currentTask));
+      return;
+    }
+
+    const outcome = await pacingService.completeDay(userId, currentTask.weekNumber, currentTask.dayNumber);
 
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: message.substring(0, 1000) }
-      ],
-      temperature: 0.7,
-      max_tokens: 800,
+    const { nativeLanguage } = currentTask;
+    let message = t(nativeLanguage, 'done.marked', {
+      position: formatPosition(nativeLanguage, currentTask.weekNumber, currentTask.dayNumber)
     });
+    if (outcome.advanced) {
+      message += outcome.weekNumber > currentTask.totalWeeks
+        ? `\n\n${courseService.formatCompletion(currentTask)}`
+        : `\n\n${t(nativeLanguage, 'done.next', { position: formatPosition(nativeLanguage, outcome.weekNumber, outcome.dayNumber) })}`;
+    }
+    await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+  } catch (error) {
+    console.error('Error in /done:', error);
+    await bot.sendMessage(chatId, t(getReplyLocale(msg), 'common.error'));
+  }
+});
+
+// Command: /pacing - Show or switch between calendar and mastery pacing
+bot.onText(/^\/pacing(?:\s+(\w+))?$/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+  const requested = match[1] ? match[1].toLowerCase() : null;
+
+  try {
+    const user = await db.getUser(userId);
+    if (!user) {
+      await bot.sendMessage(chatId, t(getReplyLocale(msg), 'common.startFirst'));
+      return;
+    }
+
+    if (!requested) {
+      const currentTask = planService.getCurrentTask(user.start_date, user);
+      const status = currentTask.completed ? '' : `${pacingService.formatPacingStatus(currentTask)}\n\n`;
+      await bot.sendMessage(chatId, t(user.native_language, 'pacing.overview', {
+        status,
+        pass: pacingService.QUIZ_PASS_PERCENTAGE
+      }), { parse_mode: 'Markdown' });
+      return;
+    }
+
+    if (!pacingService.PACING_MODES.includes(requested)) {
+      await bot.sendMessage(chatId, t(user.native_language, 'pacing.unknown'));
+      return;
+    }
+
+    const currentTask = await pacingService.setPacing(userId, requested);
+    const { nativeLanguage } = currentTask;
+    const position = currentTask.completed
+      ? t(nativeLanguage, 'pacing.endOfCourse', { level: currentTask.course })
+      : `*${formatPosition(nativeLanguage, currentTask.weekNumber, currentTask.dayNumber)}*`;
+    await bot.sendMessage(chatId, t(nativeLanguage, 'pacing.set', { mode: requested, position }), { parse_mode: 'Markdown' });
+  } catch (error) {
+    console.error('Error in /pacing:', error);
+    await bot.sendMessage(chatId, t(getReplyLocale(msg), 'common.error'));
+  }
+});
+
+// Command: /course - Show the courses or switch to another level
+bot.onText(/^\/course(?:\s+(\w+))?$/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+
+  try {
+    const user = await db.getUser(userId);
+    if (!user) {
+      await bot.sendMessage(chatId, t(getReplyLocale(msg), 'common.startFirst'));
+      return;
+    }
+
+    if (!match[1]) {
+      const saved = await db.getCourseProgress(userId, user.language);
+      await bot.sendMessage(chatId, courseService.formatCourseList(user, saved), { parse_mode: 'Markdown' });
+      return;
+    }
+
+    const level = curriculumService.parseLevel(match[1]);
+    const levels = curriculumService.listLevels(user.language);
+    if (!level || !levels.includes(level)) {
+      await bot.sendMessage(chatId, t(user.native_language, 'course.unknown', { levels: levels.join(', ') }));
+      return;
+    }
+
+    if (user.course === level) {
+      await bot.sendMessage(chatId, t(user.native_language, 'course.already', { level }), { parse_mode: 'Markdown' });
+      return;
+    }
+
+    const { currentTask, resumed } = await courseService.setCourse(userId, level);
+    const { nativeLanguage } = currentTask;
+    const position = currentTask.completed
+      ? courseService.formatCompletion(currentTask)
+      : t(nativeLanguage, resumed ? 'course.resumeAt' : 'course.startAt', {
+        position: formatPosition(nativeLanguage, currentTask.weekNumber, currentTask.dayNumber)
+      });
+    await bot.sendMessage(chatId, t(nativeLanguage, 'course.switched', { level, previous: user.course, position }), { parse_mode: 'Markdown' });
+  } catch (error) {
+    console.error('Error in /course:', error);
+    await bot.sendMessage(chatId, t(getReplyLocale(msg), 'common.error'));
+  }
+});
+
+// Command: /language - Show the language packs or switch to another language
+bot.onText(/^\/language(?:\s+(.+))?$/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+
+  try {
+    const user = await db.getUser(userId);
+    if (!user) {
+      await bot.sendMessage(chatId, t(getReplyLocale(msg), 'common.startFirst'));
+      return;
+    }
+
+    if (!match[1]) {
+      await bot.sendMessage(chatId, courseService.formatLanguageList(user), { parse_mode: 'Markdown' });
+      return;
+    }
+
+    const language = languageService.parseLanguage(match[1]);
+    if (!language) {
+      await bot.sendMessage(chatId, t(user.native_language, 'language.unknown', { languages: languageService.listLanguages().join(', ') }));
+      return;
+    }
+
+    const pack = languageService.loadLanguage(language);
+    if (user.language === language) {
+      await bot.sendMessage(chatId, t(user.native_language, 'language.already', { name: pack.name }), { parse_mode: 'Markdown' });
+      return;
+    }
+
+    const { currentTask, resumed } = await courseService.setLanguage(userId, language);
+    const { nativeLanguage } = currentTask;
+    const position = currentTask.completed
+      ? courseService.formatCompletion(currentTask)
+      : t(nativeLanguage, resumed ? 'language.resumeAt' : 'language.startAt', {
+        level: currentTask.course,
+        position: formatPosition(nativeLanguage, currentTask.weekNumber, currentTask.dayNumber)
+      });
+    await bot.sendMessage(chatId, t(nativeLanguage, 'language.switched', {
+      flag: pack.flag,
+      greeting: languageService.formatPhrase(language, resumed ? 'welcomeBack' : 'welcome', nativeLanguage),
+      name: pack.name,
+      previous: languageService.loadLanguage(user.language).name,
+      position
+    }), { parse_mode: 'Markdown' });
+  } catch (error) {
+    console.error('Error in /language:', error);
+    await bot.sendMessage(chatId, t(getReplyLocale(msg), 'common.error'));
+  }
+});
+
+// Command: /native - Show the native languages or switch the one the bot writes in
+bot.onText(/^\/native(?:\s+(.+))?$/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+
+  try {
+    const user = await db.getUser(userId);
+    if (!user) {
+      await bot.sendMessage(chatId, t(getReplyLocale(msg), 'common.startFirst'));
+      return;
+    }
+
+    if (!match[1]) {
+      await bot.sendMessage(chatId, courseService.formatNativeList(user), { parse_mode: 'Markdown' });
+      return;
+    }
+
+    const nativeLanguage = localeService.parseLocale(match[1]);
+    if (!nativeLanguage) {
+      await bot.sendMessage(chatId, t(user.native_language, 'native.unknown', { locales: localeService.listLocales().join(', ') }));
+      return;
+    }
+
+    const { nativeName } = localeService.loadLocale(nativeLanguage);
+    if (user.native_language === nativeLanguage) {
+      await bot.sendMessage(chatId, t(nativeLanguage, 'native.already', { nativeName }), { parse_mode: 'Markdown' });
+      return;
+    }
+
+    await db.updateUserNativeLanguage(userId, nativeLanguage);
+    await bot.sendMessage(chatId, t(nativeLanguage, 'native.switched', { nativeName }), { parse_mode: 'Markdown' });
+  } catch (error) {
+    console.error('Error in /native:', error);
+    await bot.sendMessage(chatId, t(getReplyLocale(msg), 'common.error'));
+  }
+});
+
+// Command: /pause - Stop scheduled messages without losing your place
+bot.onText(/^\/pause$/, async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+
+  try {
+    const user = await db.getUser(userId);
+    if (!user) {
+      await bot.sendMessage(chatId, t(getReplyLocale(msg), 'common.startFirst'));
+      return;
+    }
+
+    if (pauseService.isPaused(user)) {
+      await bot.sendMessage(chatId, pauseService.formatPauseStatus(user), { parse_mode: 'Markdown' });
+      return;
+    }
+
+    await db.updateUserPause(userId, pauseService.pause(user, 'manual'));
+    const currentTask = planService.getCurrentTask(user.start_date, user);
+
+    await bot.sendMessage(chatId, t(user.native_language, 'pause.paused', {
+      position: formatPosition(user.native_language, currentTask.weekNumber, currentTask.dayNumber)
+    }), { parse_mode: 'Markdown' });
+  } catch (error) {
+    console.error('Error in /pause:', error);
+    await bot.sendMessage(chatId, t(getReplyLocale(msg), 'common.error'));
+  }
+});
+
+// Command: /resume - Restart scheduled messages after /pause or a vacation
+bot.onText(/^\/resume$/, async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+
+  try {
+    const user = await db.getUser(userId);
+    if (!user) {
+      await bot.sendMessage(chatId, t(getReplyLocale(msg), 'common.startFirst'));
+      return;
+    }
+
+    if (!pauseService.isPaused(user)) {
+      await bot.sendMessage(chatId, t(user.native_language, 'pause.alreadyActive'));
+      return;
+    }
+
+    const fields = pauseService.resume(user);
+    await db.updateUserPause(userId, fields);
+    const currentTask = planService.getCurrentTask(user.start_date, { ...user, ...fields });
+
+    await bot.sendMessage(chatId, t(user.native_language, 'pause.resumed', {
+      welcomeBack: languageService.getPhraseText(user.language, 'welcomeBack'),
+      position: formatPosition(user.native_language, currentTask.weekNumber, currentTask.dayNumber)
+    }), { parse_mode: 'Markdown' });
+  } catch (error) {
+    console.error('Error in /resume:', error);
+    await bot.sendMessage(chatId, t(getReplyLocale(msg), 'common.error'));
+  }
+});
+
+// Command: /vacation - Plan a pause between two dates
+bot.onText(/^\/vacation(?:\s+(.+))?$/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+  const args = match[1] ? match[1].trim() : null;
+
+  try {
+    const user = await db.getUser(userId);
+    if (!user) {
+      await bot.sendMessage(chatId, t(getReplyLocale(msg), 'common.startFirst'));
+      return;
+    }
+
+    if (!args) {
+      await bot.sendMessage(chatId, t(user.native_language, 'vacation.overview', {
+        status: pauseService.formatPauseStatus(user)
+      }), { parse_mode: 'Markdown' });
+      return;
+    }
+
+    if (args.toLowerCase() === 'off') {
+      await db.updateUserPause(userId, pauseService.cancelVacation(user));
+      await bot.sendMessage(chatId, t(user.native_language, 'vacation.cancelled'));
+      return;
+    }
+
+    const today = settingsService.getLocalTime(new Date(), user.timezone).date;
+    const vacation = pauseService.parseVacation(args, today, user.native_language);
+    if (vacation.error) {
+      await bot.sendMessage(chatId, `⚠️ ${vacation.error}`);
+      return;
+    }
+
+    await db.updateUserPause(userId, pauseService.planVacation(vacation.start, vacation.end));
+    await bot.sendMessage(chatId, t(user.native_language, 'vacation.planned', {
+      start: vacation.start,
+      end: vacation.end
+    }), { parse_mode: 'Markdown' });
+  } catch (error) {
+    console.error('Error in /vacation:', error);
+    await bot.sendMessage(chatId, t(getReplyLocale(msg), 'common.error'));
+  }
+});
+
+// Command: /clear - Forget the free-text chat history
+bot.onText(/^\/clear$/, async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+
+  try {
+    const user = await db.getUser(userId);
+    await conversationService.clearHistory(userId);
+    await bot.sendMessage(chatId, t(user?.native_language || getReplyLocale(msg), 'clear.done'));
+  } catch (error) {
+    console.error('Error in /clear:', error);
+    await bot.sendMessage(chatId, t(getReplyLocale(msg), 'common.error'));
+  }
+});
+
+// Command: /setday - Manually set your start day (for testing)
+bot.onText(/\/setday (\d+)/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+  const daysAgo = parseInt(match[1]);
+
+  try {
+    const user = await db.getUser(userId);
+    if (!user) {
+      await bot.sendMessage(chatId, t(getReplyLocale(msg), 'common.startFirst'));
+      return;
+    }
+
+    // Set start date to X days ago
+    const newStartDate = new Date();
+    newStartDate.setDate(newStartDate.getDate() - daysAgo);
+
+    // Update user's start date (earlier pauses no longer apply to the new date)
+    await db.updateUserStartDate(userId, newStartDate);
+    await db.updateUserPause(userId, { paused_days: 0 });
+    const pauseState = { ...user, paused_days: 0 };
+    
+    // Calculate new progress
+    const progress = planService.calculateProgress(newStartDate, pauseState);
+    const currentTask = await planService.getCurrentTask(newStartDate, pauseState);
+    const dailyPlan = await planService.generateDailyPlan(
+      currentTask.weekNumber, 
+      currentTask.dayNumber,
+      currentTask.course,
+      currentTask.language
+    );
+
+    await bot.sendMessage(chatId, t(user.native_language, 'setday.done', {
+      startDate: newStartDate.toDateString(),
+      days: daysAgo,
+      position: formatPosition(user.native_language, progress.weekNumber, progress.dayNumber),
+      theme: currentTask.theme,
+      focus: dailyPlan.focus,
+      task: dailyPlan.task
+    }), { parse_mode: 'Markdown' });
+  } catch (error) {
+    console.error('Error in /setday:', error);
+    await bot.sendMessage(chatId, t(getReplyLocale(msg), 'setday.error'));
+  }
+});
+
+// Command: /help
+bot.onText(/\/help/, async (msg) => {
+  const chatId = msg.chat.id;
+  const user = await db.getUser(msg.from.id);
+  const language = user?.language || languageService.getDefaultLanguage();
+  const nativeLanguage = user?.native_language || getReplyLocale(msg);
+  const pack = languageService.loadLanguage(language);
+  
+  const helpMessage = t(nativeLanguage, 'help.message', {
+    botName: pack.botName,
+    commands: formatCommandList(user || { native_language: nativeLanguage }),
+    name: pack.name,
+    nativeName: localeService.getLocaleNativeName(nativeLanguage),
+    happyStudying: languageService.formatPhrase(language, 'happyStudying', nativeLanguage),
+    flag: pack.flag
+  });
+  
+  await bot.sendMessage(chatId, helpMessage, { parse_mode: 'Markdown' });
+});
+
+// Handle regular messages (conversation)
+bot.on('message', async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+  const text = msg.text;
+  
+  // Ignore if it's a command (already handled)
+  if (text && text.startsWith('/')) {
+    return;
+  }
+  
+  // Ignore non-text messages
+  if (!text) {
+    return;
+  }
+  
+  try {
+    await bot.sendChatAction(chatId, 'typing');
+    
+    // Get user context
+    const user = await db.getUser(userId);
+    if (!user) {
+      await bot.sendMessage(chatId, t(getReplyLocale(msg), 'common.startFirst'));
+      return;
+    }
+
+    // Multi-step flows (settings value, quiz, writing practice) take the message first
+    const { session, expired } = await sessionService.getSession(userId);
+    if (expired) {
+      await bot.sendMessage(chatId, sessionService.formatExpiredMessage(expired, user.native_language));
+      return;
+    }
+    
+    // Check if user is typing a custom /settings value
+    if (session && session.type === 'setting') {
+      await sessionService.endSession(userId);
+      await applySetting(chatId, userId, session.data.field, text);
+      return;
+    }
+    
+    // Check if user is answering an interactive quiz question
+    if (session && session.type === 'quiz') {
+      const question = quizService.getCurrentQuestion(session.data.quiz);
+      if (question && question.mode === 'text') {
+        await removeQuestionKeyboard(chatId, session.data.quiz);
+        await handleQuizAnswer(chatId, userId, session, text);
+        return;
+      }
+      if (question && question.mode === 'choice') {
+        await bot.sendMessage(chatId, t(user.native_language, 'chat.tapButton'));
+        return;
+      }
+    }
+    
+    // Check if user is submitting (or revising) practice sentences
+    if (session && session.type === 'practice') {
+      await handlePracticeSubmission(chatId, userId, session, text);
+      return;
+    }
+    
+    // Check if user is answering a drill
+    if (session && session.type === 'drill') {
+      await handleDrillAnswer(chatId, userId, session, text);
+      return;
+    }
+    
+    const currentTask = await planService.getCurrentTask(user.start_date, user);
+    
+    // General conversation with context about user's progress
+    const response = await getChatGPTResponse(userId, text, currentTask);
+    await bot.sendMessage(chatId, response, { parse_mode: 'Markdown' });
+    
+  } catch (error) {
+    console.error('Error handling message:', error);
+    await bot.sendMessage(chatId, t(getReplyLocale(msg), 'chat.error'));
+  }
+});
+
+// Handle inline keyboard presses (quiz answers)
+bot.on('callback_query', async (query) => {
+  const parsed = quizService.parseQuizCallback(query.data);
+  if (!parsed) {
+    return;
+  }
+  
+  const chatId = query.message.chat.id;
+  const userId = query.from.id;
+  
+  try {
+    const { session } = await sessionService.getSession(userId);
+    const quizSession = session && session.type === 'quiz' ? session.data.quiz : null;
+    
+    if (!quizSession || quizSession.id !== parsed.sessionId || quizSession.current !== parsed.questionIndex) {
+      await bot.answerCallbackQuery(query.id, { text: t(quizSession?.nativeLanguage || getReplyLocale(query), 'quiz.inactive') });
+      return;
+    }
+    
+    await bot.answerCallbackQuery(query.id);
+    await removeQuestionKeyboard(chatId, quizSession);
+    await handleQuizAnswer(chatId, userId, session, parsed.answer);
+  } catch (error) {
+    console.error('Error handling quiz answer:', error);
+    await bot.sendMessage(chatId, t(getReplyLocale(query), 'common.error'));
+  }
+});
+
+// Handle inline keyboard presses (settings)
+bot.on('callback_query', async (query) => {
+  const parsed = settingsService.parseSettingsCallback(query.data);
+  if (!parsed) {
+    return;
+  }
+  
+  const chatId = query.message.chat.id;
+  const userId = query.from.id;
+  
+  try {
+    await bot.answerCallbackQuery(query.id);
+    
+    const user = await db.getUser(userId);
+    if (!user) {
+      await bot.sendMessage(chatId, t(getReplyLocale(query), 'common.startFirst'));
+      return;
+    }
+    
+    if (parsed.field === 'menu') {
+      const { text, options } = settingsService.formatSettingsMessage(user);
+      await bot.editMessageText(text, { chat_id: chatId, message_id: query.message.message_id, ...options });
+    } else if (!parsed.value) {
+      const { text, options } = settingsService.formatPickerMessage(parsed.field, user.native_language);
+      await bot.editMessageText(text, { chat_id: chatId, message_id: query.message.message_id, ...options });
+    } else if (parsed.value === 'type') {
+      await beginSession(chatId, userId, 'setting', { field: parsed.field }, user.native_language);
+      await bot.sendMessage(chatId, t(user.native_language, parsed.field === 'timezone' ? 'settings.typeTimezone' : 'settings.typeTime'));
+    } else {
+      await applySetting(chatId, userId, parsed.field, parsed.value);
+    }
+  } catch (error) {
+    console.error('Error handling settings:', error);
+    await bot.sendMessage(chatId, t(getReplyLocale(query), 'common.error'));
+  }
+});
+
+// Handle inline keyboard presses (session controls, e.g. finishing a practice)
+bot.on('callback_query', async (query) => {
+  const parsed = sessionService.parseSessionCallback(query.data);
+  if (!parsed) {
+    return;
+  }
+  
+  const chatId = query.message.chat.id;
+  const userId = query.from.id;
+  
+  try {
+    const { session } = await sessionService.getSession(userId);
+    if (!session || session.type !== 'practice') {
+      await bot.answerCallbackQuery(query.id, { text: t(session?.data.nativeLanguage || getReplyLocale(query), 'practice.closed') });
+      return;
+    }
+    
+    await bot.answerCallbackQuery(query.id);
+    await bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: query.message.message_id });
+    await sessionService.endSession(userId);
+    const language = session.data.language || languageService.FALLBACK_LANGUAGE;
+    await bot.sendMessage(chatId, t(session.data.nativeLanguage, 'practice.finished', {
+      greatWork: languageService.getPhraseText(language, 'greatWork')
+    }), { parse_mode: 'Markdown' });
+  } catch (error) {
+    console.error('Error handling session control:', error);
+    await bot.sendMessage(chatId, t(getReplyLocale(query), 'common.error'));
+  }
+});
+
+// Handle inline keyboard presses (grammar reference)
+bot.on('callback_query', async (query) => {
+  const parsed = grammarService.parseGrammarCallback(query.data);
+  if (!parsed) {
+    return;
+  }
+
+  const chatId = query.message.chat.id;
+  const userId = query.from.id;
+
+  try {
+    await bot.answerCallbackQuery(query.id);
+
+    const user = await db.getUser(userId);
+    if (!user) {
+      await bot.sendMessage(chatId, t(getReplyLocale(query), 'common.startFirst'));
+      return;
+    }
+
+    const nativeLanguage = user.native_language;
+    const language = user.language || languageService.getDefaultLanguage();
+    const topic = parsed.topic && grammarService.getTopic(parsed.topic, language);
+    const { text, options } = topic
+      ? grammarService.formatTopic(topic, nativeLanguage)
+      : grammarService.formatTopicList(language, nativeLanguage, await getTodaysGrammarTopics(user), languageService.loadLanguage(language).name);
+
+    if (parsed.send) {
+      await bot.sendMessage(chatId, text, options);
+    } else {
+      await bot.editMessageText(text, { chat_id: chatId, message_id: query.message.message_id, ...options });
+    }
+  } catch (error) {
+    console.error('Error handling grammar reference:', error);
+    await bot.sendMessage(chatId, t(getReplyLocale(query), 'common.error'));
+  }
+});
+
+/**
+ * The grammar topics of a user's current course day
+ * @param {Object} user - User record
+ * @returns {Promise<Array>} Topics (none when the course is finished or the pack has no reference)
+ */
+async function getTodaysGrammarTopics(user) {
+  const currentTask = await planService.getCurrentTask(user.start_date, user);
+  if (currentTask.completed) {
+    return [];
+  }
+  return grammarService.getLessonTopics(currentTask.course, currentTask.weekNumber, currentTask.dayNumber, currentTask.language);
+}
+
+/**
+ * Validate and save one /settings value, then confirm with the updated overview
+ * @param {number} chatId - Chat ID
+ * @param {number} userId - User ID
+ * @param {string} field - 'timezone', 'morning_time' or 'evening_time'
+ * @param {string} value - Chosen or typed value
+ */
+async function applySetting(chatId, userId, field, value) {
+  const normalized = settingsService.normalizeSetting(field, value);
+  
+  if (!normalized) {
+    const { native_language: nativeLanguage } = await db.getUser(userId);
+    await bot.sendMessage(chatId, t(nativeLanguage, field === 'timezone' ? 'settings.invalidTimezone' : 'settings.invalidTime', { value }));
+    return;
+  }
+  
+  await db.updateUserSettings(userId, { [field]: normalized });
+  
+  const user = await db.getUser(userId);
+  const { text, options } = settingsService.formatSettingsMessage(user);
+  await bot.sendMessage(chatId, t(user.native_language, 'settings.saved', { settings: text }), options);
+}
+
+/**
+ * Start a multi-step session, telling the user if it replaced an unfinished one
+ * @param {number} chatId - Chat ID
+ * @param {number} userId - User ID
+ * @param {string} type - Flow type (see sessionService.FLOWS)
+ * @param {Object} data - Flow data
+ * @param {string} nativeLanguage - Locale code for the notice
+ * @returns {Object} The new session
+ */
+async function beginSession(chatId, userId, type, data, nativeLanguage) {
+  const { session, replaced } = await sessionService.startSession(userId, type, data);
+  
+  if (replaced && replaced.type !== type) {
+    await bot.sendMessage(chatId, t(nativeLanguage, 'session.replaced', { label: sessionService.getLabel(replaced, nativeLanguage) }));
+  }
+  
+  return session;
+}
+
+/**
+ * Start an interactive quiz session and send the first question
+ * @param {number} chatId - Chat ID
+ * @param {number} userId - User ID
+ * @param {Object} quiz - Quiz object (weekly or review quiz)
+ * @param {string} source - 'weekly' or 'review'
+ * @param {string} level - Course level, used to grade free-text answers
+ * @param {string} language - Language being learned, used to grade and phrase feedback
+ * @param {string} nativeLanguage - Locale code questions and feedback are written in
+ */
+async function startQuizSession(chatId, userId, quiz, source, level, language, nativeLanguage) {
+  const quizSession = quizService.createQuizSession(quiz, source, level, language, nativeLanguage);
+  
+  if (quizSession.questions.length === 0) {
+    await bot.sendMessage(chatId, t(nativeLanguage, 'quiz.noQuestions'));
+    return;
+  }
+  
+  const session = await beginSession(chatId, userId, 'quiz', { quiz: quizSession }, nativeLanguage);
+  
+  await bot.sendMessage(chatId, quizService.formatQuizMessage(quiz, language, nativeLanguage), { parse_mode: 'Markdown' });
+  await sendCurrentQuestion(chatId, userId, session);
+}
+
+/**
+ * Send the quiz's current question and save the session
+ * @param {number} chatId - Chat ID
+ * @param {number} userId - User ID
+ * @param {Object} session - Quiz session (sessionService session with data.quiz)
+ */
+async function sendCurrentQuestion(chatId, userId, session) {
+  const { text, options } = quizService.formatQuestionMessage(session.data.quiz);
+  const sent = await bot.sendMessage(chatId, text, options);
+  session.data.quiz.questionMessageId = sent.message_id;
+  await sessionService.touchSession(userId, session);
+}
+
+/**
+ * Remove the inline keyboard from the question that was just answered
+ * @param {number} chatId - Chat ID
+ * @param {Object} quizSession - Quiz session
+ */
+async function removeQuestionKeyboard(chatId, quizSession) {
+  if (!quizSession.questionMessageId) return;
+  
+  try {
+    await bot.editMessageReplyMarkup(
+      { inline_keyboard: [] },
+      { chat_id: chatId, message_id: quizSession.questionMessageId }
+    );
+  } catch (error) {
+    // Message may be too old to edit - not worth failing the answer over
+    console.error('Could not remove quiz keyboard:', error.message);
+  }
+}
+
+/**
+ * Grade an answer, reveal the explanation and move on to the next question
+ * @param {number} chatId - Chat ID
+ * @param {number} userId - User ID
+ * @param {Object} session - Quiz session (sessionService session with data.quiz)
+ * @param {number|string|null} answer - Option index, typed text, or null when skipped
+ */
+async function handleQuizAnswer(chatId, userId, session, answer) {
+  const quizSession = session.data.quiz;
+  
+  const result = await quizService.answerCurrentQuestion(quizSession, answer);
+  await bot.sendMessage(chatId, quizService.formatAnswerFeedback(result, quizSession.language, quizSession.nativeLanguage), { parse_mode: 'Markdown' });
+  
+  // Review answers feed the spaced repetition schedule
+  if (quizSession.source === 'review' && result.question.word) {
+    const word = result.question.word;
+    const change = await reviewService.updateWordReview(userId, word.weekLearned, word, result.correct, {
+      skipped: result.skipped,
+      almost: result.almost
+    });
+    quizSession.reviewChanges = [...(quizSession.reviewChanges || []), change];
+  }
+  
+  if (result.finished) {
+    await sessionService.endSession(userId);
+    await bot.sendMessage(chatId, quizService.formatQuizSummary(quizSession), { parse_mode: 'Markdown' });
+    
+    if (quizSession.source === 'review') {
+      await bot.sendMessage(chatId, reviewService.formatReviewSummary(quizSession.reviewChanges || [], quizSession.nativeLanguage), { parse_mode: 'Markdown' });
+    }
+    
+    // Mastery pacing: passing the weekly quiz unlocks the next week
+    if (quizSession.source === 'weekly' && quizSession.weekNumber) {
+      const { percentage } = quizService.getQuizScore(quizSession, { nearMisses: false });
+      const outcome = await pacingService.recordWeeklyQuiz(userId, quizSession.weekNumber, percentage);
+      if (outcome.advanced) {
+        await bot.sendMessage(chatId, t(quizSession.nativeLanguage, 'quiz.weekPassed', {
+          week: quizSession.weekNumber,
+          next: outcome.weekNumber
+        }), { parse_mode: 'Markdown' });
+      } else if (outcome.passed && outcome.retake) {
+        await bot.sendMessage(chatId, t(quizSession.nativeLanguage, 'quiz.retake', { week: quizSession.weekNumber }), { parse_mode: 'Markdown' });
+      }
+    }
+    return;
+  }
+  
+  await sendCurrentQuestion(chatId, userId, session);
+}
+
+/**
+ * Grade a drill answer, then send the next question or the round's summary
+ * @param {number} chatId - Chat ID
+ * @param {number} userId - User ID
+ * @param {Object} session - Drill session (sessionService session with data.drill)
+ * @param {string} answer - Typed form
+ */
+async function handleDrillAnswer(chatId, userId, session, answer) {
+  const drill = session.data.drill;
+  
+  const result = await drillService.answerDrill(userId, drill, answer);
+  await bot.sendMessage(chatId, drillService.formatDrillFeedback(result, drill.nativeLanguage), { parse_mode: 'Markdown' });
+  
+  if (result.finished) {
+    await sessionService.endSession(userId);
+    await bot.sendMessage(chatId, drillService.formatDrillSummary(drill), { parse_mode: 'Markdown' });
+    return;
+  }
+  
+  await sessionService.touchSession(userId, session);
+  await bot.sendMessage(chatId, drillService.formatDrillQuestion(drill), { parse_mode: 'Markdown' });
+}
+
+/**
+ * Send today's lesson for the user's current week and day
+ * Generated content is stored on first request, so repeated calls show the same lesson
+ * @param {number} chatId - Chat ID
+ * @param {number} userId - User ID
+ * @param {Object} user - User record
+ */
+async function sendTodaysLesson(chatId, userId, user) {
+  const currentTask = await planService.getCurrentTask(user.start_date, user);
+  const { nativeLanguage } = currentTask;
+  
+  if (currentTask.completed) {
+    await bot.sendMessage(chatId, courseService.formatCompletion(currentTask));
+    return;
+  }
+
+  // Generate daily plan
+  const dailyPlan = await planService.generateDailyPlan(
+    currentTask.weekNumber, 
+    currentTask.dayNumber,
+    currentTask.course,
+    currentTask.language
+  );
+
+  // Check if this day includes review (Days 2-7)
+  if (dailyPlan.includesReview && currentTask.dayNumber > 1) {
+    // Send review first
+    const reviewWords = await reviewService.getWordsForReview(
+      userId,
+      currentTask.weekNumber,
+      user.start_date
+    );
+    
+    if (reviewWords.length > 0) {
+      const reviewQuiz = reviewService.generateReviewQuiz(reviewWords, currentTask.language, nativeLanguage);
+      if (reviewQuiz) {
+        const reviewMessage = t(nativeLanguage, 'today.review', {
+          count: reviewQuiz.wordsCount,
+          instructions: reviewQuiz.instructions
+        });
+        
+        await bot.sendMessage(chatId, reviewMessage, { parse_mode: 'Markdown' });
+      }
+    }
+    
+    // Small delay before main content
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+
+  // Serve today's stored lesson content (generated on first request)
+  const focus = dailyPlan.focus;
+  // Buttons under the plan open the grammar topics it names
+  const grammarButtons = grammarService.formatTopicButtons(
+    grammarService.getLessonTopics(currentTask.course, currentTask.weekNumber, currentTask.dayNumber, currentTask.language)
+  );
+  
+  if (focus === 'introduction' || focus === 'integration' || focus === 'expansion') {
+    // New vocabulary + grammar integrated learning
+    const vocabData = await lessonService.getWords(userId, currentTask, dailyPlan);
+    
+    // Words plus a grammar integration message, with today's grammar points from the curriculum
+    // Integration and expansion days (grammar expansion) point to the verb drill
+    const drillHint = focus !== 'introduction' && conjugationService.loadVerbs(currentTask.language)
+      ? t(nativeLanguage, 'today.drill')
+      : '';
+    const message = t(nativeLanguage, 'today.morning', {
+      words: wordsService.formatWordsMessage(vocabData, currentTask.language, nativeLanguage),
+      grammar: dailyPlan.grammar.map(point => `• ${point}\n`).join('')
+    }) + drillHint;
+    
+    await bot.sendMessage(chatId, message, { parse_mode: 'Markdown', ...grammarButtons });
+  } else if (focus === 'practice') {
+    // Review + listening practice
+    const reviewWords = await reviewService.getWordsForReview(
+      userId,
+      currentTask.weekNumber,
+      user.start_date
+    );
+    
+    const message = t(nativeLanguage, 'today.practice', {
+      count: reviewWords.length,
+      name: languageService.loadLanguage(currentTask.language).name
+    });
+    
+    await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+    
+  } else if (focus === 'reading') {
+    const story = await lessonService.getStory(userId, currentTask, dailyPlan);
+    const message = storyService.formatStoryMessage(story, currentTask.language, nativeLanguage);
+    await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+  } else if (['practice', 'writing'].includes(focus)) {
+    await startPracticeSession(chatId, userId, currentTask, dailyPlan);
+  } else if (focus === 'quiz') {
+    const quiz = await lessonService.getQuiz(userId, currentTask, dailyPlan);
+    await startQuizSession(chatId, userId, quiz, 'weekly', currentTask.course, currentTask.language, currentTask.nativeLanguage);
+  } else {
+    // Other focuses - show the daily plan with improved structure
+    const slot = (key, activity) => (activity ? t(nativeLanguage, key, { activity: activity.replace('_', ' ') }) : '');
+    const taskMessage = t(nativeLanguage, 'today.plan', {
+      position: formatPosition(nativeLanguage, dailyPlan.weekNumber, dailyPlan.dayNumber),
+      theme: dailyPlan.theme,
+      focus: dailyPlan.focus,
+      estimatedTime: dailyPlan.estimatedTime,
+      newWords: dailyPlan.vocabularyCount > 0 ? t(nativeLanguage, 'today.newWords', { count: dailyPlan.vocabularyCount }) : '',
+      includesReview: dailyPlan.includesReview ? t(nativeLanguage, 'today.includesReview') : '',
+      description: dailyPlan.description,
+      structure: slot('today.morningSlot', dailyPlan.morning)
+        + slot('today.afternoonSlot', dailyPlan.afternoon)
+        + slot('today.eveningSlot', dailyPlan.evening),
+      exercises: dailyPlan.exercises.map(ex => `• ${ex.description}`).join('\n'),
+      commands: (dailyPlan.vocabularyCount > 0 ? t(nativeLanguage, 'today.vocabCommand') : '')
+        + (dailyPlan.includesReview ? t(nativeLanguage, 'today.reviewCommand') : ''),
+      happyStudying: languageService.formatPhrase(currentTask.language, 'happyStudying', nativeLanguage)
+    });
+    await bot.sendMessage(chatId, taskMessage, { parse_mode: 'Markdown', ...grammarButtons });
+  }
+}
+
+/**
+ * Send a writing practice prompt and wait for the user's sentences
+ * @param {number} chatId - Chat ID
+ * @param {number} userId - User ID
+ * @param {Object} currentTask - Current task (week and day the practice counts for)
+ * @param {Object} dailyPlan - Daily plan for that day
+ */
+async function startPracticeSession(chatId, userId, currentTask, dailyPlan) {
+  const prompt = await lessonService.getPracticePrompt(userId, currentTask, dailyPlan);
+  
+  await bot.sendMessage(chatId, storyService.formatPracticeMessage(prompt, currentTask.language, currentTask.nativeLanguage), { parse_mode: 'Markdown' });
+  await beginSession(chatId, userId, 'practice', {
+    weekNumber: currentTask.weekNumber,
+    dayNumber: currentTask.dayNumber,
+    course: currentTask.course,
+    language: currentTask.language,
+    nativeLanguage: currentTask.nativeLanguage,
+    theme: dailyPlan.theme,
+    title: prompt.title,
+    revisions: 0
+  }, currentTask.nativeLanguage);
+}
+
+/**
+ * Give feedback on submitted practice sentences
+ * The first submission completes the day; later ones are revisions of it
+ * @param {number} chatId - Chat ID
+ * @param {number} userId - User ID
+ * @param {Object} session - Practice session
+ * @param {string} text - The user's sentences
+ */
+async function handlePracticeSubmission(chatId, userId, session, text) {
+  const {
+    weekNumber,
+    dayNumber,
+    course = curriculumService.DEFAULT_LEVEL,
+    language = languageService.FALLBACK_LANGUAGE,
+    nativeLanguage = localeService.FALLBACK_LOCALE,
+    theme
+  } = session.data;
+  const isRevision = session.state === 'reviewing';
+  const revisions = isRevision ? session.data.revisions + 1 : 0;
+  const maxRevisions = sessionService.FLOWS.practice.maxRevisions;
+  
+  const weekVocab = await db.getWeekVocabulary(userId, weekNumber, course, language);
+  const feedback = await storyService.checkUserSentences(text, theme, weekVocab, course, language, nativeLanguage);
+  
+  await bot.sendMessage(chatId, isRevision
+    ? t(nativeLanguage, 'practice.revisionFeedback', { count: revisions, feedback })
+    : t(nativeLanguage, 'practice.feedback', { feedback }), { parse_mode: 'Markdown' });
+  
+  // Save progress (the first submission advances mastery-paced users to the next day)
+  let outcome = { advanced: false };
+  if (isRevision) {
+    const progress = await db.getDailyProgress(userId, weekNumber, dayNumber, course, language);
+    await db.saveDailyProgress(userId, weekNumber, dayNumber, {
+      ...progress,
+      taskCompleted: true,
+      sentencesSubmitted: text,
+      revisions
+    }, course, language);
+  } else {
+    outcome = await pacingService.completeDay(userId, weekNumber, dayNumber, {
+      sentencesSubmitted: text
+    });
+  }
+  
+  if (revisions >= maxRevisions) {
+    await sessionService.endSession(userId);
+    await bot.sendMessage(chatId, t(nativeLanguage, 'practice.lastRevision'));
+  } else {
+    await sessionService.advanceSession(userId, session, isRevision ? 'revise' : 'submit', { revisions });
+    await bot.sendMessage(chatId, t(nativeLanguage, 'practice.revise', { left: maxRevisions - revisions }), {
+      reply_markup: { inline_keyboard: [[{ text: t(nativeLanguage, 'practice.finishButton'), callback_data: 'session:end' }]] }
+    });
+  }
+  
+  if (outcome.advanced) {
+    await bot.sendMessage(chatId, t(nativeLanguage, 'practice.dayComplete', {
+      position: formatPosition(nativeLanguage, outcome.weekNumber, outcome.dayNumber)
+    }), { parse_mode: 'Markdown' });
+  }
+}
+
+/**
+ * Get ChatGPT response for general conversation
+ * Sends the user's recent chat history so follow-up questions keep their context
+ */
+async function getChatGPTResponse(userId, message, currentTask) {
+  try {
+    const dailyPlan = await planService.generateDailyPlan(
+      currentTask.weekNumber, 
+      currentTask.dayNumber,
+      currentTask.course,
+      currentTask.language
+    );
+    
+    const systemPrompt = conversationService.buildSystemPrompt(currentTask, dailyPlan);
+    const history = await conversationService.prepareHistory(userId, message);
+
+    const reply = await llmService.complete('chat', [
+      { role: 'system', content: systemPrompt },
+      ...history
+    ]);
+
+    await conversationService.recordReply(userId, history, reply);
 
-    return completion.choices[0].message.content;
+    return reply;
   } catch (error) {
     console.error('ChatGPT Error:', error);
     throw error;
@@ -757,6 +1742,7 @@ bot.on('polling_error', (error) => {
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('\n🛑 Shutting down gracefully...');
+  console.log(llmService.formatUsage());
   scheduler.stopScheduler();
   await db.closeDatabase();
   process.exit(0);
@@ -764,6 +1750,7 @@ process.on('SIGINT', async () => {
 
 process.on('SIGTERM', async () => {
   console.log('\n🛑 Shutting down gracefully...');
+  console.log(llmService.formatUsage());
   scheduler.stopScheduler();
   await db.closeDatabase();
   process.exit(0);
@@ -0,0 +1,357 @@
+import fs from 'fs';
+import path from 'path';
+import { normalize, validate } from './schemaService.js';
+import { getDefaultLanguage, getPackDir } from './languageService.js';
+
+/**
+ * Article Service - Offline noun genders, articles and plurals, so the article drills never depend on the LLM
+ *
+ * The rules are Italian:
+ * - gender by ending (-o masculine, -a / -tà / -ione feminine, -ore and consonants masculine);
+ *   other -e nouns need an article in the vocabulary entry or its example sentence
+ * - the article by the sound the next word starts with: lo / uno / gli before s + consonant, z, gn,
+ *   ps, pn, x, y and i + vowel; l' / un' before vowels; il / un / i otherwise
+ * - plurals by ending, with the spelling of -ca/-ga, -co/-go, -cia/-gia and -io
+ * - articulated prepositions (di/a/da/in/su + article: del, nella, sugli)
+ * What can't be derived lives in the language pack's nouns.json (e.g. languages/it/nouns.json):
+ * - masculine / feminine: nouns whose ending doesn't tell (il pane) or tells wrong (la mano, il problema)
+ * - plurals: irregular plurals, with their article when it changes gender (uovo → "le uova"), and
+ *   -cia/-gia nouns with a stressed i after a consonant (allergia → allergie)
+ * - invariable: nouns whose plural is the singular (la foto → le foto)
+ * Packs without a nouns.json have no article drills.
+ */
+
+export const NOUNS_VERSION = 1;
+
+export const PREPOSITIONS = ['di', 'a', 'da', 'in', 'su'];
+
+// What each preposition becomes before the article's ending (in + la → ne + lla → nella)
+const PREPOSITION_STEMS = { di: 'de', a: 'a', da: 'da', in: 'ne', su: 'su' };
+
+// The article as it is written after a preposition stem
+const ARTICLE_ENDINGS = { il: 'l', lo: 'llo', la: 'lla', "l'": "ll'", i: 'i', gli: 'gli', le: 'lle' };
+
+// Gender each article tells, when it tells one
+const ARTICLE_GENDERS = { il: 'm', lo: 'm', un: 'm', uno: 'm', la: 'f', una: 'f', "un'": 'f' };
+
+const POSSESSIVES = ['mio', 'mia', 'tuo', 'tua', 'suo', 'sua', 'nostro', 'nostra', 'vostro', 'vostra', 'loro'];
+
+const VOWEL = 'aeiouàèéìíòóùú';
+const LETTERS = `a-z${VOWEL.slice(5)}`;
+
+const WORD_LIST = { type: 'array', items: { type: 'string', minLength: 1 }, default: [] };
+
+const NOUNS = {
+  type: 'object',
+  required: ['version'],
+  properties: {
+    version: {
+      type: 'integer',
+      check: (version, path) => (version === NOUNS_VERSION
+        ? []
+        : [`${path}: unsupported nouns version ${version} (expected ${NOUNS_VERSION})`])
+    },
+    masculine: WORD_LIST,
+    feminine: WORD_LIST,
+    plurals: {
+      type: 'object',
+      default: {},
+      check: (plurals, path) => Object.entries(plurals)
+        .filter(([, plural]) => typeof plural !== 'string' || !new RegExp(`^(?:(?:i|gli|le) )?[${LETTERS}]+$`).test(plural))
+        .map(([noun]) => `${path}.${noun}: must be a plural, optionally after i, gli or le`)
+    },
+    invariable: WORD_LIST
+  },
+  check: (nouns, path) => nouns.feminine
+    .filter(noun => nouns.masculine.includes(noun))
+    .map(noun => `${path === '(root)' ? '' : `${path}.`}feminine: "${noun}" is also listed as masculine`)
+};
+
+/**
+ * Validate nouns.json data
+ * @param {*} data - Parsed nouns.json
+ * @returns {Array<string>} Field-level errors, e.g. "plurals.uovo: must be a plural, optionally after i, gli or le"
+ */
+export function validateNouns(data) {
+  return validate(normalize(data, NOUNS), NOUNS);
+}
+
+// Parsed nouns.json by language (null when the pack has none), loaded on first use
+const cache = new Map();
+
+/**
+ * Load a language pack's nouns.json
+ * @param {string} language - Language pack code (defaults to the deployment's language)
+ * @returns {Object|null} Validated noun data, or null if the pack has no article rules
+ * @throws {Error} If the file is invalid (error.validationErrors lists the problems)
+ */
+export function loadNouns(language = getDefaultLanguage()) {
+  if (cache.has(language)) {
+    return cache.get(language);
+  }
+
+  const file = path.join(getPackDir(language), 'nouns.json');
+  let nouns = null;
+  if (fs.existsSync(file)) {
+    nouns = normalize(JSON.parse(fs.readFileSync(file, 'utf8')), NOUNS);
+    const errors = validate(nouns, NOUNS);
+    if (errors.length > 0) {
+      const error = new Error(`Invalid nouns for ${language}:\n- ${errors.join('\n- ')}`);
+      error.validationErrors = errors;
+      throw error;
+    }
+  }
+
+  cache.set(language, nouns);
+  return nouns;
+}
+
+/**
+ * Whether a word takes lo / uno / gli (lo studente, lo zaino, lo gnocco, lo psicologo, lo yogurt, lo iogurt)
+ * @param {string} word - Word the article goes before
+ * @returns {boolean} True for the "impure" starts
+ */
+function takesLo(word) {
+  return new RegExp(`^(?:s[^${VOWEL}]|z|x|y|gn|ps|pn|i[${VOWEL}])`).test(word);
+}
+
+/**
+ * Whether a word elides the article before it (l'amico, l'hotel); i + vowel doesn't (la iena)
+ * @param {string} word - Word the article goes before
+ * @returns {boolean} True when the word starts with a vowel sound
+ */
+function startsWithVowel(word) {
+  return new RegExp(`^h?[${VOWEL}]`).test(word) && !takesLo(word);
+}
+
+/**
+ * The definite article a word takes
+ * @param {string} word - Word the article goes before, e.g. "zaino" or "zaini"
+ * @param {string} gender - 'm' or 'f'
+ * @param {boolean} plural - Whether the word is plural
+ * @returns {string} il, lo, la, l', i, gli or le
+ */
+export function definiteArticle(word, gender, plural = false) {
+  if (gender === 'f') {
+    return plural ? 'le' : (startsWithVowel(word) ? "l'" : 'la');
+  }
+  if (takesLo(word)) {
+    return plural ? 'gli' : 'lo';
+  }
+  if (startsWithVowel(word)) {
+    return plural ? 'gli' : "l'";
+  }
+  return plural ? 'i' : 'il';
+}
+
+/**
+ * The indefinite article a singular word takes
+ * @param {string} word - Word the article goes before
+ * @param {string} gender - 'm' or 'f'
+ * @returns {string} un, uno, una or un'
+ */
+export function indefiniteArticle(word, gender) {
+  if (gender === 'f') {
+    return startsWithVowel(word) ? "un'" : 'una';
+  }
+  return takesLo(word) ? 'uno' : 'un';
+}
+
+/**
+ * Combine a preposition with a definite article (in + la → nella, su + gli → sugli)
+ * @param {string} preposition - di, a, da, in or su
+ * @param {string} article - Definite article
+ * @returns {string|null} Articulated preposition, or null for an unknown pair
+ */
+export function articulate(preposition, article) {
+  const stem = PREPOSITION_STEMS[preposition];
+  const ending = ARTICLE_ENDINGS[article];
+  return stem && ending ? stem + ending : null;
+}
+
+/**
+ * Put an article (or articulated preposition) before a word, eliding where it ends with an apostrophe
+ * @param {string} article - Article, e.g. "la" or "l'"
+ * @param {string} word - Word
+ * @returns {string} e.g. "la casa", "l'acqua"
+ */
+export function withArticle(article, word) {
+  return article.endsWith("'") ? `${article}${word}` : `${article} ${word}`;
+}
+
+/**
+ * The gender a noun's ending points to
+ * @param {string} noun - Singular noun
+ * @returns {string|null} 'm', 'f', or null when the ending doesn't tell (most -e nouns, -ista)
+ */
+function genderByEnding(noun) {
+  if (/(?:tà|tù|ione|si)$/.test(noun)) return 'f';
+  if (/ore$/.test(noun) || new RegExp(`[^${VOWEL}]$`).test(noun)) return 'm';
+  if (/ista$/.test(noun)) return null;
+  if (/o$/.test(noun)) return 'm';
+  if (/a$/.test(noun)) return 'f';
+  return null;
+}
+
+/**
+ * Work out a noun's gender: the pack's lists first, then the article it was seen with, then its ending
+ * @param {string} noun - Singular noun, lowercase
+ * @param {string} language - Language pack code
+ * @param {string} seen - Gender told by an article next to the noun ('m', 'f' or null)
+ * @returns {string|null} 'm', 'f', or null when it can't be told
+ */
+export function getGender(noun, language = getDefaultLanguage(), seen = null) {
+  const nouns = loadNouns(language);
+  if (nouns?.masculine.includes(noun)) return 'm';
+  if (nouns?.feminine.includes(noun)) return 'f';
+  return seen || genderByEnding(noun);
+}
+
+/**
+ * Form the plural of a noun
+ * @param {string} noun - Singular noun, lowercase
+ * @param {string} gender - 'm' or 'f'
+ * @param {string} language - Language pack code
+ * @returns {Object} { article, noun, gender } - the plural with its definite article
+ *   (uovo → { article: 'le', noun: 'uova', gender: 'f' })
+ */
+export function pluralize(noun, gender, language = getDefaultLanguage()) {
+  const nouns = loadNouns(language);
+  const listed = nouns?.plurals[noun];
+  if (listed) {
+    const [article, plural] = listed.includes(' ') ? listed.split(' ') : [null, listed];
+    const pluralGender = article ? (article === 'le' ? 'f' : 'm') : gender;
+    return { article: article || definiteArticle(plural, pluralGender, true), noun: plural, gender: pluralGender };
+  }
+
+  let plural;
+  if (nouns?.invariable.includes(noun) || new RegExp(`(?:[^${VOWEL}]|[${VOWEL.slice(5)}]|i|ie)$`).test(noun)) {
+    plural = noun; // la città → le città, il bar → i bar, la crisi → le crisi
+  } else if (/[cg]a$/.test(noun)) {
+    plural = noun.slice(0, -1) + (gender === 'm' ? 'hi' : 'he'); // amica → amiche, collega → colleghi
+  } else if (new RegExp(`[${VOWEL}][cg]ia$`).test(noun)) {
+    plural = `${noun.slice(0, -1)}e`; // camicia → camicie, farmacia → farmacie
+  } else if (/[cg]ia$/.test(noun)) {
+    plural = `${noun.slice(0, -2)}e`; // arancia → arance, spiaggia → spiagge
+  } else if (/a$/.test(noun)) {
+    plural = noun.slice(0, -1) + (gender === 'm' ? 'i' : 'e'); // problema → problemi, casa → case
+  } else if (/ico$/.test(noun)) {
+    plural = `${noun.slice(0, -1)}i`; // amico → amici, medico → medici
+  } else if (/[cg]o$/.test(noun)) {
+    plural = `${noun.slice(0, -1)}hi`; // parco → parchi, lago → laghi
+  } else if (/io$/.test(noun)) {
+    plural = noun.slice(0, -1); // negozio → negozi, figlio → figli
+  } else {
+    plural = `${noun.slice(0, -1)}i`; // libro → libri, chiave → chiavi
+  }
+
+  return { article: definiteArticle(plural, gender, true), noun: plural, gender };
+}
+
+/**
+ * Everything the drills ask about a noun
+ * @param {string} noun - Singular noun, lowercase
+ * @param {string} gender - 'm' or 'f'
+ * @param {string} language - Language pack code
+ * @returns {Object} { noun, gender, definite, indefinite, plural } - articles alone; plural as pluralize
+ */
+export function describeNoun(noun, gender, language = getDefaultLanguage()) {
+  return {
+    noun,
+    gender,
+    definite: definiteArticle(noun, gender),
+    indefinite: indefiniteArticle(noun, gender),
+    plural: pluralize(noun, gender, language)
+  };
+}
+
+// Articulated prepositions and the gender they tell (della → 'f'), for reading example sentences
+const ARTICULATED_GENDERS = Object.fromEntries(PREPOSITIONS.flatMap(preposition => ['il', 'lo', 'la', "l'"]
+  .map(article => [articulate(preposition, article), ARTICLE_GENDERS[article] || null])));
+
+/**
+ * The gender an article or articulated preposition tells
+ * @param {string} token - Lowercase word, elided forms ending with an apostrophe
+ * @returns {string|null|undefined} 'm' or 'f'; null for an elided article (l', dell'); undefined when
+ *   the token is no singular article
+ */
+function articleGender(token) {
+  if (token === "l'") return null;
+  return token in ARTICLE_GENDERS ? ARTICLE_GENDERS[token] : ARTICULATED_GENDERS[token];
+}
+
+/**
+ * Split text into lowercase words, keeping the apostrophe on elided ones ("L'acqua" → l', acqua)
+ * @param {string} text - Text
+ * @returns {Array<string>} Words
+ */
+function tokenize(text) {
+  return String(text ?? '').normalize('NFC').toLowerCase().replace(/[’`]/g, "'")
+    .match(new RegExp(`[${LETTERS}]+'?`, 'g')) || [];
+}
+
+/**
+ * Read a vocabulary word as a singular noun. It counts when the pack lists it, or when an article
+ * comes right before it (or before a possessive in front of it) in the word itself or its example:
+ * "la casa", or "casa" with "La mia casa è piccola." Bare words without one are left out, since they
+ * may be adjectives (alto) or verbs.
+ * @param {Object} word - Vocabulary word ({ italian, example })
+ * @param {string} language - Language pack code
+ * @returns {Object|null} { noun, gender }, or null when the word isn't a noun whose gender can be told
+ */
+export function parseNoun(word, language = getDefaultLanguage()) {
+  const tokens = tokenize(word?.italian);
+  let noun;
+  let seen;
+  if (tokens.length === 1) {
+    noun = tokens[0];
+  } else if (tokens.length === 2 && (tokens[0] in ARTICLE_GENDERS || tokens[0] === "l'")) {
+    [, noun] = tokens;
+    seen = articleGender(tokens[0]);
+  } else {
+    return null;
+  }
+  if (noun.endsWith("'") || noun.length < 2) {
+    return null;
+  }
+
+  if (seen === undefined) {
+    const example = tokenize(word?.example);
+    const at = example.findIndex((token, index) => token === noun
+      && (articleGender(example[index - 1]) !== undefined
+        || (POSSESSIVES.includes(example[index - 1]) && articleGender(example[index - 2]) !== undefined)));
+    if (at !== -1) {
+      seen = articleGender(POSSESSIVES.includes(example[at - 1]) ? example[at - 2] : example[at - 1]);
+    }
+  }
+
+  const nouns = loadNouns(language);
+  const listed = nouns?.masculine.includes(noun) || nouns?.feminine.includes(noun);
+  if (seen === undefined && !listed) {
+    return null;
+  }
+
+  const gender = getGender(noun, language, seen);
+  return gender ? { noun, gender } : null;
+}
+
+/**
+ * The nouns among learned words whose gender can be told
+ * @param {Array} words - Vocabulary ({ italian, example, ... })
+ * @param {string} language - Language pack code
+ * @returns {Array<Object>} { noun, gender }, without duplicates, in the order learned
+ */
+export function findNouns(words, language = getDefaultLanguage()) {
+  if (!loadNouns(language) || !Array.isArray(words)) {
+    return [];
+  }
+
+  const found = new Map();
+  for (const word of words) {
+    const parsed = parseNoun(word, language);
+    if (parsed && !found.has(parsed.noun)) {
+      found.set(parsed.noun, parsed);
+    }
+  }
+  return Array.from(found.values());
+}
@@ -0,0 +1,409 @@
+import fs from 'fs';
+import path from 'path';
+import { normalize, validate } from './schemaService.js';
+import { getDefaultLanguage, getPackDir, loadLanguage } from './languageService.js';
+import { t } from './localeService.js';
+
+/**
+ * Conjugation Service - Offline verb tables, so /conj and the drills never depend on the LLM
+ *
+ * The rules are Italian: regular -are/-ere/-ire verbs, -ire verbs with -isc- (finisco),
+ * the spelling changes of -care/-gare (cerchi) and -ciare/-giare/-iare (mangi, studi), and
+ * reflexive infinitives (alzarsi → mi alzo). What can't be derived lives in the language pack's
+ * verbs.json (e.g. languages/it/verbs.json):
+ * - essere: regular verbs that take essere in the passato prossimo
+ * - isc: the -ire verbs that insert -isc-; stressedI: -iare verbs that keep both i's (invii)
+ * - irregular: per verb, the forms and stems that differ from the regular ones
+ *   (presente, imperfetto, imperativo, stem, futureStem, participle, auxiliary)
+ * - compounds: verbs conjugated like another one with a prefix (ottenere → tenere)
+ * - notVerbs: nouns and adjectives that look like infinitives (mare, cameriere)
+ * Packs without a verbs.json have no conjugation tables.
+ */
+
+export const VERBS_VERSION = 1;
+
+export const PERSONS = ['io', 'tu', 'lui/lei', 'noi', 'voi', 'loro'];
+
+// Who each imperativo form addresses (there is no io form)
+export const IMPERATIVE_PERSONS = [null, 'tu', 'Lei', 'noi', 'voi', 'Loro'];
+
+export const TENSES = ['presente', 'passatoProssimo', 'imperfetto', 'futuro', 'condizionale', 'imperativo'];
+
+export const CLASSES = ['are', 'ere', 'ire', 'isc', 'irregular'];
+
+const ENDINGS = {
+  presente: {
+    are: ['o', 'i', 'a', 'iamo', 'ate', 'ano'],
+    ere: ['o', 'i', 'e', 'iamo', 'ete', 'ono'],
+    ire: ['o', 'i', 'e', 'iamo', 'ite', 'ono'],
+    isc: ['isco', 'isci', 'isce', 'iamo', 'ite', 'iscono']
+  },
+  imperfetto: {
+    are: ['avo', 'avi', 'ava', 'avamo', 'avate', 'avano'],
+    ere: ['evo', 'evi', 'eva', 'evamo', 'evate', 'evano'],
+    ire: ['ivo', 'ivi', 'iva', 'ivamo', 'ivate', 'ivano']
+  },
+  // tu, Lei and Loro; noi and voi are the presente forms
+  imperativo: {
+    are: ['a', 'i', 'ino'],
+    ere: ['i', 'a', 'ano'],
+    ire: ['i', 'a', 'ano'],
+    isc: ['isci', 'isca', 'iscano']
+  },
+  futuro: ['ò', 'ai', 'à', 'emo', 'ete', 'anno'],
+  condizionale: ['ei', 'esti', 'ebbe', 'emmo', 'este', 'ebbero']
+};
+
+const FUTURE_VOWEL = { are: 'er', ere: 'er', ire: 'ir' };
+const PARTICIPLE_ENDING = { are: 'ato', ere: 'uto', ire: 'ito' };
+const REFLEXIVE_PRONOUNS = ['mi', 'ti', 'si', 'ci', 'vi', 'si'];
+const AUXILIARIES = ['avere', 'essere'];
+
+const FORMS = { type: 'array', items: { type: ['string', 'null'] }, minItems: 6, maxItems: 6 };
+
+const IRREGULAR_VERB = {
+  type: 'object',
+  properties: {
+    group: { type: 'string', enum: ['are', 'ere', 'ire'] },
+    stem: { type: 'string', minLength: 1 },
+    futureStem: { type: 'string', minLength: 1 },
+    participle: { type: 'string', minLength: 1 },
+    auxiliary: { type: 'string', enum: AUXILIARIES },
+    presente: FORMS,
+    imperfetto: FORMS,
+    imperativo: FORMS
+  },
+  check: (entry, path) => (entry.presente && !entry.imperativo
+    ? [`${path}.imperativo: is required when presente is given`]
+    : [])
+};
+
+const WORD_LIST = { type: 'array', items: { type: 'string', minLength: 1 }, default: [] };
+
+const VERBS = {
+  type: 'object',
+  required: ['version', 'irregular'],
+  properties: {
+    version: {
+      type: 'integer',
+      check: (version, path) => (version === VERBS_VERSION
+        ? []
+        : [`${path}: unsupported verbs version ${version} (expected ${VERBS_VERSION})`])
+    },
+    essere: WORD_LIST,
+    isc: WORD_LIST,
+    stressedI: WORD_LIST,
+    notVerbs: WORD_LIST,
+    compounds: {
+      type: 'object',
+      default: {},
+      check: (compounds, path) => Object.entries(compounds)
+        .filter(([verb, base]) => typeof base !== 'string' || !verb.endsWith(base) || verb === base)
+        .map(([verb]) => `${path}.${verb}: must name a verb it ends with`)
+    },
+    irregular: {
+      type: 'object',
+      check: (irregular, path) => [
+        ...AUXILIARIES.filter(verb => !irregular[verb]?.presente).map(verb => `${path}.${verb}: the auxiliary's presente is required`),
+        ...Object.entries(irregular)
+          .flatMap(([verb, entry]) => validate(normalize(entry, IRREGULAR_VERB), IRREGULAR_VERB, `${path}.${verb}`))
+      ]
+    }
+  }
+};
+
+/**
+ * Validate verbs.json data
+ * @param {*} data - Parsed verbs.json
+ * @returns {Array<string>} Field-level errors, e.g. "irregular.fare.presente: expected at least 6 item(s), got 5"
+ */
+export function validateVerbs(data) {
+  return validate(normalize(data, VERBS), VERBS);
+}
+
+// Parsed verbs.json by language (null when the pack has none), loaded on first use
+const cache = new Map();
+
+/**
+ * Load a language pack's verbs.json
+ * @param {string} language - Language pack code (defaults to the deployment's language)
+ * @returns {Object|null} Validated verb data, or null if the pack has no conjugation tables
+ * @throws {Error} If the file is invalid (error.validationErrors lists the problems)
+ */
+export function loadVerbs(language = getDefaultLanguage()) {
+  if (cache.has(language)) {
+    return cache.get(language);
+  }
+
+  const file = path.join(getPackDir(language), 'verbs.json');
+  let verbs = null;
+  if (fs.existsSync(file)) {
+    verbs = normalize(JSON.parse(fs.readFileSync(file, 'utf8')), VERBS);
+    const errors = validate(verbs, VERBS);
+    if (errors.length > 0) {
+      const error = new Error(`Invalid verbs for ${language}:\n- ${errors.join('\n- ')}`);
+      error.validationErrors = errors;
+      throw error;
+    }
+  }
+
+  cache.set(language, verbs);
+  return verbs;
+}
+
+/**
+ * Split a typed verb into its infinitive and whether it is reflexive
+ * @param {string} text - Verb as typed, e.g. "Alzarsi" or "finire"
+ * @returns {Object|null} { infinitive, base, reflexive } - base is the non-reflexive infinitive
+ *   (alzarsi → alzare); null if the text is not an infinitive
+ */
+export function parseInfinitive(text) {
+  const word = String(text ?? '').normalize('NFC').trim().toLowerCase();
+  if (!/^[a-zàèéìíòóùú]+$/.test(word)) {
+    return null;
+  }
+
+  let base = word;
+  if (/(?:ar|er|ir)si$/.test(word)) {
+    base = `${word.slice(0, -2)}e`;
+  } else if (/(?:ur|or)si$/.test(word)) {
+    base = `${word.slice(0, -2)}re`;
+  }
+  const reflexive = base !== word;
+  if (!/(?:are|ere|ire|rre)$/.test(base) || base.length < 4) {
+    return null;
+  }
+
+  return { infinitive: word, base, reflexive };
+}
+
+/**
+ * Join a stem and an ending with the Italian spelling rules
+ * - -care/-gare keep the hard sound before e and i (cerc + i → cerchi)
+ * - -ciare/-giare/-sciare drop their i before e and i (mangi + i → mangi)
+ * - other -iare stems don't double the i (studi + iamo → studiamo), unless it is stressed (invii, scii)
+ * @param {string} stem - Stem, e.g. "cerc"
+ * @param {string} ending - Ending, e.g. "iamo"
+ * @param {string} group - 'are', 'ere' or 'ire'
+ * @param {boolean} stressedI - The stem's final i is stressed (inviare)
+ * @returns {string} Form
+ */
+function join(stem, ending, group, stressedI = false) {
+  const soft = /^[ei]/.test(ending);
+  if (group === 'are' && soft && /[cg]$/.test(stem)) {
+    return `${stem}h${ending}`;
+  }
+  if (group === 'are' && soft && !stressedI && /[cg]i$/.test(stem)) {
+    return `${stem.slice(0, -1)}${ending}`;
+  }
+  if (stem.endsWith('i') && ending.startsWith('i') && (!stressedI || ending.startsWith('ia'))) {
+    return `${stem.slice(0, -1)}${ending}`;
+  }
+  return `${stem}${ending}`;
+}
+
+/**
+ * Find the table entry a verb is conjugated from
+ * @param {Object} verbs - Verb data (see loadVerbs)
+ * @param {string} verb - Non-reflexive infinitive
+ * @returns {Object} { entry, prefix, compound } - entry is the irregular entry (or null), prefix
+ *   what the compound adds to it (ottenere → "ot")
+ */
+function findEntry(verbs, verb) {
+  if (verbs.irregular[verb]) {
+    return { entry: verbs.irregular[verb], prefix: '', compound: false };
+  }
+
+  const base = verbs.compounds[verb];
+  if (base && verbs.irregular[base]) {
+    return { entry: verbs.irregular[base], prefix: verb.slice(0, -base.length), compound: true };
+  }
+
+  return { entry: null, prefix: '', compound: false };
+}
+
+/**
+ * Work out how a non-reflexive infinitive conjugates
+ * @param {Object} verbs - Verb data (see loadVerbs)
+ * @param {string} verb - Non-reflexive infinitive
+ * @returns {Object|null} { entry, prefix, compound, group, stem, conjugationClass },
+ *   or null for an -rre verb the table doesn't know (there is no regular pattern for them)
+ */
+function describe(verbs, verb) {
+  const found = findEntry(verbs, verb);
+  const { entry } = found;
+  const base = found.compound ? verb.slice(found.prefix.length) : verb;
+  if (!entry?.group && base.endsWith('rre')) {
+    return null;
+  }
+
+  const group = entry?.group || base.slice(-3);
+  const stem = `${found.prefix}${entry?.stem || base.slice(0, -3)}`;
+  const irregular = entry && ['presente', 'imperfetto', 'imperativo', 'stem', 'futureStem']
+    .some(field => entry[field] !== undefined);
+  let conjugationClass = group;
+  if (irregular) {
+    conjugationClass = 'irregular';
+  } else if (group === 'ire' && verbs.isc.includes(verb)) {
+    conjugationClass = 'isc';
+  }
+
+  return { ...found, group, stem, conjugationClass };
+}
+
+/**
+ * Conjugation class of a verb
+ * @param {string} verb - Infinitive, reflexive or not
+ * @param {string} language - Language pack code (defaults to the deployment's language)
+ * @returns {string|null} One of CLASSES, or null if it isn't an infinitive or the pack has no tables
+ */
+export function classify(verb, language = getDefaultLanguage()) {
+  const verbs = loadVerbs(language);
+  const parsed = parseInfinitive(verb);
+  if (!verbs || !parsed) {
+    return null;
+  }
+  return describe(verbs, parsed.base)?.conjugationClass || null;
+}
+
+/**
+ * Apply a compound's prefix to its base verb's forms
+ * Truncated imperatives take the presente tu form instead (di' → disdici)
+ * @param {Array} forms - Six forms of the base verb (null where there is none)
+ * @param {string} prefix - Prefix, e.g. "dis"
+ * @param {Array} presente - Prefixed presente, for truncated imperatives
+ * @returns {Array} Six prefixed forms
+ */
+function withPrefix(forms, prefix, presente = null) {
+  return forms.map((form, index) => {
+    if (!form || !prefix) return form;
+    if (presente && form.endsWith("'")) return presente[index];
+    return `${prefix}${form}`;
+  });
+}
+
+/**
+ * Conjugate a verb in every tense
+ * @param {string} verb - Infinitive as typed, e.g. "andare", "Finire" or "alzarsi"
+ * @param {string} language - Language pack code (defaults to the deployment's language)
+ * @returns {Object|null} { infinitive, conjugationClass, auxiliary, participle, reflexive, tenses },
+ *   tenses holding six forms per tense (PERSONS order; the imperativo has no io form);
+ *   null if it isn't an infinitive or the pack has no tables
+ */
+export function conjugate(verb, language = getDefaultLanguage()) {
+  const verbs = loadVerbs(language);
+  const parsed = parseInfinitive(verb);
+  if (!verbs || !parsed) {
+    return null;
+  }
+
+  const { base, reflexive } = parsed;
+  const described = describe(verbs, base);
+  if (!described) {
+    return null;
+  }
+
+  const { entry, prefix, compound, group, stem, conjugationClass } = described;
+  const endingsGroup = conjugationClass === 'isc' ? 'isc' : group;
+  const stressedI = verbs.stressedI.includes(base);
+  const regular = endings => endings.map(ending => join(stem, ending, group, stressedI));
+
+  const presente = entry?.presente ? withPrefix(entry.presente, prefix) : regular(ENDINGS.presente[endingsGroup]);
+  const imperfetto = entry?.imperfetto ? withPrefix(entry.imperfetto, prefix) : regular(ENDINGS.imperfetto[group]);
+
+  const futureStem = entry?.futureStem
+    ? `${prefix}${entry.futureStem}`
+    : join(stem, FUTURE_VOWEL[group], group, stressedI);
+  const futuro = ENDINGS.futuro.map(ending => `${futureStem}${ending}`);
+  const condizionale = ENDINGS.condizionale.map(ending => `${futureStem}${ending}`);
+
+  let imperativo;
+  if (entry?.imperativo) {
+    imperativo = withPrefix(entry.imperativo, prefix, compound ? presente : null);
+  } else {
+    const [tu, formal, formalPlural] = regular(ENDINGS.imperativo[endingsGroup]);
+    imperativo = [null, tu, formal, presente[3], presente[4], formalPlural];
+  }
+
+  const auxiliary = reflexive || verbs.essere.includes(base) ? 'essere' : (entry?.auxiliary || 'avere');
+  const participle = entry?.participle
+    ? `${prefix}${entry.participle}`
+    : join(stem, PARTICIPLE_ENDING[group], group);
+  const passatoProssimo = verbs.irregular[auxiliary].presente.map((form, index) => {
+    if (auxiliary === 'avere') return `${form} ${participle}`;
+    const agreement = index < 3 ? 'o/a' : 'i/e';
+    return `${form} ${participle.slice(0, -1)}${agreement}`;
+  });
+
+  const tenses = { presente, passatoProssimo, imperfetto, futuro, condizionale, imperativo };
+  if (reflexive) {
+    for (const tense of TENSES.filter(name => name !== 'imperativo')) {
+      tenses[tense] = tenses[tense].map((form, index) => `${REFLEXIVE_PRONOUNS[index]} ${form}`);
+    }
+    // Lei and Loro take the pronoun before the verb, the others after it (alzati, fatti)
+    tenses.imperativo = imperativo.map((form, index) => {
+      const pronoun = REFLEXIVE_PRONOUNS[index];
+      if (!form) return form;
+      if (index === 2 || index === 5) return `${pronoun} ${form}`;
+      if (form.endsWith("'")) return `${form.slice(0, -1)}${pronoun[0]}${pronoun}`;
+      return `${form}${pronoun}`;
+    });
+  }
+
+  return {
+    infinitive: parsed.infinitive,
+    conjugationClass,
+    auxiliary,
+    participle,
+    reflexive,
+    tenses
+  };
+}
+
+/**
+ * Add the conjugation class to the verbs in a word list
+ * Only bare infinitives are tagged: words with an article, several words or punctuation
+ * ("Piacere!") are left alone, as are the pack's notVerbs
+ * @param {Array} words - Words ({ italian, english, ... })
+ * @param {string} language - Language pack code (defaults to the deployment's language)
+ * @returns {Array} The same words, verbs with a conjugation field (e.g. "isc")
+ */
+export function tagVerbs(words, language = getDefaultLanguage()) {
+  const verbs = loadVerbs(language);
+  if (!verbs || !Array.isArray(words)) {
+    return words;
+  }
+
+  return words.map(word => {
+    const parsed = parseInfinitive(word?.italian);
+    const described = parsed && !verbs.notVerbs.includes(parsed.base) ? describe(verbs, parsed.base) : null;
+    return described ? { ...word, conjugation: described.conjugationClass } : word;
+  });
+}
+
+/**
+ * Format a verb's table for Telegram
+ * @param {Object} table - Result of conjugate
+ * @param {string} language - Language pack code (defaults to the deployment's language)
+ * @param {string} nativeLanguage - Locale code the message is written in (defaults to the deployment's)
+ * @returns {string} Formatted message (Markdown)
+ */
+export function formatConjugation(table, language = getDefaultLanguage(), nativeLanguage) {
+  let message = t(nativeLanguage, 'conj.title', {
+    flag: loadLanguage(language).flag,
+    verb: table.infinitive,
+    conjugationClass: t(nativeLanguage, `conj.class.${table.conjugationClass}`)
+  });
+  message += t(nativeLanguage, 'conj.auxiliary', { auxiliary: table.auxiliary, participle: table.participle });
+
+  for (const tense of TENSES) {
+    message += `\n*${t(nativeLanguage, `conj.tense.${tense}`)}*\n`;
+    table.tenses[tense].forEach((form, index) => {
+      if (form) {
+        message += `${tense === 'imperativo' ? IMPERATIVE_PERSONS[index] : PERSONS[index]}: ${form}\n`;
+      }
+    });
+  }
+
+  return message;
+}
@@ -0,0 +1,213 @@
+import fs from 'fs';
+import path from 'path';
+import { DEFAULT_LEVEL } from './curriculumService.js';
+import { getDefaultLanguage, getPackDir } from './languageService.js';
+
+/**
+ * Content Service - Bundled offline lessons for every curriculum theme
+ * Used by the words, story and quiz services when the LLM is unavailable
+ *
+ * Each course theme has a file in the language pack's content/<level> folder
+ * (e.g. languages/it/content/a2 for the Italian A2 course) holding:
+ * - lessons: [{ day, title, context, contextTranslation, words }] built on the course file's seed words
+ * - stories / practicePrompts: [{ day, ...story or prompt }]
+ * - quiz: { title, instructions, questions: [{ day, ...question }] }
+ * An entry's day is the first curriculum day it fits; later days reuse the latest entry,
+ * so day 5 gets the day 4 lesson and a day 7 quiz covers everything taught that week.
+ */
+
+// Theme packs per language and level in file (week) order, loaded on first use
+const packs = new Map();
+
+/**
+ * Load (once) a level's theme packs
+ * @param {string} level - Course level
+ * @param {string} language - Language pack code
+ * @returns {Array} Theme packs ([] when the level has none)
+ */
+function loadPacks(level, language) {
+  const key = `${language}/${level}`;
+  if (!packs.has(key)) {
+    const dir = path.join(getPackDir(language), 'content', level.toLowerCase());
+    packs.set(key, !fs.existsSync(dir) ? [] : fs.readdirSync(dir)
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .map(file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'))));
+  }
+  return packs.get(key);
+}
+
+/**
+ * List the levels a language has offline content for
+ * @param {string} language - Language pack code (defaults to the deployment's language)
+ * @returns {Array<string>} Levels
+ */
+export function listLevels(language = getDefaultLanguage()) {
+  const dir = path.join(getPackDir(language), 'content');
+  return !fs.existsSync(dir) ? [] : fs.readdirSync(dir)
+    .map(level => level.toUpperCase())
+    .filter(level => loadPacks(level, language).length > 0)
+    .sort();
+}
+
+/**
+ * Deep copy content so callers can't change the cached pack
+ * @param {*} value - Content
+ * @returns {*} Copy
+ */
+function copy(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Drop the day tag from a pack entry
+ * @param {Object} entry - Pack entry
+ * @returns {Object} Entry without day
+ */
+function withoutDay({ day, ...entry }) {
+  return entry;
+}
+
+/**
+ * Pick the latest entry that starts on or before a day
+ * @param {Array} entries - Entries with a day field, in day order
+ * @param {number} dayNumber - Curriculum day
+ * @returns {Object} Entry (the first one if none starts that early)
+ */
+function pickForDay(entries, dayNumber) {
+  return entries.filter(entry => entry.day <= dayNumber).pop() || entries[0];
+}
+
+/**
+ * List the themes a level's packs cover
+ * @param {string} level - Course level (defaults to A1)
+ * @param {string} language - Language pack code (defaults to the deployment's language)
+ * @returns {Array<string>} Themes in week order
+ */
+export function listThemes(level = DEFAULT_LEVEL, language = getDefaultLanguage()) {
+  return loadPacks(level, language).map(pack => pack.theme);
+}
+
+/**
+ * Get the pack for a theme
+ * Themes are looked up in the level's packs, then in the language's other levels
+ * (content never crosses languages)
+ * @param {string} theme - Week theme
+ * @param {string} level - Course level
+ * @param {string} language - Language pack code
+ * @returns {Object} Theme pack (the level's first pack if no level covers the theme)
+ * @throws {Error} If the language has no offline content at all
+ */
+function getPack(theme, level = DEFAULT_LEVEL, language = getDefaultLanguage()) {
+  const own = loadPacks(level, language).length > 0
+    ? loadPacks(level, language)
+    : loadPacks(listLevels(language)[0] || DEFAULT_LEVEL, language);
+  if (own.length === 0) {
+    throw new Error(`No offline content for language "${language}"`);
+  }
+
+  const pack = own.find(p => p.theme === theme)
+    || listLevels(language).flatMap(other => loadPacks(other, language)).find(p => p.theme === theme);
+  if (!pack) {
+    console.log(`⚠️ No offline content for theme "${theme}", using "${own[0].theme}"`);
+    return own[0];
+  }
+  return pack;
+}
+
+/**
+ * Check whether a level's packs cover a theme
+ * @param {string} theme - Week theme
+ * @param {string} level - Course level (defaults to A1)
+ * @param {string} language - Language pack code (defaults to the deployment's language)
+ * @returns {boolean} True if the theme has its own pack
+ */
+export function hasTheme(theme, level = DEFAULT_LEVEL, language = getDefaultLanguage()) {
+  return loadPacks(level, language).some(pack => pack.theme === theme);
+}
+
+/**
+ * Get a day's words with their context dialogue
+ * Short lessons are topped up with the theme's other words
+ * @param {string} theme - Week theme
+ * @param {number} dayNumber - Curriculum day
+ * @param {number} wordCount - Number of words wanted
+ * @param {string} level - Course level (defaults to A1)
+ * @param {string} language - Language pack code (defaults to the deployment's language)
+ * @returns {Object} { context, contextTranslation, words }
+ */
+export function getLesson(theme, dayNumber = 1, wordCount = 10, level = DEFAULT_LEVEL, language = getDefaultLanguage()) {
+  const pack = getPack(theme, level, language);
+  const lesson = pickForDay(pack.lessons, dayNumber);
+
+  const seen = new Set(lesson.words.map(word => word.italian));
+  const extra = pack.lessons
+    .filter(other => other !== lesson)
+    .flatMap(other => other.words)
+    .filter(word => !seen.has(word.italian) && seen.add(word.italian));
+
+  return copy({
+    context: lesson.context,
+    contextTranslation: lesson.contextTranslation,
+    words: [...lesson.words, ...extra].slice(0, wordCount)
+  });
+}
+
+/**
+ * Get all of a theme's words grouped by lesson
+ * @param {string} theme - Week theme
+ * @param {string} level - Course level (defaults to A1)
+ * @param {string} language - Language pack code (defaults to the deployment's language)
+ * @returns {Array} [{ category, words }] with the lesson titles as categories
+ */
+export function getWordSets(theme, level = DEFAULT_LEVEL, language = getDefaultLanguage()) {
+  return copy(getPack(theme, level, language).lessons.map(lesson => ({ category: lesson.title, words: lesson.words })));
+}
+
+/**
+ * Get the reading story for a day
+ * @param {string} theme - Week theme
+ * @param {number} dayNumber - Curriculum day
+ * @param {string} level - Course level (defaults to A1)
+ * @param {string} language - Language pack code (defaults to the deployment's language)
+ * @returns {Object} Story (see SCHEMAS.story)
+ */
+export function getStory(theme, dayNumber = 1, level = DEFAULT_LEVEL, language = getDefaultLanguage()) {
+  return copy(withoutDay(pickForDay(getPack(theme, level, language).stories, dayNumber)));
+}
+
+/**
+ * Get the writing prompt for a day
+ * @param {string} theme - Week theme
+ * @param {number} dayNumber - Curriculum day
+ * @param {string} level - Course level (defaults to A1)
+ * @param {string} language - Language pack code (defaults to the deployment's language)
+ * @returns {Object} Practice prompt (see SCHEMAS.practicePrompt)
+ */
+export function getPracticePrompt(theme, dayNumber = 1, level = DEFAULT_LEVEL, language = getDefaultLanguage()) {
+  return copy(withoutDay(pickForDay(getPack(theme, level, language).practicePrompts, dayNumber)));
+}
+
+/**
+ * Get a quiz on what has been taught up to a day
+ * @param {string} theme - Week theme
+ * @param {number} dayNumber - Curriculum day
+ * @param {number|null} maxQuestions - Keep only the most recent questions (null for all)
+ * @param {string} level - Course level (defaults to A1)
+ * @param {string} language - Language pack code (defaults to the deployment's language)
+ * @returns {Object} Quiz (see SCHEMAS.quiz) without week set
+ */
+export function getQuiz(theme, dayNumber = 7, maxQuestions = null, level = DEFAULT_LEVEL, language = getDefaultLanguage()) {
+  const pack = getPack(theme, level, language);
+  const taught = pack.quiz.questions.filter(question => question.day <= dayNumber);
+  const questions = (taught.length > 0 ? taught : pack.quiz.questions).map(withoutDay);
+  const selected = maxQuestions ? questions.slice(-maxQuestions) : questions;
+
+  return copy({
+    title: pack.quiz.title,
+    theme: pack.theme,
+    instructions: pack.quiz.instructions,
+    questions: selected,
+    scoring: { points_per_question: 10, total_points: 10 * selected.length }
+  });
+}
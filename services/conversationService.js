@@ -0,0 +1,103 @@
+import * as db from './db.js';
+import * as curriculumService from './curriculumService.js';
+import * as languageService from './languageService.js';
+import { getLocaleName } from './localeService.js';
+
+/**
+ * Conversation Service - Memory for free-text chat with the bot
+ *
+ * Each user has one running history (persisted through db.js) of { role, content } messages.
+ * Before every request the history is trimmed to the last MAX_MESSAGES messages and to
+ * MAX_HISTORY_TOKENS estimated tokens, so follow-ups keep their context without letting
+ * long chats grow the prompt forever. The system prompt is rebuilt on every request from
+ * the user's current week and day, so it is never stored.
+ */
+
+export const MAX_MESSAGES = 20;
+export const MAX_HISTORY_TOKENS = 3000;
+export const MAX_MESSAGE_CHARS = 1000;
+
+/**
+ * Roughly how many tokens a text costs (about 4 characters per token, plus per-message overhead)
+ * Good enough for budgeting; exact counts depend on the model's tokenizer
+ * @param {string} text - Message text
+ * @returns {number} Estimated tokens
+ */
+export function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4) + 4;
+}
+
+/**
+ * Keep the most recent messages that fit the message and token budgets
+ * The newest message is always kept; the result never starts with an assistant reply
+ * @param {Array} messages - Array of { role, content }, oldest first
+ * @param {Object} limits - { maxMessages, maxTokens }
+ * @returns {Array} Trimmed messages, oldest first
+ */
+export function trimHistory(messages, { maxMessages = MAX_MESSAGES, maxTokens = MAX_HISTORY_TOKENS } = {}) {
+  const kept = [];
+  let tokens = 0;
+
+  for (let i = messages.length - 1; i >= 0 && kept.length < maxMessages; i--) {
+    const cost = estimateTokens(messages[i].content);
+    if (kept.length > 0 && tokens + cost > maxTokens) {
+      break;
+    }
+    kept.unshift(messages[i]);
+    tokens += cost;
+  }
+
+  while (kept.length > 1 && kept[0].role !== 'user') {
+    kept.shift();
+  }
+
+  return kept;
+}
+
+/**
+ * Build the tutor's system prompt for the user's current day
+ * Explanations are given in the user's native language (currentTask.nativeLanguage)
+ * @param {Object} currentTask - Result of planService.getCurrentTask
+ * @param {Object} dailyPlan - Result of planService.generateDailyPlan
+ * @returns {string} System prompt
+ */
+export function buildSystemPrompt(currentTask, dailyPlan) {
+  const language = currentTask.language || languageService.getDefaultLanguage();
+  return `${languageService.getTeacher(language)}. The student is on the ${dailyPlan.level || curriculumService.DEFAULT_LEVEL} course, Week ${currentTask.weekNumber}/${currentTask.totalWeeks}, Day ${currentTask.dayNumber}/7. Level: ${curriculumService.describeLevel(dailyPlan.level, language)}. Theme: "${dailyPlan.theme}". Today's task: "${dailyPlan.task}". Focus: "${dailyPlan.focus}". Use the conversation so far to answer follow-up questions. Help with questions, corrections, translations, grammar, tying examples to today's theme where natural. Explain in ${getLocaleName(currentTask.nativeLanguage)}. Be supportive, clear, educational.`;
+}
+
+/**
+ * Load a user's history and add their new message, ready to send
+ * @param {number} userId - User ID
+ * @param {string} message - The user's message
+ * @returns {Array} Trimmed history ending with the new user message
+ */
+export async function prepareHistory(userId, message) {
+  const history = await db.getConversation(userId);
+  return trimHistory([
+    ...history,
+    { role: 'user', content: String(message).substring(0, MAX_MESSAGE_CHARS) }
+  ]);
+}
+
+/**
+ * Save the history with the assistant's reply appended
+ * @param {number} userId - User ID
+ * @param {Array} history - Result of prepareHistory
+ * @param {string} reply - The assistant's reply
+ * @returns {Array} The saved (trimmed) history
+ */
+export async function recordReply(userId, history, reply) {
+  const updated = trimHistory([...history, { role: 'assistant', content: reply }]);
+  await db.saveConversation(userId, updated);
+  return updated;
+}
+
+/**
+ * Forget a user's history (/clear)
+ * @param {number} userId - User ID
+ */
+export async function clearHistory(userId) {
+  await db.clearConversation(userId);
+  console.log(`✅ Conversation cleared for user ${userId}`);
+}
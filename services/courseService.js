@@ -0,0 +1,257 @@
+import * as db from './db.js';
+import * as planService from './planService.js';
+import * as pacingService from './pacingService.js';
+import * as curriculumService from './curriculumService.js';
+import * as languageService from './languageService.js';
+import * as localeService from './localeService.js';
+
+/**
+ * Course Service - Choosing and switching between languages and courses (one per CEFR level)
+ *
+ * A user learns one language (users.language) and follows one of its courses at a time
+ * (users.course). Switching course or language saves where they are in the old course
+ * (course_progress) and puts them back where they left the new one - or on Week 1, Day 1 the
+ * first time. Daily progress, lesson snapshots and the vocabulary ledger are stored per
+ * language and course, so nothing from the other course is lost.
+ *
+ * The native language (users.native_language) only changes what the bot writes in, so
+ * switching it keeps the user where they are.
+ */
+
+/**
+ * List the courses that can be chosen
+ * @param {string} language - Language pack code (defaults to the deployment's language)
+ * @returns {Array} [{ level, title, description, weeks }] in CEFR order
+ */
+export function listCourses(language = languageService.getDefaultLanguage()) {
+  return curriculumService.listLevels(language).map(level => {
+    const course = curriculumService.loadCourse(level, language);
+    return { level, title: course.title, description: course.description, weeks: course.weeks.length };
+  });
+}
+
+/**
+ * The next course up from a level
+ * @param {string} level - CEFR level
+ * @param {string} language - Language pack code (defaults to the deployment's language)
+ * @returns {string|null} Next level with a course, null if it is the highest
+ */
+export function getNextLevel(level, language = languageService.getDefaultLanguage()) {
+  const levels = curriculumService.listLevels(language);
+  const index = levels.indexOf(level);
+  return index === -1 ? null : levels[index + 1] || null;
+}
+
+/**
+ * Course day (1-based across weeks) of a saved position
+ * @param {Object|undefined} saved - { weekNumber, dayNumber } from course_progress
+ * @returns {number} Course day (1 when nothing was saved)
+ */
+function toCourseDay(saved) {
+  return saved ? (saved.weekNumber - 1) * 7 + saved.dayNumber : 1;
+}
+
+/**
+ * User fields that move a user to another course
+ * The calendar is re-anchored on the course day in both pacing modes, so mastery users
+ * are not shown as behind because of days spent in the other course
+ * @param {Object} user - User record
+ * @param {string} level - Course to move to
+ * @param {number} courseDay - Course day to land on
+ * @param {Date} now - Current time
+ * @returns {Object} Fields to save
+ */
+export function getSwitchFields(user, level, courseDay, now = new Date()) {
+  return {
+    course: level,
+    ...pacingService.getPositionFields(user, 'calendar', courseDay, now),
+    ...(user.pacing === 'mastery' ? pacingService.getPositionFields(user, 'mastery', courseDay, now) : {})
+  };
+}
+
+/**
+ * Save where a user is in their current course
+ * @param {Object} user - User record
+ * @param {Date} now - Current time
+ */
+async function savePosition(user, now) {
+  const currentDay = pacingService.getCourseDay(user, now);
+  await db.saveCourseProgress(
+    user.user_id, user.course, Math.floor((currentDay - 1) / 7) + 1, ((currentDay - 1) % 7) + 1, user.language
+  );
+}
+
+/**
+ * Switch a user to another course of the language they learn, saving their place in the current one
+ * @param {number} userId - User ID
+ * @param {string} level - CEFR level with a course file
+ * @returns {Object|null} { currentTask, resumed } - resumed is true when the user had been on that course before;
+ *   null for unknown users
+ */
+export async function setCourse(userId, level) {
+  const user = await db.getUser(userId);
+  if (!user) {
+    return null;
+  }
+
+  const now = new Date();
+  if (user.course === level) {
+    return { currentTask: planService.getCurrentTask(user.start_date, user, now), resumed: true };
+  }
+
+  await savePosition(user, now);
+
+  const saved = (await db.getCourseProgress(userId, user.language)).find(entry => entry.course === level);
+  const fields = getSwitchFields(user, level, toCourseDay(saved), now);
+  await db.updateUserCourse(userId, fields);
+  console.log(`✅ User ${userId} switched from ${user.course} to ${level}`);
+
+  const updated = { ...user, ...fields };
+  return { currentTask: planService.getCurrentTask(updated.start_date, updated, now), resumed: Boolean(saved) };
+}
+
+/**
+ * Switch a user to another language, saving their place in the current course
+ * The user lands on the course they were last on in that language, or on its first course
+ * (A1 when the pack has one) the first time
+ * @param {number} userId - User ID
+ * @param {string} language - Installed language pack code
+ * @returns {Object|null} { currentTask, resumed } - resumed is true when the user had learned that language before;
+ *   null for unknown users
+ */
+export async function setLanguage(userId, language) {
+  const user = await db.getUser(userId);
+  if (!user) {
+    return null;
+  }
+
+  const now = new Date();
+  if (user.language === language) {
+    return { currentTask: planService.getCurrentTask(user.start_date, user, now), resumed: true };
+  }
+
+  await savePosition(user, now);
+
+  const [saved] = (await db.getCourseProgress(userId, language))
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+  const levels = curriculumService.listLevels(language);
+  const level = saved?.course
+    || (levels.includes(curriculumService.DEFAULT_LEVEL) ? curriculumService.DEFAULT_LEVEL : levels[0]);
+  const fields = { language, ...getSwitchFields(user, level, toCourseDay(saved), now) };
+  await db.updateUserCourse(userId, fields);
+  console.log(`✅ User ${userId} switched from ${user.language} ${user.course} to ${language} ${level}`);
+
+  const updated = { ...user, ...fields };
+  return { currentTask: planService.getCurrentTask(updated.start_date, updated, now), resumed: Boolean(saved) };
+}
+
+/**
+ * Format the /language overview: every installed language pack
+ * @param {Object} user - User record
+ * @returns {string} Message text (Markdown)
+ */
+export function formatLanguageList(user) {
+  const current = user.language || languageService.getDefaultLanguage();
+  const nativeLanguage = user.native_language;
+
+  let message = localeService.t(nativeLanguage, 'language.listTitle');
+  for (const code of languageService.listLanguages()) {
+    const pack = languageService.loadLanguage(code);
+    const courses = listCourses(code).map(course => course.level).join(', ');
+    message += localeService.t(nativeLanguage, 'language.entry', {
+      marker: code === current ? '👉' : '📌',
+      flag: pack.flag,
+      name: pack.name,
+      nativeName: pack.nativeName,
+      code,
+      courses: courses || localeService.t(nativeLanguage, 'language.noCourses')
+    });
+  }
+
+  message += localeService.t(nativeLanguage, 'language.listFooter');
+  return message;
+}
+
+/**
+ * Format the /native overview: every installed locale, each in its own language
+ * @param {Object} user - User record
+ * @returns {string} Message text (Markdown)
+ */
+export function formatNativeList(user) {
+  const current = user.native_language || localeService.getDefaultLocale();
+
+  let message = localeService.t(current, 'native.listTitle');
+  for (const code of localeService.listLocales()) {
+    const locale = localeService.loadLocale(code);
+    message += localeService.t(current, 'native.entry', {
+      marker: code === current ? '👉' : '📌',
+      nativeName: locale.nativeName,
+      name: locale.name,
+      code
+    });
+  }
+
+  message += localeService.t(current, 'native.listFooter');
+  return message;
+}
+
+/**
+ * Format the /course overview: every course with where the user is in it
+ * @param {Object} user - User record
+ * @param {Array} saved - Saved positions in the user's language from db.getCourseProgress
+ * @param {Date} now - Current time
+ * @returns {string} Message text (Markdown)
+ */
+export function formatCourseList(user, saved, now = new Date()) {
+  const currentTask = planService.getCurrentTask(user.start_date, user, now);
+  const current = user.course || curriculumService.DEFAULT_LEVEL;
+  const language = user.language || languageService.getDefaultLanguage();
+  const { nativeLanguage } = currentTask;
+  const t = (key, params) => localeService.t(nativeLanguage, key, params);
+  const weekDay = (week, day) => t('common.weekDay', { week, day });
+
+  let message = t('course.listTitle', { name: languageService.loadLanguage(language).name });
+  for (const course of listCourses(language)) {
+    const isCurrent = course.level === current;
+    const position = saved.find(entry => entry.course === course.level);
+
+    let status = t('course.notStarted');
+    if (isCurrent) {
+      status = currentTask.completed
+        ? t('course.completed')
+        : t('course.current', { position: weekDay(currentTask.weekNumber, currentTask.dayNumber) });
+    } else if (position) {
+      status = position.weekNumber > course.weeks
+        ? t('course.completed')
+        : t('course.leftAt', { position: weekDay(position.weekNumber, position.dayNumber) });
+    }
+
+    message += t('course.entry', {
+      marker: isCurrent ? '👉' : '📌',
+      level: course.level,
+      title: course.title,
+      weeks: course.weeks,
+      status
+    });
+    if (course.description) {
+      message += `   ${course.description}\n`;
+    }
+  }
+
+  message += t('course.listFooter');
+  return message;
+}
+
+/**
+ * Format the message for a user who finished their course
+ * @param {Object} currentTask - Result of planService.getCurrentTask (completed)
+ * @returns {string} Message text (Markdown)
+ */
+export function formatCompletion(currentTask) {
+  const language = currentTask.language || languageService.getDefaultLanguage();
+  const next = getNextLevel(currentTask.course, language);
+  const cheer = languageService.getPhraseText(language, 'wellDone');
+  return next
+    ? localeService.t(currentTask.nativeLanguage, 'course.finishedNext', { level: currentTask.course, cheer, next })
+    : localeService.t(currentTask.nativeLanguage, 'course.finished', { level: currentTask.course, cheer });
+}
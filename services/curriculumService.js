@@ -0,0 +1,303 @@
+import fs from 'fs';
+import path from 'path';
+import { normalize, validate } from './schemaService.js';
+import { getDefaultLanguage, getPackDir, loadLanguage } from './languageService.js';
+
+/**
+ * Curriculum Service - Loads and validates the versioned courses of each language pack,
+ * languages/<code>/courses/<level>.json (one course per CEFR level, e.g. languages/it/courses/a1.json)
+ *
+ * Format (version 2):
+ * - level, title, description: the CEFR level the course teaches and how /course lists it
+ * - dayTemplates: "1".."7" → the shape of that day in every week (focus, task, morning/afternoon/evening,
+ *   description, exercises, estimatedTime, vocabularyCount, includesReview)
+ * - weeks: [{ week, theme, objectives, grammar, vocabulary, days }] where days holds per-day entries
+ *   ({ day, objectives, grammar, vocabulary } plus any template field to override)
+ * Text in templates and overrides may use {theme}, {week} and {day}.
+ */
+
+export const CURRICULUM_VERSION = 2;
+export const DAYS_PER_WEEK = 7;
+
+// Focus values the lesson handlers know how to serve
+export const FOCUSES = [
+  'introduction', 'integration', 'expansion', 'practice', 'application', 'mastery', 'consolidation',
+  'reading', 'writing', 'quiz'
+];
+
+// CEFR levels in order (how prompts pitch each one is up to the language pack)
+export const LEVELS = ['A1', 'A2', 'B1', 'B2', 'C1', 'C2'];
+export const DEFAULT_LEVEL = 'A1';
+
+const TEXT_LIST = { type: 'array', items: { type: 'string', minLength: 1 } };
+
+const EXERCISE = {
+  type: 'object',
+  required: ['type', 'description'],
+  properties: {
+    type: { type: 'string', minLength: 1 },
+    description: { type: 'string', minLength: 1 }
+  }
+};
+
+// Fields a day template defines and a week's day entry may override
+const DAY_FIELDS = {
+  focus: { type: 'string', enum: FOCUSES },
+  task: { type: 'string', minLength: 1 },
+  morning: { type: 'string' },
+  afternoon: { type: 'string' },
+  evening: { type: 'string' },
+  estimatedTime: { type: 'string', minLength: 1 },
+  vocabularyCount: {
+    type: 'integer',
+    check: (count, path) => (count < 0 ? [`${path}: must not be negative`] : [])
+  },
+  includesReview: { type: 'boolean' },
+  description: { type: 'string', minLength: 1 },
+  exercises: { type: 'array', items: EXERCISE }
+};
+
+const DAY_TEMPLATE = {
+  type: 'object',
+  required: ['focus', 'task', 'description', 'estimatedTime', 'vocabularyCount', 'exercises'],
+  properties: {
+    ...DAY_FIELDS,
+    includesReview: { type: 'boolean', default: true }
+  }
+};
+
+const WEEK_DAY = {
+  type: 'object',
+  required: ['day'],
+  properties: {
+    day: {
+      type: 'integer',
+      check: (day, path) => (day < 1 || day > DAYS_PER_WEEK ? [`${path}: must be between 1 and ${DAYS_PER_WEEK}`] : [])
+    },
+    objectives: TEXT_LIST,
+    grammar: TEXT_LIST,
+    vocabulary: TEXT_LIST,
+    ...DAY_FIELDS
+  }
+};
+
+const WEEK = {
+  type: 'object',
+  required: ['week', 'theme'],
+  check: (week, path) => {
+    const seen = new Set();
+    const errors = [];
+    week.days.forEach((entry, index) => {
+      if (seen.has(entry.day)) {
+        errors.push(`${path}.days[${index}].day: day ${entry.day} is listed twice`);
+      }
+      seen.add(entry.day);
+    });
+    return errors;
+  },
+  properties: {
+    week: { type: 'integer' },
+    theme: { type: 'string', minLength: 1 },
+    objectives: { ...TEXT_LIST, default: [] },
+    grammar: { ...TEXT_LIST, default: [] },
+    vocabulary: { ...TEXT_LIST, default: [] },
+    days: { type: 'array', items: WEEK_DAY, default: [] }
+  }
+};
+
+const CURRICULUM = {
+  type: 'object',
+  required: ['version', 'level', 'title', 'dayTemplates', 'weeks'],
+  check: (curriculum) => {
+    // Report only the first gap; every week after it would be off by one too
+    const index = curriculum.weeks.findIndex((week, i) => week.week !== i + 1);
+    return index === -1
+      ? []
+      : [`weeks[${index}].week: expected week ${index + 1} (weeks must be numbered 1, 2, 3... in order), got ${curriculum.weeks[index].week}`];
+  },
+  properties: {
+    version: {
+      type: 'integer',
+      check: (version, path) => (version === CURRICULUM_VERSION
+        ? []
+        : [`${path}: unsupported curriculum version ${version} (expected ${CURRICULUM_VERSION})`])
+    },
+    level: { type: 'string', enum: LEVELS },
+    title: { type: 'string', minLength: 1 },
+    description: { type: 'string', default: '' },
+    dayTemplates: {
+      type: 'object',
+      required: Array.from({ length: DAYS_PER_WEEK }, (_, i) => String(i + 1)),
+      properties: Object.fromEntries(
+        Array.from({ length: DAYS_PER_WEEK }, (_, i) => [String(i + 1), DAY_TEMPLATE])
+      )
+    },
+    weeks: { type: 'array', items: WEEK, minItems: 1 }
+  }
+};
+
+/**
+ * Normalize and validate curriculum data
+ * @param {*} data - Parsed course file
+ * @returns {Object} { curriculum, errors } - curriculum has defaults filled in; errors is empty when valid
+ */
+export function parseCurriculum(data) {
+  // The original plan.json only listed week themes; say so instead of listing every missing field
+  if (data && data.version === undefined && Array.isArray(data.weeks) && !data.dayTemplates) {
+    return {
+      curriculum: null,
+      errors: [`(root): this is a version 1 plan (themes only); add "version": ${CURRICULUM_VERSION}, dayTemplates and per-week content (see README)`]
+    };
+  }
+
+  const curriculum = normalize(data, CURRICULUM);
+  return { curriculum, errors: validate(curriculum, CURRICULUM) };
+}
+
+/**
+ * Validate curriculum data
+ * @param {*} data - Parsed course file
+ * @returns {Array<string>} Field-level errors, e.g. "weeks[3].days[0].focus: must be one of ..."
+ */
+export function validateCurriculum(data) {
+  return parseCurriculum(data).errors;
+}
+
+// Parsed curriculum per file, reloaded when the file changes
+const cache = new Map();
+
+/**
+ * Load and validate a curriculum file
+ * Synchronous so planService.getCurrentTask can size the user's course; files are cached by mtime
+ * @param {string} filePath - Path to the course file
+ * @returns {Object} Validated curriculum
+ * @throws {Error} If the file can't be read or parsed, or is invalid (error.validationErrors lists the problems)
+ */
+export function loadCurriculumSync(filePath = getCoursePath(DEFAULT_LEVEL)) {
+  const { mtimeMs } = fs.statSync(filePath);
+  const cached = cache.get(filePath);
+  if (cached && cached.mtimeMs === mtimeMs) {
+    return cached.curriculum;
+  }
+
+  const { curriculum, errors } = parseCurriculum(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  if (errors.length > 0) {
+    const error = new Error(`Invalid curriculum in ${path.basename(filePath)}:\n- ${errors.join('\n- ')}`);
+    error.validationErrors = errors;
+    throw error;
+  }
+
+  cache.set(filePath, { mtimeMs, curriculum });
+  return curriculum;
+}
+
+/**
+ * Load and validate a curriculum file
+ * @param {string} filePath - Path to the course file
+ * @returns {Object} Validated curriculum
+ * @throws {Error} If the file can't be read or parsed, or is invalid (error.validationErrors lists the problems)
+ */
+export async function loadCurriculum(filePath = getCoursePath(DEFAULT_LEVEL)) {
+  return loadCurriculumSync(filePath);
+}
+
+/**
+ * Normalize a level name ("a2" → "A2")
+ * @param {string} level - Level as typed
+ * @returns {string|null} CEFR level, or null if it isn't one
+ */
+export function parseLevel(level) {
+  const normalized = String(level || '').trim().toUpperCase();
+  return LEVELS.includes(normalized) ? normalized : null;
+}
+
+/**
+ * Path of the course file for a level
+ * @param {string} level - CEFR level
+ * @param {string} language - Language pack code (defaults to the deployment's language)
+ * @returns {string} languages/<code>/courses/<level>.json
+ */
+export function getCoursePath(level, language = getDefaultLanguage()) {
+  return path.join(getPackDir(language), 'courses', `${level.toLowerCase()}.json`);
+}
+
+/**
+ * Levels a language pack has a course file for, in CEFR order
+ * @param {string} language - Language pack code (defaults to the deployment's language)
+ * @returns {Array<string>} Levels
+ */
+export function listLevels(language = getDefaultLanguage()) {
+  return LEVELS.filter(level => fs.existsSync(getCoursePath(level, language)));
+}
+
+/**
+ * Load the course for a level
+ * @param {string} level - CEFR level (defaults to A1)
+ * @param {string} language - Language pack code (defaults to the deployment's language)
+ * @returns {Object} Validated curriculum
+ * @throws {Error} If the level has no course file, or the file is invalid or teaches another level
+ */
+export function loadCourse(level = DEFAULT_LEVEL, language = getDefaultLanguage()) {
+  const file = getCoursePath(level, language);
+  const curriculum = loadCurriculumSync(file);
+  if (curriculum.level !== level) {
+    throw new Error(`${path.basename(file)} teaches level ${curriculum.level}, expected ${level}`);
+  }
+  return curriculum;
+}
+
+/**
+ * Describe a level for generator prompts, as the language pack pitches it
+ * @param {string} level - CEFR level
+ * @param {string} language - Language pack code (defaults to the deployment's language)
+ * @returns {string} e.g. "CEFR A2 (elementary): simple connected sentences using..."
+ */
+export function describeLevel(level = DEFAULT_LEVEL, language = getDefaultLanguage()) {
+  const { levels } = loadLanguage(language);
+  const known = levels[level] ? level : DEFAULT_LEVEL;
+  const profile = levels[known] || Object.values(levels)[0];
+  return `CEFR ${known} (${profile.name}): ${profile.style}`;
+}
+
+/**
+ * Fill {theme}, {week} and {day} into a template string
+ * @param {string} text - Template text
+ * @param {Object} values - { theme, week, day }
+ * @returns {string} Filled text
+ */
+function fill(text, values) {
+  return text.replace(/\{(theme|week|day)\}/g, (_, key) => String(values[key]));
+}
+
+/**
+ * Resolve one day of the course: the day template, with the week's entry for that day laid over it
+ * Day objectives, grammar and seed vocabulary fall back to the week's when the day doesn't list its own
+ * @param {Object} curriculum - Validated curriculum
+ * @param {number} weekNumber - Week number
+ * @param {number} dayNumber - Day number (1-7)
+ * @returns {Object|null} Resolved day, or null if the week or day doesn't exist
+ */
+export function resolveDay(curriculum, weekNumber, dayNumber) {
+  const week = curriculum.weeks.find(w => w.week === weekNumber);
+  const template = curriculum.dayTemplates[String(dayNumber)];
+  if (!week || !template) {
+    return null;
+  }
+
+  const { day, objectives, grammar, vocabulary, ...overrides } = week.days.find(d => d.day === dayNumber) || {};
+  const merged = { ...template, ...overrides };
+  const values = { theme: week.theme, week: weekNumber, day: dayNumber };
+
+  return {
+    ...merged,
+    theme: week.theme,
+    task: fill(merged.task, values),
+    description: fill(merged.description, values),
+    estimatedTime: fill(merged.estimatedTime, values),
+    exercises: merged.exercises.map(exercise => ({ ...exercise, description: fill(exercise.description, values) })),
+    objectives: objectives?.length ? objectives : week.objectives,
+    grammar: grammar?.length ? grammar : week.grammar,
+    seedVocabulary: vocabulary?.length ? vocabulary : week.vocabulary,
+    weekObjectives: week.objectives
+  };
+}
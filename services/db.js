@@ -1,35 +1,53 @@
-import mysql from 'mysql2/promise';
 import dotenv from 'dotenv';
+import { createStore, resolveDriverName } from './storage/index.js';
+import * as vocabularyService from './vocabularyService.js';
+import { DEFAULT_LEVEL } from './curriculumService.js';
+import { getDefaultLanguage, loadLanguage } from './languageService.js';
+import { getDefaultLocale } from './localeService.js';
 
 dotenv.config();
 
 /**
  * Database Service - Handles all database operations
- * Manages user data, progress tracking, and vocabulary storage
+ * Manages user data, progress tracking, vocabulary and review storage
+ *
+ * Progress, lessons and the week view of the vocabulary ledger are kept per course
+ * (the CEFR level, e.g. 'A1') and language pack (e.g. 'it'); those functions take the course
+ * and then the language last, defaulting to A1 and the deployment's language.
+ * The vocabulary ledger and saved course positions are kept per language.
+ *
+ * Storage is delegated to an adapter selected with DB_DRIVER
+ * (see services/storage/index.js for the adapter contract):
+ * - "mysql"  - persistent storage (default when MYSQL_HOST is set)
+ * - "sqlite" - embedded file database (SQLITE_PATH, default data/imparo.sqlite)
+ * - "memory" - in-memory Maps, wiped on restart (default otherwise, used by test scripts)
  */
 
-let connection = null;
+let store = null;
+
+/**
+ * Get the active driver name
+ * @returns {string|null} Driver name or null before initialization
+ */
+export function getDriver() {
+  return store ? store.name : null;
+}
 
 /**
  * Initialize database connection
  */
 export async function initializeDatabase() {
   try {
-    // For now, we'll use a simple in-memory storage
-    // In production, you would connect to MySQL/PostgreSQL
-    console.log('✅ Database initialized (in-memory storage)');
-    
-    // Initialize in-memory storage
-    if (!global.userStorage) {
-      global.userStorage = new Map();
-    }
-    if (!global.vocabularyStorage) {
-      global.vocabularyStorage = new Map();
+    if (store) {
+      return true;
     }
-    if (!global.progressStorage) {
-      global.progressStorage = new Map();
-    }
-    
+
+    const driverName = resolveDriverName();
+    const adapter = createStore(driverName);
+    await adapter.init();
+    store = adapter;
+
+    console.log(`✅ Database initialized (${driverName} storage)`);
     return true;
   } catch (error) {
     console.error('❌ Database initialization error:', error);
@@ -42,9 +60,10 @@ export async function initializeDatabase() {
  * @param {number} userId - Telegram user ID
  * @param {string} username - Telegram username
  * @param {string} firstName - User's first name
+ * @param {string} nativeLanguage - Locale code of the user's native language (defaults to the deployment's)
  * @returns {Object} User object
  */
-export async function registerUser(userId, username, firstName) {
+export async function registerUser(userId, username, firstName, nativeLanguage = getDefaultLocale()) {
   try {
     const user = {
       user_id: userId,
@@ -52,12 +71,19 @@ export async function registerUser(userId, username, firstName) {
       first_name: firstName,
       start_date: new Date(),
       is_active: true,
+      review_algorithm: 'sm2',
+      course: DEFAULT_LEVEL,
+      language: getDefaultLanguage(),
+      native_language: nativeLanguage,
+      timezone: 'UTC',
+      morning_time: '08:00',
+      evening_time: '20:00',
       created_at: new Date()
     };
-    
-    global.userStorage.set(userId, user);
+
+    await store.saveUser(user);
     console.log(`✅ User registered: ${firstName} (ID: ${userId})`);
-    
+
     return user;
   } catch (error) {
     console.error('Error registering user:', error);
@@ -72,7 +98,7 @@ export async function registerUser(userId, username, firstName) {
  */
 export async function getUser(userId) {
   try {
-    return global.userStorage.get(userId) || null;
+    return await store.getUser(userId);
   } catch (error) {
     console.error('Error getting user:', error);
     return null;
@@ -85,9 +111,7 @@ export async function getUser(userId) {
  */
 export async function getAllActiveUsers() {
   try {
-    const users = Array.from(global.userStorage.values())
-      .filter(user => user.is_active);
-    return users;
+    return await store.getActiveUsers();
   } catch (error) {
     console.error('Error getting active users:', error);
     return [];
@@ -101,12 +125,8 @@ export async function getAllActiveUsers() {
  */
 export async function updateUserStartDate(userId, newStartDate) {
   try {
-    const user = global.userStorage.get(userId);
-    if (user) {
-      user.start_date = newStartDate;
-      global.userStorage.set(userId, user);
-      console.log(`✅ Updated start date for user ${userId}`);
-    }
+    await store.updateUser(userId, { start_date: newStartDate });
+    console.log(`✅ Updated start date for user ${userId}`);
   } catch (error) {
     console.error('Error updating user start date:', error);
     throw error;
@@ -114,22 +134,193 @@ export async function updateUserStartDate(userId, newStartDate) {
 }
 
 /**
- * Save vocabulary for a user and week
+ * Set the spaced repetition algorithm for a user
  * @param {number} userId - User ID
- * @param {number} weekNumber - Week number
+ * @param {string} algorithm - 'sm2' or 'fsrs'
+ */
+export async function updateUserReviewAlgorithm(userId, algorithm) {
+  try {
+    await store.updateUser(userId, { review_algorithm: algorithm });
+    console.log(`✅ Review algorithm for user ${userId} set to ${algorithm}`);
+  } catch (error) {
+    console.error('Error updating review algorithm:', error);
+    throw error;
+  }
+}
+
+/**
+ * Set the native language a user reads translations, explanations and messages in
+ * @param {number} userId - User ID
+ * @param {string} nativeLanguage - Installed locale code
+ */
+export async function updateUserNativeLanguage(userId, nativeLanguage) {
+  try {
+    await store.updateUser(userId, { native_language: nativeLanguage });
+    console.log(`✅ Native language for user ${userId} set to ${nativeLanguage}`);
+  } catch (error) {
+    console.error('Error updating native language:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a user's delivery settings
+ * @param {number} userId - User ID
+ * @param {Object} settings - Any of { timezone, morning_time, evening_time }
+ */
+export async function updateUserSettings(userId, settings) {
+  try {
+    const { timezone, morning_time, evening_time } = settings;
+    const fields = Object.fromEntries(
+      Object.entries({ timezone, morning_time, evening_time }).filter(([, value]) => value !== undefined)
+    );
+
+    await store.updateUser(userId, fields);
+    console.log(`✅ Updated settings for user ${userId}: ${JSON.stringify(fields)}`);
+  } catch (error) {
+    console.error('Error updating user settings:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a user's pause and vacation state
+ * @param {number} userId - User ID
+ * @param {Object} fields - Any of { paused_at, paused_days, pause_reason, vacation_start, vacation_end }
+ *   (as returned by pauseService)
+ */
+export async function updateUserPause(userId, fields) {
+  try {
+    const allowed = ['paused_at', 'paused_days', 'pause_reason', 'vacation_start', 'vacation_end'];
+    const changes = Object.fromEntries(
+      Object.entries(fields).filter(([key]) => allowed.includes(key))
+    );
+    if (Object.keys(changes).length === 0) {
+      return;
+    }
+
+    await store.updateUser(userId, changes);
+    console.log(`✅ Updated pause state for user ${userId}: ${JSON.stringify(changes)}`);
+  } catch (error) {
+    console.error('Error updating pause state:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a user's pacing mode and mastery position
+ * @param {number} userId - User ID
+ * @param {Object} fields - Any of { pacing, current_week, current_day, start_date, paused_days }
+ *   (as returned by pacingService)
+ */
+export async function updateUserPacing(userId, fields) {
+  try {
+    const allowed = ['pacing', 'current_week', 'current_day', 'start_date', 'paused_days'];
+    const changes = Object.fromEntries(
+      Object.entries(fields).filter(([key]) => allowed.includes(key))
+    );
+    if (Object.keys(changes).length === 0) {
+      return;
+    }
+
+    await store.updateUser(userId, changes);
+    console.log(`✅ Updated pacing for user ${userId}: ${JSON.stringify(changes)}`);
+  } catch (error) {
+    console.error('Error updating pacing:', error);
+    throw error;
+  }
+}
+
+/**
+ * Move a user to another course or language
+ * @param {number} userId - User ID
+ * @param {Object} fields - Any of { language, course, current_week, current_day, start_date, paused_days }
+ *   (as returned by courseService)
+ */
+export async function updateUserCourse(userId, fields) {
+  try {
+    const allowed = ['language', 'course', 'current_week', 'current_day', 'start_date', 'paused_days'];
+    const changes = Object.fromEntries(
+      Object.entries(fields).filter(([key]) => allowed.includes(key))
+    );
+    if (Object.keys(changes).length === 0) {
+      return;
+    }
+
+    await store.updateUser(userId, changes);
+    console.log(`✅ Updated course for user ${userId}: ${JSON.stringify(changes)}`);
+  } catch (error) {
+    console.error('Error updating course:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get where a user left each course of a language they switched away from
+ * @param {number} userId - User ID
+ * @param {string} language - Language code
+ * @returns {Array} Array of { language, course, weekNumber, dayNumber, updatedAt }
+ */
+export async function getCourseProgress(userId, language = getDefaultLanguage()) {
+  try {
+    const entries = await store.getCourseProgress(userId);
+    return entries.filter(entry => entry.language === language);
+  } catch (error) {
+    console.error('Error getting course progress:', error);
+    return [];
+  }
+}
+
+/**
+ * Save where a user is in a course, so switching back resumes there
+ * @param {number} userId - User ID
+ * @param {string} course - Course level
+ * @param {number} weekNumber - Week number (one past the last week once the course is completed)
+ * @param {number} dayNumber - Day number
+ * @param {string} language - Language code
+ */
+export async function saveCourseProgress(userId, course, weekNumber, dayNumber, language = getDefaultLanguage()) {
+  try {
+    await store.saveCourseProgress(userId, course, weekNumber, dayNumber, language);
+  } catch (error) {
+    console.error('Error saving course progress:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record that a scheduled message went out, so each slot is delivered once per local day
+ * @param {number} userId - User ID
+ * @param {string} slot - 'morning' or 'evening'
+ * @param {string} localDate - User's local date (YYYY-MM-DD)
+ */
+export async function markDeliverySent(userId, slot, localDate) {
+  try {
+    await store.updateUser(userId, { [`last_${slot}_sent`]: localDate });
+  } catch (error) {
+    console.error('Error recording delivery:', error);
+  }
+}
+
+/**
+ * Add learned words to a user's vocabulary ledger
+ * Words whose lemma is already in the ledger for that language are skipped (see vocabularyService)
+ * @param {number} userId - User ID
+ * @param {number} weekNumber - Week the words were learned
  * @param {Array} vocabulary - Array of vocabulary objects
+ * @param {Object} source - { language, course, dayNumber, theme } the words were learned on
+ * @returns {number} Number of new words
  */
-export async function saveVocabulary(userId, weekNumber, vocabulary) {
+export async function saveVocabulary(userId, weekNumber, vocabulary, { language = getDefaultLanguage(), course = DEFAULT_LEVEL, dayNumber = null, theme = null } = {}) {
   try {
-    const key = `${userId}_${weekNumber}`;
-    global.vocabularyStorage.set(key, {
-      userId,
-      weekNumber,
+    const entries = vocabularyService.buildEntries(
       vocabulary,
-      saved_at: new Date()
-    });
-    
-    console.log(`✅ Vocabulary saved for user ${userId}, week ${weekNumber}`);
+      { language, course, weekNumber, dayNumber, theme },
+      loadLanguage(language).articles
+    );
+    const added = await store.addVocabulary(userId, entries);
+    console.log(`✅ Vocabulary saved for user ${userId}, week ${weekNumber}: ${added} new word(s)`);
+    return added;
   } catch (error) {
     console.error('Error saving vocabulary:', error);
     throw error;
@@ -137,47 +328,54 @@ export async function saveVocabulary(userId, weekNumber, vocabulary) {
 }
 
 /**
- * Get vocabulary for a user and week
+ * Get the words a user learned in a week of a course, in the order they were learned
  * @param {number} userId - User ID
  * @param {number} weekNumber - Week number
- * @returns {Array} Array of vocabulary objects
+ * @param {string} course - Course level
+ * @param {string} language - Language code
+ * @returns {Array} Array of vocabulary objects (with lemma, language, course, weekLearned, dayLearned, theme, learnedAt)
  */
-export async function getWeekVocabulary(userId, weekNumber) {
+export async function getWeekVocabulary(userId, weekNumber, course = DEFAULT_LEVEL, language = getDefaultLanguage()) {
   try {
-    const key = `${userId}_${weekNumber}`;
-    const vocabData = global.vocabularyStorage.get(key);
-    
-    if (vocabData && vocabData.vocabulary) {
-      return vocabData.vocabulary;
-    }
-    
-    // Return empty array if no vocabulary found
-    return [];
+    const entries = await store.getVocabulary(userId, weekNumber, course, language);
+    return entries.map(vocabularyService.toWord);
   } catch (error) {
     console.error('Error getting week vocabulary:', error);
     return [];
   }
 }
 
+/**
+ * Get every word a user has learned in any course of a language, in the order they were learned
+ * @param {number} userId - User ID
+ * @param {string} language - Language code
+ * @returns {Array} Array of vocabulary objects (with lemma, language, course, weekLearned, dayLearned, theme, learnedAt)
+ */
+export async function getVocabulary(userId, language = getDefaultLanguage()) {
+  try {
+    const entries = await store.getVocabulary(userId);
+    return entries
+      .filter(entry => entry.language === language)
+      .map(vocabularyService.toWord);
+  } catch (error) {
+    console.error('Error getting vocabulary:', error);
+    return [];
+  }
+}
+
 /**
  * Save daily progress
  * @param {number} userId - User ID
  * @param {number} weekNumber - Week number
  * @param {number} dayNumber - Day number
  * @param {Object} progress - Progress data
+ * @param {string} course - Course level
+ * @param {string} language - Language code
  */
-export async function saveDailyProgress(userId, weekNumber, dayNumber, progress) {
+export async function saveDailyProgress(userId, weekNumber, dayNumber, progress, course = DEFAULT_LEVEL, language = getDefaultLanguage()) {
   try {
-    const key = `${userId}_${weekNumber}_${dayNumber}`;
-    global.progressStorage.set(key, {
-      userId,
-      weekNumber,
-      dayNumber,
-      progress,
-      completed_at: new Date()
-    });
-    
-    console.log(`✅ Progress saved for user ${userId}, week ${weekNumber}, day ${dayNumber}`);
+    await store.saveDailyProgress(userId, weekNumber, dayNumber, progress, course, language);
+    console.log(`✅ Progress saved for user ${userId}, ${language} ${course} week ${weekNumber}, day ${dayNumber}`);
   } catch (error) {
     console.error('Error saving daily progress:', error);
     throw error;
@@ -189,18 +387,13 @@ export async function saveDailyProgress(userId, weekNumber, dayNumber, progress)
  * @param {number} userId - User ID
  * @param {number} weekNumber - Week number
  * @param {number} dayNumber - Day number
+ * @param {string} course - Course level
+ * @param {string} language - Language code
  * @returns {Object|null} Progress object or null
  */
-export async function getDailyProgress(userId, weekNumber, dayNumber) {
+export async function getDailyProgress(userId, weekNumber, dayNumber, course = DEFAULT_LEVEL, language = getDefaultLanguage()) {
   try {
-    const key = `${userId}_${weekNumber}_${dayNumber}`;
-    const progressData = global.progressStorage.get(key);
-    
-    if (progressData && progressData.progress) {
-      return progressData.progress;
-    }
-    
-    return null;
+    return await store.getDailyProgress(userId, weekNumber, dayNumber, course, language);
   } catch (error) {
     console.error('Error getting daily progress:', error);
     return null;
@@ -218,25 +411,9 @@ export async function getUserStats(userId) {
     if (!user) {
       return null;
     }
-    
-    // Count vocabulary learned
-    let totalVocabulary = 0;
-    for (let week = 1; week <= 12; week++) {
-      const vocab = await getWeekVocabulary(userId, week);
-      totalVocabulary += vocab.length;
-    }
-    
-    // Count completed days
-    let completedDays = 0;
-    for (let week = 1; week <= 12; week++) {
-      for (let day = 1; day <= 7; day++) {
-        const progress = await getDailyProgress(userId, week, day);
-        if (progress && progress.taskCompleted) {
-          completedDays++;
-        }
-      }
-    }
-    
+
+    const { totalVocabulary, completedDays } = await store.getProgressSummary(userId);
+
     return {
       userId,
       totalVocabulary,
@@ -250,14 +427,258 @@ export async function getUserStats(userId) {
   }
 }
 
+/**
+ * Revive the Date fields of a stored review record
+ * @param {Object} review - Review data as stored
+ * @returns {Object} Review data with Date fields
+ */
+function reviveReview(review) {
+  return {
+    ...review,
+    dateLearned: review.dateLearned ? new Date(review.dateLearned) : null,
+    lastReviewed: review.lastReviewed ? new Date(review.lastReviewed) : null,
+    dueDate: review.dueDate ? new Date(review.dueDate) : null
+  };
+}
+
+/**
+ * Get spaced repetition data for a word
+ * @param {number} userId - User ID
+ * @param {number} weekNumber - Week the word was learned
+ * @param {string} word - Italian word
+ * @param {string} course - Course level the word was learned in
+ * @param {string} language - Language code
+ * @returns {Object|null} Review data or null if never stored
+ */
+export async function getWordReview(userId, weekNumber, word, course = DEFAULT_LEVEL, language = getDefaultLanguage()) {
+  try {
+    const review = await store.getWordReview(userId, weekNumber, word, course, language);
+    return review ? reviveReview(review) : null;
+  } catch (error) {
+    console.error('Error getting word review:', error);
+    return null;
+  }
+}
+
+/**
+ * Save spaced repetition data for a word
+ * @param {number} userId - User ID
+ * @param {number} weekNumber - Week the word was learned
+ * @param {string} word - Italian word
+ * @param {Object} review - Review data
+ * @param {string} course - Course level the word was learned in
+ * @param {string} language - Language code
+ */
+export async function saveWordReview(userId, weekNumber, word, review, course = DEFAULT_LEVEL, language = getDefaultLanguage()) {
+  try {
+    await store.saveWordReview(userId, weekNumber, word, review, course, language);
+  } catch (error) {
+    console.error('Error saving word review:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get all spaced repetition records for a user
+ * @param {number} userId - User ID
+ * @returns {Array} Array of { language, course, weekNumber, word, review }
+ */
+export async function getUserWordReviews(userId) {
+  try {
+    const entries = await store.getUserWordReviews(userId);
+    return entries.map(entry => ({ ...entry, review: reviveReview(entry.review) }));
+  } catch (error) {
+    console.error('Error getting user word reviews:', error);
+    return [];
+  }
+}
+
+/**
+ * Get the free-text chat history for a user
+ * @param {number} userId - User ID
+ * @returns {Array} Array of { role, content }, oldest first
+ */
+export async function getConversation(userId) {
+  try {
+    return await store.getConversation(userId);
+  } catch (error) {
+    console.error('Error getting conversation:', error);
+    return [];
+  }
+}
+
+/**
+ * Replace the free-text chat history for a user
+ * @param {number} userId - User ID
+ * @param {Array} messages - Array of { role, content }, oldest first
+ */
+export async function saveConversation(userId, messages) {
+  try {
+    await store.saveConversation(userId, messages);
+  } catch (error) {
+    console.error('Error saving conversation:', error);
+    throw error;
+  }
+}
+
+/**
+ * Forget the free-text chat history for a user
+ * @param {number} userId - User ID
+ */
+export async function clearConversation(userId) {
+  try {
+    await store.deleteConversation(userId);
+  } catch (error) {
+    console.error('Error clearing conversation:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a user's active multi-step session
+ * @param {number} userId - User ID
+ * @returns {Object|null} Session with Date fields, or null if none
+ */
+export async function getSession(userId) {
+  try {
+    const session = await store.getSession(userId);
+    if (!session) {
+      return null;
+    }
+    return {
+      ...session,
+      startedAt: new Date(session.startedAt),
+      updatedAt: new Date(session.updatedAt),
+      expiresAt: new Date(session.expiresAt)
+    };
+  } catch (error) {
+    console.error('Error getting session:', error);
+    return null;
+  }
+}
+
+/**
+ * Save a user's multi-step session (replaces any other session)
+ * @param {number} userId - User ID
+ * @param {Object} session - Session (see sessionService)
+ */
+export async function saveSession(userId, session) {
+  try {
+    await store.saveSession(userId, session);
+  } catch (error) {
+    console.error('Error saving session:', error);
+    throw error;
+  }
+}
+
+/**
+ * End a user's multi-step session
+ * @param {number} userId - User ID
+ */
+export async function deleteSession(userId) {
+  try {
+    await store.deleteSession(userId);
+  } catch (error) {
+    console.error('Error deleting session:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the stored lesson for a user's curriculum day
+ * @param {number} userId - User ID
+ * @param {number} weekNumber - Week number
+ * @param {number} dayNumber - Day number
+ * @param {string} course - Course level
+ * @param {string} language - Language code
+ * @returns {Object|null} Lesson snapshot (see lessonService), or null if none
+ */
+export async function getLesson(userId, weekNumber, dayNumber, course = DEFAULT_LEVEL, language = getDefaultLanguage()) {
+  try {
+    return await store.getLesson(userId, weekNumber, dayNumber, course, language);
+  } catch (error) {
+    console.error('Error getting lesson:', error);
+    return null;
+  }
+}
+
+/**
+ * Save the lesson for a user's curriculum day (replaces the stored one)
+ * @param {number} userId - User ID
+ * @param {number} weekNumber - Week number
+ * @param {number} dayNumber - Day number
+ * @param {Object} lesson - Lesson snapshot (see lessonService)
+ * @param {string} course - Course level
+ * @param {string} language - Language code
+ */
+export async function saveLesson(userId, weekNumber, dayNumber, lesson, course = DEFAULT_LEVEL, language = getDefaultLanguage()) {
+  try {
+    await store.saveLesson(userId, weekNumber, dayNumber, lesson, course, language);
+  } catch (error) {
+    console.error('Error saving lesson:', error);
+    throw error;
+  }
+}
+
+/**
+ * Drop the lesson for a user's curriculum day so it is generated again
+ * @param {number} userId - User ID
+ * @param {number} weekNumber - Week number
+ * @param {number} dayNumber - Day number
+ * @param {string} course - Course level
+ * @param {string} language - Language code
+ */
+export async function deleteLesson(userId, weekNumber, dayNumber, course = DEFAULT_LEVEL, language = getDefaultLanguage()) {
+  try {
+    await store.deleteLesson(userId, weekNumber, dayNumber, course, language);
+  } catch (error) {
+    console.error('Error deleting lesson:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a user's answer counts for one drill, by skill
+ * @param {number} userId - User ID
+ * @param {string} drill - Drill name (e.g. 'conjugation')
+ * @param {string} language - Language code
+ * @returns {Object} { [skill]: { attempts, correct } }, {} when never drilled
+ */
+export async function getDrillStats(userId, drill, language = getDefaultLanguage()) {
+  try {
+    const rows = await store.getDrillStats(userId, language, drill);
+    return Object.fromEntries(rows.map(({ skill, attempts, correct }) => [skill, { attempts, correct }]));
+  } catch (error) {
+    console.error('Error getting drill stats:', error);
+    return {};
+  }
+}
+
+/**
+ * Save a user's answer counts for one skill of a drill
+ * @param {number} userId - User ID
+ * @param {string} drill - Drill name (e.g. 'conjugation')
+ * @param {string} skill - Skill within the drill (e.g. 'presente')
+ * @param {Object} stats - { attempts, correct }
+ * @param {string} language - Language code
+ */
+export async function saveDrillStats(userId, drill, skill, stats, language = getDefaultLanguage()) {
+  try {
+    await store.saveDrillStats(userId, language, drill, skill, stats);
+  } catch (error) {
+    console.error('Error saving drill stats:', error);
+    throw error;
+  }
+}
+
 /**
  * Close database connection
  */
 export async function closeDatabase() {
   try {
-    if (connection) {
-      await connection.end();
-      connection = null;
+    if (store) {
+      await store.close();
+      store = null;
     }
     console.log('✅ Database connection closed');
   } catch (error) {
@@ -271,23 +692,7 @@ export async function closeDatabase() {
  */
 export async function resetUserData(userId) {
   try {
-    // Remove user data
-    global.userStorage.delete(userId);
-    
-    // Remove vocabulary data
-    for (let week = 1; week <= 12; week++) {
-      const key = `${userId}_${week}`;
-      global.vocabularyStorage.delete(key);
-    }
-    
-    // Remove progress data
-    for (let week = 1; week <= 12; week++) {
-      for (let day = 1; day <= 7; day++) {
-        const key = `${userId}_${week}_${day}`;
-        global.progressStorage.delete(key);
-      }
-    }
-    
+    await store.deleteUserData(userId);
     console.log(`✅ User data reset for user ${userId}`);
   } catch (error) {
     console.error('Error resetting user data:', error);
@@ -0,0 +1,265 @@
+import * as db from './db.js';
+import { DEFAULT_LEVEL } from './curriculumService.js';
+import { DEFAULT_DRILL, drillNames, getDrillKind } from './drills/index.js';
+import { gradeExact } from './gradingService.js';
+import { getDefaultLanguage } from './languageService.js';
+import { t } from './localeService.js';
+import { getLocalTime } from './settingsService.js';
+
+/**
+ * Drill Service - Drills on the learner's vocabulary ledger (verb forms, articles and plurals) and on
+ * numbers, prices, clock times and dates
+ *
+ * A drill is a round of DRILL_LENGTH questions of one kind (services/drills) asked one at a time
+ * and answered by typing the form ("noi + parlare, futuro", "… zaino", "18:45"). Answers are graded with
+ * gradingService.gradeExact: a missing accent counts (with a hint), a typo doesn't. Answer counts
+ * per skill (a tense, the plural...) are saved as the kind's drill stats (db.getDrillStats), and
+ * skills with a lower accuracy are asked more often.
+ */
+
+export { DEFAULT_DRILL, parseDrillKeyword } from './drills/index.js';
+
+export const DRILL_LENGTH = 10;
+
+// Weight of a skill that is always answered right, so it still comes up now and then
+const MIN_WEIGHT = 0.1;
+
+/**
+ * Share of right answers for a skill, smoothed so one answer doesn't decide it
+ * (no answers yet gives 50%)
+ * @param {Object} stats - { attempts, correct } or undefined
+ * @returns {number} Accuracy between 0 and 1
+ */
+function smoothedAccuracy(stats) {
+  return ((stats?.correct || 0) + 1) / ((stats?.attempts || 0) + 2);
+}
+
+/**
+ * How often each skill should come up: the lower its accuracy, the more often
+ * @param {Array<string>} skills - Skills to weigh
+ * @param {Object} stats - { [skill]: { attempts, correct } }
+ * @returns {Object} { [skill]: weight }
+ */
+export function getSkillWeights(skills, stats = {}) {
+  return Object.fromEntries(skills.map(skill => [skill, 1 - smoothedAccuracy(stats[skill]) + MIN_WEIGHT]));
+}
+
+/**
+ * Pick a key at random, in proportion to its weight
+ * @param {Object} weights - { [key]: weight }
+ * @param {Function} random - () => number in [0, 1)
+ * @returns {string} Picked key
+ */
+function pickWeighted(weights, random) {
+  const entries = Object.entries(weights);
+  let roll = random() * entries.reduce((sum, [, weight]) => sum + weight, 0);
+  for (const [key, weight] of entries) {
+    roll -= weight;
+    if (roll < 0) return key;
+  }
+  return entries[entries.length - 1][0];
+}
+
+/**
+ * Build a question: a skill weighted by past accuracy, then whatever the kind asks in it.
+ * Skills none of the items can be asked in are passed over.
+ * @param {Object} drill - Drill (kind, items, skills, stats, language)
+ * @param {Function} random - () => number in [0, 1)
+ * @returns {Object|null} Question (see DrillKind.buildQuestion), or null if nothing can be asked
+ */
+function buildQuestion(drill, random) {
+  const kind = getDrillKind(drill.kind);
+  let skills = drill.skills;
+
+  while (skills.length > 0) {
+    const skill = pickWeighted(getSkillWeights(skills, drill.stats), random);
+    const question = kind.buildQuestion(drill.items, skill, drill.language, random);
+    if (question) {
+      return question;
+    }
+    skills = skills.filter(candidate => candidate !== skill);
+  }
+
+  return null;
+}
+
+/**
+ * Create a drill round and its first question
+ * @param {string} kindName - Drill kind (see services/drills)
+ * @param {Object} options - { items, language, level, nativeLanguage, stats } - items come from the
+ *   kind's findItems; stats are the saved { [skill]: { attempts, correct } }
+ * @param {Function} random - () => number in [0, 1) (injectable for tests)
+ * @returns {Object|null} Drill, or null when there is nothing to ask
+ */
+export function createDrill(kindName, { items, language = getDefaultLanguage(), level = DEFAULT_LEVEL, nativeLanguage, stats = {} }, random = Math.random) {
+  const drill = {
+    kind: kindName,
+    language,
+    level,
+    nativeLanguage,
+    items,
+    skills: getDrillKind(kindName).getSkills(level),
+    stats,
+    length: DRILL_LENGTH,
+    results: [],
+    question: null
+  };
+
+  drill.question = buildQuestion(drill, random);
+  return drill.question ? drill : null;
+}
+
+/**
+ * Start a drill on what a user has learned in their current language
+ * @param {number} userId - User ID
+ * @param {Object} user - User record (language, course, native_language and timezone)
+ * @param {string} kindName - Drill kind (defaults to the conjugation drill)
+ * @param {Function} random - () => number in [0, 1) (injectable for tests)
+ * @param {Date} now - Current time, for the learner's local date (injectable for tests)
+ * @returns {Object|null} Drill, or null when the user has learned nothing the kind can drill
+ */
+export async function startDrill(userId, user, kindName = DEFAULT_DRILL, random = Math.random, now = new Date()) {
+  const language = user.language || getDefaultLanguage();
+  const context = { today: getLocalTime(now, user.timezone).date };
+  const items = getDrillKind(kindName).findItems(await db.getVocabulary(userId, language), language, context);
+  if (items.length === 0) {
+    return null;
+  }
+
+  return createDrill(kindName, {
+    items,
+    language,
+    level: user.course,
+    nativeLanguage: user.native_language,
+    stats: await db.getDrillStats(userId, kindName, language)
+  }, random);
+}
+
+/**
+ * Grade the answer to the current question, save the skill's counts and move on
+ * @param {number} userId - User ID
+ * @param {Object} drill - Drill (updated in place)
+ * @param {string} given - What the learner typed
+ * @param {Function} random - () => number in [0, 1) (injectable for tests)
+ * @returns {Object} { question, grade, finished }
+ */
+export async function answerDrill(userId, drill, given, random = Math.random) {
+  const question = drill.question;
+  const kind = getDrillKind(drill.kind);
+  const grade = kind.gradeAnswer
+    ? kind.gradeAnswer(given, question)
+    : gradeExact(given, kind.getAcceptedAnswers(question));
+
+  const previous = drill.stats[question.skill] || { attempts: 0, correct: 0 };
+  const stats = { attempts: previous.attempts + 1, correct: previous.correct + (grade.correct ? 1 : 0) };
+  drill.stats = { ...drill.stats, [question.skill]: stats };
+  await db.saveDrillStats(userId, drill.kind, question.skill, stats, drill.language);
+
+  drill.results.push({ skill: question.skill, answer: question.answer, correct: grade.correct, almost: grade.almost });
+
+  const finished = drill.results.length >= drill.length;
+  drill.question = finished ? null : buildQuestion(drill, random);
+
+  return { question, grade, finished: finished || !drill.question };
+}
+
+/**
+ * Whether a language pack has the rules a drill kind needs
+ * @param {string} kindName - Drill kind
+ * @param {string} language - Language pack code
+ * @returns {boolean} True when the kind can be drilled in the language
+ */
+export function isDrillAvailable(kindName, language = getDefaultLanguage()) {
+  return getDrillKind(kindName).isAvailable(language);
+}
+
+/**
+ * Format the drills a language pack has, for /drill with a keyword no kind answers to
+ * @param {string} language - Language pack code
+ * @param {string} nativeLanguage - Locale code the message is written in (defaults to the deployment's)
+ * @returns {string} Formatted message (Markdown)
+ */
+export function formatDrillUsage(language = getDefaultLanguage(), nativeLanguage) {
+  return t(nativeLanguage, 'drill.usage') + drillNames
+    .map(getDrillKind)
+    .filter(kind => kind.isAvailable(language))
+    .map(kind => t(nativeLanguage, `drill.${kind.name}.command`))
+    .join('');
+}
+
+/**
+ * Format the opening message of a drill
+ * @param {Object} drill - Drill
+ * @returns {string} Formatted message (Markdown)
+ */
+export function formatDrillIntro(drill) {
+  const kind = getDrillKind(drill.kind);
+  return t(drill.nativeLanguage, `drill.${kind.name}.intro`, {
+    count: drill.length,
+    items: drill.items.length,
+    skills: drill.skills.map(skill => kind.formatSkill(skill, drill.nativeLanguage)).join(', ')
+  });
+}
+
+/**
+ * Format the current question
+ * @param {Object} drill - Drill
+ * @returns {string} Formatted message (Markdown)
+ */
+export function formatDrillQuestion(drill) {
+  const kind = getDrillKind(drill.kind);
+  return t(drill.nativeLanguage, 'drill.question', {
+    number: drill.results.length + 1,
+    total: drill.length,
+    skill: kind.formatSkill(drill.question.skill, drill.nativeLanguage),
+    prompt: kind.formatQuestion(drill.question, drill.nativeLanguage)
+  });
+}
+
+/**
+ * Format the verdict on an answer
+ * @param {Object} result - Result of answerDrill
+ * @param {string} nativeLanguage - Locale code the message is written in (defaults to the deployment's)
+ * @returns {string} Formatted message (Markdown)
+ */
+export function formatDrillFeedback({ question, grade }, nativeLanguage) {
+  if (grade.verdict === 'correct') {
+    return t(nativeLanguage, 'drill.correct', { form: grade.expected });
+  }
+  if (grade.verdict === 'almost') {
+    return t(nativeLanguage, 'drill.accent', { form: grade.expected, hint: grade.hint });
+  }
+  return t(nativeLanguage, 'drill.wrong', { form: question.answer });
+}
+
+/**
+ * Format the end-of-round summary: the score, then accuracy by skill over every drill of the kind so far
+ * @param {Object} drill - Finished drill
+ * @returns {string} Formatted message (Markdown)
+ */
+export function formatDrillSummary(drill) {
+  const { nativeLanguage } = drill;
+  const kind = getDrillKind(drill.kind);
+  const correct = drill.results.filter(result => result.correct).length;
+  let message = t(nativeLanguage, 'drill.summary', { correct, total: drill.results.length });
+
+  const drilled = drill.skills.filter(skill => drill.stats[skill]?.attempts > 0);
+  for (const skill of drilled) {
+    const { attempts, correct: right } = drill.stats[skill];
+    message += t(nativeLanguage, 'drill.skillLine', {
+      skill: kind.formatSkill(skill, nativeLanguage),
+      correct: right,
+      attempts,
+      percentage: Math.round((right / attempts) * 100)
+    });
+  }
+
+  const weakest = drilled
+    .filter(skill => drill.stats[skill].correct < drill.stats[skill].attempts)
+    .sort((a, b) => smoothedAccuracy(drill.stats[a]) - smoothedAccuracy(drill.stats[b]))[0];
+  if (weakest) {
+    message += t(nativeLanguage, 'drill.weakest', { skill: kind.formatSkill(weakest, nativeLanguage) });
+  }
+
+  return message + t(nativeLanguage, 'drill.again', { keyword: kind.keyword });
+}
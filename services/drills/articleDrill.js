@@ -0,0 +1,101 @@
+import * as articleService from '../articleService.js';
+import { t } from '../localeService.js';
+
+/**
+ * Article drill - The article a noun takes, its plural and the articulated prepositions in front of it
+ *
+ * Nouns are the vocabulary words articleService can tell the gender of. Each question asks one skill:
+ * - definite / indefinite: ___ zaino → lo zaino / uno zaino
+ * - plural: lo zaino → gli zaini
+ * - preposition: in + la cucina → nella cucina (singular or plural)
+ * The article on its own is accepted too, except for plurals, where the noun's form is half the point.
+ */
+
+export const SKILLS = ['definite', 'indefinite', 'plural', 'preposition'];
+
+/**
+ * Answers accepted for a question: the phrase, the phrase with a space after an elided article
+ * (l' acqua), and the article alone
+ * @param {Object} question - Article question
+ * @returns {Array<string>} Accepted answers, the phrase first
+ */
+export function getAcceptedAnswers({ skill, article, answer }) {
+  const answers = [answer];
+  if (article.endsWith("'")) {
+    answers.push(`${article} ${answer.slice(article.length)}`);
+  }
+  if (skill !== 'plural') {
+    answers.push(article);
+  }
+  return answers;
+}
+
+/**
+ * Build a question in a skill about one of the nouns
+ * @param {Array<Object>} nouns - { noun, gender }
+ * @param {string} skill - One of SKILLS
+ * @param {string} language - Language pack code
+ * @param {Function} random - () => number in [0, 1)
+ * @returns {Object|null} { skill, noun, phrase, preposition, article, answer } (phrase and preposition
+ *   when the prompt shows them), or null without nouns
+ */
+function buildQuestion(nouns, skill, language, random) {
+  if (nouns.length === 0) {
+    return null;
+  }
+
+  const { noun, gender } = nouns[Math.floor(random() * nouns.length)];
+  const described = articleService.describeNoun(noun, gender, language);
+  const singular = articleService.withArticle(described.definite, noun);
+  const { plural } = described;
+
+  if (skill === 'plural') {
+    return { skill, noun, phrase: singular, article: plural.article, answer: articleService.withArticle(plural.article, plural.noun) };
+  }
+
+  if (skill === 'preposition') {
+    const preposition = articleService.PREPOSITIONS[Math.floor(random() * articleService.PREPOSITIONS.length)];
+    const [article, form] = random() < 0.5 ? [described.definite, noun] : [plural.article, plural.noun];
+    const articulated = articleService.articulate(preposition, article);
+    return {
+      skill,
+      noun,
+      phrase: articleService.withArticle(article, form),
+      preposition,
+      article: articulated,
+      answer: articleService.withArticle(articulated, form)
+    };
+  }
+
+  const article = described[skill];
+  return { skill, noun, article, answer: articleService.withArticle(article, noun) };
+}
+
+/**
+ * Format a question's prompt
+ * @param {Object} question - Article question
+ * @param {string} nativeLanguage - Locale code the message is written in
+ * @returns {string} Prompt (Markdown)
+ */
+function formatQuestion({ skill, noun, phrase, preposition }, nativeLanguage) {
+  if (skill === 'plural') {
+    return t(nativeLanguage, 'drill.articles.plural', { phrase });
+  }
+  if (skill === 'preposition') {
+    return t(nativeLanguage, 'drill.articles.preposition', { preposition, phrase });
+  }
+  return t(nativeLanguage, 'drill.articles.blank', { noun });
+}
+
+/** @type {import('./index.js').DrillKind} */
+export const articleDrill = {
+  name: 'articles',
+  keyword: 'articles',
+  isAvailable: language => Boolean(articleService.loadNouns(language)),
+  getSkills: () => SKILLS,
+  findItems: articleService.findNouns,
+  buildQuestion,
+  getAcceptedAnswers,
+  formatQuestion,
+  formatSkill: (skill, nativeLanguage) => t(nativeLanguage, `drill.articles.skill.${skill}`)
+};
@@ -0,0 +1,126 @@
+import { DEFAULT_LEVEL, LEVELS } from '../curriculumService.js';
+import * as conjugationService from '../conjugationService.js';
+import { t } from '../localeService.js';
+
+/**
+ * Conjugation drill - A verb, a tense and a person ("noi + parlare, futuro"), answered with the form
+ *
+ * Verbs are the bare infinitives in the vocabulary that conjugationService can conjugate; the skills
+ * are tenses, which open up with the course level (TENSE_LEVELS): A1 learners drill presente and
+ * passato prossimo.
+ */
+
+// The course level each tense is drilled from
+export const TENSE_LEVELS = {
+  presente: 'A1',
+  passatoProssimo: 'A1',
+  imperfetto: 'A2',
+  futuro: 'A2',
+  imperativo: 'A2',
+  condizionale: 'B1'
+};
+
+/**
+ * Tenses drilled at a course level
+ * @param {string} level - Course level (e.g. 'A2'); unknown levels get A1's
+ * @returns {Array<string>} Tenses, in conjugationService.TENSES order
+ */
+export function getDrillTenses(level = DEFAULT_LEVEL) {
+  const rank = Math.max(0, LEVELS.indexOf(level));
+  return conjugationService.TENSES.filter(tense => LEVELS.indexOf(TENSE_LEVELS[tense]) <= rank);
+}
+
+/**
+ * The verbs among learned words that the engine can conjugate
+ * @param {Array} words - Vocabulary ({ italian, ... })
+ * @param {string} language - Language pack code
+ * @returns {Array<string>} Infinitives (e.g. "alzarsi"), without duplicates, in the order learned
+ */
+export function findDrillVerbs(words, language) {
+  const verbs = conjugationService.tagVerbs(words, language)
+    .filter(word => word.conjugation)
+    .map(word => conjugationService.parseInfinitive(word.italian).infinitive)
+    .filter(verb => conjugationService.conjugate(verb, language));
+  return [...new Set(verbs)];
+}
+
+/**
+ * Spell out the agreeing forms of a table entry ("sono andato/a" → sono andato, sono andata)
+ * @param {string} form - Form from conjugationService.conjugate
+ * @returns {Array<string>} Accepted forms
+ */
+export function expandForm(form) {
+  const words = form.split(' ');
+  const index = words.findIndex(word => word.includes('/'));
+  if (index === -1) {
+    return [form];
+  }
+
+  const [first, ending] = words[index].split('/');
+  const second = first.slice(0, -ending.length) + ending;
+  return [first, second].map(word => [...words.slice(0, index), word, ...words.slice(index + 1)].join(' '));
+}
+
+/**
+ * Answers accepted for a question: the form, or the form after its subject pronoun (noi parliamo)
+ * @param {Object} question - Conjugation question
+ * @returns {Array<string>} Accepted answers, the bare forms first
+ */
+export function getAcceptedAnswers(question) {
+  const forms = expandForm(question.answer);
+  if (question.skill === 'imperativo') {
+    return forms;
+  }
+
+  const pronouns = conjugationService.PERSONS[question.person].split('/');
+  return [...forms, ...pronouns.flatMap(pronoun => forms.map(form => `${pronoun} ${form}`))];
+}
+
+/**
+ * Build a question in a tense: a verb and person that have a form in it
+ * @param {Array<string>} verbs - Infinitives
+ * @param {string} tense - Tense
+ * @param {string} language - Language pack code
+ * @param {Function} random - () => number in [0, 1)
+ * @returns {Object|null} { skill, verb, person, answer }, or null if no verb has a form in the tense
+ */
+function buildQuestion(verbs, tense, language, random) {
+  const tables = verbs
+    .map(verb => conjugationService.conjugate(verb, language))
+    .filter(table => table?.tenses[tense].some(Boolean));
+  if (tables.length === 0) {
+    return null;
+  }
+
+  const table = tables[Math.floor(random() * tables.length)];
+  const persons = table.tenses[tense].map((form, person) => (form ? person : null)).filter(person => person !== null);
+  const person = persons[Math.floor(random() * persons.length)];
+
+  return { skill: tense, verb: table.infinitive, person, answer: table.tenses[tense][person] };
+}
+
+/**
+ * Format a question's prompt
+ * @param {Object} question - Conjugation question
+ * @param {string} nativeLanguage - Locale code the message is written in
+ * @returns {string} Prompt (Markdown)
+ */
+function formatQuestion({ skill, verb, person }, nativeLanguage) {
+  return t(nativeLanguage, 'drill.conjugation.question', {
+    person: skill === 'imperativo' ? conjugationService.IMPERATIVE_PERSONS[person] : conjugationService.PERSONS[person],
+    verb
+  });
+}
+
+/** @type {import('./index.js').DrillKind} */
+export const conjugationDrill = {
+  name: 'conjugation',
+  keyword: 'verbs',
+  isAvailable: language => Boolean(conjugationService.loadVerbs(language)),
+  getSkills: getDrillTenses,
+  findItems: findDrillVerbs,
+  buildQuestion,
+  getAcceptedAnswers,
+  formatQuestion,
+  formatSkill: (tense, nativeLanguage) => t(nativeLanguage, `conj.tense.${tense}`)
+};
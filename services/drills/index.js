@@ -0,0 +1,65 @@
+import { conjugationDrill } from './conjugationDrill.js';
+import { articleDrill } from './articleDrill.js';
+import { numberDrill } from './numberDrill.js';
+
+/**
+ * Drill kinds - What services/drillService.js can drill
+ *
+ * drillService runs the rounds (weighting, grading, stats, messages); each kind only knows
+ * what to ask about and what counts as right. Questions and items end up in the session,
+ * so both must be plain JSON.
+ *
+ * @typedef {Object} DrillKind
+ * @property {string} name - Kind name; the drill stats are saved under it
+ * @property {string} keyword - What follows /drill to pick the kind (/drill verbs)
+ * @property {(language: string) => boolean} isAvailable - Whether the language pack has the kind's rules
+ * @property {(level: string) => Array<string>} getSkills - Skills drilled at a course level; stats are kept per skill
+ * @property {(words: Array, language: string, context: Object) => Array} findItems - What can be drilled among
+ *   learned words; context is { today } (the learner's local date, 'YYYY-MM-DD')
+ * @property {(items: Array, skill: string, language: string, random: Function) => Object|null} buildQuestion -
+ *   A question in a skill: { skill, answer, ... } (answer is the form shown when the learner misses),
+ *   or null when none of the items can be asked in it
+ * @property {(question: Object) => Array<string>} getAcceptedAnswers - Answers graded as right
+ * @property {(given: string, question: Object) => Object} [gradeAnswer] - Optional grading of its own, for kinds
+ *   whose right answers can't all be listed (a Grade, as gradingService.gradeExact); defaults to gradeExact
+ *   against getAcceptedAnswers
+ * @property {(question: Object, nativeLanguage: string) => string} formatQuestion - The question's prompt (Markdown)
+ * @property {(skill: string, nativeLanguage: string) => string} formatSkill - Skill name for headings and summaries
+ */
+
+const KINDS = {
+  conjugation: conjugationDrill,
+  articles: articleDrill,
+  numbers: numberDrill
+};
+
+export const DEFAULT_DRILL = 'conjugation';
+
+/**
+ * Get a drill kind
+ * @param {string} name - Kind name
+ * @returns {DrillKind} Kind
+ * @throws {Error} If the kind is unknown
+ */
+export function getDrillKind(name) {
+  const kind = KINDS[name];
+  if (!kind) {
+    throw new Error(`Unknown drill "${name}"`);
+  }
+  return kind;
+}
+
+/**
+ * Find the kind a /drill keyword asks for
+ * @param {string} keyword - Typed keyword (e.g. "Verbs"); empty picks DEFAULT_DRILL
+ * @returns {string|null} Kind name, or null when no kind answers to it
+ */
+export function parseDrillKeyword(keyword) {
+  const word = String(keyword ?? '').trim().toLowerCase();
+  if (!word) {
+    return DEFAULT_DRILL;
+  }
+  return Object.values(KINDS).find(kind => kind.keyword === word || kind.name === word)?.name || null;
+}
+
+export const drillNames = Object.keys(KINDS);
@@ -0,0 +1,243 @@
+import * as numberService from '../numberService.js';
+import { gradeExact, normalizeText, stripAccents } from '../gradingService.js';
+import { getDefaultLocale, t } from '../localeService.js';
+
+/**
+ * Number drill - Numbers, prices, clock times and dates, from digits to Italian words and back
+ *
+ * Questions are generated (numberService writes and reads the words), so the drill needs nothing
+ * from the vocabulary: its only item is the learner's local date, for "say today's date". Each skill
+ * is asked in one of two directions:
+ * - write: 1.847 → milleottocentoquarantasette, 18:45 → sono le sette meno un quarto
+ * - read: le sette meno un quarto → 6:45 (or 18:45)
+ * Dates are written from the native-language date (3 May → il tre maggio), or today's with its weekday.
+ * Words are read back with numberService's parsers, so any spelling that says the right value is
+ * right (mille ottocento quarantasette), and only a missing accent makes it a near-miss.
+ */
+
+export const SKILLS = ['number', 'price', 'time', 'date'];
+
+// Cents a price ends in, as shop prices do
+const CENTS = [0, 10, 20, 25, 30, 40, 50, 60, 70, 75, 80, 90, 99];
+
+/**
+ * A whole number in [min, max]
+ * @param {number} min - Lowest
+ * @param {number} max - Highest
+ * @param {Function} random - () => number in [0, 1)
+ * @returns {number} Number
+ */
+function pick(min, max, random) {
+  return min + Math.floor(random() * (max - min + 1));
+}
+
+/**
+ * A number to drill: mostly below 100, sometimes hundreds or thousands (a year, a price, 1.847)
+ * @param {Function} random - () => number in [0, 1)
+ * @returns {number} Number
+ */
+function pickNumber(random) {
+  const roll = random();
+  if (roll < 0.5) return pick(0, 100, random);
+  if (roll < 0.8) return pick(101, 999, random);
+  return pick(1000, 9999, random);
+}
+
+/**
+ * Ways to write a time in digits: 12-hour or 24-hour, with or without a leading zero
+ * (mezzogiorno and mezzanotte only read one way)
+ * @param {number} hour - Hour, 0-23
+ * @param {number} minutes - Minutes
+ * @returns {Array<string>} Times
+ */
+function clockTimes(hour, minutes) {
+  const hours = hour === 0 || hour === 12 ? [hour] : [hour % 12, (hour % 12) + 12];
+  return hours.flatMap(told => {
+    const time = numberService.formatTime(told, minutes);
+    return told < 10 ? [time, `0${time}`] : [time];
+  });
+}
+
+/**
+ * Ways to write a price in digits: 12,50 €, 12,50, €12,50, 12.50 (and 12 € for whole euros)
+ * @param {number} cents - Price in cents
+ * @returns {Array<string>} Prices
+ */
+function priceFigures(cents) {
+  const price = numberService.formatPrice(cents);
+  const figure = price.replace(/ €$/, '');
+  const figures = [price, figure, `€${figure}`, `€ ${figure}`, figure.replace(',', '.')];
+  if (cents % 100 === 0) {
+    const euros = figure.replace(/,00$/, '');
+    figures.push(`${euros} €`, euros, `${euros} euro`);
+  }
+  return figures;
+}
+
+/**
+ * Answers accepted for a question, worked out again from its value
+ * @param {Object} question - Number question
+ * @returns {Array<string>} Accepted answers, the shown answer first
+ */
+export function getAcceptedAnswers({ skill, direction, value }) {
+  if (skill === 'number') {
+    return direction === 'write'
+      ? numberService.numberVariants(value)
+      : [...new Set([numberService.formatNumber(value), String(value)])];
+  }
+  if (skill === 'price') {
+    return direction === 'write' ? numberService.priceVariants(value) : priceFigures(value);
+  }
+  if (skill === 'time') {
+    return direction === 'write'
+      ? numberService.timeVariants(value.hour, value.minutes)
+      : clockTimes(value.hour, value.minutes);
+  }
+  return numberService.dateVariants(value, { weekday: direction === 'today' });
+}
+
+// Weekdays that carry an accent, by their unaccented spelling (lunedi → lunedì)
+const ACCENTED_WEEKDAYS = new Map(numberService.WEEKDAYS
+  .filter(name => name !== stripAccents(name))
+  .map(name => [stripAccents(name), name]));
+
+/**
+ * Put back the accents a number, time or date needs: the verb è, accented weekdays and a final
+ * compound tre (ventitre → ventitré)
+ * @param {string} text - Normalized answer without accents
+ * @returns {string} Answer with its accents
+ */
+function withAccents(text) {
+  const words = text.split(' ');
+  return words.map((word, index) => {
+    if (word === 'e' && (index === 0 || words[index - 1] === 'oggi')) return 'è';
+    if (/\Stre$/.test(word)) return `${word.slice(0, -3)}tré`;
+    return ACCENTED_WEEKDAYS.get(word) || word;
+  }).join(' ');
+}
+
+/**
+ * Whether words typed for a write question say the question's value
+ * @param {string} given - What the learner typed
+ * @param {Object} question - Number question
+ * @returns {boolean} True if the words read back to the value
+ */
+function saysValue(given, { skill, direction, value }) {
+  if (skill === 'number') {
+    return numberService.parseNumber(given) === value;
+  }
+  if (skill === 'price') {
+    return numberService.parsePrice(given) === value;
+  }
+  if (skill === 'time') {
+    const time = numberService.parseTime(given);
+    // The hour comes back as told: the 24-hour reading, or 1-11 for either half of the day
+    return Boolean(time) && time.minutes === value.minutes
+      && (time.hour === value.hour || (time.hour >= 1 && time.hour <= 11 && time.hour === value.hour % 12));
+  }
+
+  const date = numberService.parseDate(given);
+  const [year, month, day] = value.split('-').map(Number);
+  if (!date || date.day !== day || date.month !== month || (date.year !== null && date.year !== year)) {
+    return false;
+  }
+  return direction !== 'today' || date.weekday === new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+/**
+ * Grade an answer: against the accepted phrasings, then, for words, by reading them back
+ * @param {string} given - What the learner typed
+ * @param {Object} question - Number question
+ * @returns {Object} Grade, as gradingService.gradeExact
+ */
+function gradeAnswer(given, question) {
+  const grade = gradeExact(given, getAcceptedAnswers(question));
+  if (grade.verdict !== 'wrong' || question.direction === 'read' || !saysValue(given, question)) {
+    return grade;
+  }
+  return gradeExact(given, [withAccents(stripAccents(normalizeText(given)))]);
+}
+
+/**
+ * Build a question in a skill
+ * @param {Array<Object>} items - [{ today }] - the learner's local date ('YYYY-MM-DD')
+ * @param {string} skill - One of SKILLS
+ * @param {string} language - Language pack code
+ * @param {Function} random - () => number in [0, 1)
+ * @returns {Object|null} { skill, direction, value, answer }, or null without rules for the language
+ */
+function buildQuestion(items, skill, language, random) {
+  if (!numberService.hasNumberRules(language) || items.length === 0) {
+    return null;
+  }
+
+  let direction = random() < 0.5 ? 'write' : 'read';
+  let value;
+  if (skill === 'number') {
+    value = pickNumber(random);
+  } else if (skill === 'price') {
+    value = pick(0, 99, random) * 100 + CENTS[Math.floor(random() * CENTS.length)] || 50;
+  } else if (skill === 'time') {
+    value = { hour: pick(0, 23, random), minutes: pick(0, 11, random) * 5 };
+  } else {
+    const { today } = items[0];
+    if (random() < 0.3) {
+      direction = 'today';
+      value = today;
+    } else {
+      direction = 'write';
+      const month = String(pick(1, 12, random)).padStart(2, '0');
+      const day = String(pick(1, 28, random)).padStart(2, '0');
+      value = `${today.slice(0, 4)}-${month}-${day}`;
+    }
+  }
+
+  const question = { skill, direction, value };
+  return { ...question, answer: getAcceptedAnswers(question)[0] };
+}
+
+/**
+ * Format a question's prompt
+ * @param {Object} question - Number question
+ * @param {string} nativeLanguage - Locale code the message is written in
+ * @returns {string} Prompt (Markdown)
+ */
+function formatQuestion({ skill, direction, value }, nativeLanguage) {
+  if (skill === 'number') {
+    return direction === 'write'
+      ? t(nativeLanguage, 'drill.numbers.write', { number: numberService.formatNumber(value) })
+      : t(nativeLanguage, 'drill.numbers.read', { words: numberService.numberToWords(value) });
+  }
+  if (skill === 'price') {
+    return direction === 'write'
+      ? t(nativeLanguage, 'drill.numbers.price', { price: numberService.formatPrice(value) })
+      : t(nativeLanguage, 'drill.numbers.priceRead', { words: numberService.priceToWords(value) });
+  }
+  if (skill === 'time') {
+    return direction === 'write'
+      ? t(nativeLanguage, 'drill.numbers.time', { time: numberService.formatTime(value.hour, value.minutes) })
+      : t(nativeLanguage, 'drill.numbers.clock', { words: numberService.timeToWords(value.hour, value.minutes) });
+  }
+  if (direction === 'today') {
+    return t(nativeLanguage, 'drill.numbers.today');
+  }
+
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Intl.DateTimeFormat(nativeLanguage || getDefaultLocale(), { day: 'numeric', month: 'long', timeZone: 'UTC' })
+    .format(new Date(Date.UTC(year, month - 1, day)));
+  return t(nativeLanguage, 'drill.numbers.date', { date });
+}
+
+/** @type {import('./index.js').DrillKind} */
+export const numberDrill = {
+  name: 'numbers',
+  keyword: 'numbers',
+  isAvailable: numberService.hasNumberRules,
+  getSkills: () => SKILLS,
+  findItems: (words, language, { today }) => [{ today }],
+  buildQuestion,
+  getAcceptedAnswers,
+  gradeAnswer,
+  formatQuestion,
+  formatSkill: (skill, nativeLanguage) => t(nativeLanguage, `drill.numbers.skill.${skill}`)
+};
@@ -0,0 +1,399 @@
+/**
+ * Grading Service - Fuzzy, accent-tolerant grading of typed answers
+ * Pure functions: no I/O, so quizService and reviewService can share them
+ *
+ * Verdicts:
+ * - correct - matches an accepted answer (ignoring case, punctuation and spacing)
+ * - almost  - near-miss: missing/wrong accent, missing article, or a small typo
+ *   (a changed final vowel is a wrong ending, parla for parlo, and a different article is wrong)
+ * - wrong   - anything further away
+ *
+ * Free-text translations that grade as wrong can optionally be re-judged by an LLM
+ * (see gradeWithJudge); the judge is injected so this module never calls OpenAI itself.
+ * Drills, where the exact form is the point, use gradeExact: only accents are forgiven.
+ */
+
+export const VERDICTS = ['correct', 'almost', 'wrong'];
+
+/**
+ * Articles of the first language pack (Italian), for callers that don't pass their pack's
+ * (see languageService: each pack lists its own in language.json)
+ */
+export const DEFAULT_ARTICLES = ['il', 'lo', 'la', 'i', 'gli', 'le', 'un', 'uno', 'una', "l'", "un'"];
+
+// English articles and the infinitive "to", ignored whatever the language
+const ENGLISH_LEADING = ['the', 'a', 'an', 'to'];
+
+// Leading-word patterns by article list, built on first use
+const articlePatterns = new Map();
+
+/**
+ * Build the pattern matching a leading article
+ * Articles ending in an apostrophe (l', un') are elided and may be followed directly by the word
+ * @param {Array<string>} articles - The language's articles
+ * @returns {RegExp} Pattern anchored at the start of the text
+ */
+function getArticlePattern(articles) {
+  const key = articles.join('|');
+  if (!articlePatterns.has(key)) {
+    const escape = word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const words = [...articles, ...ENGLISH_LEADING].map(word => normalizeText(word));
+    const spaced = words.filter(word => !word.endsWith("'")).map(escape);
+    const elided = words.filter(word => word.endsWith("'")).map(word => escape(word.slice(0, -1)));
+    const branches = [`^(?:${spaced.join('|')})\\s+`];
+    if (elided.length > 0) {
+      branches.push(`^(?:${elided.join('|')})'\\s*`);
+    }
+    articlePatterns.set(key, new RegExp(branches.join('|')));
+  }
+  return articlePatterns.get(key);
+}
+
+/**
+ * Put answers in a comparable form: lowercase, straight apostrophes,
+ * no surrounding punctuation, single spaces, no parenthesised notes
+ * @param {string} text - Answer text
+ * @returns {string} Normalized text (accents kept)
+ */
+export function normalizeText(text) {
+  return String(text ?? '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[’‘`´]/g, "'")
+    .replace(/\([^)]*\)/g, ' ')
+    .replace(/[.!?¿¡,;:"«»]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Remove accents (perché → perche)
+ * @param {string} text - Normalized text
+ * @returns {string} Text without diacritics
+ */
+export function stripAccents(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').normalize('NFC');
+}
+
+/**
+ * Remove a leading article (la casa → casa, l'acqua → acqua)
+ * @param {string} text - Normalized text
+ * @param {Array<string>} articles - The language's articles (defaults to Italian)
+ * @returns {string} Text without its leading article
+ */
+export function stripArticle(text, articles = DEFAULT_ARTICLES) {
+  return text.replace(getArticlePattern(articles), '');
+}
+
+/**
+ * Edit distance with adjacent transpositions (optimal string alignment)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of insertions, deletions, substitutions and swaps
+ */
+export function editDistance(a, b) {
+  return buildDistanceMatrix(a, b)[a.length][b.length];
+}
+
+/**
+ * Dynamic programming table for editDistance
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {Array<Array<number>>} (a.length + 1) × (b.length + 1) distances
+ */
+function buildDistanceMatrix(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => {
+    const row = new Array(b.length + 1).fill(0);
+    row[0] = i;
+    return row;
+  });
+  for (let j = 0; j <= b.length; j++) {
+    d[0][j] = j;
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(
+        d[i - 1][j] + 1,
+        d[i][j - 1] + 1,
+        d[i - 1][j - 1] + cost
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return d;
+}
+
+/**
+ * Diff-style hint showing how to turn the given answer into the expected one
+ * Unchanged text is kept, changes are marked: (e→é) replace, (+la ) add, (-s) remove
+ * @param {string} given - What the learner typed
+ * @param {string} expected - The accepted answer
+ * @returns {string} Hint, e.g. "perch(e→é)"
+ */
+export function diffHint(given, expected) {
+  const a = normalizeText(given);
+  const b = normalizeText(expected);
+  const d = buildDistanceMatrix(a, b);
+
+  // Walk the table back from the end, collecting edit operations
+  const ops = [];
+  let i = a.length;
+  let j = b.length;
+  while (i > 0 || j > 0) {
+    if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1] && a[i - 1] !== b[j - 1]
+      && d[i][j] === d[i - 2][j - 2] + 1) {
+      ops.push({ type: 'change', from: a.slice(i - 2, i), to: b.slice(j - 2, j) });
+      i -= 2;
+      j -= 2;
+    } else if (i > 0 && j > 0 && d[i][j] === d[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)) {
+      ops.push(a[i - 1] === b[j - 1]
+        ? { type: 'keep', to: b[j - 1] }
+        : { type: 'change', from: a[i - 1], to: b[j - 1] });
+      i--;
+      j--;
+    } else if (j > 0 && d[i][j] === d[i][j - 1] + 1) {
+      ops.push({ type: 'change', from: '', to: b[j - 1] });
+      j--;
+    } else {
+      ops.push({ type: 'change', from: a[i - 1], to: '' });
+      i--;
+    }
+  }
+  ops.reverse();
+
+  // Merge runs of neighbouring changes into a single marker
+  let hint = '';
+  let removed = '';
+  let added = '';
+  const flush = () => {
+    if (removed && added) hint += `(${removed}→${added})`;
+    else if (added) hint += `(+${added})`;
+    else if (removed) hint += `(-${removed})`;
+    removed = '';
+    added = '';
+  };
+
+  for (const op of ops) {
+    if (op.type === 'keep') {
+      flush();
+      hint += op.to;
+    } else {
+      removed += op.from;
+      added += op.to;
+    }
+  }
+  flush();
+
+  return hint;
+}
+
+/**
+ * How many typos to forgive for an answer of this length
+ * @param {string} text - Fully normalized expected answer
+ * @returns {number} Allowed edit distance
+ */
+function allowedTypos(text) {
+  if (text.length <= 3) return 0;
+  if (text.length <= 7) return 1;
+  return 2;
+}
+
+/**
+ * Whether two answers differ in the final vowel of a word (parla/parlo, gatti/gatto, buona/buono):
+ * that is a wrong inflection, not a typo
+ * @param {string} given - Given answer, without accents or article
+ * @param {string} expected - Accepted answer, without accents or article
+ * @returns {boolean} True if some word differs only in its final vowel
+ */
+function changesEnding(given, expected) {
+  const givenWords = given.split(' ');
+  const expectedWords = expected.split(' ');
+  if (givenWords.length !== expectedWords.length) {
+    return false;
+  }
+  return givenWords.some((word, index) => {
+    const other = expectedWords[index];
+    return word !== other
+      && word.length === other.length
+      && word.slice(0, -1) === other.slice(0, -1)
+      && /[aeiou]$/.test(word)
+      && /[aeiou]$/.test(other);
+  });
+}
+
+/**
+ * Grade a typed answer against one accepted answer
+ * @param {string} given - Normalized given answer
+ * @param {string} expected - Normalized accepted answer
+ * @param {Array<string>} articles - The language's articles
+ * @returns {Object} { verdict, reason, distance }
+ */
+function gradeAgainst(given, expected, articles) {
+  if (given === expected) {
+    return { verdict: 'correct', reason: 'exact', distance: 0 };
+  }
+
+  const givenBare = stripAccents(given);
+  const expectedBare = stripAccents(expected);
+  if (givenBare === expectedBare) {
+    return { verdict: 'almost', reason: 'accent', distance: editDistance(given, expected) };
+  }
+
+  const givenCore = stripArticle(givenBare, articles);
+  const expectedCore = stripArticle(expectedBare, articles);
+  if (givenCore === expectedCore && givenCore) {
+    // A missing article is a near-miss; a different one (il casa for la casa) is a mistake
+    const substituted = givenCore !== givenBare && expectedCore !== expectedBare;
+    return substituted
+      ? { verdict: 'wrong', reason: 'mismatch', distance: editDistance(given, expected) }
+      : { verdict: 'almost', reason: 'article', distance: editDistance(given, expected) };
+  }
+
+  const distance = editDistance(givenCore, expectedCore);
+  if (distance <= allowedTypos(expectedCore) && !changesEnding(givenCore, expectedCore)) {
+    return { verdict: 'almost', reason: 'typo', distance };
+  }
+
+  return { verdict: 'wrong', reason: 'mismatch', distance };
+}
+
+/**
+ * Grade a typed answer
+ * Accepts any of the slash-separated alternatives in `expected` ("Hello/Goodbye")
+ * @param {string|null} given - What the learner typed (null when skipped)
+ * @param {string} expected - Accepted answer(s)
+ * @param {Object} options - { articles } the language's articles (defaults to Italian)
+ * @returns {Object} { verdict, correct, almost, reason, distance, expected, hint }
+ *   correct is true for "correct" and "almost" (a near-miss is not a failure);
+ *   hint is a diff against the closest accepted answer, null when exact
+ */
+export function gradeAnswer(given, expected, { articles = DEFAULT_ARTICLES } = {}) {
+  const alternatives = String(expected ?? '')
+    .split('/')
+    .map(alternative => alternative.trim())
+    .filter(Boolean);
+  const answer = normalizeText(given);
+
+  if (!answer || alternatives.length === 0) {
+    return buildGrade({ verdict: 'wrong', reason: answer ? 'mismatch' : 'empty', distance: null }, given, alternatives[0] || '');
+  }
+
+  const rank = { correct: 0, almost: 1, wrong: 2 };
+  let best = null;
+
+  for (const alternative of alternatives) {
+    const result = { ...gradeAgainst(answer, normalizeText(alternative), articles), alternative };
+    if (!best
+      || rank[result.verdict] < rank[best.verdict]
+      || (rank[result.verdict] === rank[best.verdict] && result.distance < best.distance)) {
+      best = result;
+    }
+  }
+
+  return buildGrade(best, given, best.alternative);
+}
+
+/**
+ * Grade a typed form strictly: no typo or article allowance
+ * A missing accent, or an apostrophe typed for one (parlero' for parlerò), is a near-miss
+ * @param {string|null} given - What the learner typed (null when skipped)
+ * @param {Array<string>} accepted - Accepted forms (e.g. ['sono andato', 'sono andata'])
+ * @returns {Object} Grade, as gradeAnswer
+ */
+export function gradeExact(given, accepted) {
+  const answer = normalizeText(given);
+  const forms = accepted.map(form => normalizeText(form)).filter(Boolean);
+
+  if (!answer || forms.length === 0) {
+    return buildGrade({ verdict: 'wrong', reason: answer ? 'mismatch' : 'empty', distance: null }, given, accepted[0] || '');
+  }
+
+  const exact = forms.find(form => form === answer);
+  if (exact) {
+    return buildGrade({ verdict: 'correct', reason: 'exact', distance: 0 }, given, exact);
+  }
+
+  const bare = stripAccents(answer.replace(/([aeiou])'(?=\s|$)/g, '$1'));
+  const accented = forms.find(form => stripAccents(form) === bare);
+  if (accented) {
+    return buildGrade({ verdict: 'almost', reason: 'accent', distance: editDistance(answer, accented) }, given, accented);
+  }
+
+  const closest = forms.reduce((best, form) => (editDistance(answer, form) < editDistance(answer, best) ? form : best));
+  return buildGrade({ verdict: 'wrong', reason: 'mismatch', distance: editDistance(answer, closest) }, given, closest);
+}
+
+/**
+ * Shape a grading result
+ * @param {Object} result - { verdict, reason, distance }
+ * @param {string|null} given - What the learner typed
+ * @param {string} expected - The closest accepted answer
+ * @returns {Object} Grade
+ */
+function buildGrade({ verdict, reason, distance }, given, expected) {
+  return {
+    verdict,
+    correct: verdict !== 'wrong',
+    almost: verdict === 'almost',
+    reason,
+    distance,
+    expected,
+    hint: verdict !== 'correct' && given ? diffHint(given, expected) : null
+  };
+}
+
+/**
+ * Whether a wrong answer is worth a second opinion:
+ * a free-text translation where several phrasings may be right
+ * @param {Object} grade - Result of gradeAnswer
+ * @param {Object} question - { type, correctAnswer }
+ * @returns {boolean} True if an LLM judgement could change the verdict
+ */
+export function isAmbiguous(grade, question) {
+  if (grade.verdict !== 'wrong' || grade.reason === 'empty') {
+    return false;
+  }
+  return question.type === 'translation' && normalizeText(question.correctAnswer).includes(' ');
+}
+
+/**
+ * Whether LLM judgements are switched on (GRADING_LLM_FALLBACK=true)
+ * @returns {boolean} True if enabled
+ */
+export function isJudgeEnabled() {
+  return (process.env.GRADING_LLM_FALLBACK || '').trim().toLowerCase() === 'true';
+}
+
+/**
+ * Grade an answer, asking a judge about ambiguous free-text translations
+ * The judge only runs when enabled and never makes a grade worse; if it fails
+ * the local verdict stands.
+ * @param {string|null} given - What the learner typed
+ * @param {Object} question - { type, prompt, correctAnswer }
+ * @param {Object} options - { judge: async ({ prompt, expected, given }) => 'correct'|'almost'|'wrong', enabled,
+ *   articles } (articles default to Italian)
+ * @returns {Object} Grade (reason is 'judge' when the judge changed the verdict)
+ */
+export async function gradeWithJudge(given, question, { judge, enabled = isJudgeEnabled(), articles = DEFAULT_ARTICLES } = {}) {
+  const grade = gradeAnswer(given, question.correctAnswer, { articles });
+
+  if (!enabled || !judge || !isAmbiguous(grade, question)) {
+    return grade;
+  }
+
+  try {
+    const verdict = await judge({ prompt: question.prompt, expected: question.correctAnswer, given });
+    if (verdict === 'correct' || verdict === 'almost') {
+      return buildGrade({ verdict, reason: 'judge', distance: grade.distance }, given, grade.expected);
+    }
+  } catch (error) {
+    console.error('Error judging answer:', error);
+  }
+
+  return grade;
+}
@@ -0,0 +1,301 @@
+import fs from 'fs';
+import path from 'path';
+import { LEVELS } from './curriculumService.js';
+import { getDefaultLanguage, getPackDir } from './languageService.js';
+import { t } from './localeService.js';
+import { normalize, validate } from './schemaService.js';
+
+/**
+ * Grammar Service - The bundled grammar reference behind /grammar, so the rule a daily plan
+ * names is one tap away and never depends on the LLM
+ *
+ * Each language pack may have a grammar.json (e.g. languages/it/grammar.json) holding topics:
+ * - id (used in /grammar <id> and the inline buttons), title and a one-line summary
+ * - sections: { heading, text, table, examples } - table rows are lists of cells; examples are
+ *   { italian, english } pairs, written in English like the offline content packs
+ * - practice (optional): the command that drills the topic (/drill articles, /conj essere)
+ * - lessons: the course days the topic explains ({ level, week, days }); days 4-7 of a week,
+ *   which revise it, get every topic of the week
+ * Text is sent as Telegram Markdown, so *bold* is the only markup topics may use.
+ * Packs without a grammar.json have no /grammar.
+ */
+
+export const GRAMMAR_VERSION = 1;
+
+const TEXT = { type: 'string', minLength: 1 };
+
+const EXAMPLE = {
+  type: 'object',
+  required: ['italian', 'english'],
+  properties: { italian: TEXT, english: TEXT }
+};
+
+const SECTION = {
+  type: 'object',
+  required: ['heading'],
+  properties: {
+    heading: TEXT,
+    text: { type: 'string' },
+    table: { type: 'array', items: { type: 'array', items: { type: 'string' }, minItems: 2 }, default: [] },
+    examples: { type: 'array', items: EXAMPLE, default: [] }
+  },
+  check: (section, path) => (section.text || section.table.length > 0 || section.examples.length > 0
+    ? []
+    : [`${path}: needs a text, a table or examples`])
+};
+
+const LESSON = {
+  type: 'object',
+  required: ['level', 'week'],
+  properties: {
+    level: { type: 'string', enum: LEVELS },
+    week: {
+      type: 'integer',
+      check: (week, path) => (week < 1 ? [`${path}: must be 1 or more`] : [])
+    },
+    days: {
+      type: 'array',
+      items: { type: 'integer', check: (day, path) => (day < 1 || day > 7 ? [`${path}: must be a day from 1 to 7`] : []) },
+      default: []
+    }
+  }
+};
+
+const TOPIC = {
+  type: 'object',
+  required: ['id', 'title', 'summary', 'sections'],
+  properties: {
+    id: {
+      type: 'string',
+      // Button data is "grammar:<id>:send", and Telegram caps it at 64 bytes; "grammar:list" opens the list
+      check: (id, path) => {
+        if (!/^[a-z][a-z0-9-]{0,39}$/.test(id)) {
+          return [`${path}: must be lowercase letters, digits and dashes (up to 40)`];
+        }
+        return id === 'list' ? [`${path}: "list" is taken by the topic list button`] : [];
+      }
+    },
+    title: TEXT,
+    summary: TEXT,
+    sections: { type: 'array', items: SECTION, minItems: 1 },
+    practice: { type: 'string' },
+    lessons: { type: 'array', items: LESSON, default: [] }
+  },
+  check: (topic, path) => {
+    const texts = [
+      topic.title, topic.summary,
+      ...topic.sections.flatMap(section => [section.heading, section.text || '', ...section.table.flat(),
+        ...section.examples.flatMap(example => [example.italian, example.english])])
+    ];
+    return texts
+      .filter(text => /[_`[]/.test(text) || (text.match(/\*/g) || []).length % 2 === 1)
+      .map(text => `${path}: "${text.slice(0, 40)}" breaks the Markdown (unpaired * or _, \` or [)`);
+  }
+};
+
+const GRAMMAR = {
+  type: 'object',
+  required: ['version', 'topics'],
+  properties: {
+    version: {
+      type: 'integer',
+      check: (version, path) => (version === GRAMMAR_VERSION
+        ? []
+        : [`${path}: unsupported grammar version ${version} (expected ${GRAMMAR_VERSION})`])
+    },
+    topics: { type: 'array', items: TOPIC, minItems: 1 }
+  },
+  check: (grammar, path) => grammar.topics
+    .map(topic => topic.id)
+    .filter((id, index, ids) => ids.indexOf(id) !== index)
+    .map(id => `${path === '(root)' ? '' : `${path}.`}topics: "${id}" is used by more than one topic`)
+};
+
+/**
+ * Validate grammar.json data
+ * @param {*} data - Parsed grammar.json
+ * @returns {Array<string>} Field-level errors, e.g. "topics[2].lessons[0].days[1]: must be a day from 1 to 7"
+ */
+export function validateGrammar(data) {
+  return validate(normalize(data, GRAMMAR), GRAMMAR);
+}
+
+// Parsed grammar.json by language (null when the pack has none), loaded on first use
+const cache = new Map();
+
+/**
+ * Load a language pack's grammar.json
+ * @param {string} language - Language pack code (defaults to the deployment's language)
+ * @returns {Object|null} Validated grammar reference, or null if the pack has none
+ * @throws {Error} If the file is invalid (error.validationErrors lists the problems)
+ */
+export function loadGrammar(language = getDefaultLanguage()) {
+  if (cache.has(language)) {
+    return cache.get(language);
+  }
+
+  const file = path.join(getPackDir(language), 'grammar.json');
+  let grammar = null;
+  if (fs.existsSync(file)) {
+    grammar = normalize(JSON.parse(fs.readFileSync(file, 'utf8')), GRAMMAR);
+    const errors = validate(grammar, GRAMMAR);
+    if (errors.length > 0) {
+      const error = new Error(`Invalid grammar for ${language}:\n- ${errors.join('\n- ')}`);
+      error.validationErrors = errors;
+      throw error;
+    }
+  }
+
+  cache.set(language, grammar);
+  return grammar;
+}
+
+/**
+ * A topic by id
+ * @param {string} id - Topic id
+ * @param {string} language - Language pack code
+ * @returns {Object|null} Topic, or null
+ */
+export function getTopic(id, language = getDefaultLanguage()) {
+  return loadGrammar(language)?.topics.find(topic => topic.id === id) || null;
+}
+
+/**
+ * Find the topic /grammar <query> asks for: by id, then by part of its title
+ * ("articles", "passato prossimo", "Possessives")
+ * @param {string} query - What was typed
+ * @param {string} language - Language pack code
+ * @returns {Object|null} Topic, or null when none matches
+ */
+export function findTopic(query, language = getDefaultLanguage()) {
+  const wanted = String(query ?? '').trim().toLowerCase();
+  const topics = loadGrammar(language)?.topics || [];
+  if (!wanted) {
+    return null;
+  }
+  return topics.find(topic => topic.id === wanted.replace(/\s+/g, '-'))
+    || topics.find(topic => topic.title.toLowerCase().includes(wanted))
+    || null;
+}
+
+/**
+ * The topics a course day explains; days with no topic of their own (the revision days)
+ * get every topic of the week
+ * @param {string} level - Course level (e.g. 'A1')
+ * @param {number} weekNumber - Week number
+ * @param {number} dayNumber - Day number (1-7)
+ * @param {string} language - Language pack code
+ * @returns {Array<Object>} Topics, in reference order
+ */
+export function getLessonTopics(level, weekNumber, dayNumber, language = getDefaultLanguage()) {
+  const inWeek = (loadGrammar(language)?.topics || [])
+    .map(topic => ({ topic, lessons: topic.lessons.filter(lesson => lesson.level === level && lesson.week === weekNumber) }))
+    .filter(({ lessons }) => lessons.length > 0);
+  const today = inWeek.filter(({ lessons }) => lessons.some(lesson => lesson.days.length === 0 || lesson.days.includes(dayNumber)));
+  return (today.length > 0 ? today : inWeek).map(({ topic }) => topic);
+}
+
+/**
+ * Parse inline keyboard callback data for the grammar reference
+ * Formats: "grammar:list" (the topic list), "grammar:<id>" (open a topic in place),
+ * "grammar:<id>:send" (open it in a new message, for buttons under other messages)
+ * @param {string} data - callback_query data
+ * @returns {Object|null} { topic, send } (topic null for the list), or null if not a grammar callback
+ */
+export function parseGrammarCallback(data) {
+  const match = /^grammar:([a-z][a-z0-9-]*)(?::(send))?$/.exec(data || '');
+  if (!match) {
+    return null;
+  }
+  return { topic: match[1] === 'list' ? null : match[1], send: Boolean(match[2]) };
+}
+
+/**
+ * Format one section of a topic
+ * @param {Object} section - { heading, text, table, examples }
+ * @returns {string} Formatted section (Markdown)
+ */
+function formatSection({ heading, text, table, examples }) {
+  const lines = [`*${heading}*`];
+  if (text) {
+    lines.push(text);
+  }
+  for (const [first, ...rest] of table) {
+    lines.push(first ? `• ${first}: ${rest.join(', ')}` : rest.join(' · '));
+  }
+  for (const { italian, english } of examples) {
+    lines.push(`› *${italian}* - ${english}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Format a topic page with a button back to the list
+ * @param {Object} topic - Topic
+ * @param {string} nativeLanguage - Locale code the message is written in (defaults to the deployment's)
+ * @returns {Object} { text, options } ready for bot.sendMessage
+ */
+export function formatTopic(topic, nativeLanguage) {
+  const text = t(nativeLanguage, 'grammar.topic', {
+    title: topic.title,
+    summary: topic.summary,
+    sections: topic.sections.map(formatSection).join('\n\n')
+  }) + (topic.practice ? t(nativeLanguage, 'grammar.practice', { command: topic.practice }) : '');
+
+  return {
+    text,
+    options: {
+      parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: [[{ text: t(nativeLanguage, 'grammar.back'), callback_data: 'grammar:list' }]] }
+    }
+  };
+}
+
+/**
+ * Format the topic list, today's topics marked and named first
+ * @param {string} language - Language pack code
+ * @param {string} nativeLanguage - Locale code the message is written in (defaults to the deployment's)
+ * @param {Array<Object>} todayTopics - Topics of the learner's current day (see getLessonTopics)
+ * @param {string} name - The language's name, for the heading
+ * @returns {Object} { text, options } ready for bot.sendMessage (grammar.unavailable when the pack
+ *   has no reference, e.g. a button pressed after switching language)
+ */
+export function formatTopicList(language, nativeLanguage, todayTopics = [], name = language) {
+  const grammar = loadGrammar(language);
+  if (!grammar) {
+    return { text: t(nativeLanguage, 'grammar.unavailable', { name }), options: {} };
+  }
+
+  const today = new Set(todayTopics.map(topic => topic.id));
+  const text = t(nativeLanguage, 'grammar.list', { name })
+    + (todayTopics.length > 0 ? t(nativeLanguage, 'grammar.today', { topics: todayTopics.map(topic => topic.title).join(', ') }) : '');
+
+  return {
+    text,
+    options: {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: grammar.topics.map(topic => ([{
+          text: `${today.has(topic.id) ? '📌' : '📘'} ${topic.title}`,
+          callback_data: `grammar:${topic.id}`
+        }]))
+      }
+    }
+  };
+}
+
+/**
+ * Buttons that open topics under another message (the daily plan)
+ * @param {Array<Object>} topics - Topics
+ * @returns {Object} Message options with the buttons ({} without topics)
+ */
+export function formatTopicButtons(topics) {
+  if (topics.length === 0) {
+    return {};
+  }
+  return {
+    reply_markup: {
+      inline_keyboard: topics.map(topic => ([{ text: `📘 ${topic.title}`, callback_data: `grammar:${topic.id}:send` }]))
+    }
+  };
+}
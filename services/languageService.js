@@ -0,0 +1,221 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { normalize, validate } from './schemaService.js';
+import { translatePhrase } from './localeService.js';
+
+/**
+ * Language Service - Language packs: everything that changes with the language being learned
+ *
+ * Each pack is a folder in languages/<code> (e.g. languages/it for Italian) holding:
+ * - language.json: names and flag, the bot's name, how generator prompts pitch each CEFR level,
+ *   the leading articles ignored when grading and deduplicating words, and the phrases
+ *   sprinkled through the bot's messages ("Buono studio!")
+ * - courses/<level>.json: one curriculum per CEFR level (see curriculumService)
+ * - content/<level>/: the offline content for each course (see contentService)
+ *
+ * The deployment's default pack is set with LANGUAGE (default "it"); each user learns the
+ * language in users.language, picked with /language.
+ */
+
+export const LANGUAGE_VERSION = 1;
+
+// Data saved before packs existed is Italian
+export const FALLBACK_LANGUAGE = 'it';
+
+// Phrases every pack must define
+export const PHRASES = [
+  'welcome', 'welcomeBack', 'goodMorning', 'happyStudying', 'happyReading', 'happyWriting',
+  'goodLuck', 'fingersCrossed', 'wellDone', 'greatWork', 'correct', 'almost', 'good', 'keepGoing',
+  'thanksForSharing', 'enjoyHoliday', 'goodbye'
+];
+
+const LANGUAGES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'languages');
+
+const PHRASE = {
+  type: 'object',
+  required: ['text', 'translation'],
+  properties: {
+    text: { type: 'string', minLength: 1 },
+    translation: { type: 'string', minLength: 1 }
+  }
+};
+
+const LEVEL_PROFILE = {
+  type: 'object',
+  required: ['name', 'style'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    style: { type: 'string', minLength: 1 }
+  }
+};
+
+const LANGUAGE = {
+  type: 'object',
+  required: ['version', 'code', 'name', 'nativeName', 'botName', 'levels', 'phrases'],
+  properties: {
+    version: {
+      type: 'integer',
+      check: (version, path) => (version === LANGUAGE_VERSION
+        ? []
+        : [`${path}: unsupported language pack version ${version} (expected ${LANGUAGE_VERSION})`])
+    },
+    code: { type: 'string', minLength: 1 },
+    name: { type: 'string', minLength: 1 },
+    nativeName: { type: 'string', minLength: 1 },
+    flag: { type: 'string', default: '' },
+    botName: { type: 'string', minLength: 1 },
+    articles: { type: 'array', items: { type: 'string', minLength: 1 }, default: [] },
+    levels: {
+      type: 'object',
+      check: (levels, path) => {
+        const errors = Object.entries(levels)
+          .flatMap(([level, profile]) => validate(normalize(profile, LEVEL_PROFILE), LEVEL_PROFILE, `${path}.${level}`));
+        return Object.keys(levels).length === 0 ? [`${path}: must describe at least one level`] : errors;
+      }
+    },
+    phrases: {
+      type: 'object',
+      required: PHRASES,
+      properties: Object.fromEntries(PHRASES.map(key => [key, PHRASE]))
+    }
+  }
+};
+
+/**
+ * The deployment's default language (LANGUAGE, falling back to Italian)
+ * @returns {string} Language code
+ */
+export function getDefaultLanguage() {
+  return (process.env.LANGUAGE || '').trim().toLowerCase() || FALLBACK_LANGUAGE;
+}
+
+/**
+ * Folder of a language pack
+ * @param {string} code - Language code
+ * @returns {string} languages/<code>
+ */
+export function getPackDir(code = getDefaultLanguage()) {
+  return path.join(LANGUAGES_DIR, code);
+}
+
+/**
+ * Codes of the installed language packs
+ * @returns {Array<string>} Codes, sorted
+ */
+export function listLanguages() {
+  if (!fs.existsSync(LANGUAGES_DIR)) {
+    return [];
+  }
+  return fs.readdirSync(LANGUAGES_DIR)
+    .filter(code => fs.existsSync(path.join(LANGUAGES_DIR, code, 'language.json')))
+    .sort();
+}
+
+/**
+ * Find an installed language by code or name ("it", "Italian" and "italiano" all give "it")
+ * @param {string} input - Language as typed
+ * @returns {string|null} Language code, or null if no pack matches
+ */
+export function parseLanguage(input) {
+  const wanted = String(input || '').trim().toLowerCase();
+  if (!wanted) {
+    return null;
+  }
+
+  return listLanguages().find(code => {
+    if (code === wanted) return true;
+    const pack = loadLanguage(code);
+    return pack.name.toLowerCase() === wanted || pack.nativeName.toLowerCase() === wanted;
+  }) || null;
+}
+
+/**
+ * Validate language pack data
+ * @param {*} data - Parsed language.json
+ * @returns {Array<string>} Field-level errors, e.g. "phrases.goodMorning: is required"
+ */
+export function validateLanguage(data) {
+  return validate(normalize(data, LANGUAGE), LANGUAGE);
+}
+
+// Parsed packs by code, loaded on first use
+const cache = new Map();
+
+/**
+ * Load a language pack's language.json
+ * @param {string} code - Language code (defaults to the deployment's language)
+ * @returns {Object} Validated pack
+ * @throws {Error} If the pack is missing or invalid (error.validationErrors lists the problems)
+ */
+export function loadLanguage(code = getDefaultLanguage()) {
+  if (cache.has(code)) {
+    return cache.get(code);
+  }
+
+  const file = path.join(getPackDir(code), 'language.json');
+  const pack = normalize(JSON.parse(fs.readFileSync(file, 'utf8')), LANGUAGE);
+  const errors = validate(pack, LANGUAGE);
+  if (pack.code !== code) {
+    errors.push(`code: "${pack.code}" does not match the folder name "${code}"`);
+  }
+  if (errors.length > 0) {
+    const error = new Error(`Invalid language pack ${code}:\n- ${errors.join('\n- ')}`);
+    error.validationErrors = errors;
+    throw error;
+  }
+
+  cache.set(code, pack);
+  return pack;
+}
+
+/**
+ * The teacher persona generator prompts open with
+ * @param {string} code - Language code
+ * @returns {string} e.g. "Italian teacher"
+ */
+export function getTeacher(code = getDefaultLanguage()) {
+  return `${loadLanguage(code).name} teacher`;
+}
+
+/**
+ * Get one of a pack's phrases
+ * @param {string} code - Language code
+ * @param {string} key - One of PHRASES
+ * @returns {Object} { text, translation }
+ */
+export function getPhrase(code, key) {
+  return loadLanguage(code).phrases[key];
+}
+
+/**
+ * Get just the text of one of a pack's phrases
+ * @param {string} code - Language code
+ * @param {string} key - One of PHRASES
+ * @returns {string} e.g. "Bravissimo!"
+ */
+export function getPhraseText(code, key) {
+  return getPhrase(code, key).text;
+}
+
+/**
+ * Translate one of a pack's phrases into the learner's native language
+ * @param {string} code - Language code
+ * @param {string} key - One of PHRASES
+ * @param {string} nativeLanguage - Locale code (the pack's own translation is English)
+ * @returns {string} e.g. "Happy studying!"
+ */
+export function getPhraseTranslation(code, key, nativeLanguage) {
+  return translatePhrase(nativeLanguage, key) || getPhrase(code, key).translation;
+}
+
+/**
+ * Format a phrase the way the bot's messages use it: bold, with its translation after it
+ * @param {string} code - Language code
+ * @param {string} key - One of PHRASES
+ * @param {string} nativeLanguage - Locale code the translation is shown in (defaults to the pack's English)
+ * @returns {string} e.g. "*Buono studio!* (Happy studying!)" (Markdown)
+ */
+export function formatPhrase(code, key, nativeLanguage) {
+  return `*${getPhraseText(code, key)}* (${getPhraseTranslation(code, key, nativeLanguage)})`;
+}
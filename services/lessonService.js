@@ -0,0 +1,228 @@
+import * as db from './db.js';
+import * as wordsService from './wordsService.js';
+import * as storyService from './storyService.js';
+import * as quizService from './quizService.js';
+import { DEFAULT_LEVEL } from './curriculumService.js';
+import { getDefaultLanguage } from './languageService.js';
+
+/**
+ * Lesson Service - One generated lesson per user and curriculum day
+ *
+ * Snapshots are kept per course and language, so switching course or language and back finds the same lessons.
+ * The first request for a part of a day's lesson (the words with their context dialogue,
+ * the story, the writing prompt or the quiz) generates it and stores it in that day's
+ * snapshot; later requests serve the stored copy, so /today, /vocab, /practice and /quiz
+ * show the same lesson all day. regenerateLesson drops the snapshot (or one part of it)
+ * so the next request generates a fresh one.
+ * Parts are generated in the learner's native language (currentTask.nativeLanguage) and keep
+ * it when that changes, until they are regenerated.
+ */
+
+export const LESSON_PARTS = ['words', 'story', 'prompt', 'quiz'];
+
+// Generations in flight per user and day, so two quick requests don't generate twice
+const locks = new Map();
+
+/**
+ * Run fn after any earlier work queued for the same key has finished
+ * @param {string} key - Lock key
+ * @param {Function} fn - async () => result
+ * @returns {Promise} fn's result
+ */
+function withLock(key, fn) {
+  const previous = locks.get(key) || Promise.resolve();
+  const run = previous.catch(() => {}).then(fn);
+  locks.set(key, run);
+
+  run.catch(() => {}).finally(() => {
+    if (locks.get(key) === run) {
+      locks.delete(key);
+    }
+  });
+
+  return run;
+}
+
+/**
+ * Create an empty snapshot for a curriculum day
+ * @param {number} weekNumber - Week number
+ * @param {number} dayNumber - Day number
+ * @param {string} theme - Week theme
+ * @returns {Object} { weekNumber, dayNumber, theme, createdAt, updatedAt, parts }
+ */
+export function createSnapshot(weekNumber, dayNumber, theme) {
+  const now = new Date().toISOString();
+  return { weekNumber, dayNumber, theme, createdAt: now, updatedAt: now, parts: {} };
+}
+
+/**
+ * Get the stored lesson for a day
+ * @param {number} userId - User ID
+ * @param {number} weekNumber - Week number
+ * @param {number} dayNumber - Day number
+ * @param {string} course - Course level (defaults to A1)
+ * @param {string} language - Language code (defaults to the deployment's language)
+ * @returns {Object|null} Snapshot, or null if nothing was generated yet
+ */
+export async function getLesson(userId, weekNumber, dayNumber, course = DEFAULT_LEVEL, language = getDefaultLanguage()) {
+  return await db.getLesson(userId, weekNumber, dayNumber, course, language);
+}
+
+/**
+ * Serve one part of a day's lesson, generating and storing it the first time
+ * @param {number} userId - User ID
+ * @param {Object} currentTask - Current task (language, course, week and day)
+ * @param {Object} dailyPlan - Daily plan for that day
+ * @param {string} part - One of LESSON_PARTS
+ * @param {Function} generate - async () => content
+ * @returns {Object} { content, created } - created is true when it was just generated
+ */
+async function getPart(userId, currentTask, dailyPlan, part, generate) {
+  const { language = getDefaultLanguage(), course = DEFAULT_LEVEL, weekNumber, dayNumber } = currentTask;
+
+  return withLock(`${userId}_${language}_${course}_${weekNumber}_${dayNumber}`, async () => {
+    const stored = await db.getLesson(userId, weekNumber, dayNumber, course, language);
+    if (stored && stored.parts[part]) {
+      return { content: stored.parts[part], created: false };
+    }
+
+    const content = await generate();
+    const snapshot = stored || createSnapshot(weekNumber, dayNumber, dailyPlan.theme);
+    snapshot.parts[part] = content;
+    snapshot.updatedAt = new Date().toISOString();
+    await db.saveLesson(userId, weekNumber, dayNumber, snapshot, course, language);
+
+    console.log(`✅ Stored ${part} for user ${userId} (Week ${weekNumber}, Day ${dayNumber})`);
+    return { content, created: true };
+  });
+}
+
+/**
+ * Get the day's words and context dialogue
+ * Newly generated words are added to the user's vocabulary ledger
+ * @param {number} userId - User ID
+ * @param {Object} currentTask - Current task (week and day)
+ * @param {Object} dailyPlan - Daily plan for that day
+ * @returns {Object} Words payload (see wordsService.generateDailyWords)
+ */
+export async function getWords(userId, currentTask, dailyPlan) {
+  const { content, created } = await getPart(userId, currentTask, dailyPlan, 'words', () =>
+    wordsService.generateDailyWords(
+      dailyPlan.theme,
+      dailyPlan.task,
+      dailyPlan.focus,
+      dailyPlan.vocabularyCount || 10,
+      {
+        level: dailyPlan.level,
+        language: currentTask.language,
+        nativeLanguage: currentTask.nativeLanguage,
+        dayNumber: currentTask.dayNumber,
+        seedVocabulary: dailyPlan.seedVocabulary,
+        grammar: dailyPlan.grammar
+      }
+    )
+  );
+
+  if (created) {
+    await db.saveVocabulary(userId, currentTask.weekNumber, wordsService.extractWords(content), {
+      language: currentTask.language,
+      course: currentTask.course,
+      dayNumber: currentTask.dayNumber,
+      theme: dailyPlan.theme
+    });
+  }
+
+  return content;
+}
+
+/**
+ * Get the day's reading story (built from the week's vocabulary)
+ * @param {number} userId - User ID
+ * @param {Object} currentTask - Current task (week and day)
+ * @param {Object} dailyPlan - Daily plan for that day
+ * @returns {Object} Story (see storyService.generateTaskBasedStory)
+ */
+export async function getStory(userId, currentTask, dailyPlan) {
+  const { content } = await getPart(userId, currentTask, dailyPlan, 'story', async () => {
+    const weekVocab = await db.getWeekVocabulary(userId, currentTask.weekNumber, currentTask.course, currentTask.language);
+    return storyService.generateTaskBasedStory(
+      dailyPlan.theme, dailyPlan.task, weekVocab, currentTask.dayNumber, dailyPlan.level, currentTask.language,
+      currentTask.nativeLanguage
+    );
+  });
+  return content;
+}
+
+/**
+ * Get the day's writing prompt (built from the week's vocabulary)
+ * @param {number} userId - User ID
+ * @param {Object} currentTask - Current task (week and day)
+ * @param {Object} dailyPlan - Daily plan for that day
+ * @returns {Object} Practice prompt (see storyService.generatePracticePrompt)
+ */
+export async function getPracticePrompt(userId, currentTask, dailyPlan) {
+  const { content } = await getPart(userId, currentTask, dailyPlan, 'prompt', async () => {
+    const weekVocab = await db.getWeekVocabulary(userId, currentTask.weekNumber, currentTask.course, currentTask.language);
+    return storyService.generatePracticePrompt(
+      dailyPlan.theme, weekVocab, currentTask.dayNumber, dailyPlan.level, currentTask.language,
+      currentTask.nativeLanguage
+    );
+  });
+  return content;
+}
+
+/**
+ * Get the day's quiz (built from the week's vocabulary)
+ * @param {number} userId - User ID
+ * @param {Object} currentTask - Current task (week and day)
+ * @param {Object} dailyPlan - Daily plan for that day
+ * @returns {Object} Quiz with its week number set
+ */
+export async function getQuiz(userId, currentTask, dailyPlan) {
+  const { content } = await getPart(userId, currentTask, dailyPlan, 'quiz', async () => {
+    const weekVocab = await db.getWeekVocabulary(userId, currentTask.weekNumber, currentTask.course, currentTask.language);
+    const quiz = await quizService.generateWeeklyQuiz(
+      currentTask.weekNumber, dailyPlan.theme, weekVocab, currentTask.dayNumber, dailyPlan.level, currentTask.language,
+      currentTask.nativeLanguage
+    );
+    return { ...quiz, week: currentTask.weekNumber };
+  });
+  return content;
+}
+
+/**
+ * Drop a day's lesson, or one part of it, so it is generated again on the next request
+ * @param {number} userId - User ID
+ * @param {number} weekNumber - Week number
+ * @param {number} dayNumber - Day number
+ * @param {string|null} part - One of LESSON_PARTS, or null for the whole lesson
+ * @param {string} course - Course level (defaults to A1)
+ * @param {string} language - Language code (defaults to the deployment's language)
+ * @returns {boolean} True if something was dropped
+ */
+export async function regenerateLesson(userId, weekNumber, dayNumber, part = null, course = DEFAULT_LEVEL, language = getDefaultLanguage()) {
+  if (part && !LESSON_PARTS.includes(part)) {
+    throw new Error(`Unknown lesson part "${part}" (expected one of: ${LESSON_PARTS.join(', ')})`);
+  }
+
+  return withLock(`${userId}_${language}_${course}_${weekNumber}_${dayNumber}`, async () => {
+    const stored = await db.getLesson(userId, weekNumber, dayNumber, course, language);
+    if (!stored) {
+      return false;
+    }
+
+    if (!part) {
+      await db.deleteLesson(userId, weekNumber, dayNumber, course, language);
+      return true;
+    }
+
+    if (!stored.parts[part]) {
+      return false;
+    }
+
+    delete stored.parts[part];
+    stored.updatedAt = new Date().toISOString();
+    await db.saveLesson(userId, weekNumber, dayNumber, stored, course, language);
+    return true;
+  });
+}
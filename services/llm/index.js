@@ -0,0 +1,56 @@
+import { createOpenAIProvider } from './openaiProvider.js';
+import { createMockProvider } from './mockProvider.js';
+
+/**
+ * LLM providers - Pluggable completion backends behind services/llmService.js
+ *
+ * Every provider returns an object implementing this contract. Retries, timeouts and
+ * token accounting live in llmService, so providers make exactly one attempt per call.
+ *
+ * @typedef {Object} LLMProvider
+ * @property {string} name - Provider name
+ * @property {(request: Object) => Promise<{content: string, usage: Object}>} complete - One chat completion.
+ *   request: { task, model, messages, temperature, maxTokens, responseFormat, timeoutMs }
+ *   (responseFormat is OpenAI's response_format, e.g. { type: 'json_object' }, or undefined);
+ *   usage: { promptTokens, completionTokens }.
+ *   Errors from the API carry `status` (HTTP status) and, for 429s, `retryAfter` (seconds) when known
+ */
+
+const PROVIDERS = {
+  openai: createOpenAIProvider,
+  mock: createMockProvider
+};
+
+/**
+ * Resolve which provider to use from LLM_PROVIDER (defaults to openai)
+ * @returns {string} Provider name
+ */
+export function resolveProviderName() {
+  const requested = (process.env.LLM_PROVIDER || '').trim().toLowerCase();
+
+  if (!requested) {
+    return 'openai';
+  }
+
+  if (!PROVIDERS[requested]) {
+    throw new Error(`Unknown LLM_PROVIDER "${requested}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+
+  return requested;
+}
+
+/**
+ * Create a provider
+ * @param {string} providerName - 'openai' or 'mock'
+ * @param {*} options - Provider-specific options (fixture directory for mock)
+ * @returns {LLMProvider} Provider
+ */
+export function createProvider(providerName = resolveProviderName(), options) {
+  const factory = PROVIDERS[providerName];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${providerName}"`);
+  }
+  return factory(options);
+}
+
+export const providerNames = Object.keys(PROVIDERS);
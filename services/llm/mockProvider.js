@@ -0,0 +1,75 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Mock Provider - Deterministic replies from JSON fixtures, no network
+ * Used for offline runs (LLM_PROVIDER=mock) and test scripts
+ *
+ * Each task has a fixture file <task>.json holding an array of
+ *   { "match": "text to look for in the prompt", "content": string | object }
+ * The first entry whose match appears in the request's messages wins; an entry
+ * without match is the catch-all. Object content is sent back as JSON text,
+ * the way the real model is asked to answer.
+ */
+
+const DEFAULT_FIXTURE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+/**
+ * Rough token count for usage accounting (about 4 characters per token)
+ * @param {string} text - Text
+ * @returns {number} Estimated tokens
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Create a mock provider
+ * @param {string} fixtureDir - Fixture directory (defaults to LLM_FIXTURES_DIR or services/llm/fixtures)
+ * @returns {Object} Provider (see services/llm/index.js)
+ */
+export function createMockProvider(fixtureDir = process.env.LLM_FIXTURES_DIR || DEFAULT_FIXTURE_DIR) {
+  const fixtures = new Map();
+
+  /**
+   * Load (once) the fixtures for a task
+   * @param {string} task - Task name
+   * @returns {Array} Fixture entries
+   */
+  function loadFixtures(task) {
+    if (!fixtures.has(task)) {
+      const file = path.join(fixtureDir, `${task}.json`);
+      if (!fs.existsSync(file)) {
+        throw new Error(`No mock fixture file for task "${task}" (${file})`);
+      }
+      fixtures.set(task, JSON.parse(fs.readFileSync(file, 'utf8')));
+    }
+    return fixtures.get(task);
+  }
+
+  return {
+    name: 'mock',
+
+    async complete({ task, messages }) {
+      const prompt = messages.map(message => message.content).join('\n');
+      const fixture = loadFixtures(task).find(entry => !entry.match || prompt.includes(entry.match));
+
+      if (!fixture) {
+        throw new Error(`No mock fixture for task "${task}" matches this prompt`);
+      }
+
+      const content = typeof fixture.content === 'string'
+        ? fixture.content
+        : JSON.stringify(fixture.content);
+
+      return {
+        content,
+        usage: {
+          promptTokens: estimateTokens(prompt),
+          completionTokens: estimateTokens(content)
+        }
+      };
+    }
+  };
+}
@@ -0,0 +1,55 @@
+import OpenAI from 'openai';
+
+/**
+ * OpenAI Provider - Chat completions through the official SDK
+ * The SDK's own retries are disabled; llmService decides when to retry
+ */
+
+/**
+ * Create an OpenAI provider
+ * @returns {Object} Provider (see services/llm/index.js)
+ */
+export function createOpenAIProvider() {
+  if (!process.env.OPENAI_API_KEY) {
+    throw new Error('OPENAI_API_KEY environment variable is required');
+  }
+
+  // Trim whitespace and newlines from API key (common issue when copying from files)
+  const apiKey = process.env.OPENAI_API_KEY.trim().replace(/\r?\n|\r/g, '');
+
+  if (!apiKey) {
+    throw new Error('OPENAI_API_KEY is empty after trimming');
+  }
+
+  const client = new OpenAI({ apiKey, maxRetries: 0 });
+
+  return {
+    name: 'openai',
+
+    async complete({ model, messages, temperature, maxTokens, responseFormat, timeoutMs }) {
+      try {
+        const completion = await client.chat.completions.create({
+          model,
+          messages,
+          temperature,
+          max_tokens: maxTokens,
+          ...(responseFormat ? { response_format: responseFormat } : {})
+        }, { timeout: timeoutMs });
+
+        return {
+          content: completion.choices[0].message.content,
+          usage: {
+            promptTokens: completion.usage?.prompt_tokens || 0,
+            completionTokens: completion.usage?.completion_tokens || 0
+          }
+        };
+      } catch (error) {
+        const retryAfter = Number(error.headers?.['retry-after']);
+        if (Number.isFinite(retryAfter)) {
+          error.retryAfter = retryAfter;
+        }
+        throw error;
+      }
+    }
+  };
+}
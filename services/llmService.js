@@ -0,0 +1,299 @@
+import { createProvider } from './llm/index.js';
+import * as schemaService from './schemaService.js';
+
+/**
+ * LLM Service - The one gateway every OpenAI call goes through
+ *
+ * - Per-task settings (TASKS): model, temperature and max tokens; the model can be
+ *   overridden for all tasks with LLM_MODEL or per task with LLM_MODEL_<TASK>
+ *   (e.g. LLM_MODEL_WEEKLY_QUIZ=gpt-4o)
+ * - Exponential backoff on 429 / 5xx / timeouts (LLM_MAX_RETRIES, LLM_RETRY_BASE_MS),
+ *   honouring Retry-After when the API sends it
+ * - Per-request timeout (LLM_TIMEOUT_MS)
+ * - Token accounting per task and model (getUsage)
+ * - JSON payloads (completeJSON): JSON response_format, schema validation with field-level
+ *   errors, a repair loop that sends the errors back to the model (LLM_REPAIR_ATTEMPTS), and
+ *   defaults filled in before the payload reaches the formatters
+ * - Provider chosen by LLM_PROVIDER: 'openai' (default) or 'mock' (fixtures, no network)
+ */
+
+export const DEFAULT_MODEL = 'gpt-4o-mini';
+
+export const TASKS = {
+  words: { temperature: 0.8, maxTokens: 1500 },
+  structuredVocabulary: { temperature: 0.7, maxTokens: 2000 },
+  story: { temperature: 0.8, maxTokens: 1800 },
+  practicePrompt: { temperature: 0.7, maxTokens: 1200 },
+  sentenceFeedback: { temperature: 0.7, maxTokens: 800 },
+  weeklyQuiz: { temperature: 0.7, maxTokens: 2500 },
+  practiceQuiz: { temperature: 0.7, maxTokens: 1200 },
+  judge: { temperature: 0, maxTokens: 5 },
+  chat: { temperature: 0.7, maxTokens: 800 }
+};
+
+const MAX_BACKOFF_MS = 30000;
+
+let provider = null;
+let usage = {};
+
+/**
+ * Initialize the LLM provider
+ * @param {string} providerName - 'openai' or 'mock' (defaults to LLM_PROVIDER)
+ * @returns {Object} Provider
+ */
+export function initializeLLM(providerName) {
+  provider = createProvider(providerName);
+  console.log(`✅ LLM provider initialized: ${provider.name}`);
+  return provider;
+}
+
+/**
+ * Use a specific provider object (custom backends, tests)
+ * @param {Object} customProvider - Provider implementing services/llm/index.js
+ */
+export function setProvider(customProvider) {
+  provider = customProvider;
+}
+
+/**
+ * Get the name of the active provider
+ * @returns {string|null} Provider name, null before initialization
+ */
+export function getProviderName() {
+  return provider ? provider.name : null;
+}
+
+/**
+ * Environment variable suffix for a task ("weeklyQuiz" → "WEEKLY_QUIZ")
+ * @param {string} task - Task name
+ * @returns {string} Suffix
+ */
+function envName(task) {
+  return task.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+/**
+ * Read a non-negative integer from the environment
+ * @param {string} name - Variable name
+ * @param {number} fallback - Default
+ * @returns {number} Value
+ */
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Get the model used for a task
+ * @param {string} task - Task name
+ * @returns {string} Model name
+ */
+export function getModel(task) {
+  return process.env[`LLM_MODEL_${envName(task)}`]?.trim()
+    || process.env.LLM_MODEL?.trim()
+    || DEFAULT_MODEL;
+}
+
+/**
+ * Check whether a failed request is worth retrying
+ * Rate limits, server errors, timeouts and dropped connections are; bad requests are not
+ * @param {Error} error - Error from the provider
+ * @returns {boolean} True if retryable
+ */
+export function isRetryable(error) {
+  if (error.status) {
+    return error.status === 429 || error.status >= 500;
+  }
+  return error.code === 'ETIMEDOUT' || /connection|timeout/i.test(error.name || '');
+}
+
+/**
+ * Delay before the next attempt: baseDelayMs × 2^attempt, or the server's Retry-After
+ * @param {number} attempt - Attempts already failed (0 for the first retry)
+ * @param {number} baseDelayMs - Base delay
+ * @param {number} retryAfter - Retry-After in seconds, if the server sent one
+ * @returns {number} Milliseconds, capped at 30 seconds
+ */
+export function getBackoffDelay(attempt, baseDelayMs, retryAfter) {
+  const delay = Number.isFinite(retryAfter)
+    ? retryAfter * 1000
+    : baseDelayMs * 2 ** attempt;
+  return Math.min(delay, MAX_BACKOFF_MS);
+}
+
+/**
+ * Reject if a request takes longer than timeoutMs
+ * @param {Promise} promise - Provider request
+ * @param {number} timeoutMs - Timeout
+ * @returns {Promise} The request's result
+ */
+function withTimeout(promise, timeoutMs) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`LLM request timed out after ${timeoutMs}ms`);
+      error.code = 'ETIMEDOUT';
+      reject(error);
+    }, timeoutMs);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Add one request to the usage totals
+ * @param {string} task - Task name
+ * @param {string} model - Model name
+ * @param {Object} entry - { promptTokens, completionTokens, retries, repairs, failed, requests }
+ */
+function recordUsage(task, model, { promptTokens = 0, completionTokens = 0, retries = 0, repairs = 0, failed = false, requests = 1 }) {
+  const key = `${task}:${model}`;
+  const totals = usage[key] || {
+    task,
+    model,
+    requests: 0,
+    failures: 0,
+    retries: 0,
+    repairs: 0,
+    promptTokens: 0,
+    completionTokens: 0
+  };
+
+  totals.requests += requests;
+  totals.failures += failed ? 1 : 0;
+  totals.retries += retries;
+  totals.repairs += repairs;
+  totals.promptTokens += promptTokens;
+  totals.completionTokens += completionTokens;
+  usage[key] = totals;
+}
+
+/**
+ * Run a chat completion for a task
+ * @param {string} task - Task name (key of TASKS)
+ * @param {Array} messages - Chat messages ({ role, content })
+ * @param {Object} options - Per-call overrides: { model, temperature, maxTokens, responseFormat }
+ * @returns {string} The reply text
+ */
+export async function complete(task, messages, options = {}) {
+  if (!TASKS[task]) {
+    throw new Error(`Unknown LLM task "${task}"`);
+  }
+  if (!provider) {
+    initializeLLM();
+  }
+
+  const request = {
+    task,
+    model: options.model || getModel(task),
+    messages,
+    temperature: options.temperature ?? TASKS[task].temperature,
+    maxTokens: options.maxTokens ?? TASKS[task].maxTokens,
+    responseFormat: options.responseFormat,
+    timeoutMs: envInt('LLM_TIMEOUT_MS', 30000)
+  };
+  const maxRetries = envInt('LLM_MAX_RETRIES', 3);
+  const baseDelayMs = envInt('LLM_RETRY_BASE_MS', 500);
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const result = await withTimeout(provider.complete(request), request.timeoutMs);
+      recordUsage(task, request.model, { ...result.usage, retries: attempt });
+      return result.content;
+    } catch (error) {
+      if (attempt >= maxRetries || !isRetryable(error)) {
+        recordUsage(task, request.model, { retries: attempt, failed: true });
+        throw error;
+      }
+
+      const delay = getBackoffDelay(attempt, baseDelayMs, error.retryAfter);
+      console.log(`⚠️ LLM ${task} request failed (${error.status || error.message}), retrying in ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Build the follow-up message asking the model to fix an invalid payload
+ * @param {Array<string>} errors - Validation errors
+ * @returns {string} Repair instructions
+ */
+function buildRepairPrompt(errors) {
+  return `Your JSON did not match the required format:\n${errors.slice(0, 10).map(error => `- ${error}`).join('\n')}\n\n`
+    + 'Reply with the corrected JSON only - no code fences, no comments.';
+}
+
+/**
+ * Run a chat completion whose reply must be JSON matching a schema
+ * Invalid replies are sent back with their field-level errors (up to LLM_REPAIR_ATTEMPTS times)
+ * @param {string} task - Task name (key of TASKS)
+ * @param {Array} messages - Chat messages; the prompt should describe the JSON shape
+ * @param {Object} schema - Schema from schemaService
+ * @param {Object} options - Per-call overrides (see complete)
+ * @returns {*} Parsed, normalized and validated payload
+ * @throws {Error} With validationErrors when the reply is still invalid after the repairs
+ */
+export async function completeJSON(task, messages, schema, options = {}) {
+  // json_object mode only allows a top-level object; array payloads rely on the prompt
+  const responseFormat = schema.type === 'object' ? { type: 'json_object' } : undefined;
+  const maxRepairs = envInt('LLM_REPAIR_ATTEMPTS', 2);
+  let conversation = messages;
+
+  for (let attempt = 0; ; attempt++) {
+    const content = await complete(task, conversation, { ...options, responseFormat });
+    const { value, errors } = schemaService.parseAndValidate(content, schema);
+
+    if (errors.length === 0) {
+      return value;
+    }
+
+    if (attempt >= maxRepairs) {
+      const error = new Error(`Invalid ${task} JSON after ${attempt + 1} attempt(s): ${errors.slice(0, 3).join('; ')}`);
+      error.validationErrors = errors;
+      throw error;
+    }
+
+    console.log(`⚠️ LLM ${task} reply failed validation (${errors.length} error(s)), asking for a repair`);
+    recordUsage(task, options.model || getModel(task), { repairs: 1, requests: 0 });
+    conversation = [
+      ...messages,
+      { role: 'assistant', content },
+      { role: 'user', content: buildRepairPrompt(errors) }
+    ];
+  }
+}
+
+/**
+ * Get token usage since startup (or the last resetUsage)
+ * @returns {Object} { total: { requests, failures, retries, repairs, promptTokens, completionTokens }, byTask: [...] }
+ */
+export function getUsage() {
+  const byTask = Object.values(usage).map(entry => ({ ...entry }));
+  const total = byTask.reduce((sum, entry) => ({
+    requests: sum.requests + entry.requests,
+    failures: sum.failures + entry.failures,
+    retries: sum.retries + entry.retries,
+    repairs: sum.repairs + entry.repairs,
+    promptTokens: sum.promptTokens + entry.promptTokens,
+    completionTokens: sum.completionTokens + entry.completionTokens
+  }), { requests: 0, failures: 0, retries: 0, repairs: 0, promptTokens: 0, completionTokens: 0 });
+
+  return { total, byTask };
+}
+
+/**
+ * Clear the usage totals
+ */
+export function resetUsage() {
+  usage = {};
+}
+
+/**
+ * Format a one-line usage summary for logs
+ * @returns {string} Summary
+ */
+export function formatUsage() {
+  const { total } = getUsage();
+  return `📊 LLM usage: ${total.requests} request(s), ${total.promptTokens + total.completionTokens} tokens `
+    + `(${total.promptTokens} prompt, ${total.completionTokens} completion), ${total.retries} retries, ${total.repairs} repairs, ${total.failures} failures`;
+}
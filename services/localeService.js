@@ -0,0 +1,197 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { normalize, validate } from './schemaService.js';
+
+/**
+ * Locale Service - The learner's native language: the bot's UI copy and the language
+ * generated translations, explanations and feedback are written in
+ *
+ * Each locale is a catalog in locales/<code>.json (e.g. locales/ru.json) holding:
+ * - name (in English, for generator prompts) and nativeName (for /native)
+ * - messages: every message the bot sends, by key ("status.title"), with {placeholders}
+ * - phrases: translations of the language pack phrases ("Buono studio!" → "Приятной учёбы!");
+ *   English uses the translations in each language pack
+ *
+ * English (locales/en.json) is the reference catalog: a key another catalog lacks falls back to it.
+ * The deployment's default is set with NATIVE_LANGUAGE (default "en"); each user's is in
+ * users.native_language, taken from Telegram on /start and changed with /native.
+ */
+
+export const LOCALE_VERSION = 1;
+
+// The reference catalog, and what data saved before locales existed is written in
+export const FALLBACK_LOCALE = 'en';
+
+const LOCALES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'locales');
+
+const TEXT_MAP = {
+  type: 'object',
+  check: (map, path) => Object.entries(map)
+    .filter(([, text]) => typeof text !== 'string' || text.length === 0)
+    .map(([key]) => `${path}.${key}: expected a non-empty string`)
+};
+
+const LOCALE = {
+  type: 'object',
+  required: ['version', 'code', 'name', 'nativeName', 'messages'],
+  properties: {
+    version: {
+      type: 'integer',
+      check: (version, path) => (version === LOCALE_VERSION
+        ? []
+        : [`${path}: unsupported locale version ${version} (expected ${LOCALE_VERSION})`])
+    },
+    code: { type: 'string', minLength: 1 },
+    name: { type: 'string', minLength: 1 },
+    nativeName: { type: 'string', minLength: 1 },
+    messages: TEXT_MAP,
+    phrases: { ...TEXT_MAP, default: {} }
+  }
+};
+
+/**
+ * The deployment's default native language (NATIVE_LANGUAGE, falling back to English)
+ * @returns {string} Locale code
+ */
+export function getDefaultLocale() {
+  return (process.env.NATIVE_LANGUAGE || '').trim().toLowerCase() || FALLBACK_LOCALE;
+}
+
+/**
+ * Codes of the installed locales
+ * @returns {Array<string>} Codes, sorted
+ */
+export function listLocales() {
+  if (!fs.existsSync(LOCALES_DIR)) {
+    return [];
+  }
+  return fs.readdirSync(LOCALES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'))
+    .sort();
+}
+
+/**
+ * Find an installed locale by code or name ("ru", "ru-RU", "Russian" and "русский" all give "ru")
+ * Also reads Telegram's language_code
+ * @param {string} input - Language as typed, or a language tag
+ * @returns {string|null} Locale code, or null if no catalog matches
+ */
+export function parseLocale(input) {
+  const wanted = String(input || '').trim().toLowerCase();
+  if (!wanted) {
+    return null;
+  }
+
+  const base = wanted.split(/[-_]/)[0];
+  return listLocales().find(code => {
+    if (code === wanted || code === base) return true;
+    const locale = loadLocale(code);
+    return locale.name.toLowerCase() === wanted || locale.nativeName.toLowerCase() === wanted;
+  }) || null;
+}
+
+/**
+ * Validate locale data
+ * @param {*} data - Parsed locale catalog
+ * @returns {Array<string>} Field-level errors, e.g. "messages.status.title: expected a non-empty string"
+ */
+export function validateLocale(data) {
+  return validate(normalize(data, LOCALE), LOCALE);
+}
+
+/**
+ * Placeholders a message uses
+ * @param {string} text - Message text
+ * @returns {Array<string>} Placeholder names, sorted and without duplicates
+ */
+export function getPlaceholders(text) {
+  return [...new Set([...String(text).matchAll(/\{(\w+)\}/g)].map(match => match[1]))].sort();
+}
+
+// Parsed catalogs by code, loaded on first use
+const cache = new Map();
+
+/**
+ * Load a locale catalog
+ * @param {string} code - Locale code (defaults to the deployment's native language)
+ * @returns {Object} Validated catalog
+ * @throws {Error} If the catalog is missing or invalid (error.validationErrors lists the problems)
+ */
+export function loadLocale(code = getDefaultLocale()) {
+  if (cache.has(code)) {
+    return cache.get(code);
+  }
+
+  const file = path.join(LOCALES_DIR, `${code}.json`);
+  const locale = normalize(JSON.parse(fs.readFileSync(file, 'utf8')), LOCALE);
+  const errors = validate(locale, LOCALE);
+  if (locale.code !== code) {
+    errors.push(`code: "${locale.code}" does not match the file name "${code}"`);
+  }
+  if (errors.length > 0) {
+    const error = new Error(`Invalid locale ${code}:\n- ${errors.join('\n- ')}`);
+    error.validationErrors = errors;
+    throw error;
+  }
+
+  cache.set(code, locale);
+  return locale;
+}
+
+/**
+ * A locale, or the fallback when it isn't installed
+ * Users keep their native language if a catalog is removed
+ * @param {string} code - Locale code
+ * @returns {Object} Validated catalog
+ */
+function resolveLocale(code) {
+  const installed = [code, getDefaultLocale()]
+    .find(candidate => candidate && (cache.has(candidate) || fs.existsSync(path.join(LOCALES_DIR, `${candidate}.json`))));
+  return loadLocale(installed || FALLBACK_LOCALE);
+}
+
+/**
+ * English name of a native language, for generator prompts
+ * @param {string} code - Locale code (defaults to the deployment's native language)
+ * @returns {string} e.g. "Russian"
+ */
+export function getLocaleName(code = getDefaultLocale()) {
+  return resolveLocale(code).name;
+}
+
+/**
+ * A native language's own name, for messages
+ * @param {string} code - Locale code (defaults to the deployment's native language)
+ * @returns {string} e.g. "Русский"
+ */
+export function getLocaleNativeName(code = getDefaultLocale()) {
+  return resolveLocale(code).nativeName;
+}
+
+/**
+ * Translate a message
+ * @param {string} code - Locale code (falls back to the default, then English)
+ * @param {string} key - Message key, e.g. "common.startFirst"
+ * @param {Object} params - Values for the message's {placeholders}
+ * @returns {string} Message text (the key itself if no catalog has it)
+ */
+export function t(code, key, params = {}) {
+  const text = resolveLocale(code).messages[key] ?? loadLocale(FALLBACK_LOCALE).messages[key];
+  if (text === undefined) {
+    console.error(`Missing message "${key}"`);
+    return key;
+  }
+  return text.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] === undefined ? placeholder : String(params[name])));
+}
+
+/**
+ * Translation of a language pack phrase into a native language
+ * @param {string} code - Locale code
+ * @param {string} key - Phrase key (see languageService.PHRASES)
+ * @returns {string|null} Translation, or null when the locale uses the pack's own (English)
+ */
+export function translatePhrase(code, key) {
+  return resolveLocale(code).phrases[key] || null;
+}
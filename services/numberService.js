@@ -0,0 +1,548 @@
+import { getDefaultLanguage } from './languageService.js';
+
+/**
+ * Number Service - Offline Italian numbers, prices, clock times and dates, in words and back,
+ * so the number drills never depend on the LLM
+ *
+ * The rules are Italian and are written out here rather than in the language pack:
+ * - numbers are one word up to a million: tens drop their vowel before uno and otto (ventuno,
+ *   ventotto), a final tre takes an accent (ventitré), cento drops its o before ottanta
+ *   (centottanta), mille becomes -mila (tremila, ventunmila, but centounomila); millions are
+ *   separate words (due milioni trecentomila, ventitré milioni)
+ * - prices are euro and centesimi (dodici euro e cinquanta), written 12,50 € with a decimal comma
+ * - clock times are told with the hour's article (sono le tre, è l'una, è mezzogiorno), then
+ *   e + minutes or meno + the minutes to the next hour (le sette meno un quarto)
+ * - dates take il (l' before otto and undici) and primo for the first (il primo maggio)
+ * Each "to words" function gives the form the drills show; the *Variants functions list every
+ * spelling the drills accept, and the parse* functions read the words back.
+ */
+
+// The language packs these rules are written for
+export const LANGUAGES = ['it'];
+
+const UNITS = [
+  'zero', 'uno', 'due', 'tre', 'quattro', 'cinque', 'sei', 'sette', 'otto', 'nove',
+  'dieci', 'undici', 'dodici', 'tredici', 'quattordici', 'quindici', 'sedici', 'diciassette', 'diciotto', 'diciannove'
+];
+
+const TENS = ['venti', 'trenta', 'quaranta', 'cinquanta', 'sessanta', 'settanta', 'ottanta', 'novanta'];
+
+export const MONTHS = [
+  'gennaio', 'febbraio', 'marzo', 'aprile', 'maggio', 'giugno',
+  'luglio', 'agosto', 'settembre', 'ottobre', 'novembre', 'dicembre'
+];
+
+// 0 = Sunday, as settingsService.getLocalTime counts
+export const WEEKDAYS = ['domenica', 'lunedì', 'martedì', 'mercoledì', 'giovedì', 'venerdì', 'sabato'];
+
+export const MAX_NUMBER = 999999999;
+
+/**
+ * Whether the rules cover a language pack
+ * @param {string} language - Language pack code (defaults to the deployment's language)
+ * @returns {boolean} True for Italian
+ */
+export function hasNumberRules(language = getDefaultLanguage()) {
+  return LANGUAGES.includes(language);
+}
+
+/**
+ * Lowercase, unaccented, single-spaced text with apostrophes unified, for parsing
+ * @param {string} text - Text
+ * @returns {string} Normalized text
+ */
+function simplify(text) {
+  return String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[’‘`´]/g, "'")
+    .replace(/[.!?,;:"«»]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Write 0-99 (a final tre is left unaccented; numberToWords adds the accent)
+ * @param {number} n - Number
+ * @returns {string} Words
+ */
+function wordsBelow100(n) {
+  if (n < 20) {
+    return UNITS[n];
+  }
+  const tens = TENS[Math.floor(n / 10) - 2];
+  const unit = n % 10;
+  if (unit === 0) {
+    return tens;
+  }
+  return (unit === 1 || unit === 8 ? tens.slice(0, -1) : tens) + UNITS[unit];
+}
+
+/**
+ * Write 0-999 ('' for 0, so it can follow a thousand)
+ * @param {number} n - Number
+ * @returns {string} Words
+ */
+function wordsBelow1000(n) {
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100 ? wordsBelow100(n % 100) : '';
+  if (hundreds === 0) {
+    return rest;
+  }
+  const head = hundreds === 1 ? 'cento' : `${UNITS[hundreds]}cento`;
+  return (n % 100 >= 80 && n % 100 < 90 ? head.slice(0, -1) : head) + rest;
+}
+
+/**
+ * Drop the o of a final uno before a noun or a multiplier (ventuno → ventun mila, ventun euro)
+ * @param {string} words - Number in words
+ * @returns {string} Words
+ */
+function beforeNoun(words) {
+  return words.endsWith('uno') ? words.slice(0, -1) : words;
+}
+
+/**
+ * Write how many thousands or millions there are: a final uno drops its o (ventunmila), except
+ * after cento (centounomila)
+ * @param {number} n - Multiplier, 2-999
+ * @returns {string} Words
+ */
+function multiplier(n) {
+  const words = wordsBelow1000(n);
+  return n > 100 && n % 100 === 1 ? words : beforeNoun(words);
+}
+
+/**
+ * Write 0-999,999 ('' for 0)
+ * @param {number} n - Number
+ * @returns {string} Words
+ */
+function wordsBelowMillion(n) {
+  const thousands = Math.floor(n / 1000);
+  const rest = wordsBelow1000(n % 1000);
+  if (thousands === 0) {
+    return rest;
+  }
+  return (thousands === 1 ? 'mille' : `${multiplier(thousands)}mila`) + rest;
+}
+
+/**
+ * Write a whole number in Italian words (1847 → milleottocentoquarantasette)
+ * @param {number} n - Whole number from 0 to MAX_NUMBER
+ * @returns {string|null} Words, or null when out of range
+ */
+export function numberToWords(n) {
+  if (!Number.isInteger(n) || n < 0 || n > MAX_NUMBER) {
+    return null;
+  }
+  if (n === 0) {
+    return 'zero';
+  }
+
+  const millions = Math.floor(n / 1000000);
+  const rest = wordsBelowMillion(n % 1000000);
+  let words = rest;
+  if (millions > 0) {
+    const head = millions === 1 ? 'un milione' : `${multiplier(millions)} milioni`;
+    words = rest ? `${head} ${rest}` : head;
+  }
+
+  // Each word ending in a compound tre takes the accent: ventitré milioni, centotré
+  return words.split(' ').map(word => (/\Stre$/.test(word) ? `${word.slice(0, -3)}tré` : word)).join(' ');
+}
+
+/**
+ * Spellings accepted for a number: the written form, and the unelided or accentless ones
+ * learners also meet (centootto next to centotto is both)
+ * @param {number} n - Whole number
+ * @returns {Array<string>} Spellings, the one numberToWords gives first
+ */
+export function numberVariants(n) {
+  const words = numberToWords(n);
+  if (!words) {
+    return [];
+  }
+  const variants = [words, words.replace(/centootto$/, 'centotto')];
+  if (n >= 1000000 && n % 1000000) {
+    variants.push(words.replace(/ milion([ei]) /, ' milion$1 e '));
+  }
+  return [...new Set(variants)];
+}
+
+// 0-99 in words, with the unelided spellings (ventiuno) and the forms before a noun (ventun),
+// keyed by their simplified spelling
+const BELOW_100 = new Map(Array.from({ length: 100 }, (_, n) => n).flatMap(n => {
+  const words = wordsBelow100(n);
+  const entries = [[words, n]];
+  if (n > 20 && (n % 10 === 1 || n % 10 === 8)) {
+    entries.push([TENS[Math.floor(n / 10) - 2] + UNITS[n % 10], n]);
+  }
+  if (n % 10 === 1 && n !== 11) {
+    entries.push([beforeNoun(words), n]);
+  }
+  return entries;
+}));
+
+/**
+ * Read 0-999 written as one word ('' reads as 0)
+ * @param {string} text - Simplified words without spaces
+ * @returns {number|null} Number, or null
+ */
+function parseBelow1000(text) {
+  if (BELOW_100.has(text)) {
+    return BELOW_100.get(text);
+  }
+  if (text === '') {
+    return 0;
+  }
+
+  const match = text.match(/^(.*?)cent(o?)(.*)$/);
+  if (!match) {
+    return null;
+  }
+  const [, prefix, o, tail] = match;
+  const hundreds = prefix === '' ? 1 : UNITS.indexOf(prefix);
+  if (hundreds < 1 || hundreds > 9 || (prefix === 'uno')) {
+    return null;
+  }
+  // cento + otto may be centootto or centotto; cento + ottanta is centottanta
+  const rests = o ? [tail, `o${tail}`] : [tail];
+  const rest = rests.map(candidate => (candidate === '' ? 0 : BELOW_100.get(candidate))).find(value => value !== undefined);
+  return rest === undefined ? null : hundreds * 100 + rest;
+}
+
+/**
+ * Read 0-999,999 written as one word
+ * @param {string} text - Simplified words without spaces
+ * @returns {number|null} Number, or null
+ */
+function parseBelowMillion(text) {
+  if (text.startsWith('mille')) {
+    const rest = parseBelow1000(text.slice(5));
+    return rest === null ? null : 1000 + rest;
+  }
+
+  const at = text.indexOf('mila');
+  if (at === -1) {
+    return parseBelow1000(text);
+  }
+  const thousands = parseBelow1000(text.slice(0, at));
+  const rest = parseBelow1000(text.slice(at + 4));
+  return thousands === null || thousands < 2 || rest === null ? null : thousands * 1000 + rest;
+}
+
+/**
+ * Read a number written in Italian words (milleottocentoquarantasette → 1847)
+ * Spaces inside the number are tolerated (mille ottocento)
+ * @param {string} text - Words
+ * @returns {number|null} Number, or null when the words are not a number
+ */
+export function parseNumber(text) {
+  const words = simplify(text);
+  if (!words || !/^[a-z ]+$/.test(words)) {
+    return null;
+  }
+
+  const match = words.match(/^(.*?)\s*\bmilion[ei]\b(?:\s+e\b)?\s*(.*)$/);
+  if (!match) {
+    return parseBelowMillion(words.replace(/ /g, ''));
+  }
+
+  const millions = match[1] === 'un' ? 1 : parseBelow1000(match[1].replace(/ /g, ''));
+  const rest = parseBelowMillion(match[2].replace(/ /g, ''));
+  if (!millions || rest === null || (millions === 1) !== /milione\b/.test(words)) {
+    return null;
+  }
+  return millions * 1000000 + rest;
+}
+
+/**
+ * Write a number with Italian digit grouping (1847 → 1.847)
+ * @param {number} n - Whole number
+ * @returns {string} Digits
+ */
+export function formatNumber(n) {
+  return String(n).replace(/\B(?=(\d{3})+(?!\d))/g, '.');
+}
+
+/**
+ * Write a price in euro (1250 → 12,50 €)
+ * @param {number} cents - Price in cents
+ * @returns {string} Price
+ */
+export function formatPrice(cents) {
+  return `${formatNumber(Math.floor(cents / 100))},${String(cents % 100).padStart(2, '0')} €`;
+}
+
+/**
+ * An amount before a noun (uno → un, ventuno → ventun)
+ * @param {number} n - Amount
+ * @returns {string} Words
+ */
+function amount(n) {
+  return beforeNoun(numberToWords(n));
+}
+
+/**
+ * Say a price in words (1250 → dodici euro e cinquanta)
+ * @param {number} cents - Price in cents, more than 0
+ * @returns {string} Words
+ */
+export function priceToWords(cents) {
+  return priceVariants(cents)[0];
+}
+
+/**
+ * Ways accepted to say a price: with or without "centesimi" after euro, and ventuno for ventun
+ * @param {number} cents - Price in cents, more than 0
+ * @returns {Array<string>} Phrasings, the usual one first
+ */
+export function priceVariants(cents) {
+  const euros = Math.floor(cents / 100);
+  const rest = cents % 100;
+  const centWords = rest === 1 ? 'un centesimo' : `${amount(rest)} centesimi`;
+  if (euros === 0) {
+    return [centWords];
+  }
+
+  const euroForms = [`${amount(euros)} euro`];
+  if (amount(euros) !== numberToWords(euros) && euros > 1) {
+    euroForms.push(`${numberToWords(euros)} euro`);
+  }
+  if (rest === 0) {
+    return euroForms;
+  }
+  return euroForms.flatMap(euro => [`${euro} e ${numberToWords(rest)}`, `${euro} e ${centWords}`]);
+}
+
+/**
+ * Read a price said in words (dodici euro e cinquanta → 1250)
+ * @param {string} text - Words
+ * @returns {number|null} Cents, or null
+ */
+export function parsePrice(text) {
+  const match = simplify(text).match(/^(?:(.+?) euro(?: e (.+?)(?: centesim[oi])?)?|(.+?) centesim[oi])$/);
+  if (!match) {
+    return null;
+  }
+
+  const [, euroWords, centWords = match[3]] = match;
+  // One euro or cent before the noun is un (un euro, not uno euro)
+  if (euroWords === 'uno' || match[3] === 'uno') {
+    return null;
+  }
+  const euros = euroWords ? parseNumber(euroWords) : 0;
+  const rest = centWords ? parseNumber(centWords) : 0;
+  if (euros === null || rest === null || rest > 99) {
+    return null;
+  }
+  return euros * 100 + rest;
+}
+
+/**
+ * The hour as it is told, with its article
+ * @param {number} hour - Hour, 0-23
+ * @param {boolean} twentyFour - Tell afternoon hours as 13-23 (le diciotto) instead of 1-11
+ * @returns {string} e.g. "le sette", "l'una", "mezzogiorno"
+ */
+function hourPhrase(hour, twentyFour = false) {
+  if (hour === 0) return 'mezzanotte';
+  if (hour === 12) return 'mezzogiorno';
+  const told = twentyFour ? hour : hour % 12;
+  return told === 1 ? "l'una" : `le ${numberToWords(told)}`;
+}
+
+/**
+ * The minutes as they are told
+ * @param {number} minutes - Minutes, 1-59
+ * @returns {Array<string>} Ways to say them (un quarto / quindici, mezza / mezzo / trenta)
+ */
+function minutePhrases(minutes) {
+  const words = numberToWords(minutes);
+  if (minutes === 15) return ['un quarto', words];
+  if (minutes === 30) return ['mezza', 'mezzo', words];
+  if (minutes === 45) return ['tre quarti', words];
+  return [words];
+}
+
+/**
+ * Put "sono" or "è" before a time: sono le tre, è l'una, è mezzogiorno
+ * @param {string} phrase - Time phrase
+ * @returns {string} Sentence
+ */
+function withVerb(phrase) {
+  return phrase.startsWith('le ') ? `sono ${phrase}` : `è ${phrase}`;
+}
+
+/**
+ * Tell a clock time in words, as an answer to "Che ore sono?"
+ * (18:45 → sono le sette meno un quarto; 13:00 → è l'una)
+ * @param {number} hour - Hour, 0-23
+ * @param {number} minutes - Minutes, 0-59
+ * @returns {string} Sentence
+ */
+export function timeToWords(hour, minutes) {
+  return timeVariants(hour, minutes)[0];
+}
+
+/**
+ * Ways accepted to tell a time: e or meno (past the half hour), un quarto or quindici, the
+ * 24-hour reading (le diciotto e trenta), with or without "sono" / "è"
+ * @param {number} hour - Hour, 0-23
+ * @param {number} minutes - Minutes, 0-59
+ * @returns {Array<string>} Phrasings, the usual one (with its verb) first
+ */
+export function timeVariants(hour, minutes) {
+  const next = (hour + 1) % 24;
+  const hours = [hourPhrase(hour)];
+  if (hour > 12) {
+    hours.push(hourPhrase(hour, true));
+  } else if (hour === 12) {
+    hours.push('le dodici');
+  }
+
+  let phrases;
+  if (minutes === 0) {
+    phrases = hours;
+  } else {
+    phrases = hours.flatMap(told => minutePhrases(minutes).map(said => `${told} e ${said}`));
+    if (minutes > 30) {
+      const to = minutePhrases(60 - minutes).map(said => `${hourPhrase(next)} meno ${said}`);
+      phrases = minutes >= 40 ? [...to, ...phrases] : [...phrases, ...to];
+    }
+  }
+
+  return [...phrases.map(withVerb), ...phrases];
+}
+
+// How many minutes each told fraction of an hour is
+const FRACTIONS = { 'un quarto': 15, 'mezza': 30, 'mezzo': 30, 'tre quarti': 45 };
+
+/**
+ * Read a time told in words (sono le sette meno un quarto → 6:45)
+ * The hour comes back as told: 1-12 for the usual reading, 13-23 for the 24-hour one,
+ * 12 for mezzogiorno and 0 for mezzanotte.
+ * @param {string} text - Words, with or without "sono" / "è"
+ * @returns {Object|null} { hour, minutes }, or null when the words are not a time ("sono le trenta")
+ */
+export function parseTime(text) {
+  const words = simplify(text).replace(/^(?:che ore sono )?(?:sono|e) /, '').replace(/ minuti$/, '');
+  const match = words.match(/^(le |l')?(\S+)(?: (e|meno) (.+))?$/);
+  if (!match) {
+    return null;
+  }
+
+  const [, article, told, sign, said] = match;
+  let hour;
+  if (told === 'mezzogiorno' || told === 'mezzanotte') {
+    if (article) return null;
+    hour = told === 'mezzogiorno' ? 12 : 0;
+  } else if (told === 'una') {
+    if (article !== "l'") return null;
+    hour = 1;
+  } else {
+    hour = parseNumber(told);
+    if (article !== 'le ' || hour === null || hour < 2 || hour > 23) return null;
+  }
+
+  if (!sign) {
+    return { hour, minutes: 0 };
+  }
+  const minutes = FRACTIONS[said] ?? parseNumber(said);
+  if (minutes === null || minutes < 1 || minutes > 59 || (sign === 'meno' && minutes > 30)) {
+    return null;
+  }
+  if (sign === 'e') {
+    return { hour, minutes };
+  }
+  return { hour: hour === 0 ? 23 : (hour === 1 ? 12 : hour - 1), minutes: 60 - minutes };
+}
+
+/**
+ * Write a clock time in digits (18:45, 6:05)
+ * @param {number} hour - Hour, 0-23
+ * @param {number} minutes - Minutes, 0-59
+ * @returns {string} Time
+ */
+export function formatTime(hour, minutes) {
+  return `${hour}:${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * The day of the month with its article (il primo, il tre, l'otto, l'undici)
+ * @param {number} day - Day, 1-31
+ * @param {boolean} digits - Write the day in digits (il 3, l'8)
+ * @returns {string} Words
+ */
+function dayPhrase(day, digits = false) {
+  const said = day === 1 ? 'primo' : numberToWords(day);
+  const article = /^[aeiou]/.test(said) ? "l'" : 'il ';
+  return `${article}${digits ? (day === 1 ? '1°' : day) : said}`;
+}
+
+/**
+ * Say a date in words (2026-05-03 → il tre maggio; with the weekday: domenica tre maggio)
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {Object} options - { weekday } - name the weekday instead of the article (as "Oggi è..." does)
+ * @returns {string} Words
+ */
+export function dateToWords(date, { weekday = false } = {}) {
+  return dateVariants(date, { weekday })[0];
+}
+
+/**
+ * Ways accepted to say a date: day in words or digits, with or without its article (or the
+ * weekday), with or without the year, after "oggi è" when the weekday is asked for
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {Object} options - { weekday } - the weekday is part of the answer
+ * @returns {Array<string>} Phrasings, the usual one first
+ */
+export function dateVariants(date, { weekday = false } = {}) {
+  const [year, month, day] = date.split('-').map(Number);
+  const monthName = MONTHS[month - 1];
+  const dayForms = [dayPhrase(day), dayPhrase(day, true)];
+  const bareDays = [day === 1 ? 'primo' : numberToWords(day), String(day)];
+  const years = ['', ` ${numberToWords(year)}`, ` ${year}`];
+
+  let phrases;
+  if (weekday) {
+    const name = WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+    const days = bareDays.map(said => `${name} ${said} ${monthName}`);
+    phrases = days.flatMap(said => years.map(told => said + told));
+    phrases = [...phrases.map(said => `oggi è ${said}`), ...phrases];
+  } else {
+    const days = [...dayForms, ...bareDays].map(said => `${said} ${monthName}`);
+    phrases = days.flatMap(said => years.map(told => said + told));
+  }
+  return [...new Set(phrases)];
+}
+
+/**
+ * Read a date said in words (il tre maggio, oggi è lunedì diciannove ottobre duemilaventisei)
+ * @param {string} text - Words (the day may be in digits)
+ * @returns {Object|null} { day, month, year, weekday } - month 1-12; year null when not said;
+ *   weekday 0-6 as in WEEKDAYS, null when not said
+ */
+export function parseDate(text) {
+  const weekdays = WEEKDAYS.map(simplify);
+  const months = MONTHS.join('|');
+  const words = simplify(text).replace(/^oggi e /, '').replace(/°/g, '');
+  const match = words.match(new RegExp(`^(?:(${weekdays.join('|')}) |(il |l'))?(\\S+) (${months})(?: (.+))?$`));
+  if (!match) {
+    return null;
+  }
+
+  const [, weekday, article, said, monthName, yearWords] = match;
+  const day = said === 'primo' || said === '1' ? 1 : (/^\d+$/.test(said) ? Number(said) : parseNumber(said));
+  const year = yearWords ? (/^\d+$/.test(yearWords) ? Number(yearWords) : parseNumber(yearWords)) : null;
+  if (!day || day > 31 || (yearWords && !year)) {
+    return null;
+  }
+  // il tre, l'otto: the article goes with the day as it is said
+  if (article && !dayPhrase(day).startsWith(article)) {
+    return null;
+  }
+  return { day, month: MONTHS.indexOf(monthName) + 1, year, weekday: weekday ? weekdays.indexOf(weekday) : null };
+}
@@ -0,0 +1,201 @@
+import * as db from './db.js';
+import * as planService from './planService.js';
+import * as pauseService from './pauseService.js';
+import { t } from './localeService.js';
+
+/**
+ * Pacing Service - How a user moves through their course
+ *
+ * - calendar (default) - one curriculum day per calendar day since start_date
+ * - mastery            - the position (users.current_week / current_day) only advances when
+ *                        the day is completed, or jumps to the next week when the weekly quiz
+ *                        is passed with at least QUIZ_PASS_PERCENTAGE at the first attempt
+ *                        (a retake shows the stored quiz again, answers already seen)
+ */
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+export const PACING_MODES = ['calendar', 'mastery'];
+export const QUIZ_PASS_PERCENTAGE = 70;
+
+/**
+ * Position after finishing a day
+ * @param {number} weekNumber - Week number
+ * @param {number} dayNumber - Day number (1-7)
+ * @returns {Object} { current_week, current_day }
+ */
+export function nextDay(weekNumber, dayNumber) {
+  return dayNumber >= 7
+    ? { current_week: weekNumber + 1, current_day: 1 }
+    : { current_week: weekNumber, current_day: dayNumber + 1 };
+}
+
+/**
+ * The course day a user is on (1-based across weeks), one past the last day once the course is completed
+ * @param {Object} user - User record
+ * @param {Date} now - Current time
+ * @returns {number} Course day
+ */
+export function getCourseDay(user, now = new Date()) {
+  const task = planService.getCurrentTask(user.start_date, user, now);
+  return task.completed ? task.totalWeeks * 7 + 1 : task.totalDays;
+}
+
+/**
+ * User fields that put a user on a course day under a pacing mode
+ * - mastery: the stored position (current_week / current_day)
+ * - calendar: start_date is moved so the calendar lands on that day
+ * @param {Object} user - User record
+ * @param {string} mode - 'calendar' or 'mastery'
+ * @param {number} courseDay - Course day (1-based across weeks)
+ * @param {Date} now - Current time
+ * @returns {Object} Fields to save
+ */
+export function getPositionFields(user, mode, courseDay, now = new Date()) {
+  if (mode === 'mastery') {
+    return {
+      current_week: Math.floor((courseDay - 1) / 7) + 1,
+      current_day: ((courseDay - 1) % 7) + 1
+    };
+  }
+
+  // Keep an ongoing pause running; banked pause days are folded into the new start date
+  const currentPauseMs = pauseService.getPausedMs({ paused_at: user.paused_at, paused_days: 0 }, now);
+  return {
+    paused_days: 0,
+    start_date: new Date(new Date(now).getTime() - (courseDay - 1) * DAY_MS - currentPauseMs)
+  };
+}
+
+/**
+ * User fields that switch pacing mode without moving the user
+ * - to mastery: the current calendar position becomes the stored position
+ * - to calendar: start_date is moved so the calendar lands on the stored position
+ * @param {Object} user - User record
+ * @param {string} mode - 'calendar' or 'mastery'
+ * @param {Date} now - Current time
+ * @returns {Object} Fields to save
+ */
+export function getSwitchFields(user, mode, now = new Date()) {
+  return { pacing: mode, ...getPositionFields(user, mode, getCourseDay(user, now), now) };
+}
+
+/**
+ * Switch a user's pacing mode
+ * @param {number} userId - User ID
+ * @param {string} mode - 'calendar' or 'mastery'
+ * @returns {Object|null} Current task after the switch, null for unknown users
+ */
+export async function setPacing(userId, mode) {
+  const user = await db.getUser(userId);
+  if (!user) {
+    return null;
+  }
+
+  const now = new Date();
+  const fields = user.pacing === mode ? {} : getSwitchFields(user, mode, now);
+  if (Object.keys(fields).length > 0) {
+    await db.updateUserPacing(userId, fields);
+  }
+
+  const updated = { ...user, ...fields };
+  return planService.getCurrentTask(updated.start_date, updated, now);
+}
+
+/**
+ * Mark a day complete (saveDailyProgress with taskCompleted) and, in mastery pacing,
+ * advance the user when it is the day they are on
+ * @param {number} userId - User ID
+ * @param {number} weekNumber - Week number
+ * @param {number} dayNumber - Day number
+ * @param {Object} progress - Extra progress data to save (e.g. sentencesSubmitted)
+ * @returns {Object} { advanced, weekNumber, dayNumber } - the user's position afterwards
+ */
+export async function completeDay(userId, weekNumber, dayNumber, progress = {}) {
+  const user = await db.getUser(userId);
+  const previous = await db.getDailyProgress(userId, weekNumber, dayNumber, user?.course, user?.language);
+  await db.saveDailyProgress(userId, weekNumber, dayNumber, { ...previous, ...progress, taskCompleted: true }, user?.course, user?.language);
+
+  if (!user || user.pacing !== 'mastery'
+    || user.current_week !== weekNumber || user.current_day !== dayNumber) {
+    return { advanced: false, weekNumber, dayNumber };
+  }
+
+  const position = nextDay(weekNumber, dayNumber);
+  await db.updateUserPacing(userId, position);
+  console.log(`✅ User ${userId} advanced to Week ${position.current_week}, Day ${position.current_day}`);
+
+  return { advanced: true, weekNumber: position.current_week, dayNumber: position.current_day };
+}
+
+/**
+ * Whether a week's quiz has been finished before (its score is saved with the day it was taken on)
+ * @param {Object} user - User record
+ * @param {number} weekNumber - Week number
+ * @returns {boolean} True if a quizScore is saved for any day of the week
+ */
+async function hasTakenWeeklyQuiz(user, weekNumber) {
+  for (let day = 1; day <= 7; day++) {
+    const progress = await db.getDailyProgress(user.user_id, weekNumber, day, user.course, user.language);
+    if (progress?.quizScore !== undefined) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Apply a finished weekly quiz: in mastery pacing a pass at the first attempt moves the user to
+ * day 1 of the next week; retakes are scored but never advance
+ * @param {number} userId - User ID
+ * @param {number} weekNumber - Week the quiz covered
+ * @param {number} percentage - Score (0-100)
+ * @returns {Object} { passed, retake, advanced, weekNumber, dayNumber }
+ */
+export async function recordWeeklyQuiz(userId, weekNumber, percentage) {
+  const passed = percentage >= QUIZ_PASS_PERCENTAGE;
+  const user = await db.getUser(userId);
+
+  if (!user || user.pacing !== 'mastery' || user.current_week !== weekNumber) {
+    return { passed, retake: false, advanced: false, weekNumber: user?.current_week, dayNumber: user?.current_day };
+  }
+
+  const retake = await hasTakenWeeklyQuiz(user, weekNumber);
+  if (!retake) {
+    const progress = await db.getDailyProgress(userId, weekNumber, user.current_day, user.course, user.language);
+    await db.saveDailyProgress(userId, weekNumber, user.current_day, { ...progress, quizScore: percentage }, user.course, user.language);
+  }
+
+  if (!passed || retake) {
+    return { passed, retake, advanced: false, weekNumber: user.current_week, dayNumber: user.current_day };
+  }
+
+  const position = { current_week: weekNumber + 1, current_day: 1 };
+  await db.updateUserPacing(userId, position);
+  console.log(`✅ User ${userId} passed the Week ${weekNumber} quiz (${percentage}%), moved to Week ${position.current_week}`);
+
+  return { passed, retake, advanced: true, weekNumber: position.current_week, dayNumber: 1 };
+}
+
+/**
+ * Format the pacing line for /status
+ * @param {Object} currentTask - Result of planService.getCurrentTask (written in its nativeLanguage)
+ * @returns {string} Status text (Markdown)
+ */
+export function formatPacingStatus(currentTask) {
+  const { nativeLanguage } = currentTask;
+  if (currentTask.pacing !== 'mastery') {
+    return t(nativeLanguage, 'pacing.calendarStatus');
+  }
+
+  let message = t(nativeLanguage, 'pacing.masteryStatus');
+  message += currentTask.daysBehind > 0
+    ? t(nativeLanguage, 'pacing.behind', {
+      days: currentTask.daysBehind,
+      calendarDay: currentTask.calendarDay,
+      totalDays: currentTask.totalWeeks * 7
+    })
+    : t(nativeLanguage, 'pacing.onTrack');
+
+  return message;
+}
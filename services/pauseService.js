@@ -0,0 +1,224 @@
+import { t } from './localeService.js';
+
+/**
+ * Pause Service - Pause, resume and vacation state for users
+ * Pure helpers: each returns the user fields to save, callers persist them with db.updateUserPause
+ *
+ * While a user is paused the curriculum clock stops:
+ * - paused_at    - when the current pause began (null when active)
+ * - paused_days  - days from finished pauses (fractional, to the millisecond), subtracted from the
+ *                  time since start_date
+ * - pause_reason - 'manual' (/pause) or 'vacation' (started automatically by the scheduler)
+ * - vacation_start / vacation_end - planned vacation, local dates (YYYY-MM-DD, inclusive)
+ */
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Time to leave out of the curriculum clock: finished pauses plus the current one
+ * @param {Object|null} pauseState - User record (paused_at, paused_days)
+ * @param {Date} now - Current time
+ * @returns {number} Milliseconds
+ */
+export function getPausedMs(pauseState, now = new Date()) {
+  if (!pauseState) {
+    return 0;
+  }
+
+  const finished = Math.round((Number(pauseState.paused_days) || 0) * DAY_MS);
+  const current = pauseState.paused_at
+    ? Math.max(0, new Date(now) - new Date(pauseState.paused_at))
+    : 0;
+
+  return finished + current;
+}
+
+/**
+ * Check whether a user is paused (manually or on vacation)
+ * @param {Object} user - User record
+ * @returns {boolean} True if paused
+ */
+export function isPaused(user) {
+  return Boolean(user && user.paused_at);
+}
+
+/**
+ * Parse a date typed as YYYY-MM-DD or DD/MM/YYYY
+ * @param {string} text - Typed date
+ * @returns {string|null} "YYYY-MM-DD" or null if invalid
+ */
+export function parseDate(text) {
+  const value = String(text || '').trim();
+  let match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value);
+  let year, month, day;
+
+  if (match) {
+    [, year, month, day] = match.map(Number);
+  } else {
+    match = /^(\d{1,2})[/.](\d{1,2})[/.](\d{4})$/.exec(value);
+    if (!match) return null;
+    [, day, month, year] = match.map(Number);
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Parse "/vacation <start> <end>" arguments
+ * @param {string} text - Arguments, e.g. "2024-07-01 2024-07-14"
+ * @param {string} today - User's local date (YYYY-MM-DD)
+ * @param {string} nativeLanguage - Locale code errors are written in (defaults to the deployment's)
+ * @returns {Object} { start, end } or { error }
+ */
+export function parseVacation(text, today, nativeLanguage) {
+  const [startText, endText, ...rest] = String(text || '').trim().split(/\s+/);
+  const start = parseDate(startText);
+  const end = parseDate(endText);
+
+  if (!start || !end || rest.length > 0) {
+    return { error: t(nativeLanguage, 'vacation.usage') };
+  }
+  if (end < start) {
+    return { error: t(nativeLanguage, 'vacation.endsBeforeStart') };
+  }
+  if (end < today) {
+    return { error: t(nativeLanguage, 'vacation.over') };
+  }
+
+  return { start, end };
+}
+
+/**
+ * Check whether a local date falls inside the user's vacation
+ * @param {Object} user - User record
+ * @param {string} localDate - User's local date (YYYY-MM-DD)
+ * @returns {boolean} True if on vacation that day
+ */
+export function isOnVacation(user, localDate) {
+  return Boolean(user.vacation_start && user.vacation_end)
+    && localDate >= user.vacation_start
+    && localDate <= user.vacation_end;
+}
+
+/**
+ * Start a pause
+ * @param {Object} user - User record
+ * @param {string} reason - 'manual' or 'vacation'
+ * @param {Date} now - Current time
+ * @returns {Object} Fields to save (empty if already paused)
+ */
+export function pause(user, reason, now = new Date()) {
+  if (isPaused(user)) {
+    return {};
+  }
+  return { paused_at: new Date(now), pause_reason: reason };
+}
+
+/**
+ * End the current pause, banking its exact length: getPausedMs subtracted it to the millisecond while
+ * it ran, so rounding it now would move the course day on resume
+ * Resuming from a vacation pause ends that vacation early
+ * @param {Object} user - User record
+ * @param {Date} now - Current time
+ * @returns {Object} Fields to save (empty if not paused)
+ */
+export function resume(user, now = new Date()) {
+  if (!isPaused(user)) {
+    return {};
+  }
+
+  const pausedDays = Math.max(0, new Date(now) - new Date(user.paused_at)) / DAY_MS;
+
+  const fields = {
+    paused_at: null,
+    pause_reason: null,
+    paused_days: (Number(user.paused_days) || 0) + pausedDays
+  };
+
+  if (user.pause_reason === 'vacation') {
+    fields.vacation_start = null;
+    fields.vacation_end = null;
+  }
+
+  return fields;
+}
+
+/**
+ * Plan a vacation (replaces any earlier plan)
+ * @param {string} start - First day (YYYY-MM-DD)
+ * @param {string} end - Last day (YYYY-MM-DD)
+ * @returns {Object} Fields to save
+ */
+export function planVacation(start, end) {
+  return { vacation_start: start, vacation_end: end };
+}
+
+/**
+ * Cancel a planned vacation, ending it now if it is in progress
+ * @param {Object} user - User record
+ * @param {Date} now - Current time
+ * @returns {Object} Fields to save
+ */
+export function cancelVacation(user, now = new Date()) {
+  const fields = user.pause_reason === 'vacation' ? resume(user, now) : {};
+  return { ...fields, vacation_start: null, vacation_end: null };
+}
+
+/**
+ * Start or end a vacation pause when the user's local date crosses its boundaries
+ * Called by the scheduler on every tick; manual pauses are left alone
+ * @param {Object} user - User record
+ * @param {string} localDate - User's local date (YYYY-MM-DD)
+ * @param {Date} now - Current time
+ * @returns {Object} { fields, event: 'started'|'ended'|null }
+ */
+export function applyVacation(user, localDate, now = new Date()) {
+  const onVacation = isOnVacation(user, localDate);
+  const planned = Boolean(user.vacation_start && user.vacation_end);
+
+  if (onVacation && !isPaused(user)) {
+    return { fields: pause(user, 'vacation', now), event: 'started' };
+  }
+
+  if (!onVacation && isPaused(user) && user.pause_reason === 'vacation') {
+    // Keep a plan that has not started yet (the vacation was moved to later dates)
+    const upcoming = planned && localDate < user.vacation_start
+      ? planVacation(user.vacation_start, user.vacation_end)
+      : {};
+    return { fields: { ...resume(user, now), ...upcoming }, event: 'ended' };
+  }
+
+  if (planned && localDate > user.vacation_end) {
+    // Vacation passed during a manual pause (or while the bot was down): just forget it
+    return { fields: { vacation_start: null, vacation_end: null }, event: null };
+  }
+
+  return { fields: {}, event: null };
+}
+
+/**
+ * Format the pause/vacation status line for /pause, /vacation and /status
+ * @param {Object} user - User record (written in user.native_language)
+ * @returns {string} Status text (Markdown)
+ */
+export function formatPauseStatus(user) {
+  const nativeLanguage = user.native_language;
+  if (isPaused(user)) {
+    const since = new Date(user.paused_at).toDateString();
+    if (user.pause_reason === 'vacation') {
+      return t(nativeLanguage, 'pause.vacationStatus', { end: user.vacation_end, since });
+    }
+    return t(nativeLanguage, 'pause.pausedStatus', { since });
+  }
+
+  if (user.vacation_start) {
+    return t(nativeLanguage, 'pause.plannedStatus', { start: user.vacation_start, end: user.vacation_end });
+  }
+
+  return t(nativeLanguage, 'pause.activeStatus');
+}
@@ -1,116 +1,53 @@
-import fs from 'fs/promises';
-import path from 'path';
+import * as pauseService from './pauseService.js';
+import * as curriculumService from './curriculumService.js';
+import { getDefaultLanguage } from './languageService.js';
+import { getDefaultLocale } from './localeService.js';
 
 /**
  * Plan Service - Manages daily learning plans and curriculum structure
- * Generates 1-7 day plans with different learning activities
+ * Generates 1-7 day plans from the user's course in languages/<code>/courses/<level>.json (see curriculumService)
  */
 
-// Improved daily learning activities - Integrated approach (vocab + grammar together)
-const DAILY_ACTIVITIES = {
-  1: { 
-    focus: 'introduction', 
-    task: 'Learn 8-10 new words + basic grammar in context',
-    morning: 'vocabulary_grammar',
-    afternoon: 'practice',
-    evening: 'application'
-  },
-  2: { 
-    focus: 'integration', 
-    task: 'Review yesterday + 8-10 new words + grammar expansion',
-    morning: 'review_learn',
-    afternoon: 'integration',
-    evening: 'production'
-  },
-  3: { 
-    focus: 'expansion', 
-    task: 'Review previous days + expand vocabulary and grammar',
-    morning: 'review_learn',
-    afternoon: 'reading',
-    evening: 'writing'
-  },
-  4: { 
-    focus: 'practice', 
-    task: 'Review all previous content + listening practice',
-    morning: 'review',
-    afternoon: 'listening',
-    evening: 'speaking'
-  },
-  5: { 
-    focus: 'application', 
-    task: 'Apply all learned content in conversations',
-    morning: 'review',
-    afternoon: 'conversation',
-    evening: 'assessment'
-  },
-  6: { 
-    focus: 'mastery', 
-    task: 'Master difficult items + free practice',
-    morning: 'difficult_review',
-    afternoon: 'free_practice',
-    evening: 'journal'
-  },
-  7: { 
-    focus: 'consolidation', 
-    task: 'Comprehensive review and assessment',
-    morning: 'quiz',
-    afternoon: 'error_review',
-    evening: 'preview'
-  }
-};
-
-/**
- * Load the plan data from plan.json
- */
-async function loadPlanData() {
-  try {
-    const planPath = path.join(process.cwd(), 'plan.json');
-    const planData = await fs.readFile(planPath, 'utf8');
-    return JSON.parse(planData);
-  } catch (error) {
-    console.error('Error loading plan data:', error);
-    throw error;
-  }
-}
 
 /**
  * Generate daily plan for a specific week and day
- * @param {number} weekNumber - Week number (1-12)
+ * @param {number} weekNumber - Week number
  * @param {number} dayNumber - Day number (1-7)
+ * @param {string} level - Course level (CEFR, defaults to A1)
+ * @param {string} language - Language pack code (defaults to the deployment's language)
  * @returns {Object} Daily plan object
  */
-export async function generateDailyPlan(weekNumber, dayNumber) {
+export async function generateDailyPlan(weekNumber, dayNumber, level = curriculumService.DEFAULT_LEVEL, language = getDefaultLanguage()) {
   try {
-    const planData = await loadPlanData();
+    const curriculum = curriculumService.loadCourse(level, language);
     
-    // Find the week data
-    const weekData = planData.weeks.find(w => w.week === weekNumber);
-    if (!weekData) {
-      throw new Error(`Week ${weekNumber} not found in plan data`);
+    // Lay the week's entry for this day over the day template
+    const day = curriculumService.resolveDay(curriculum, weekNumber, dayNumber);
+    if (!day) {
+      throw new Error(`Week ${weekNumber}, day ${dayNumber} not found in plan data`);
     }
     
-    // Get the daily activity
-    const dailyActivity = DAILY_ACTIVITIES[dayNumber];
-    if (!dailyActivity) {
-      throw new Error(`Day ${dayNumber} not found in daily activities`);
-    }
-    
-    // Generate the complete daily plan with improved structure
     const dailyPlan = {
       weekNumber,
       dayNumber,
-      theme: weekData.theme,
-      focus: dailyActivity.focus,
-      task: dailyActivity.task,
-      morning: dailyActivity.morning,
-      afternoon: dailyActivity.afternoon,
-      evening: dailyActivity.evening,
-      description: generateTaskDescription(weekData.theme, dailyActivity, weekNumber),
-      exercises: generateExercises(weekData.theme, dailyActivity.focus, dayNumber),
-      estimatedTime: getEstimatedTime(dailyActivity.focus),
-      vocabularyCount: getVocabularyCount(dayNumber), // 8-10 words instead of 20
-      includesReview: dayNumber > 1, // Days 2-7 include review
-      storyBased: true // All learning is story/context-based
+      level: curriculum.level, // CEFR level generators pitch content at
+      language, // Language pack the content is in
+      theme: day.theme,
+      focus: day.focus,
+      task: day.task,
+      morning: day.morning,
+      afternoon: day.afternoon,
+      evening: day.evening,
+      description: day.description,
+      exercises: day.exercises,
+      estimatedTime: day.estimatedTime,
+      vocabularyCount: day.vocabularyCount, // 8-10 words instead of 20
+      includesReview: day.includesReview,
+      storyBased: true, // All learning is story/context-based
+      objectives: day.objectives, // Can-do statements for the day
+      weekObjectives: day.weekObjectives,
+      grammar: day.grammar, // Target grammar points
+      seedVocabulary: day.seedVocabulary // Words the day's lesson should include
     };
     
     return dailyPlan;
@@ -120,60 +57,103 @@ export async function generateDailyPlan(weekNumber, dayNumber) {
   }
 }
 
+/**
+ * Count curriculum days since the start date, leaving out paused time
+ * @param {Date} startDate - User's start date
+ * @param {Object|null} pauseState - User record (paused_at, paused_days), null for none
+ * @param {Date} now - Current time
+ * @returns {number} Whole days of active learning (0 on the first day)
+ */
+function getActiveDays(startDate, pauseState, now) {
+  const activeMs = new Date(now) - new Date(startDate) - pauseService.getPausedMs(pauseState, now);
+  return Math.max(0, Math.floor(activeMs / (1000 * 60 * 60 * 24)));
+}
+
 /**
  * Get current task based on start date
+ * - calendar pacing (default): days since start_date, minus paused time
+ * - mastery pacing: the user's stored position (current_week/current_day), which only moves
+ *   when a day is completed or the weekly quiz is passed (see pacingService)
+ * The week/day stops advancing while the user is paused or on vacation
+ * The course (user.course, A1 by default) of the language being learned (user.language) sets how many weeks there are;
+ * the task also carries the native language (user.native_language) lessons are explained in
  * @param {Date} startDate - User's start date
- * @returns {Object} Current task information
+ * @param {Object|null} user - User record (languages, course, pause state, pacing, position), null for calendar defaults
+ * @param {Date} now - Current time (injectable for tests)
+ * @returns {Object} Current task information (daysBehind = calendar days ahead of the user's position)
  */
-export function getCurrentTask(startDate) {
-  const now = new Date();
-  const daysSinceStart = Math.floor((now - startDate) / (1000 * 60 * 60 * 24));
+export function getCurrentTask(startDate, user = null, now = new Date()) {
+  const course = user?.course || curriculumService.DEFAULT_LEVEL;
+  const language = user?.language || getDefaultLanguage();
+  const nativeLanguage = user?.native_language || getDefaultLocale();
+  const totalWeeks = curriculumService.loadCourse(course, language).weeks.length;
+  const courseDays = totalWeeks * 7;
+  const calendarDays = getActiveDays(startDate, user, now);
+  const mastery = Boolean(user && user.pacing === 'mastery');
+  const daysSinceStart = mastery
+    ? (user.current_week - 1) * 7 + (user.current_day - 1)
+    : calendarDays;
   
   // Calculate week and day
   const weekNumber = Math.floor(daysSinceStart / 7) + 1;
   const dayNumber = (daysSinceStart % 7) + 1;
   
-  // Check if program is completed (12 weeks = 84 days)
-  if (daysSinceStart >= 84) {
-    return { completed: true };
+  // Check if the course is completed (e.g. 12 weeks = 84 days)
+  if (daysSinceStart >= courseDays) {
+    return { completed: true, course, language, nativeLanguage, totalWeeks };
   }
   
   return {
-    weekNumber: Math.min(weekNumber, 12),
+    weekNumber: Math.min(weekNumber, totalWeeks),
     dayNumber,
     totalDays: daysSinceStart + 1,
+    course,
+    language,
+    nativeLanguage,
+    totalWeeks,
+    pacing: mastery ? 'mastery' : 'calendar',
+    calendarDay: Math.min(calendarDays, courseDays - 1) + 1,
+    daysBehind: Math.max(0, Math.min(calendarDays, courseDays - 1) - daysSinceStart),
+    paused: pauseService.isPaused(user),
     completed: false
   };
 }
 
 /**
  * Get week overview with all 7 days
- * @param {number} weekNumber - Week number (1-12)
+ * @param {number} weekNumber - Week number
+ * @param {string} level - Course level (CEFR, defaults to A1)
+ * @param {string} language - Language pack code (defaults to the deployment's language)
  * @returns {Object} Week overview
  */
-export async function getWeekOverview(weekNumber) {
+export async function getWeekOverview(weekNumber, level = curriculumService.DEFAULT_LEVEL, language = getDefaultLanguage()) {
   try {
-    const planData = await loadPlanData();
-    const weekData = planData.weeks.find(w => w.week === weekNumber);
+    const curriculum = curriculumService.loadCourse(level, language);
+    const weekData = curriculum.weeks.find(w => w.week === weekNumber);
     
     if (!weekData) {
       throw new Error(`Week ${weekNumber} not found`);
     }
     
     const days = [];
-    for (let day = 1; day <= 7; day++) {
-      const dailyActivity = DAILY_ACTIVITIES[day];
+    for (let day = 1; day <= curriculumService.DAYS_PER_WEEK; day++) {
+      const dailyActivity = curriculumService.resolveDay(curriculum, weekNumber, day);
       days.push({
         day,
         focus: dailyActivity.focus,
         task: dailyActivity.task,
-        estimatedTime: getEstimatedTime(dailyActivity.focus)
+        estimatedTime: dailyActivity.estimatedTime,
+        objectives: dailyActivity.objectives
       });
     }
     
     return {
       week: weekNumber,
+      totalWeeks: curriculum.weeks.length,
+      level: curriculum.level,
       theme: weekData.theme,
+      objectives: weekData.objectives,
+      grammar: weekData.grammar,
       days
     };
   } catch (error) {
@@ -182,167 +162,17 @@ export async function getWeekOverview(weekNumber) {
   }
 }
 
-/**
- * Generate task description based on theme and activity
- * @param {string} theme - Week theme
- * @param {Object} activity - Daily activity object
- * @returns {string} Detailed task description
- */
-function generateTaskDescription(theme, activity, weekNumber) {
-  const descriptions = {
-    introduction: `Day 1: Introduction to "${theme}"
-🌅 Morning: Learn 8-10 essential words + basic grammar in a dialogue/story context
-🌆 Afternoon: Practice using new words and grammar in simple sentences
-🌙 Evening: Apply what you learned in your own sentences
-
-Everything is connected and used together, not separately!`,
-    
-    integration: `Day 2: Integration and Expansion
-🌅 Morning: Review yesterday's words + learn 8-10 new words + expand grammar
-🌆 Afternoon: Integrate all words and grammar in meaningful sentences
-🌙 Evening: Produce original sentences using everything learned
-
-Building on what you know, not starting over!`,
-    
-    expansion: `Day 3: Expanding Your Knowledge
-🌅 Morning: Review previous days + add 8-10 new words + new grammar patterns
-🌆 Afternoon: Read dialogue/story using all learned vocabulary and grammar
-🌙 Evening: Write using the new patterns and vocabulary
-
-Seeing everything work together in context!`,
-    
-    practice: `Day 4: Practice Makes Perfect
-🌅 Morning: Review all vocabulary from this week (spaced repetition)
-🌆 Afternoon: Listen to Italian audio and practice comprehension
-🌙 Evening: Practice pronunciation and speaking exercises
-
-Hearing and saying what you've learned!`,
-    
-    application: `Day 5: Real Application
-🌅 Morning: Review difficult items from the week
-🌆 Afternoon: Have conversations using this week's content
-🌙 Evening: Self-assessment quiz on this week's progress
-
-Using Italian in real situations!`,
-    
-    mastery: `Day 6: Mastery and Freedom
-🌅 Morning: Focus on difficult items that need extra practice
-🌆 Afternoon: Free practice - use Italian however you want
-🌙 Evening: Write a journal entry using this week's vocabulary
-
-You're becoming fluent!`,
-    
-    consolidation: `Day 7: Week Consolidation
-🌅 Morning: Comprehensive quiz on all week's content
-🌆 Afternoon: Review mistakes and practice weak areas
-🌙 Evening: Celebrate progress + preview next week's theme
-
-You've completed another week! Bravissimo!`
-  };
-  
-  return descriptions[activity.focus] || activity.task;
-}
-
-/**
- * Get vocabulary count based on day (8-10 words, not 20)
- * @param {number} dayNumber - Day number
- * @returns {number} Number of words to learn
- */
-function getVocabularyCount(dayNumber) {
-  if (dayNumber === 1) {
-    return 10; // First day: 10 words
-  } else if (dayNumber >= 2 && dayNumber <= 5) {
-    return 8; // Days 2-5: 8 words (plus review)
-  } else {
-    return 0; // Days 6-7: Review only, no new words
-  }
-}
-
-/**
- * Generate exercises for the daily activity (improved with active recall)
- * @param {string} theme - Week theme
- * @param {string} focus - Daily focus
- * @param {number} dayNumber - Day number for progressive difficulty
- * @returns {Array} Array of exercise objects
- */
-function generateExercises(theme, focus, dayNumber) {
-  const exerciseTemplates = {
-    introduction: [
-      { type: 'story_vocabulary', description: 'Learn 8-10 words in a dialogue/story context about ' + theme },
-      { type: 'grammar_in_context', description: 'Learn grammar rule that uses these words immediately' },
-      { type: 'active_recall', description: 'Recall words without looking (active, not passive)' },
-      { type: 'simple_sentences', description: 'Create 3-5 simple sentences using new words + grammar' }
-    ],
-    integration: [
-      { type: 'review_quiz', description: 'Quick review quiz on yesterday\'s words (spaced repetition)' },
-      { type: 'new_words', description: 'Learn 8 new words that connect to yesterday\'s topic' },
-      { type: 'grammar_expansion', description: 'Expand grammar knowledge with new patterns' },
-      { type: 'integrated_practice', description: 'Use all words and grammar together in sentences' }
-    ],
-    expansion: [
-      { type: 'review', description: 'Review words from Days 1-2 (active recall)' },
-      { type: 'new_content', description: 'Add 8 more words + new grammar patterns' },
-      { type: 'reading_comprehension', description: 'Read dialogue using ALL learned vocabulary' },
-      { type: 'writing_practice', description: 'Write sentences using new patterns' }
-    ],
-    practice: [
-      { type: 'spaced_review', description: 'Review all week\'s vocabulary (spaced repetition)' },
-      { type: 'listening', description: 'Listen to audio dialogue using this week\'s vocabulary' },
-      { type: 'pronunciation', description: 'Practice pronouncing all learned words' },
-      { type: 'speaking', description: 'Record yourself speaking using this week\'s content' }
-    ],
-    application: [
-      { type: 'difficult_review', description: 'Focus on words/grammar you find difficult' },
-      { type: 'conversation', description: 'Have a conversation about ' + theme + ' using learned content' },
-      { type: 'scenarios', description: 'Practice real-world scenarios (ordering, asking directions, etc.)' },
-      { type: 'self_quiz', description: 'Test yourself on this week\'s progress' }
-    ],
-    mastery: [
-      { type: 'weak_areas', description: 'Practice items you struggled with' },
-      { type: 'free_practice', description: 'Use Italian freely - no restrictions!' },
-      { type: 'creative_writing', description: 'Write creatively using all learned vocabulary' },
-      { type: 'journal', description: 'Write a journal entry about ' + theme }
-    ],
-    consolidation: [
-      { type: 'comprehensive_quiz', description: 'Quiz on all week\'s content' },
-      { type: 'error_analysis', description: 'Review mistakes and understand why' },
-      { type: 'weak_practice', description: 'Extra practice on weak areas' },
-      { type: 'celebration', description: 'Celebrate your progress this week!' },
-      { type: 'preview', description: 'Preview next week\'s exciting theme' }
-    ]
-  };
-  
-  return exerciseTemplates[focus] || [];
-}
-
-/**
- * Get estimated time for different activities (improved structure)
- * @param {string} focus - Activity focus
- * @returns {string} Estimated time
- */
-function getEstimatedTime(focus) {
-  const timeEstimates = {
-    introduction: '25-30 minutes total (10 min morning, 10 min afternoon, 10 min evening)',
-    integration: '25-30 minutes total (review + new content + practice)',
-    expansion: '25-30 minutes total (review + expansion + application)',
-    practice: '25-30 minutes total (review + listening + speaking)',
-    application: '25-30 minutes total (review + conversation + assessment)',
-    mastery: '20-25 minutes total (practice + free expression)',
-    consolidation: '30-35 minutes total (quiz + review + preview)'
-  };
-  
-  return timeEstimates[focus] || '25-30 minutes';
-}
-
 /**
  * Get all daily plans for a week
  * @param {number} weekNumber - Week number
+ * @param {string} level - Course level (CEFR, defaults to A1)
+ * @param {string} language - Language pack code (defaults to the deployment's language)
  * @returns {Array} Array of daily plans
  */
-export async function getWeekPlans(weekNumber) {
+export async function getWeekPlans(weekNumber, level = curriculumService.DEFAULT_LEVEL, language = getDefaultLanguage()) {
   const plans = [];
   for (let day = 1; day <= 7; day++) {
-    const plan = await generateDailyPlan(weekNumber, day);
+    const plan = await generateDailyPlan(weekNumber, day, level, language);
     plans.push(plan);
   }
   return plans;
@@ -351,13 +181,16 @@ export async function getWeekPlans(weekNumber) {
 /**
  * Calculate progress percentage
  * @param {Date} startDate - User's start date
+ * @param {Object|null} pauseState - User record (language, course, paused_at, paused_days), null for none
+ * @param {Date} now - Current time (injectable for tests)
  * @returns {Object} Progress information
  */
-export function calculateProgress(startDate) {
-  const now = new Date();
-  const daysSinceStart = Math.floor((now - startDate) / (1000 * 60 * 60 * 24));
+export function calculateProgress(startDate, pauseState = null, now = new Date()) {
+  const daysSinceStart = getActiveDays(startDate, pauseState, now);
   
-  const totalDays = 84; // 12 weeks * 7 days
+  const course = pauseState?.course || curriculumService.DEFAULT_LEVEL;
+  const language = pauseState?.language || getDefaultLanguage();
+  const totalDays = curriculumService.loadCourse(course, language).weeks.length * 7;
   const percentage = Math.min((daysSinceStart / totalDays) * 100, 100);
   
   return {
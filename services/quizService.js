@@ -1,70 +1,42 @@
-import OpenAI from 'openai';
+import * as llmService from './llmService.js';
+import * as gradingService from './gradingService.js';
+import * as schemaService from './schemaService.js';
+import * as contentService from './contentService.js';
+import * as curriculumService from './curriculumService.js';
+import * as languageService from './languageService.js';
+import { getDefaultLocale, getLocaleName, t } from './localeService.js';
 
 /**
  * Quiz Service - Handles quiz generation and practice exercises
- * Uses OpenAI to generate Italian quizzes and practice questions
+ * Uses OpenAI to generate quizzes and practice questions in the language being learned
  */
 
-let openai = null;
-
-/**
- * Initialize OpenAI client
- */
-export function initializeOpenAI() {
-  if (!process.env.OPENAI_API_KEY) {
-    throw new Error('OPENAI_API_KEY environment variable is required');
-  }
-  
-  // Trim whitespace and newlines from API key (common issue when copying from files)
-  const apiKey = process.env.OPENAI_API_KEY.trim().replace(/\r?\n|\r/g, '');
-  
-  if (!apiKey) {
-    throw new Error('OPENAI_API_KEY is empty after trimming');
-  }
-  
-  openai = new OpenAI({
-    apiKey: apiKey
-  });
-  
-  console.log('✅ OpenAI initialized for quiz service');
-  return openai;
-}
-
 /**
  * Generate weekly quiz
  * @param {number} weekNumber - Week number
  * @param {string} theme - Week theme
  * @param {Array} vocabulary - Array of vocabulary words
+ * @param {number} dayNumber - Curriculum day; the offline fallback only asks about days up to it (default 7)
+ * @param {string} level - Course level (CEFR, defaults to A1)
+ * @param {string} language - Language pack code (defaults to the deployment's language)
+ * @param {string} nativeLanguage - Locale code translations and explanations are written in (defaults to the deployment's)
  * @returns {Object} Quiz object
  */
-export async function generateWeeklyQuiz(weekNumber, theme, vocabulary) {
+export async function generateWeeklyQuiz(weekNumber, theme, vocabulary, dayNumber = 7, level = curriculumService.DEFAULT_LEVEL, language = languageService.getDefaultLanguage(), nativeLanguage) {
   try {
-    if (!openai) {
-      initializeOpenAI();
-    }
-    
     const vocabList = vocabulary.map(word => `${word.italian} (${word.english})`).join(', ');
     
-    const systemPrompt = `Italian teacher. Generate 10-question quiz for Week ${weekNumber}, theme "${theme}".
+    const systemPrompt = `${languageService.getTeacher(language)}. Generate 10-question quiz for Week ${weekNumber}, theme "${theme}".
 
-Types: multiple_choice, fill_in_blank, translation, vocabulary_matching. Use vocab: ${vocabList.substring(0, 200)}. Beginner-intermediate level. Include explanations.
+Types: multiple_choice, fill_in_blank, translation, vocabulary_matching. Use vocab: ${vocabList.substring(0, 200)}. Level: ${curriculumService.describeLevel(level, language)}. Include explanations.
+Instructions, translations ("question_translation", "english") and explanations in ${getLocaleName(nativeLanguage)}.
 
 JSON: {"title":"...","week":${weekNumber},"theme":"${theme}","instructions":"...","questions":[{"type":"multiple_choice","question":"...","question_translation":"...","options":[...],"correct_answer":0,"explanation":"..."},{"type":"fill_in_blank","question":"...","question_translation":"...","correct_answer":"...","explanation":"..."},{"type":"translation","question":"...","question_translation":"...","correct_answer":"...","explanation":"..."},{"type":"vocabulary_matching","question":"...","pairs":[{"italian":"...","english":"..."}],"explanation":"..."}]}`;
 
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: `Week ${weekNumber}: ${theme}` }
-      ],
-      temperature: 0.7,
-      max_tokens: 2500,
-    });
-
-    const response = completion.choices[0].message.content;
-    
-    // Parse JSON response
-    const quiz = JSON.parse(response);
+    const quiz = await llmService.completeJSON('weeklyQuiz', [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: `Week ${weekNumber}: ${theme}` }
+    ], schemaService.SCHEMAS.quiz);
     
     console.log(`✅ Generated weekly quiz for Week ${weekNumber}, theme: ${theme}`);
     return quiz;
@@ -72,8 +44,8 @@ JSON: {"title":"...","week":${weekNumber},"theme":"${theme}","instructions":"...
   } catch (error) {
     console.error('Error generating weekly quiz:', error);
     
-    // Fallback quiz
-    return getFallbackQuiz(weekNumber, theme);
+    // Fallback quiz from the offline content pack
+    return getFallbackQuiz(weekNumber, theme, dayNumber, level, language);
   }
 }
 
@@ -82,36 +54,27 @@ JSON: {"title":"...","week":${weekNumber},"theme":"${theme}","instructions":"...
  * @param {number} weekNumber - Week number
  * @param {string} theme - Week theme
  * @param {Array} vocabulary - Array of vocabulary words
+ * @param {number} dayNumber - Curriculum day; the offline fallback only asks about days up to it (default 7)
+ * @param {string} level - Course level (CEFR, defaults to A1)
+ * @param {string} language - Language pack code (defaults to the deployment's language)
+ * @param {string} nativeLanguage - Locale code translations and explanations are written in (defaults to the deployment's)
  * @returns {Object} Practice quiz object
  */
-export async function generatePracticeQuiz(weekNumber, theme, vocabulary) {
+export async function generatePracticeQuiz(weekNumber, theme, vocabulary, dayNumber = 7, level = curriculumService.DEFAULT_LEVEL, language = languageService.getDefaultLanguage(), nativeLanguage) {
   try {
-    if (!openai) {
-      initializeOpenAI();
-    }
-    
     const vocabList = vocabulary.map(word => `${word.italian} (${word.english})`).join(', ');
     
-    const systemPrompt = `Italian teacher. Generate 5-question practice quiz for Week ${weekNumber}, theme "${theme}".
+    const systemPrompt = `${languageService.getTeacher(language)}. Generate 5-question practice quiz for Week ${weekNumber}, theme "${theme}".
 
-Types: multiple_choice, fill_in_blank, translation. Use vocab: ${vocabList.substring(0, 150)}. Beginner-intermediate level.
+Types: multiple_choice, fill_in_blank, translation. Use vocab: ${vocabList.substring(0, 150)}. Level: ${curriculumService.describeLevel(level, language)}.
+Instructions, translations ("question_translation") and explanations in ${getLocaleName(nativeLanguage)}.
 
 JSON: {"title":"Practice Quiz","week":${weekNumber},"theme":"${theme}","instructions":"...","questions":[{"type":"multiple_choice","question":"...","question_translation":"...","options":[...],"correct_answer":0,"explanation":"..."}]}`;
 
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: `Week ${weekNumber}: ${theme}` }
-      ],
-      temperature: 0.7,
-      max_tokens: 1200,
-    });
-
-    const response = completion.choices[0].message.content;
-    
-    // Parse JSON response
-    const quiz = JSON.parse(response);
+    const quiz = await llmService.completeJSON('practiceQuiz', [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: `Week ${weekNumber}: ${theme}` }
+    ], schemaService.SCHEMAS.quiz);
     
     console.log(`✅ Generated practice quiz for Week ${weekNumber}, theme: ${theme}`);
     return quiz;
@@ -119,59 +82,372 @@ JSON: {"title":"Practice Quiz","week":${weekNumber},"theme":"${theme}","instruct
   } catch (error) {
     console.error('Error generating practice quiz:', error);
     
-    // Fallback practice quiz
-    return getFallbackPracticeQuiz(weekNumber, theme);
+    // Fallback practice quiz from the offline content pack
+    return getFallbackPracticeQuiz(weekNumber, theme, dayNumber, level, language, nativeLanguage);
   }
 }
 
 /**
- * Format quiz message for Telegram
+ * Format quiz intro message for Telegram
+ * Answers are never included - questions are sent one at a time by the quiz session
  * @param {Object} quiz - Quiz object
+ * @param {string} language - Language pack code (defaults to the deployment's language)
+ * @param {string} nativeLanguage - Locale code the message is written in (defaults to the deployment's)
  * @returns {string} Formatted message
  */
-export function formatQuizMessage(quiz) {
-  let message = `📚 *${quiz.title}* 📚\n\n`;
-  message += `*Week ${quiz.week} - ${quiz.theme}*\n\n`;
-  message += `*Instructions:*\n`;
-  message += `${quiz.instructions}\n\n`;
+export function formatQuizMessage(quiz, language = languageService.getDefaultLanguage(), nativeLanguage) {
+  const questionCount = buildInteractiveQuestions(quiz.questions).length;
   
-  quiz.questions.forEach((q, index) => {
-    message += `*Question ${index + 1}:*\n`;
-    
-    if (q.type === 'multiple_choice') {
-      message += `${q.question}\n`;
-      message += `_${q.question_translation}_\n\n`;
-      q.options.forEach((option, optIndex) => {
-        message += `${optIndex + 1}. ${option}\n`;
+  let message = t(nativeLanguage, 'quiz.title', { title: quiz.title });
+  if (quiz.week && quiz.theme) {
+    message += t(nativeLanguage, 'quiz.week', { week: quiz.week, theme: quiz.theme });
+  }
+  if (quiz.instructions) {
+    message += t(nativeLanguage, 'quiz.instructions', { instructions: quiz.instructions });
+  }
+  message += t(nativeLanguage, 'quiz.questions', { count: questionCount });
+  message += `${languageService.formatPhrase(language, 'goodLuck', nativeLanguage)} 🍀✨`;
+  
+  return message;
+}
+
+/**
+ * Convert quiz questions (weekly, practice or review quiz) into interactive questions
+ * - multiple_choice: answered with inline buttons
+ * - fill_in_blank, translation and review questions: answered by typing
+ * - vocabulary_matching: split into one multiple choice question per pair
+ * @param {Array} questions - Raw quiz questions
+ * @param {string} nativeLanguage - Locale code matching prompts are written in (defaults to the deployment's)
+ * @returns {Array} Interactive question objects
+ */
+export function buildInteractiveQuestions(questions = [], nativeLanguage) {
+  const interactive = [];
+  
+  questions.forEach(q => {
+    if (q.type === 'multiple_choice' && Array.isArray(q.options) && q.options.length > 1) {
+      // correct_answer is normally an index, but accept the option text too
+      const correctIndex = typeof q.correct_answer === 'number'
+        ? q.correct_answer
+        : q.options.indexOf(q.correct_answer);
+      if (!q.options[correctIndex]) return;
+      
+      interactive.push({
+        mode: 'choice',
+        prompt: q.question,
+        translation: q.question_translation,
+        options: q.options.map(String),
+        correctIndex,
+        correctAnswer: String(q.options[correctIndex]),
+        explanation: q.explanation
       });
-      message += `\n*Answer: ${q.options[q.correct_answer]}*\n`;
-      message += `_${q.explanation}_\n\n`;
       
-    } else if (q.type === 'fill_in_blank') {
-      message += `${q.question}\n`;
-      message += `_${q.question_translation}_\n\n`;
-      message += `*Answer: ${q.correct_answer}*\n`;
-      message += `_${q.explanation}_\n\n`;
+    } else if (q.type === 'vocabulary_matching' && Array.isArray(q.pairs)) {
+      const meanings = q.pairs.map(pair => pair.english);
+      
+      q.pairs.forEach((pair, pairIndex) => {
+        const distractors = meanings.filter((_, index) => index !== pairIndex).slice(0, 3);
+        if (distractors.length === 0) return;
+        
+        const options = shuffle([pair.english, ...distractors]);
+        interactive.push({
+          mode: 'choice',
+          prompt: t(nativeLanguage, 'quiz.whatMeans', { word: pair.italian }),
+          translation: null,
+          options,
+          correctIndex: options.indexOf(pair.english),
+          correctAnswer: pair.english,
+          explanation: q.explanation
+        });
+      });
       
-    } else if (q.type === 'translation') {
-      message += `${q.question}\n`;
-      message += `_${q.question_translation}_\n\n`;
-      message += `*Answer: ${q.correct_answer}*\n`;
-      message += `_${q.explanation}_\n\n`;
+    } else {
+      const correctAnswer = q.correctAnswer ?? q.correct_answer;
+      if (correctAnswer === undefined || correctAnswer === null) return;
       
-    } else if (q.type === 'vocabulary_matching') {
-      message += `${q.question}\n`;
-      message += `_${q.question_translation}_\n\n`;
-      q.pairs.forEach(pair => {
-        message += `• ${pair.italian} = ${pair.english}\n`;
+      interactive.push({
+        mode: 'text',
+        type: q.type,
+        prompt: q.question,
+        translation: q.question_translation && q.question_translation !== q.question
+          ? q.question_translation
+          : null,
+        correctAnswer: String(correctAnswer),
+        explanation: q.explanation,
+        word: q.word
       });
-      message += `\n_${q.explanation}_\n\n`;
     }
   });
   
-  message += `*Scoring:* ${quiz.scoring.total_points} points total (${quiz.scoring.points_per_question} per question)\n\n`;
-  message += `*Buona fortuna!* (Good luck!) 🍀✨\n`;
-  message += `\n_Tip: Review the vocabulary and try to understand the explanations!_ 📖`;
+  return interactive;
+}
+
+/**
+ * Shuffle an array (returns a new array)
+ * @param {Array} items - Items to shuffle
+ * @returns {Array} Shuffled copy
+ */
+function shuffle(items) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+/**
+ * Create an interactive quiz session
+ * @param {Object} quiz - Quiz object (weekly, practice or review quiz)
+ * @param {string} source - 'weekly' or 'review'
+ * @param {string} level - Learner's course level, for grading typed answers (defaults to A1)
+ * @param {string} language - Language being learned, for grading and feedback (defaults to the deployment's language)
+ * @param {string} nativeLanguage - Locale code questions and feedback are written in (defaults to the deployment's)
+ * @returns {Object} Quiz session
+ */
+export function createQuizSession(quiz, source = 'weekly', level = curriculumService.DEFAULT_LEVEL, language = languageService.getDefaultLanguage(), nativeLanguage = getDefaultLocale()) {
+  return {
+    id: Date.now().toString(36),
+    source,
+    level,
+    language,
+    nativeLanguage,
+    title: quiz.title,
+    weekNumber: quiz.week || null,
+    scoring: quiz.scoring || null,
+    questions: buildInteractiveQuestions(quiz.questions, nativeLanguage),
+    current: 0,
+    answers: []
+  };
+}
+
+/**
+ * Get the question the session is waiting on
+ * @param {Object} session - Quiz session
+ * @returns {Object|null} Current question or null when finished
+ */
+export function getCurrentQuestion(session) {
+  return session.questions[session.current] || null;
+}
+
+/**
+ * Format the current question with its inline keyboard
+ * @param {Object} session - Quiz session
+ * @returns {Object} { text, options } ready for bot.sendMessage
+ */
+export function formatQuestionMessage(session) {
+  const question = getCurrentQuestion(session);
+  const number = session.current + 1;
+  
+  let text = t(session.nativeLanguage, 'quiz.question', { number, total: session.questions.length });
+  text += `${question.prompt}\n`;
+  if (question.translation) {
+    text += `_${question.translation}_\n`;
+  }
+  
+  let keyboard;
+  if (question.mode === 'choice') {
+    keyboard = question.options.map((option, optionIndex) => ([{
+      text: option,
+      callback_data: `quiz:${session.id}:${session.current}:${optionIndex}`
+    }]));
+  } else {
+    text += t(session.nativeLanguage, 'quiz.typeAnswer');
+    keyboard = [[{
+      text: t(session.nativeLanguage, 'quiz.skip'),
+      callback_data: `quiz:${session.id}:${session.current}:skip`
+    }]];
+  }
+  
+  return {
+    text,
+    options: {
+      parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: keyboard }
+    }
+  };
+}
+
+/**
+ * Parse inline keyboard callback data produced by formatQuestionMessage
+ * @param {string} data - callback_query data
+ * @returns {Object|null} { sessionId, questionIndex, answer } or null if not a quiz callback
+ */
+export function parseQuizCallback(data) {
+  const match = /^quiz:([a-z0-9]+):(\d+):(\d+|skip)$/.exec(data || '');
+  if (!match) {
+    return null;
+  }
+  
+  return {
+    sessionId: match[1],
+    questionIndex: parseInt(match[2]),
+    answer: match[3] === 'skip' ? null : parseInt(match[3])
+  };
+}
+
+/**
+ * Check an answer against a question
+ * Typed answers go through gradingService (accent, article and typo tolerant)
+ * @param {Object} question - Interactive question
+ * @param {number|string|null} answer - Option index, typed text, or null when skipped
+ * @param {string} language - Language being learned (defaults to the deployment's language)
+ * @returns {Object} Grade { verdict, correct, almost, hint, ... } - see gradingService.gradeAnswer
+ */
+export function checkAnswer(question, answer, language = languageService.getDefaultLanguage()) {
+  const { articles } = languageService.loadLanguage(language);
+  if (answer === null || answer === undefined) {
+    return gradingService.gradeAnswer(null, question.correctAnswer, { articles });
+  }
+  
+  if (question.mode === 'choice') {
+    const correct = Number(answer) === question.correctIndex;
+    return {
+      verdict: correct ? 'correct' : 'wrong',
+      correct,
+      almost: false,
+      reason: correct ? 'exact' : 'mismatch',
+      distance: null,
+      expected: question.correctAnswer,
+      hint: null
+    };
+  }
+  
+  return gradingService.gradeAnswer(answer, question.correctAnswer, { articles });
+}
+
+/**
+ * Ask OpenAI whether a free-text translation is acceptable
+ * Only called by gradingService for ambiguous answers when GRADING_LLM_FALLBACK=true
+ * @param {Object} request - { prompt, expected, given, level, language }
+ * @returns {string} 'correct', 'almost' or 'wrong'
+ */
+async function judgeAnswer({ prompt, expected, given, level = curriculumService.DEFAULT_LEVEL, language = languageService.getDefaultLanguage() }) {
+  const response = await llmService.complete('judge', [
+    {
+      role: 'system',
+      content: `${languageService.getTeacher(language)} grading a CEFR ${level} learner. Reply with one word: correct (same meaning, natural), almost (right idea, small grammar/spelling slip) or wrong.`
+    },
+    { role: 'user', content: `Question: ${prompt}\nReference answer: ${expected}\nStudent answer: ${given}` }
+  ]);
+  
+  return response.trim().toLowerCase().replace(/[^a-z]/g, '');
+}
+
+/**
+ * Record an answer for the current question and advance the session
+ * @param {Object} session - Quiz session
+ * @param {number|string|null} answer - Option index, typed text, or null when skipped
+ * @returns {Object} { question, answer, correct, almost, grade, skipped, finished }
+ */
+export async function answerCurrentQuestion(session, answer) {
+  const question = getCurrentQuestion(session);
+  const skipped = answer === null || answer === undefined;
+  const language = session.language || languageService.getDefaultLanguage();
+  const grade = question.mode === 'text' && !skipped
+    ? await gradingService.gradeWithJudge(answer, question, {
+      judge: request => judgeAnswer({ ...request, level: session.level, language }),
+      articles: languageService.loadLanguage(language).articles
+    })
+    : checkAnswer(question, answer, language);
+  
+  const result = {
+    questionIndex: session.current,
+    question,
+    answer,
+    correct: grade.correct,
+    almost: grade.almost,
+    grade,
+    skipped
+  };
+  
+  session.answers.push(result);
+  session.current++;
+  
+  return { ...result, finished: session.current >= session.questions.length };
+}
+
+/**
+ * Format feedback for an answered question (revealed only after answering)
+ * @param {Object} result - Result from answerCurrentQuestion
+ * @param {string} language - Language pack code (defaults to the deployment's language)
+ * @param {string} nativeLanguage - Locale code the message is written in (defaults to the deployment's)
+ * @returns {string} Formatted message
+ */
+export function formatAnswerFeedback(result, language = languageService.getDefaultLanguage(), nativeLanguage) {
+  let message;
+  
+  if (result.almost) {
+    message = t(nativeLanguage, 'quiz.almost', {
+      almost: languageService.getPhraseText(language, 'almost'),
+      expected: result.grade.expected
+    });
+    if (result.grade.hint) {
+      message += t(nativeLanguage, 'quiz.check', { hint: result.grade.hint });
+    }
+  } else if (result.correct) {
+    message = t(nativeLanguage, 'quiz.correct', { correct: languageService.getPhraseText(language, 'correct') });
+  } else if (result.skipped) {
+    message = t(nativeLanguage, 'quiz.skipped', { expected: result.question.correctAnswer });
+  } else {
+    message = t(nativeLanguage, 'quiz.wrong', { expected: result.question.correctAnswer });
+  }
+  
+  if (result.question.explanation) {
+    message += `_${result.question.explanation}_`;
+  }
+  
+  return message;
+}
+
+/**
+ * Score a session
+ * @param {Object} session - Quiz session
+ * @param {Object} options - { nearMisses } whether near-misses count as correct (the shown score
+ *   forgives them; the mastery pass threshold does not)
+ * @returns {Object} { correct, total, percentage }
+ */
+export function getQuizScore(session, { nearMisses = true } = {}) {
+  const total = session.questions.length;
+  const correct = session.answers.filter(a => a.correct && (nearMisses || !a.almost)).length;
+  const percentage = total > 0 ? Math.round((correct / total) * 100) : 0;
+  
+  return { correct, total, percentage };
+}
+
+/**
+ * Format the final score of a finished session
+ * @param {Object} session - Quiz session
+ * @returns {string} Formatted message
+ */
+export function formatQuizSummary(session) {
+  const { correct, total, percentage } = getQuizScore(session);
+  const language = session.language || languageService.getDefaultLanguage();
+  const { nativeLanguage } = session;
+  
+  let message = t(nativeLanguage, 'quiz.finished', {
+    title: session.title || t(nativeLanguage, 'quiz.defaultTitle'),
+    correct,
+    total,
+    percentage
+  });
+  
+  const nearMisses = session.answers.filter(a => a.almost).length;
+  if (nearMisses > 0) {
+    message += t(nativeLanguage, 'quiz.nearMisses', { count: nearMisses });
+  }
+  
+  if (session.scoring && session.scoring.points_per_question) {
+    message += t(nativeLanguage, 'quiz.points', { points: correct * session.scoring.points_per_question });
+  }
+  
+  message += `\n`;
+  if (percentage >= 80) {
+    message += t(nativeLanguage, 'quiz.excellent', { cheer: languageService.getPhraseText(language, 'wellDone') });
+  } else if (percentage >= 50) {
+    message += t(nativeLanguage, 'quiz.goodEffort', { cheer: languageService.getPhraseText(language, 'good') });
+  } else {
+    message += t(nativeLanguage, 'quiz.tryAgain', { cheer: languageService.getPhraseText(language, 'keepGoing') });
+  }
   
   return message;
 }
@@ -180,77 +456,32 @@ export function formatQuizMessage(quiz) {
  * Get fallback quiz when OpenAI fails
  * @param {number} weekNumber - Week number
  * @param {string} theme - Week theme
+ * @param {number} dayNumber - Curriculum day
+ * @param {string} level - Course level
+ * @param {string} language - Language pack code
  * @returns {Object} Fallback quiz object
  */
-function getFallbackQuiz(weekNumber, theme) {
-  return {
-    title: "Weekly Quiz",
-    week: weekNumber,
-    theme: theme,
-    instructions: "Answer the following questions about this week's theme. Take your time and think carefully!",
-    questions: [
-      {
-        type: "multiple_choice",
-        question: "Come si dice 'Hello' in italiano?",
-        question_translation: "Usually, 'Hello' in Italian is:",
-        options: ["Ciao", "Buongiorno", "Buonasera", "Tutte le precedenti"],
-        correct_answer: 3,
-        explanation: "All of these are correct ways to say hello in Italian, depending on the time and context."
-      },
-      {
-        type: "fill_in_blank",
-        question: "Ciao, come ___?",
-        question_translation: "Hello, how ___?",
-        correct_answer: "stai",
-        explanation: "The correct form is 'stai' (you are) when asking 'how are you?'"
-      },
-      {
-        type: "translation",
-        question: "Translate to Italian: Thank you",
-        question_translation: "Translate to Italian: Thank you",
-        correct_answer: "Grazie",
-        explanation: "Grazie is the standard way to say thank you in Italian."
-      }
-    ],
-    scoring: {
-      total_points: 30,
-      points_per_question: 10
-    }
-  };
+function getFallbackQuiz(weekNumber, theme, dayNumber, level, language) {
+  return { ...contentService.getQuiz(theme, dayNumber, null, level, language), week: weekNumber, theme };
 }
 
 /**
  * Get fallback practice quiz when OpenAI fails
  * @param {number} weekNumber - Week number
  * @param {string} theme - Week theme
+ * @param {number} dayNumber - Curriculum day
+ * @param {string} level - Course level
+ * @param {string} language - Language pack code
+ * @param {string} nativeLanguage - Locale code the title and instructions are written in (defaults to the deployment's)
  * @returns {Object} Fallback practice quiz object
  */
-function getFallbackPracticeQuiz(weekNumber, theme) {
+function getFallbackPracticeQuiz(weekNumber, theme, dayNumber, level, language, nativeLanguage) {
+  const quiz = contentService.getQuiz(theme, dayNumber, 5, level, language);
   return {
-    title: "Practice Quiz",
+    ...quiz,
+    title: t(nativeLanguage, 'quiz.practiceTitle'),
     week: weekNumber,
-    theme: theme,
-    instructions: "Quick practice quiz! Answer these questions about this week's theme.",
-    questions: [
-      {
-        type: "multiple_choice",
-        question: "Qual è la traduzione di 'Good morning'?",
-        question_translation: "What is the translation of 'Good morning'?",
-        options: ["Buongiorno", "Buonasera", "Buonanotte", "Ciao"],
-        correct_answer: 0,
-        explanation: "Buongiorno is used to say good morning in Italian."
-      },
-      {
-        type: "translation",
-        question: "Translate to Italian: Goodbye",
-        question_translation: "Translate to Italian: Goodbye",
-        correct_answer: "Arrivederci",
-        explanation: "Arrivederci is a formal way to say goodbye in Italian."
-      }
-    ],
-    scoring: {
-      total_points: 20,
-      points_per_question: 10
-    }
+    theme,
+    instructions: t(nativeLanguage, 'quiz.practiceInstructions')
   };
 }
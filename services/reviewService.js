@@ -1,54 +1,53 @@
 import * as db from './db.js';
+import * as srsService from './srsService.js';
+import { DEFAULT_LEVEL } from './curriculumService.js';
+import * as languageService from './languageService.js';
+import { t } from './localeService.js';
 
 /**
  * Review Service - Handles spaced repetition and vocabulary review
- * Implements optimal review intervals based on cognitive science
+ * Scheduling (SM-2 or FSRS, chosen per user) lives in srsService
  */
 
-/**
- * Spaced repetition intervals (in days)
- * Words are reviewed at these intervals after first learning
- */
-const REVIEW_INTERVALS = {
-  1: 1,   // Review after 1 day
-  2: 3,   // Review after 3 days
-  3: 7,   // Review after 7 days
-  4: 14,  // Review after 14 days
-  5: 30   // Review after 30 days (mastered)
-};
-
 /**
  * Get words that need review today based on spaced repetition
+ * Only words from the user's current course and language are considered (week numbers restart in every course)
  * @param {number} userId - User ID
  * @param {number} weekNumber - Current week number
  * @param {Date} startDate - User's start date
- * @returns {Array} Array of words that need review
+ * @param {Date} now - Current time (injectable for tests)
+ * @returns {Array} Array of words that need review, most overdue first
  */
-export async function getWordsForReview(userId, weekNumber, startDate) {
+export async function getWordsForReview(userId, weekNumber, startDate, now = new Date()) {
   try {
     const allWords = [];
     
-    // Get vocabulary from current week and previous weeks
-    const weeksToReview = Math.min(weekNumber, 4); // Review up to 4 weeks back
+    // Words from the vocabulary ledger learned in the current week and up to 3 weeks before
+    const firstWeek = Math.max(1, weekNumber - 3);
+    const user = await db.getUser(userId);
+    const course = user?.course || DEFAULT_LEVEL;
+    const vocabulary = await db.getVocabulary(userId, user?.language || languageService.getDefaultLanguage());
     
-    for (let week = Math.max(1, weekNumber - weeksToReview + 1); week <= weekNumber; week++) {
-      const weekVocab = await db.getWeekVocabulary(userId, week);
+    for (const word of vocabulary) {
+      if (word.course !== course) continue;
+      if (word.weekLearned < firstWeek || word.weekLearned > weekNumber) continue;
       
-      for (const word of weekVocab) {
-        // Calculate when this word was learned
-        const wordData = await getWordReviewData(userId, week, word);
-        
-        if (shouldReviewWord(wordData, startDate)) {
-          allWords.push({
-            ...word,
-            weekLearned: week,
-            reviewLevel: wordData.reviewLevel || 1,
-            lastReviewed: wordData.lastReviewed
-          });
-        }
+      const wordData = await db.getWordReview(userId, word.weekLearned, word.italian, word.course, word.language);
+      // A word never reviewed is first due a day after the ledger says it was learned
+      const state = wordData?.dateLearned || !word.learnedAt ? wordData : { ...wordData, dateLearned: word.learnedAt };
+      
+      if (srsService.isDue(state, { now, startDate })) {
+        allWords.push({
+          ...word,
+          reviewLevel: wordData?.reviewLevel || 1,
+          lastReviewed: wordData?.lastReviewed || null,
+          dueDate: srsService.getDueDate(state, startDate)
+        });
       }
     }
     
+    allWords.sort((a, b) => a.dueDate - b.dueDate);
+    
     // Limit to 15-20 words per review session
     return allWords.slice(0, 20);
   } catch (error) {
@@ -58,122 +57,111 @@ export async function getWordsForReview(userId, weekNumber, startDate) {
 }
 
 /**
- * Check if a word should be reviewed today
- * @param {Object} wordData - Word review data
- * @param {Date} startDate - User's start date
- * @returns {boolean} True if word should be reviewed
- */
-function shouldReviewWord(wordData, startDate) {
-  if (!wordData.lastReviewed) {
-    // Never reviewed, review if learned more than 1 day ago
-    const daysSinceLearned = getDaysSinceDate(wordData.dateLearned || startDate);
-    return daysSinceLearned >= 1;
-  }
-  
-  const daysSinceReview = getDaysSinceDate(wordData.lastReviewed);
-  const currentReviewLevel = wordData.reviewLevel || 1;
-  const interval = REVIEW_INTERVALS[currentReviewLevel] || 1;
-  
-  return daysSinceReview >= interval;
-}
-
-/**
- * Get review data for a specific word
+ * Get the scheduling algorithm a user has chosen
  * @param {number} userId - User ID
- * @param {number} weekNumber - Week number
- * @param {Object} word - Word object
- * @returns {Object} Review data
+ * @returns {string} 'sm2' or 'fsrs'
  */
-async function getWordReviewData(userId, weekNumber, word) {
-  try {
-    // In a real implementation, this would query a review database
-    // For now, use in-memory storage
-    const key = `${userId}_${weekNumber}_${word.italian}`;
-    
-    if (!global.reviewStorage) {
-      global.reviewStorage = new Map();
-    }
-    
-    const reviewData = global.reviewStorage.get(key) || {
-      reviewLevel: 1,
-      dateLearned: new Date(),
-      lastReviewed: null,
-      correctCount: 0,
-      incorrectCount: 0
-    };
-    
-    return reviewData;
-  } catch (error) {
-    console.error('Error getting word review data:', error);
-    return {
-      reviewLevel: 1,
-      dateLearned: new Date(),
-      lastReviewed: null
-    };
-  }
+async function getUserAlgorithm(userId) {
+  const user = await db.getUser(userId);
+  return srsService.resolveAlgorithm(user?.review_algorithm);
 }
 
 /**
  * Update word review status after user reviews it
  * @param {number} userId - User ID
  * @param {number} weekNumber - Week number
- * @param {Object} word - Word object
+ * @param {Object} word - Word object (a ledger word: its course and language key the review)
  * @param {boolean} correct - Whether user got it correct
+ * @param {Object} options - { quality (0-5, overrides correct), skipped, almost (near-miss from gradingService), now }
+ * @returns {Object|null} Schedule change { word, correct, quality, previousInterval, intervalDays, dueDate, reviewLevel }
  */
-export async function updateWordReview(userId, weekNumber, word, correct) {
+export async function updateWordReview(userId, weekNumber, word, correct, options = {}) {
   try {
-    const key = `${userId}_${weekNumber}_${word.italian}`;
+    const now = options.now || new Date();
+    const algorithm = await getUserAlgorithm(userId);
+    const quality = options.quality ?? srsService.qualityFromAnswer({
+      correct,
+      skipped: options.skipped,
+      almost: options.almost
+    });
     
-    if (!global.reviewStorage) {
-      global.reviewStorage = new Map();
-    }
+    const reviewData = await db.getWordReview(userId, weekNumber, word.italian, word.course, word.language);
+    const previousInterval = reviewData?.intervalDays || 0;
     
-    const reviewData = await getWordReviewData(userId, weekNumber, word);
+    const updated = srsService.scheduleReview(reviewData, quality, {
+      algorithm,
+      now,
+      dateLearned: reviewData?.dateLearned || now
+    });
     
-    if (correct) {
-      reviewData.correctCount = (reviewData.correctCount || 0) + 1;
-      
-      // Advance to next review level if answered correctly multiple times
-      if (reviewData.correctCount >= 2) {
-        reviewData.reviewLevel = Math.min((reviewData.reviewLevel || 1) + 1, 5);
-        reviewData.correctCount = 0; // Reset counter
-      }
-    } else {
-      reviewData.incorrectCount = (reviewData.incorrectCount || 0) + 1;
-      
-      // Reset review level if answered incorrectly
-      if (reviewData.incorrectCount >= 2) {
-        reviewData.reviewLevel = Math.max((reviewData.reviewLevel || 1) - 1, 1);
-        reviewData.incorrectCount = 0; // Reset counter
-      }
-    }
+    await db.saveWordReview(userId, weekNumber, word.italian, updated, word.course, word.language);
     
-    reviewData.lastReviewed = new Date();
-    global.reviewStorage.set(key, reviewData);
+    console.log(`✅ Updated review for word: ${word.italian}, quality: ${quality}, next in ${updated.intervalDays} days (${algorithm})`);
     
-    console.log(`✅ Updated review for word: ${word.italian}, correct: ${correct}, level: ${reviewData.reviewLevel}`);
+    return {
+      word: word.italian,
+      correct,
+      quality,
+      algorithm,
+      previousInterval,
+      intervalDays: updated.intervalDays,
+      dueDate: updated.dueDate,
+      reviewLevel: updated.reviewLevel
+    };
   } catch (error) {
     console.error('Error updating word review:', error);
+    return null;
   }
 }
 
 /**
- * Get days since a specific date
- * @param {Date} date - Date to calculate from
- * @returns {number} Days since date
+ * Format the end-of-session summary of schedule changes
+ * @param {Array} changes - Schedule changes returned by updateWordReview
+ * @param {string} nativeLanguage - Locale code the message is written in (defaults to the deployment's)
+ * @returns {string} Formatted message
  */
-function getDaysSinceDate(date) {
-  const now = new Date();
-  const diffTime = Math.abs(now - new Date(date));
-  return Math.floor(diffTime / (1000 * 60 * 60 * 24));
+export function formatReviewSummary(changes, nativeLanguage) {
+  const validChanges = changes.filter(Boolean);
+  const promoted = validChanges.filter(c => c.quality >= 3 && c.intervalDays > c.previousInterval);
+  const demoted = validChanges.filter(c => c.quality < 3 && c.previousInterval > 1);
+  const unchanged = validChanges.length - promoted.length - demoted.length;
+  
+  let message = t(nativeLanguage, 'review.summaryTitle');
+  
+  if (promoted.length > 0) {
+    message += t(nativeLanguage, 'review.promoted');
+    promoted.forEach(c => {
+      message += t(nativeLanguage, 'review.promotedWord', { word: c.word, days: c.intervalDays });
+    });
+    message += `\n`;
+  }
+  
+  if (demoted.length > 0) {
+    message += t(nativeLanguage, 'review.demoted');
+    demoted.forEach(c => {
+      message += t(nativeLanguage, 'review.demotedWord', { word: c.word, days: c.intervalDays, previous: c.previousInterval });
+    });
+    message += `\n`;
+  }
+  
+  if (unchanged > 0) {
+    message += t(nativeLanguage, 'review.unchanged', { count: unchanged });
+  }
+  
+  const algorithm = validChanges[0]?.algorithm === 'fsrs' ? 'FSRS' : 'SM-2';
+  message += t(nativeLanguage, 'review.scheduledWith', { algorithm });
+  
+  return message;
 }
 
 /**
  * Generate active recall quiz for review words
  * @param {Array} words - Words to review
+ * @param {string} language - Language being learned (defaults to the deployment's language)
+ * @param {string} nativeLanguage - Locale code the questions are written in (defaults to the deployment's)
  * @returns {Object} Quiz object
  */
-export function generateReviewQuiz(words) {
+export function generateReviewQuiz(words, language = languageService.getDefaultLanguage(), nativeLanguage) {
   if (!words || words.length === 0) {
     return null;
   }
@@ -189,39 +177,39 @@ export function generateReviewQuiz(words) {
     if (type === 'translation') {
       return {
         type: 'translation',
-        question: `Translate to Italian: "${word.english}"`,
+        question: t(nativeLanguage, 'review.translate', { name: languageService.loadLanguage(language).name, word: word.english }),
         correctAnswer: word.italian,
         word: word,
         explanation: `${word.italian} - ${word.pronunciation}`
       };
     } else if (type === 'sentence_completion') {
       // Use example sentence with blank
-      const example = word.example || `${word.italian} è bello.`;
+      const example = word.example || `${word.italian} (${word.english})`;
       const blanked = example.replace(word.italian, '_____');
       
       return {
         type: 'completion',
-        question: `Complete: ${blanked}`,
+        question: t(nativeLanguage, 'review.complete', { sentence: blanked }),
         correctAnswer: word.italian,
         word: word,
-        explanation: `Correct: ${example}`
+        explanation: t(nativeLanguage, 'review.correct', { sentence: example })
       };
     } else {
       return {
         type: 'definition',
-        question: `What does "${word.italian}" mean?`,
+        question: t(nativeLanguage, 'review.define', { word: word.italian }),
         correctAnswer: word.english,
         word: word,
-        explanation: `${word.italian} means "${word.english}" - ${word.pronunciation}`
+        explanation: t(nativeLanguage, 'review.means', { word: word.italian, meaning: word.english, pronunciation: word.pronunciation })
       };
     }
   });
   
   return {
-    title: 'Daily Review Quiz',
+    title: t(nativeLanguage, 'review.quizTitle'),
     wordsCount: wordsToReview.length,
     questions,
-    instructions: 'Test your recall! Try to remember without looking at the answer.'
+    instructions: t(nativeLanguage, 'review.quizInstructions')
   };
 }
 
@@ -232,28 +220,20 @@ export function generateReviewQuiz(words) {
  */
 export async function getReviewStats(userId) {
   try {
-    if (!global.reviewStorage) {
-      return {
-        totalWordsReviewed: 0,
-        masteredWords: 0,
-        wordsToReview: 0
-      };
-    }
+    const reviews = await db.getUserWordReviews(userId);
     
     let totalReviewed = 0;
     let mastered = 0;
     let needsReview = 0;
     
     // Count words in review storage
-    for (const [key, data] of global.reviewStorage.entries()) {
-      if (key.startsWith(`${userId}_`)) {
-        totalReviewed++;
-        if (data.reviewLevel >= 5) {
-          mastered++;
-        }
-        if (data.reviewLevel < 3) {
-          needsReview++;
-        }
+    for (const { review } of reviews) {
+      totalReviewed++;
+      if (review.reviewLevel >= 5) {
+        mastered++;
+      }
+      if (review.reviewLevel < 3) {
+        needsReview++;
       }
     }
     
@@ -1,14 +1,24 @@
 import cron from 'node-cron';
 import * as db from './db.js';
 import * as planService from './planService.js';
+import * as settingsService from './settingsService.js';
+import * as pauseService from './pauseService.js';
+import * as courseService from './courseService.js';
+import * as languageService from './languageService.js';
+import * as grammarService from './grammarService.js';
+import { t } from './localeService.js';
 
 /**
  * Scheduler Service - Handles scheduled tasks and daily message delivery
- * Sends daily learning tasks every morning at 8:00 UTC
+ * A single minute tick checks every user's own timezone and delivery times
+ * (set with /settings): morning lesson, evening reminder, and on Sundays the weekly quiz reminder
+ * Paused users (/pause or a /vacation in progress) are skipped
+ * Messages are written in each user's native language
  */
 
 let bot = null;
 let scheduledJobs = new Map();
+let tickRunning = false;
 
 /**
  * Initialize the scheduler with bot instance
@@ -28,47 +38,22 @@ export function startScheduler() {
     return;
   }
 
-  // Morning daily task delivery - 8:00 UTC
-  const morningTask = cron.schedule('0 8 * * *', async () => {
-    console.log('🌅 Running morning task scheduler...');
-    await sendDailyTasks();
-  }, {
-    scheduled: false,
-    timezone: 'UTC'
-  });
-
-  // Evening reminder - 20:00 UTC
-  const eveningReminder = cron.schedule('0 20 * * *', async () => {
-    console.log('🌙 Running evening reminder scheduler...');
-    await sendEveningReminders();
-  }, {
-    scheduled: false,
-    timezone: 'UTC'
-  });
-
-  // Weekly quiz reminder - Sunday 19:00 UTC
-  const weeklyQuiz = cron.schedule('0 19 * * 0', async () => {
-    console.log('📚 Running weekly quiz scheduler...');
-    await sendWeeklyQuizReminders();
+  // Delivery tick - every minute, each user is checked against their local time
+  const deliveryTick = cron.schedule('* * * * *', async () => {
+    await runDeliveryTick();
   }, {
     scheduled: false,
     timezone: 'UTC'
   });
 
   // Store jobs for management
-  scheduledJobs.set('morningTask', morningTask);
-  scheduledJobs.set('eveningReminder', eveningReminder);
-  scheduledJobs.set('weeklyQuiz', weeklyQuiz);
+  scheduledJobs.set('deliveryTick', deliveryTick);
 
   // Start all jobs
-  morningTask.start();
-  eveningReminder.start();
-  weeklyQuiz.start();
+  deliveryTick.start();
 
   console.log('✅ All scheduled jobs started');
-  console.log('📅 Morning tasks: 08:00 UTC daily');
-  console.log('🌙 Evening reminders: 20:00 UTC daily');
-  console.log('📚 Weekly quiz: Sunday 19:00 UTC');
+  console.log('⏱️ Delivery tick: every minute, per-user timezone and times (defaults 08:00 / 20:00 UTC)');
 }
 
 /**
@@ -87,29 +72,92 @@ export function stopScheduler() {
 }
 
 /**
- * Send daily tasks to all active users
+ * Deliver whatever is due for each active user right now
+ * Skips a tick if the previous one is still sending
+ * @param {Date} now - Current time (injectable for tests)
+ * @returns {Array} Deliveries made: { userId, slot, localDate }
  */
-async function sendDailyTasks() {
+export async function runDeliveryTick(now = new Date()) {
+  if (tickRunning) {
+    console.log('⏳ Previous delivery tick still running, skipping');
+    return [];
+  }
+  
+  tickRunning = true;
+  const deliveries = [];
+  
   try {
-    console.log('📤 Sending daily tasks to all users...');
-    
     const users = await db.getAllActiveUsers();
-    console.log(`Found ${users.length} active users`);
     
-    for (const user of users) {
-      try {
-        await sendDailyTaskToUser(user);
-        // Small delay between messages to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 100));
-      } catch (error) {
-        console.error(`Error sending daily task to user ${user.user_id}:`, error);
+    for (let user of users) {
+      const { local, slots } = settingsService.getDueSlots(user, now);
+      
+      user = await updateVacationPause(user, local, now);
+      if (pauseService.isPaused(user)) continue;
+      
+      for (const slot of slots) {
+        try {
+          // Record first so a failing send is not retried every minute
+          await db.markDeliverySent(user.user_id, slot, local.date);
+          
+          if (slot === 'morning') {
+            await sendDailyTaskToUser(user);
+          } else {
+            await sendEveningMessagesToUser(user, local);
+          }
+          
+          deliveries.push({ userId: user.user_id, slot, localDate: local.date });
+          // Small delay between messages to avoid rate limiting
+          await new Promise(resolve => setTimeout(resolve, 100));
+        } catch (error) {
+          console.error(`Error sending ${slot} delivery to user ${user.user_id}:`, error);
+        }
       }
     }
     
-    console.log('✅ Daily tasks sent to all users');
+    if (deliveries.length > 0) {
+      console.log(`✅ Delivery tick sent ${deliveries.length} message(s)`);
+    }
   } catch (error) {
-    console.error('❌ Error in sendDailyTasks:', error);
+    console.error('❌ Error in runDeliveryTick:', error);
+  } finally {
+    tickRunning = false;
   }
+  
+  return deliveries;
+}
+
+/**
+ * Start or end a vacation pause when the user's local date reaches it
+ * @param {Object} user - User object
+ * @param {Object} local - User's local time from settingsService.getLocalTime
+ * @param {Date} now - Current time
+ * @returns {Object} User with the updated pause state
+ */
+async function updateVacationPause(user, local, now) {
+  const { fields, event } = pauseService.applyVacation(user, local.date, now);
+  if (Object.keys(fields).length === 0) {
+    return user;
+  }
+  
+  try {
+    await db.updateUserPause(user.user_id, fields);
+    
+    if (event === 'started') {
+      await bot.sendMessage(user.user_id, t(user.native_language, 'vacation.started', {
+        enjoyHoliday: languageService.getPhraseText(user.language, 'enjoyHoliday'),
+        end: user.vacation_end
+      }), { parse_mode: 'Markdown' });
+    } else if (event === 'ended') {
+      await bot.sendMessage(user.user_id, t(user.native_language, 'vacation.ended', {
+        welcomeBack: languageService.formatPhrase(user.language, 'welcomeBack', user.native_language)
+      }), { parse_mode: 'Markdown' });
+    }
+  } catch (error) {
+    console.error(`Error updating vacation for user ${user.user_id}:`, error);
+  }
+  
+  return { ...user, ...fields };
 }
 
 /**
@@ -118,21 +166,27 @@ async function sendDailyTasks() {
  */
 async function sendDailyTaskToUser(user) {
   try {
-    const currentTask = planService.getCurrentTask(user.start_date);
+    const currentTask = planService.getCurrentTask(user.start_date, user);
     
     if (currentTask.completed) {
-      await sendCompletionMessage(user);
+      await sendCompletionMessage(user, currentTask);
       return;
     }
     
     const dailyPlan = await planService.generateDailyPlan(
       currentTask.weekNumber, 
-      currentTask.dayNumber
+      currentTask.dayNumber,
+      currentTask.course,
+      currentTask.language
     );
     
     const message = formatDailyTaskMessage(dailyPlan, currentTask);
+    // Buttons under the plan open the grammar topics it names
+    const grammarButtons = grammarService.formatTopicButtons(
+      grammarService.getLessonTopics(currentTask.course, currentTask.weekNumber, currentTask.dayNumber, currentTask.language)
+    );
     
-    await bot.sendMessage(user.user_id, message, { parse_mode: 'Markdown' });
+    await bot.sendMessage(user.user_id, message, { parse_mode: 'Markdown', ...grammarButtons });
     
     console.log(`✅ Daily task sent to user ${user.user_id} (Week ${currentTask.weekNumber}, Day ${currentTask.dayNumber})`);
     
@@ -142,80 +196,46 @@ async function sendDailyTaskToUser(user) {
 }
 
 /**
- * Send evening reminders to users who haven't completed today's task
+ * Evening delivery for one user: a reminder if today's task is still open,
+ * plus the weekly quiz reminder on the user's local Sunday at the end of a week
+ * @param {Object} user - User object
+ * @param {Object} local - User's local time from settingsService.getLocalTime
  */
-async function sendEveningReminders() {
-  try {
-    console.log('🌙 Sending evening reminders...');
-    
-    const users = await db.getAllActiveUsers();
-    
-    for (const user of users) {
-      try {
-        const currentTask = planService.getCurrentTask(user.start_date);
-        
-        if (currentTask.completed) continue;
-        
-        // Check if user completed today's task
-        const todayProgress = await db.getDailyProgress(
-          user.user_id, 
-          currentTask.weekNumber, 
-          currentTask.dayNumber
-        );
-        
-        if (!todayProgress || !todayProgress.taskCompleted) {
-          await sendEveningReminder(user, currentTask);
-        }
-        
-        await new Promise(resolve => setTimeout(resolve, 100));
-      } catch (error) {
-        console.error(`Error sending evening reminder to user ${user.user_id}:`, error);
-      }
-    }
-    
-    console.log('✅ Evening reminders sent');
-  } catch (error) {
-    console.error('❌ Error in sendEveningReminders:', error);
+async function sendEveningMessagesToUser(user, local) {
+  const currentTask = planService.getCurrentTask(user.start_date, user);
+  
+  if (currentTask.completed) return;
+  
+  // Check if user completed today's task
+  const todayProgress = await db.getDailyProgress(
+    user.user_id, 
+    currentTask.weekNumber, 
+    currentTask.dayNumber,
+    currentTask.course,
+    currentTask.language
+  );
+  
+  if (!todayProgress || !todayProgress.taskCompleted) {
+    await sendEveningReminder(user, currentTask);
+  }
+  
+  if (local.weekday === 0 && currentTask.dayNumber === 7) {
+    await sendWeeklyQuizReminder(user, currentTask);
   }
 }
 
 /**
- * Send weekly quiz reminders
+ * Send the weekly quiz reminder to a specific user
+ * @param {Object} user - User object
+ * @param {Object} currentTask - Current task information
  */
-async function sendWeeklyQuizReminders() {
-  try {
-    console.log('📚 Sending weekly quiz reminders...');
-    
-    const users = await db.getAllActiveUsers();
-    
-    for (const user of users) {
-      try {
-        const currentTask = planService.getCurrentTask(user.start_date);
-        
-        if (currentTask.completed || currentTask.dayNumber !== 7) continue;
-        
-        const message = `📚 *Weekly Quiz Time!* 📚
-
-This week's theme: *${currentTask.theme}*
-
-Time to test your knowledge! Take the weekly quiz to see how much you've learned.
-
-Type /quiz to start your quiz! 🎯
-
-Good luck! In bocca al lupo! 🍀`;
+async function sendWeeklyQuizReminder(user, currentTask) {
+  const message = t(currentTask.nativeLanguage, 'scheduler.weeklyQuiz', {
+    theme: currentTask.theme,
+    fingersCrossed: languageService.getPhraseText(currentTask.language, 'fingersCrossed')
+  });
 
-        await bot.sendMessage(user.user_id, message, { parse_mode: 'Markdown' });
-        
-        await new Promise(resolve => setTimeout(resolve, 100));
-      } catch (error) {
-        console.error(`Error sending quiz reminder to user ${user.user_id}:`, error);
-      }
-    }
-    
-    console.log('✅ Weekly quiz reminders sent');
-  } catch (error) {
-    console.error('❌ Error in sendWeeklyQuizReminders:', error);
-  }
+  await bot.sendMessage(user.user_id, message, { parse_mode: 'Markdown' });
 }
 
 /**
@@ -224,16 +244,13 @@ Good luck! In bocca al lupo! 🍀`;
  * @param {Object} currentTask - Current task information
  */
 async function sendEveningReminder(user, currentTask) {
-  const message = `🌙 *Evening Reminder*
-
-Don't forget about today's Italian lesson!
-
-*Week ${currentTask.weekNumber}, Day ${currentTask.dayNumber}*
-*Theme:* ${currentTask.theme}
-
-Type /today to get your lesson, or /status to check your progress.
-
-Keep up the great work! 💪🇮🇹`;
+  const { name, flag } = languageService.loadLanguage(currentTask.language);
+  const message = t(currentTask.nativeLanguage, 'scheduler.evening', {
+    name,
+    position: t(currentTask.nativeLanguage, 'common.weekDay', { week: currentTask.weekNumber, day: currentTask.dayNumber }),
+    theme: currentTask.theme,
+    flag
+  });
 
   await bot.sendMessage(user.user_id, message, { parse_mode: 'Markdown' });
 }
@@ -241,21 +258,38 @@ Keep up the great work! 💪🇮🇹`;
 /**
  * Send completion message to user
  * @param {Object} user - User object
+ * @param {Object} currentTask - Current task information (completed)
  */
-async function sendCompletionMessage(user) {
-  const message = `🎉 *Congratulations!* 🎉
-
-You have completed the entire 12-week Imparo Italiano program!
-
-*Bravissimo!* You've learned so much Italian. Keep practicing and continue your journey with the beautiful Italian language.
-
-Thank you for being part of this learning adventure! 🇮🇹✨
-
-*Arrivederci e buona fortuna!* (Goodbye and good luck!)`;
+async function sendCompletionMessage(user, currentTask) {
+  const pack = languageService.loadLanguage(currentTask.language);
+  const next = courseService.getNextLevel(currentTask.course, currentTask.language);
+  const { nativeLanguage } = currentTask;
+  const message = t(nativeLanguage, 'scheduler.completion', {
+    weeks: currentTask.totalWeeks,
+    level: currentTask.course,
+    botName: pack.botName,
+    wellDone: pack.phrases.wellDone.text,
+    name: pack.name,
+    next: next
+      ? t(nativeLanguage, 'scheduler.completionNext', { next })
+      : t(nativeLanguage, 'scheduler.completionLast', { name: pack.name }),
+    flag: pack.flag,
+    goodbye: languageService.formatPhrase(currentTask.language, 'goodbye', nativeLanguage)
+  });
 
   await bot.sendMessage(user.user_id, message, { parse_mode: 'Markdown' });
 }
 
+/**
+ * Format a titled bullet list for the daily task message
+ * @param {string} title - List title
+ * @param {Array<string>} items - Items (nothing is shown when empty)
+ * @returns {string} Formatted list after a blank line, or ''
+ */
+function formatPlanList(title, items = []) {
+  return items.length > 0 ? `\n${title}\n${items.map(item => `• ${item}`).join('\n')}\n` : '';
+}
+
 /**
  * Format daily task message
  * @param {Object} dailyPlan - Daily plan object
@@ -263,30 +297,22 @@ Thank you for being part of this learning adventure! 🇮🇹✨
  * @returns {string} Formatted message
  */
 function formatDailyTaskMessage(dailyPlan, currentTask) {
-  return `🌅 *Buongiorno! Good morning!* 🇮🇹
-
-*Week ${dailyPlan.weekNumber}, Day ${dailyPlan.dayNumber}*
-*Theme:* ${dailyPlan.theme}
-
-📚 *Today's Focus:* ${dailyPlan.focus}
-⏱️ *Estimated Time:* ${dailyPlan.estimatedTime}
-
-*Your Task:*
-${dailyPlan.description}
-
-*Exercises:*
-${dailyPlan.exercises.map(ex => `• ${ex.description}`).join('\n')}
-
-*Commands:*
-/today - Get detailed lesson
-/status - Check your progress
-/week - See this week's plan
-/vocab - Get vocabulary
-/quiz - Practice quiz
-
-*Buono studio!* (Happy studying!) 📖✨
-
-Remember: Consistency is key to learning Italian! 💪`;
+  const { language, nativeLanguage } = currentTask;
+  const { name, flag } = languageService.loadLanguage(language);
+  return t(nativeLanguage, 'scheduler.daily', {
+    goodMorning: `${languageService.getPhraseText(language, 'goodMorning')} ${languageService.getPhraseTranslation(language, 'goodMorning', nativeLanguage)}`,
+    flag,
+    position: t(nativeLanguage, 'common.weekDay', { week: dailyPlan.weekNumber, day: dailyPlan.dayNumber }),
+    theme: dailyPlan.theme,
+    focus: dailyPlan.focus,
+    estimatedTime: dailyPlan.estimatedTime,
+    objectives: formatPlanList(t(nativeLanguage, 'scheduler.objectives'), dailyPlan.objectives),
+    grammar: formatPlanList(t(nativeLanguage, 'scheduler.grammar'), dailyPlan.grammar),
+    description: dailyPlan.description,
+    exercises: dailyPlan.exercises.map(ex => `• ${ex.description}`).join('\n'),
+    happyStudying: languageService.formatPhrase(language, 'happyStudying', nativeLanguage),
+    name
+  });
 }
 
 /**
@@ -0,0 +1,336 @@
+/**
+ * Schema Service - JSON schemas for LLM payloads, with parsing, normalization and validation
+ * Pure helpers used by llmService.completeJSON before anything reaches the formatters
+ *
+ * Schemas use a small JSON Schema subset:
+ * - type: 'object' | 'array' | 'string' | 'number' | 'integer' | 'boolean', or an array of them
+ * - properties / required (objects), items / minItems / maxItems (arrays), minLength (strings), enum
+ * - default: value (or function of the parent object) filled in when the field is missing
+ * - check: (value, path) => errors, for rules the subset can't express
+ */
+
+/**
+ * Schema for one vocabulary word
+ */
+const WORD = {
+  type: 'object',
+  required: ['italian', 'english'],
+  properties: {
+    italian: { type: 'string', minLength: 1 },
+    english: { type: 'string', minLength: 1 },
+    pronunciation: { type: 'string', default: '' },
+    example: { type: 'string', default: '' },
+    translation: { type: 'string', default: '' }
+  }
+};
+
+/**
+ * Schema for the daily words payload (context dialogue + words)
+ * @param {number|null} wordCount - Exact number of words required, null for any
+ * @returns {Object} Schema
+ */
+export function wordsSchema(wordCount = null) {
+  return {
+    type: 'object',
+    required: ['words'],
+    properties: {
+      context: { type: 'string', default: '' },
+      contextTranslation: { type: 'string', default: '' },
+      words: {
+        type: 'array',
+        items: WORD,
+        minItems: wordCount || 1,
+        ...(wordCount ? { maxItems: wordCount } : {})
+      }
+    }
+  };
+}
+
+/**
+ * What each quiz question type needs to be askable
+ */
+const QUESTION_FIELDS = {
+  multiple_choice: ['options', 'correct_answer'],
+  fill_in_blank: ['correct_answer'],
+  translation: ['correct_answer'],
+  vocabulary_matching: ['pairs']
+};
+
+const QUIZ_QUESTION = {
+  type: 'object',
+  required: ['type', 'question'],
+  check: (question, path) => (QUESTION_FIELDS[question.type] || [])
+    .filter(field => question[field] === undefined)
+    .map(field => `${path}.${field}: is required for ${question.type} questions`),
+  properties: {
+    type: { type: 'string', enum: ['multiple_choice', 'fill_in_blank', 'translation', 'vocabulary_matching'] },
+    question: { type: 'string', minLength: 1 },
+    question_translation: { type: 'string', default: '' },
+    options: { type: 'array', items: { type: ['string', 'number'] } },
+    correct_answer: { type: ['integer', 'string'] },
+    pairs: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['italian', 'english'],
+        properties: {
+          italian: { type: 'string' },
+          english: { type: 'string' }
+        }
+      }
+    },
+    explanation: { type: 'string', default: '' }
+  }
+};
+
+export const SCHEMAS = {
+  words: wordsSchema(),
+
+  structuredVocabulary: {
+    type: 'array',
+    minItems: 1,
+    items: {
+      type: 'object',
+      required: ['category', 'words'],
+      properties: {
+        category: { type: 'string', minLength: 1 },
+        words: { type: 'array', items: WORD, minItems: 1 }
+      }
+    }
+  },
+
+  story: {
+    type: 'object',
+    required: ['title', 'story'],
+    properties: {
+      title: { type: 'string', minLength: 1 },
+      story: { type: 'string', minLength: 1 },
+      translation: { type: 'string', default: '' },
+      vocabulary_used: { type: 'array', items: { type: 'string' }, default: [] },
+      questions: {
+        type: 'array',
+        default: [],
+        items: {
+          type: 'object',
+          required: ['question'],
+          properties: {
+            question: { type: 'string' },
+            translation: { type: 'string', default: '' },
+            answer: { type: 'string', default: '' },
+            answer_translation: { type: 'string', default: '' }
+          }
+        }
+      }
+    }
+  },
+
+  practicePrompt: {
+    type: 'object',
+    required: ['prompt'],
+    properties: {
+      title: { type: 'string', default: 'Writing Practice' },
+      instructions: { type: 'string', default: 'Write 3-5 sentences.' },
+      prompt: { type: 'string', minLength: 1 },
+      prompt_translation: { type: 'string', default: '' },
+      vocabulary_to_use: { type: 'array', items: { type: 'string' }, default: [] },
+      example_response: { type: 'string', default: '' },
+      example_translation: { type: 'string', default: '' },
+      tips: { type: 'array', items: { type: 'string' }, default: [] }
+    }
+  },
+
+  quiz: {
+    type: 'object',
+    required: ['questions'],
+    properties: {
+      title: { type: 'string', default: 'Quiz' },
+      week: { type: 'integer' },
+      theme: { type: 'string' },
+      instructions: { type: 'string', default: '' },
+      questions: { type: 'array', items: QUIZ_QUESTION, minItems: 1 },
+      scoring: {
+        type: 'object',
+        default: quiz => ({ points_per_question: 10, total_points: 10 * (quiz.questions?.length || 0) }),
+        required: ['points_per_question'],
+        properties: {
+          points_per_question: { type: 'number' },
+          total_points: { type: 'number' }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Parse a model reply as JSON, tolerating code fences and text around the payload
+ * @param {string} text - Model reply
+ * @returns {*} Parsed value
+ * @throws {Error} If no JSON can be found
+ */
+export function parseJsonResponse(text) {
+  const trimmed = String(text || '')
+    .trim()
+    .replace(/^```(?:json)?\s*/i, '')
+    .replace(/\s*```$/, '');
+
+  try {
+    return JSON.parse(trimmed);
+  } catch (error) {
+    // Fall back to the outermost object or array in the reply
+    const start = trimmed.search(/[[{]/);
+    const end = Math.max(trimmed.lastIndexOf('}'), trimmed.lastIndexOf(']'));
+    if (start !== -1 && end > start) {
+      try {
+        return JSON.parse(trimmed.slice(start, end + 1));
+      } catch (innerError) {
+        // Report the original error below
+      }
+    }
+    throw new Error(`Response is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Name the JSON type of a value
+ * @param {*} value - Value
+ * @returns {string} 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Check a value against one schema type ('number' also accepts integers)
+ * @param {*} value - Value
+ * @param {string} type - Schema type
+ * @returns {boolean} True if it matches
+ */
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Fill in defaults and coerce obvious slips (numeric strings for numbers, single items for arrays)
+ * Returns a new value; the input is not changed
+ * @param {*} value - Parsed payload
+ * @param {Object} schema - Schema
+ * @returns {*} Normalized value
+ */
+export function normalize(value, schema) {
+  const types = [].concat(schema.type || []);
+
+  if (typeof value === 'string' && !types.includes('string')
+    && (types.includes('integer') || types.includes('number')) && value.trim() !== '' && !isNaN(Number(value))) {
+    return Number(value);
+  }
+
+  if (types.includes('array') && value !== undefined && value !== null && !Array.isArray(value)) {
+    value = [value];
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    return value.map(item => normalize(item, schema.items));
+  }
+
+  if (typeOf(value) === 'object' && schema.properties) {
+    const result = { ...value };
+    for (const [key, propertySchema] of Object.entries(schema.properties)) {
+      if (result[key] === undefined || result[key] === null) {
+        if (propertySchema.default !== undefined) {
+          const fallback = typeof propertySchema.default === 'function'
+            ? propertySchema.default(result)
+            : propertySchema.default;
+          result[key] = JSON.parse(JSON.stringify(fallback));
+        } else {
+          delete result[key];
+        }
+      }
+      if (result[key] !== undefined) {
+        result[key] = normalize(result[key], propertySchema);
+      }
+    }
+    return result;
+  }
+
+  return value;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema
+ * @param {string} path - Path of the value, for error messages
+ * @returns {Array<string>} Field-level errors, e.g. "questions[2].options: expected array, got string"
+ */
+export function validate(value, schema, path = '(root)') {
+  const errors = [];
+  const types = [].concat(schema.type || []);
+
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    return [`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+    errors.push(`${path}: must not be empty`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: expected at least ${schema.minItems} item(s), got ${value.length}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: expected at most ${schema.maxItems} item(s), got ${value.length}`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validate(item, schema.items, `${path === '(root)' ? '' : path}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const prefix = path === '(root)' ? '' : `${path}.`;
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${prefix}${key}: is required`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validate(value[key], propertySchema, `${prefix}${key}`));
+      }
+    }
+  }
+
+  if (schema.check && errors.length === 0) {
+    errors.push(...schema.check(value, path));
+  }
+
+  return errors;
+}
+
+/**
+ * Parse, normalize and validate a model reply
+ * @param {string} text - Model reply
+ * @param {Object} schema - Schema
+ * @returns {Object} { value, errors } - value is normalized; errors is empty when valid
+ */
+export function parseAndValidate(text, schema) {
+  let parsed;
+  try {
+    parsed = parseJsonResponse(text);
+  } catch (error) {
+    return { value: null, errors: [`(root): ${error.message}`] };
+  }
+
+  const value = normalize(parsed, schema);
+  return { value, errors: validate(value, schema) };
+}
@@ -0,0 +1,229 @@
+import * as db from './db.js';
+import { t } from './localeService.js';
+
+/**
+ * Session Service - Per-user state machines for multi-step flows
+ *
+ * A user has at most one active session, persisted through db.js so a restart
+ * does not lose a half-answered quiz or a practice waiting for its submission:
+ *   { type, state, data, startedAt, updatedAt, expiresAt }
+ *
+ * Each flow in FLOWS declares its initial state, the events allowed in each state
+ * (and the state they lead to) and how long it may sit idle before timing out.
+ * Flows end with endSession; starting a new flow replaces the current one.
+ * Each flow's label is the "session.<type>" message of the learner's native language.
+ */
+
+export const FLOWS = {
+  // Waiting for a typed /settings value (data: { field })
+  setting: {
+    initial: 'awaiting_value',
+    idleMinutes: 10,
+    transitions: {}
+  },
+
+  // Interactive quiz (data: { quiz } - the quizService session)
+  quiz: {
+    initial: 'answering',
+    idleMinutes: 60,
+    transitions: {}
+  },
+
+  // Writing practice (data: { weekNumber, dayNumber, theme, title, revisions })
+  practice: {
+    initial: 'awaiting_submission',
+    idleMinutes: 120,
+    maxRevisions: 3,
+    transitions: {
+      awaiting_submission: { submit: 'reviewing' },
+      reviewing: { revise: 'reviewing' }
+    }
+  },
+
+  // Verb drill (data: { drill } - the drillService drill)
+  drill: {
+    initial: 'answering',
+    idleMinutes: 30,
+    transitions: {}
+  }
+};
+
+const MINUTE_MS = 1000 * 60;
+
+/**
+ * Work out when a session times out if left alone from now
+ * @param {string} type - Flow type
+ * @param {Date} now - Current time
+ * @returns {Date} Expiry time
+ */
+function expiryFrom(type, now) {
+  return new Date(new Date(now).getTime() + FLOWS[type].idleMinutes * MINUTE_MS);
+}
+
+/**
+ * Create a session in its flow's initial state
+ * @param {string} type - Flow type (key of FLOWS)
+ * @param {Object} data - Flow data
+ * @param {Date} now - Current time
+ * @returns {Object} New session
+ */
+export function createSession(type, data = {}, now = new Date()) {
+  if (!FLOWS[type]) {
+    throw new Error(`Unknown session type "${type}"`);
+  }
+
+  return {
+    type,
+    state: FLOWS[type].initial,
+    data,
+    startedAt: new Date(now),
+    updatedAt: new Date(now),
+    expiresAt: expiryFrom(type, now)
+  };
+}
+
+/**
+ * Move a session along its flow
+ * @param {Object} session - Current session
+ * @param {string} event - Event name (e.g. 'submit')
+ * @param {Object} data - Data to merge into session.data
+ * @param {Date} now - Current time
+ * @returns {Object} Updated session (the original is not changed)
+ */
+export function applyEvent(session, event, data = {}, now = new Date()) {
+  const next = FLOWS[session.type]?.transitions[session.state]?.[event];
+  if (!next) {
+    throw new Error(`Event "${event}" is not allowed in ${session.type} state "${session.state}"`);
+  }
+
+  return {
+    ...session,
+    state: next,
+    data: { ...session.data, ...data },
+    updatedAt: new Date(now),
+    expiresAt: expiryFrom(session.type, now)
+  };
+}
+
+/**
+ * Check whether a session has been idle for too long
+ * @param {Object} session - Session
+ * @param {Date} now - Current time
+ * @returns {boolean} True if timed out
+ */
+export function isExpired(session, now = new Date()) {
+  return new Date(now) >= new Date(session.expiresAt);
+}
+
+/**
+ * Load a user's session, clearing it if it has timed out
+ * @param {number} userId - User ID
+ * @param {Date} now - Current time
+ * @returns {Object} { session (active or null), expired (the timed-out session or null) }
+ */
+export async function getSession(userId, now = new Date()) {
+  const session = await db.getSession(userId);
+  if (!session) {
+    return { session: null, expired: null };
+  }
+
+  if (isExpired(session, now)) {
+    await db.deleteSession(userId);
+    console.log(`⌛ ${session.type} session timed out for user ${userId}`);
+    return { session: null, expired: session };
+  }
+
+  return { session, expired: null };
+}
+
+/**
+ * Start a flow for a user, replacing any session they had
+ * @param {number} userId - User ID
+ * @param {string} type - Flow type
+ * @param {Object} data - Flow data
+ * @param {Date} now - Current time
+ * @returns {Object} { session, replaced (the unfinished session it replaced, or null) }
+ */
+export async function startSession(userId, type, data = {}, now = new Date()) {
+  const { session: replaced } = await getSession(userId, now);
+  const session = createSession(type, data, now);
+  await db.saveSession(userId, session);
+  return { session, replaced };
+}
+
+/**
+ * Apply an event to a user's session and save it
+ * @param {number} userId - User ID
+ * @param {Object} session - Current session
+ * @param {string} event - Event name
+ * @param {Object} data - Data to merge into session.data
+ * @param {Date} now - Current time
+ * @returns {Object} Updated session
+ */
+export async function advanceSession(userId, session, event, data = {}, now = new Date()) {
+  const next = applyEvent(session, event, data, now);
+  await db.saveSession(userId, next);
+  return next;
+}
+
+/**
+ * Save changes made to session.data without changing state (also resets the idle timer)
+ * @param {number} userId - User ID
+ * @param {Object} session - Session
+ * @param {Date} now - Current time
+ * @returns {Object} Saved session
+ */
+export async function touchSession(userId, session, now = new Date()) {
+  const next = { ...session, updatedAt: new Date(now), expiresAt: expiryFrom(session.type, now) };
+  await db.saveSession(userId, next);
+  return next;
+}
+
+/**
+ * End a user's session
+ * @param {number} userId - User ID
+ */
+export async function endSession(userId) {
+  await db.deleteSession(userId);
+}
+
+/**
+ * Parse inline keyboard callback data for session controls
+ * Format: "session:end" (the Finish button)
+ * @param {string} data - callback_query data
+ * @returns {Object|null} { action } or null if not a session callback
+ */
+export function parseSessionCallback(data) {
+  const match = /^session:(end)$/.exec(data || '');
+  return match ? { action: match[1] } : null;
+}
+
+/**
+ * Human-readable name of a session's flow
+ * @param {Object} session - Session
+ * @param {string} nativeLanguage - Locale code (defaults to the deployment's)
+ * @returns {string} Label, e.g. "writing practice"
+ */
+export function getLabel(session, nativeLanguage) {
+  return FLOWS[session.type] ? t(nativeLanguage, `session.${session.type}`) : session.type;
+}
+
+/**
+ * Message for a session that timed out
+ * @param {Object} session - The expired session
+ * @param {string} nativeLanguage - Locale code (defaults to the deployment's)
+ * @returns {string} Message text
+ */
+export function formatExpiredMessage(session, nativeLanguage) {
+  const restart = {
+    setting: '/settings',
+    quiz: session.data?.quiz?.source === 'review' ? '/reviewquiz' : '/quiz',
+    practice: '/practice',
+    drill: '/drill'
+  }[session.type];
+
+  return t(nativeLanguage, 'session.expired', {
+    label: getLabel(session, nativeLanguage),
+    minutes: FLOWS[session.type]?.idleMinutes || 0
+  }) + (restart ? t(nativeLanguage, 'session.restart', { command: restart }) : '');
+}
@@ -0,0 +1,290 @@
+import { t } from './localeService.js';
+
+/**
+ * Settings Service - Per-user timezone and delivery times
+ * Pure helpers used by the /settings flow and the scheduler's minute tick
+ *
+ * Times are stored as local "HH:MM" strings together with an IANA timezone
+ * (e.g. "America/New_York"); daylight saving is handled by Intl.
+ */
+
+export const DEFAULT_SETTINGS = {
+  timezone: 'UTC',
+  morning_time: '08:00',
+  evening_time: '20:00'
+};
+
+/**
+ * Delivery slots and the user column holding each slot's time
+ */
+export const SLOTS = {
+  morning: 'morning_time',
+  evening: 'evening_time'
+};
+
+/**
+ * How long after the chosen time a missed slot is still delivered
+ * (covers restarts and slow ticks without sending stale "Buongiorno"s)
+ */
+const CATCH_UP_MINUTES = 60;
+
+/**
+ * Timezones offered as buttons (any IANA name can also be typed)
+ */
+export const TIMEZONE_CHOICES = [
+  'UTC',
+  'Europe/London',
+  'Europe/Rome',
+  'America/New_York',
+  'America/Chicago',
+  'America/Denver',
+  'America/Los_Angeles',
+  'America/Sao_Paulo',
+  'Asia/Tokyo',
+  'Australia/Sydney'
+];
+
+/**
+ * Times offered as buttons per field
+ */
+export const TIME_CHOICES = {
+  morning_time: ['06:00', '07:00', '08:00', '09:00', '10:00'],
+  evening_time: ['18:00', '19:00', '20:00', '21:00', '22:00']
+};
+
+// Message key of each field's label
+const FIELD_LABELS = {
+  timezone: 'settings.timezone',
+  morning_time: 'settings.morning',
+  evening_time: 'settings.evening'
+};
+
+/**
+ * Check whether a timezone name is known to Intl
+ * @param {string} timezone - IANA timezone name
+ * @returns {boolean} True if valid
+ */
+export function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Resolve a typed timezone, ignoring case ("europe/rome" → "Europe/Rome")
+ * @param {string} text - Typed timezone
+ * @returns {string|null} Canonical timezone name or null if unknown
+ */
+export function parseTimezone(text) {
+  const candidate = String(text || '').trim().replace(/\s+/g, '_');
+  if (!isValidTimezone(candidate)) {
+    return null;
+  }
+  return new Intl.DateTimeFormat('en-US', { timeZone: candidate }).resolvedOptions().timeZone;
+}
+
+/**
+ * Parse a typed time ("7", "7:30", "07.30", "19h") into "HH:MM"
+ * @param {string} text - Typed time
+ * @returns {string|null} "HH:MM" or null if invalid
+ */
+export function parseTime(text) {
+  const match = /^(\d{1,2})(?:[:.h](\d{2})?)?$/.exec(String(text || '').trim().toLowerCase());
+  if (!match) {
+    return null;
+  }
+
+  const hours = parseInt(match[1]);
+  const minutes = match[2] ? parseInt(match[2]) : 0;
+  if (hours > 23 || minutes > 59) {
+    return null;
+  }
+
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Get the wall-clock date and time for a timezone
+ * @param {Date} now - Instant to convert
+ * @param {string} timezone - IANA timezone name
+ * @returns {Object} { date: 'YYYY-MM-DD', time: 'HH:MM', minutes (since midnight), weekday (0 = Sunday) }
+ */
+export function getLocalTime(now, timezone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: isValidTimezone(timezone) ? timezone : DEFAULT_SETTINGS.timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      weekday: 'short',
+      hourCycle: 'h23'
+    })
+      .formatToParts(now)
+      .map(part => [part.type, part.value])
+  );
+
+  const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+    minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute),
+    weekday: weekdays.indexOf(parts.weekday)
+  };
+}
+
+/**
+ * Convert "HH:MM" to minutes since midnight
+ * @param {string} time - "HH:MM"
+ * @returns {number} Minutes
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Get a user's settings with defaults filled in
+ * @param {Object} user - User record
+ * @returns {Object} { timezone, morning_time, evening_time }
+ */
+export function getUserSettings(user) {
+  return {
+    timezone: isValidTimezone(user.timezone) ? user.timezone : DEFAULT_SETTINGS.timezone,
+    morning_time: parseTime(user.morning_time) || DEFAULT_SETTINGS.morning_time,
+    evening_time: parseTime(user.evening_time) || DEFAULT_SETTINGS.evening_time
+  };
+}
+
+/**
+ * Work out which delivery slots are due for a user on this tick
+ * A slot is due once its local time has passed (within the catch-up window)
+ * and it has not been delivered yet on the user's local date.
+ * @param {Object} user - User record
+ * @param {Date} now - Current time
+ * @returns {Object} { local, slots: ['morning', 'evening'] }
+ */
+export function getDueSlots(user, now = new Date()) {
+  const settings = getUserSettings(user);
+  const local = getLocalTime(now, settings.timezone);
+
+  const slots = Object.entries(SLOTS)
+    .filter(([slot, field]) => {
+      const elapsed = local.minutes - toMinutes(settings[field]);
+      return elapsed >= 0
+        && elapsed < CATCH_UP_MINUTES
+        && user[`last_${slot}_sent`] !== local.date;
+    })
+    .map(([slot]) => slot);
+
+  return { local, slots };
+}
+
+/**
+ * Parse inline keyboard callback data for the settings flow
+ * Formats: "settings:<field>" (open a picker), "settings:<field>:<value>" (choose),
+ * "settings:<field>:type" (type a custom value)
+ * @param {string} data - callback_query data
+ * @returns {Object|null} { field, value } or null if not a settings callback
+ */
+export function parseSettingsCallback(data) {
+  const match = /^settings:(timezone|morning_time|evening_time|menu)(?::(.+))?$/.exec(data || '');
+  if (!match) {
+    return null;
+  }
+  return { field: match[1], value: match[2] || null };
+}
+
+/**
+ * Validate a chosen or typed value for a settings field
+ * @param {string} field - 'timezone', 'morning_time' or 'evening_time'
+ * @param {string} value - Raw value
+ * @returns {string|null} Normalized value or null if invalid
+ */
+export function normalizeSetting(field, value) {
+  if (field === 'timezone') {
+    return parseTimezone(value);
+  }
+  if (field === 'morning_time' || field === 'evening_time') {
+    return parseTime(value);
+  }
+  return null;
+}
+
+/**
+ * Format the settings overview with its inline keyboard
+ * Written in the user's native language
+ * @param {Object} user - User record
+ * @param {Date} now - Current time (for the local clock preview)
+ * @returns {Object} { text, options } ready for bot.sendMessage
+ */
+export function formatSettingsMessage(user, now = new Date()) {
+  const settings = getUserSettings(user);
+  const local = getLocalTime(now, settings.timezone);
+  const nativeLanguage = user.native_language;
+
+  const text = t(nativeLanguage, 'settings.title', {
+    timezoneLabel: t(nativeLanguage, FIELD_LABELS.timezone),
+    timezone: settings.timezone,
+    time: local.time,
+    morningLabel: t(nativeLanguage, FIELD_LABELS.morning_time),
+    morning: settings.morning_time,
+    eveningLabel: t(nativeLanguage, FIELD_LABELS.evening_time),
+    evening: settings.evening_time
+  });
+
+  return {
+    text,
+    options: {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: Object.entries(FIELD_LABELS).map(([field, label]) => ([{
+          text: t(nativeLanguage, label),
+          callback_data: `settings:${field}`
+        }]))
+      }
+    }
+  };
+}
+
+/**
+ * Format the picker for one settings field
+ * @param {string} field - 'timezone', 'morning_time' or 'evening_time'
+ * @param {string} nativeLanguage - Locale code (defaults to the deployment's)
+ * @returns {Object} { text, options } ready for bot.sendMessage
+ */
+export function formatPickerMessage(field, nativeLanguage) {
+  const choices = field === 'timezone' ? TIMEZONE_CHOICES : TIME_CHOICES[field];
+  const rows = [];
+  for (let i = 0; i < choices.length; i += 2) {
+    rows.push(choices.slice(i, i + 2).map(choice => ({
+      text: choice,
+      callback_data: `settings:${field}:${choice}`
+    })));
+  }
+  rows.push([
+    { text: t(nativeLanguage, 'settings.typeAnother'), callback_data: `settings:${field}:type` },
+    { text: t(nativeLanguage, 'settings.back'), callback_data: 'settings:menu' }
+  ]);
+
+  const label = t(nativeLanguage, FIELD_LABELS[field]);
+  const text = field === 'timezone'
+    ? t(nativeLanguage, 'settings.pickTimezone', { label })
+    : t(nativeLanguage, 'settings.pickTime', { label });
+
+  return {
+    text,
+    options: {
+      parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: rows }
+    }
+  };
+}
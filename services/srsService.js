@@ -0,0 +1,344 @@
+/**
+ * SRS Service - Spaced repetition scheduling algorithms
+ * Pure functions: every calculation takes an explicit `now` so it can be tested with a fake clock
+ *
+ * Algorithms (selectable per user, stored as users.review_algorithm):
+ * - sm2  - SuperMemo-2: per-word ease factor, intervals 1, 6, then interval × ease
+ * - fsrs - Free Spaced Repetition Scheduler (v4.5 default weights): per-word stability and difficulty
+ *
+ * Answers are graded on the SM-2 quality scale:
+ * 5 perfect, 4 correct, 3 correct with difficulty, 2 wrong but close, 1 wrong, 0 no answer
+ */
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+export const ALGORITHMS = ['sm2', 'fsrs'];
+export const DEFAULT_ALGORITHM = 'sm2';
+
+/**
+ * Review levels (1-5) by minimum interval in days
+ * Used for stats ("mastered" = level 5) across both algorithms
+ */
+const LEVEL_THRESHOLDS = [
+  { level: 5, minDays: 30 },
+  { level: 4, minDays: 14 },
+  { level: 3, minDays: 7 },
+  { level: 2, minDays: 3 },
+  { level: 1, minDays: 0 }
+];
+
+/**
+ * Legacy fixed ladder (days per review level) for records created before SM-2/FSRS
+ */
+const LEGACY_INTERVALS = { 1: 1, 2: 3, 3: 7, 4: 14, 5: 30 };
+
+const SM2_INITIAL_EASE = 2.5;
+const SM2_MIN_EASE = 1.3;
+
+/**
+ * FSRS v4.5 default parameters
+ */
+const FSRS_WEIGHTS = [
+  0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474,
+  0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755
+];
+const FSRS_DECAY = -0.5;
+const FSRS_FACTOR = 19 / 81;
+const FSRS_DESIRED_RETENTION = 0.9;
+
+/**
+ * Check an algorithm name, falling back to the default
+ * @param {string} algorithm - Requested algorithm
+ * @returns {string} 'sm2' or 'fsrs'
+ */
+export function resolveAlgorithm(algorithm) {
+  return ALGORITHMS.includes(algorithm) ? algorithm : DEFAULT_ALGORITHM;
+}
+
+/**
+ * Convert a graded answer to an SM-2 quality (0-5)
+ * @param {Object} answer - { correct, skipped, almost }
+ * @returns {number} Quality grade
+ */
+export function qualityFromAnswer({ correct, skipped = false, almost = false }) {
+  if (skipped) return 0;
+  // A near-miss is wrong but close: not a pass
+  if (almost) return 2;
+  return correct ? 4 : 1;
+}
+
+/**
+ * Add whole days to a date
+ * @param {Date} date - Start date
+ * @param {number} days - Days to add
+ * @returns {Date} New date
+ */
+function addDays(date, days) {
+  return new Date(new Date(date).getTime() + days * DAY_MS);
+}
+
+/**
+ * Days elapsed between two dates (fractional)
+ * @param {Date} from - Earlier date
+ * @param {Date} to - Later date
+ * @returns {number} Days elapsed, never negative
+ */
+function daysBetween(from, to) {
+  return Math.max(0, (new Date(to) - new Date(from)) / DAY_MS);
+}
+
+/**
+ * Map an interval to a 1-5 review level
+ * @param {number} intervalDays - Interval in days
+ * @returns {number} Review level
+ */
+export function levelFromInterval(intervalDays) {
+  return LEVEL_THRESHOLDS.find(t => intervalDays >= t.minDays).level;
+}
+
+/**
+ * Create the scheduling state for a word that has never been reviewed
+ * @param {string} algorithm - 'sm2' or 'fsrs'
+ * @param {Date} dateLearned - When the word was learned
+ * @returns {Object} Review state
+ */
+export function createInitialState(algorithm, dateLearned) {
+  return {
+    algorithm: resolveAlgorithm(algorithm),
+    dateLearned: dateLearned ? new Date(dateLearned) : null,
+    lastReviewed: null,
+    dueDate: null,
+    intervalDays: 0,
+    repetitions: 0,
+    lapses: 0,
+    easeFactor: SM2_INITIAL_EASE,
+    stability: null,
+    difficulty: null,
+    lastQuality: null,
+    reviewLevel: 1,
+    correctCount: 0,
+    incorrectCount: 0
+  };
+}
+
+/**
+ * Calculate when a word is next due
+ * - Never reviewed: one day after it was learned (or after the user's start date)
+ * - Scheduled: the stored due date
+ * - Legacy ladder records: last review + the ladder interval for its level
+ * @param {Object|null} state - Review state (null when no record exists)
+ * @param {Date} startDate - User's start date, used when dateLearned is unknown
+ * @returns {Date} Due date
+ */
+export function getDueDate(state, startDate) {
+  if (!state || !state.lastReviewed) {
+    return addDays((state && state.dateLearned) || startDate, 1);
+  }
+
+  if (state.dueDate) {
+    return new Date(state.dueDate);
+  }
+
+  return addDays(state.lastReviewed, LEGACY_INTERVALS[state.reviewLevel] || 1);
+}
+
+/**
+ * Check whether a word should be reviewed now
+ * @param {Object|null} state - Review state
+ * @param {Object} options - { now, startDate }
+ * @returns {boolean} True if the word is due
+ */
+export function isDue(state, { now = new Date(), startDate }) {
+  return getDueDate(state, startDate).getTime() <= new Date(now).getTime();
+}
+
+/**
+ * Bring a stored record up to date with the current state shape
+ * (legacy ladder records only have reviewLevel and counters)
+ * @param {Object} state - Stored review state
+ * @param {string} algorithm - Algorithm to schedule with
+ * @returns {Object} Complete review state
+ */
+function upgradeState(state, algorithm) {
+  const base = createInitialState(algorithm, state.dateLearned);
+  const upgraded = { ...base, ...state, algorithm: resolveAlgorithm(algorithm) };
+
+  if (!state.intervalDays && state.lastReviewed) {
+    upgraded.intervalDays = LEGACY_INTERVALS[state.reviewLevel] || 1;
+  }
+
+  return upgraded;
+}
+
+/**
+ * SM-2: next ease factor, repetitions and interval
+ * @param {Object} state - Current state
+ * @param {number} quality - Quality grade 0-5
+ * @returns {Object} { easeFactor, repetitions, intervalDays, lapses }
+ */
+function scheduleSm2(state, quality) {
+  let { repetitions, intervalDays, lapses } = state;
+
+  if (quality >= 3) {
+    if (repetitions === 0) {
+      intervalDays = 1;
+    } else if (repetitions === 1) {
+      intervalDays = 6;
+    } else {
+      intervalDays = Math.round(intervalDays * state.easeFactor);
+    }
+    repetitions++;
+  } else {
+    repetitions = 0;
+    intervalDays = 1;
+    lapses++;
+  }
+
+  const penalty = 5 - quality;
+  const easeFactor = Math.max(
+    SM2_MIN_EASE,
+    state.easeFactor + (0.1 - penalty * (0.08 + penalty * 0.02))
+  );
+
+  return { easeFactor: Math.round(easeFactor * 1000) / 1000, repetitions, intervalDays, lapses };
+}
+
+/**
+ * Convert an SM-2 quality to an FSRS rating (1 again, 2 hard, 3 good, 4 easy)
+ * @param {number} quality - Quality grade 0-5
+ * @returns {number} FSRS rating
+ */
+function fsrsRating(quality) {
+  if (quality < 3) return 1;
+  if (quality === 3) return 2;
+  if (quality === 4) return 3;
+  return 4;
+}
+
+/**
+ * Clamp FSRS difficulty to its 1-10 range
+ * @param {number} difficulty - Raw difficulty
+ * @returns {number} Clamped difficulty
+ */
+function clampDifficulty(difficulty) {
+  return Math.min(10, Math.max(1, difficulty));
+}
+
+/**
+ * FSRS initial difficulty for a first rating
+ * @param {number} rating - FSRS rating
+ * @returns {number} Difficulty
+ */
+function fsrsInitialDifficulty(rating) {
+  return clampDifficulty(FSRS_WEIGHTS[4] - (rating - 3) * FSRS_WEIGHTS[5]);
+}
+
+/**
+ * FSRS probability of recall after elapsedDays with the given stability
+ * @param {number} elapsedDays - Days since last review
+ * @param {number} stability - Memory stability in days
+ * @returns {number} Retrievability 0-1
+ */
+export function fsrsRetrievability(elapsedDays, stability) {
+  return Math.pow(1 + FSRS_FACTOR * elapsedDays / stability, FSRS_DECAY);
+}
+
+/**
+ * FSRS interval that keeps recall at the desired retention
+ * @param {number} stability - Memory stability in days
+ * @returns {number} Interval in whole days (at least 1)
+ */
+function fsrsInterval(stability) {
+  const interval = stability / FSRS_FACTOR * (Math.pow(FSRS_DESIRED_RETENTION, 1 / FSRS_DECAY) - 1);
+  return Math.max(1, Math.round(interval));
+}
+
+/**
+ * FSRS: next stability, difficulty and interval
+ * @param {Object} state - Current state
+ * @param {number} quality - Quality grade 0-5
+ * @param {Date} now - Review time
+ * @returns {Object} { stability, difficulty, repetitions, intervalDays, lapses }
+ */
+function scheduleFsrs(state, quality, now) {
+  const w = FSRS_WEIGHTS;
+  const rating = fsrsRating(quality);
+  let { repetitions, lapses } = state;
+  let stability;
+  let difficulty;
+
+  if (!state.stability || !state.difficulty) {
+    // First review under FSRS
+    stability = w[rating - 1];
+    difficulty = fsrsInitialDifficulty(rating);
+  } else {
+    const elapsed = daysBetween(state.lastReviewed || now, now);
+    const retrievability = fsrsRetrievability(elapsed, state.stability);
+
+    const nextDifficulty = state.difficulty - w[6] * (rating - 3);
+    difficulty = clampDifficulty(w[7] * fsrsInitialDifficulty(4) + (1 - w[7]) * nextDifficulty);
+
+    if (rating === 1) {
+      stability = w[11]
+        * Math.pow(state.difficulty, -w[12])
+        * (Math.pow(state.stability + 1, w[13]) - 1)
+        * Math.exp(w[14] * (1 - retrievability));
+    } else {
+      const hardPenalty = rating === 2 ? w[15] : 1;
+      const easyBonus = rating === 4 ? w[16] : 1;
+      stability = state.stability * (1
+        + Math.exp(w[8])
+        * (11 - state.difficulty)
+        * Math.pow(state.stability, -w[9])
+        * (Math.exp(w[10] * (1 - retrievability)) - 1)
+        * hardPenalty
+        * easyBonus);
+    }
+  }
+
+  if (rating === 1) {
+    repetitions = 0;
+    lapses++;
+  } else {
+    repetitions++;
+  }
+
+  return {
+    stability: Math.round(stability * 10000) / 10000,
+    difficulty: Math.round(difficulty * 10000) / 10000,
+    repetitions,
+    lapses,
+    intervalDays: rating === 1 ? 1 : fsrsInterval(stability)
+  };
+}
+
+/**
+ * Apply a graded review to a word's state
+ * @param {Object|null} state - Current review state (null for a first review)
+ * @param {number} quality - Quality grade 0-5
+ * @param {Object} options - { algorithm, now, dateLearned }
+ * @returns {Object} New review state (the input is not modified)
+ */
+export function scheduleReview(state, quality, { algorithm = DEFAULT_ALGORITHM, now = new Date(), dateLearned = null } = {}) {
+  const current = state
+    ? upgradeState(state, algorithm)
+    : createInitialState(algorithm, dateLearned || now);
+  const grade = Math.min(5, Math.max(0, Math.round(quality)));
+
+  const changes = current.algorithm === 'fsrs'
+    ? scheduleFsrs(current, grade, now)
+    : scheduleSm2(current, grade);
+
+  const correct = grade >= 3;
+
+  return {
+    ...current,
+    ...changes,
+    lastReviewed: new Date(now),
+    dueDate: addDays(now, changes.intervalDays),
+    lastQuality: grade,
+    reviewLevel: levelFromInterval(changes.intervalDays),
+    correctCount: current.correctCount + (correct ? 1 : 0),
+    incorrectCount: current.incorrectCount + (correct ? 0 : 1)
+  };
+}
@@ -0,0 +1,101 @@
+import { createMemoryStore } from './memoryStore.js';
+import { createMysqlStore } from './mysqlStore.js';
+import { createSqliteStore } from './sqliteStore.js';
+
+/**
+ * Storage adapters - Pluggable persistence behind services/db.js
+ *
+ * Every driver returns an object implementing this contract. All methods are async.
+ * JSON payloads (vocabulary entries, progress, reviews, conversations, sessions, lessons) come back as fresh copies, so
+ * callers may mutate them freely. test-storage.js checks every driver against it.
+ *
+ * @typedef {Object} StorageAdapter
+ * @property {string} name - Driver name
+ * @property {() => Promise<void>} init - Open connections, run migrations
+ * @property {() => Promise<void>} close - Release connections
+ * @property {(user: Object) => Promise<void>} saveUser - Insert or replace a user record
+ * @property {(userId: number) => Promise<Object|null>} getUser - User record with Date fields,
+ *   review_algorithm defaults to 'sm2', timezone to 'UTC', morning_time/evening_time to '08:00'/'20:00',
+ *   last_morning_sent/last_evening_sent (local YYYY-MM-DD of the last delivery) to null,
+ *   paused_at (Date) to null, paused_days to 0, pause_reason/vacation_start/vacation_end to null,
+ *   pacing to 'calendar', current_week/current_day to 1, course to 'A1', language to 'it',
+ *   native_language to 'en'
+ * @property {() => Promise<Object[]>} getActiveUsers - Users with is_active set
+ * @property {(userId: number, fields: Object) => Promise<void>} updateUser - Patch user columns
+ *
+ * Progress and lessons are kept per course and language: the methods for them take the course level (e.g. 'A1')
+ * and then the language code (e.g. 'it') last.
+ *
+ * @property {(userId: number, entries: Array) => Promise<number>} addVocabulary - Append
+ *   { lemma, language, course, weekNumber, dayNumber, theme, word } entries (one language per call) to the user's
+ *   vocabulary ledger, skipping lemmas already in it for that language (whichever course taught them);
+ *   resolves to the number added
+ * @property {(userId: number, weekNumber?: number, course?: string, language?: string) => Promise<Array>} getVocabulary -
+ *   Ledger entries (all, or one week of a course) in the order they were learned, with learnedAt as a Date; [] when none
+ * @property {(userId: number, weekNumber: number, dayNumber: number, progress: Object, course: string, language: string) => Promise<void>} saveDailyProgress
+ * @property {(userId: number, weekNumber: number, dayNumber: number, course: string, language: string) => Promise<Object|null>} getDailyProgress
+ * @property {(userId: number) => Promise<Array<{language: string, course: string, weekNumber: number, dayNumber: number, updatedAt: Date}>>} getCourseProgress -
+ *   Where the user left each course they switched away from, in every language; [] when none
+ * @property {(userId: number, course: string, weekNumber: number, dayNumber: number, language: string) => Promise<void>} saveCourseProgress -
+ *   Replace the saved position in a course
+ * @property {(userId: number) => Promise<{totalVocabulary: number, completedDays: number}>} getProgressSummary
+ * @property {(userId: number, weekNumber: number, word: string, course: string, language: string) => Promise<Object|null>} getWordReview -
+ *   Spaced repetition record of a word (compared exactly: e and è are different words), null when none
+ * @property {(userId: number, weekNumber: number, word: string, review: Object, course: string, language: string) => Promise<void>} saveWordReview
+ * @property {(userId: number) => Promise<Array<{language: string, course: string, weekNumber: number, word: string, review: Object}>>} getUserWordReviews
+ * @property {(userId: number) => Promise<Array<{role: string, content: string}>>} getConversation - Chat history, [] when none
+ * @property {(userId: number, messages: Array) => Promise<void>} saveConversation - Replace the chat history
+ * @property {(userId: number) => Promise<void>} deleteConversation - Forget the chat history
+ * @property {(userId: number) => Promise<Object|null>} getSession - Active multi-step flow (JSON, dates as strings), null when none
+ * @property {(userId: number, session: Object) => Promise<void>} saveSession - Replace the user's session
+ * @property {(userId: number) => Promise<void>} deleteSession - End the user's session
+ * @property {(userId: number, weekNumber: number, dayNumber: number, course: string, language: string) => Promise<Object|null>} getLesson - Lesson snapshot, null when none
+ * @property {(userId: number, weekNumber: number, dayNumber: number, lesson: Object, course: string, language: string) => Promise<void>} saveLesson - Replace a lesson snapshot
+ * @property {(userId: number, weekNumber: number, dayNumber: number, course: string, language: string) => Promise<void>} deleteLesson - Drop a lesson snapshot
+ * @property {(userId: number, language: string, drill: string) => Promise<Array<{skill: string, attempts: number, correct: number}>>} getDrillStats -
+ *   Answer counts per skill of one drill (e.g. drill 'conjugation', skill 'presente'); [] when none
+ * @property {(userId: number, language: string, drill: string, skill: string, stats: {attempts: number, correct: number}) => Promise<void>} saveDrillStats -
+ *   Replace the counts for one skill
+ * @property {(userId: number) => Promise<void>} deleteUserData - Remove the user and everything they own
+ */
+
+const DRIVERS = {
+  memory: createMemoryStore,
+  mysql: createMysqlStore,
+  sqlite: createSqliteStore
+};
+
+/**
+ * Resolve which storage driver to use from DB_DRIVER
+ * Defaults to mysql when MYSQL_HOST is set, otherwise memory
+ * @returns {string} Driver name
+ */
+export function resolveDriverName() {
+  const requested = (process.env.DB_DRIVER || '').trim().toLowerCase();
+
+  if (!requested) {
+    return process.env.MYSQL_HOST ? 'mysql' : 'memory';
+  }
+
+  if (!DRIVERS[requested]) {
+    throw new Error(`Unknown DB_DRIVER "${requested}" (expected one of: ${Object.keys(DRIVERS).join(', ')})`);
+  }
+
+  return requested;
+}
+
+/**
+ * Create a storage adapter
+ * @param {string} driverName - 'memory', 'mysql' or 'sqlite'
+ * @param {*} options - Driver-specific options (connection config, file path)
+ * @returns {StorageAdapter} Storage adapter (not yet initialized)
+ */
+export function createStore(driverName = resolveDriverName(), options) {
+  const factory = DRIVERS[driverName];
+  if (!factory) {
+    throw new Error(`Unknown storage driver "${driverName}"`);
+  }
+  return factory(options);
+}
+
+export const driverNames = Object.keys(DRIVERS);
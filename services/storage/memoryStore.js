@@ -0,0 +1,245 @@
+/**
+ * Memory Store - Storage adapter backed by in-process Maps
+ * Nothing survives a restart; used for demo mode and test scripts
+ */
+
+/**
+ * Copy a JSON payload so callers never share references with the store
+ * (mirrors the serialization the SQL drivers go through)
+ * @param {*} value - JSON-compatible value
+ * @returns {*} Deep copy
+ */
+function copyJson(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Copy a user record, keeping Date fields as Dates
+ * @param {Object} user - User record
+ * @returns {Object} Copy of the user
+ */
+function copyUser(user) {
+  return {
+    review_algorithm: 'sm2',
+    timezone: 'UTC',
+    morning_time: '08:00',
+    evening_time: '20:00',
+    last_morning_sent: null,
+    last_evening_sent: null,
+    paused_days: 0,
+    pause_reason: null,
+    vacation_start: null,
+    vacation_end: null,
+    pacing: 'calendar',
+    current_week: 1,
+    current_day: 1,
+    course: 'A1',
+    language: 'it',
+    native_language: 'en',
+    ...user,
+    paused_at: user.paused_at ? new Date(user.paused_at) : null,
+    start_date: new Date(user.start_date),
+    created_at: new Date(user.created_at)
+  };
+}
+
+/**
+ * Create an in-memory storage adapter
+ * @returns {Object} Storage adapter (see services/storage/index.js)
+ */
+export function createMemoryStore() {
+  const users = new Map();
+  const ledger = new Map();
+  const progress = new Map();
+  const reviews = new Map();
+  const conversations = new Map();
+  const sessions = new Map();
+  const lessons = new Map();
+  const positions = new Map();
+  const drills = new Map();
+
+  return {
+    name: 'memory',
+
+    async init() {},
+
+    async close() {},
+
+    async saveUser(user) {
+      users.set(user.user_id, copyUser(user));
+    },
+
+    async getUser(userId) {
+      const user = users.get(userId);
+      return user ? copyUser(user) : null;
+    },
+
+    async getActiveUsers() {
+      return Array.from(users.values())
+        .filter(user => user.is_active)
+        .map(copyUser);
+    },
+
+    async updateUser(userId, fields) {
+      const user = users.get(userId);
+      if (user) {
+        users.set(userId, copyUser({ ...user, ...fields }));
+      }
+    },
+
+    async addVocabulary(userId, entries) {
+      const userLedger = ledger.get(userId) || [];
+      const language = entries.find(entry => entry.language)?.language || 'it';
+      const known = new Set(userLedger.filter(entry => entry.language === language).map(entry => entry.lemma));
+      const learnedAt = new Date().toISOString();
+      let added = 0;
+
+      for (const entry of entries) {
+        if (known.has(entry.lemma)) continue;
+        known.add(entry.lemma);
+        userLedger.push(copyJson({ dayNumber: null, theme: null, ...entry, language, course: entry.course || 'A1', learnedAt }));
+        added++;
+      }
+
+      ledger.set(userId, userLedger);
+      return added;
+    },
+
+    async getVocabulary(userId, weekNumber, course, language) {
+      return (ledger.get(userId) || [])
+        .filter(entry => weekNumber === undefined
+          || (entry.language === language && entry.course === course && entry.weekNumber === weekNumber))
+        .map(entry => ({ ...copyJson(entry), learnedAt: new Date(entry.learnedAt) }));
+    },
+
+    async saveDailyProgress(userId, weekNumber, dayNumber, data, course, language) {
+      progress.set(`${userId}_${language}_${course}_${weekNumber}_${dayNumber}`, copyJson(data));
+    },
+
+    async getDailyProgress(userId, weekNumber, dayNumber, course, language) {
+      return copyJson(progress.get(`${userId}_${language}_${course}_${weekNumber}_${dayNumber}`)) || null;
+    },
+
+    async getCourseProgress(userId) {
+      return Array.from((positions.get(userId) || new Map()).values())
+        .map(entry => ({ ...entry, updatedAt: new Date(entry.updatedAt) }));
+    },
+
+    async saveCourseProgress(userId, course, weekNumber, dayNumber, language) {
+      const userPositions = positions.get(userId) || new Map();
+      userPositions.set(`${language}_${course}`, { language, course, weekNumber, dayNumber, updatedAt: new Date() });
+      positions.set(userId, userPositions);
+    },
+
+    async getProgressSummary(userId) {
+      const totalVocabulary = (ledger.get(userId) || []).length;
+      let completedDays = 0;
+
+      for (const [key, data] of progress.entries()) {
+        if (key.startsWith(`${userId}_`) && data.taskCompleted) {
+          completedDays++;
+        }
+      }
+
+      return { totalVocabulary, completedDays };
+    },
+
+    async getWordReview(userId, weekNumber, word, course, language) {
+      const entry = reviews.get(`${userId}_${language}_${course}_${weekNumber}_${word}`);
+      return entry ? copyJson(entry.review) : null;
+    },
+
+    async saveWordReview(userId, weekNumber, word, review, course, language) {
+      reviews.set(`${userId}_${language}_${course}_${weekNumber}_${word}`, {
+        userId,
+        language,
+        course,
+        weekNumber,
+        word,
+        review: copyJson(review)
+      });
+    },
+
+    async getUserWordReviews(userId) {
+      return Array.from(reviews.values())
+        .filter(entry => entry.userId === userId)
+        .map(entry => ({
+          language: entry.language,
+          course: entry.course,
+          weekNumber: entry.weekNumber,
+          word: entry.word,
+          review: copyJson(entry.review)
+        }));
+    },
+
+    async getConversation(userId) {
+      return copyJson(conversations.get(userId)) || [];
+    },
+
+    async saveConversation(userId, messages) {
+      conversations.set(userId, copyJson(messages));
+    },
+
+    async deleteConversation(userId) {
+      conversations.delete(userId);
+    },
+
+    async getSession(userId) {
+      return copyJson(sessions.get(userId)) || null;
+    },
+
+    async saveSession(userId, session) {
+      sessions.set(userId, copyJson(session));
+    },
+
+    async deleteSession(userId) {
+      sessions.delete(userId);
+    },
+
+    async getLesson(userId, weekNumber, dayNumber, course, language) {
+      return copyJson(lessons.get(`${userId}_${language}_${course}_${weekNumber}_${dayNumber}`)) || null;
+    },
+
+    async saveLesson(userId, weekNumber, dayNumber, lesson, course, language) {
+      lessons.set(`${userId}_${language}_${course}_${weekNumber}_${dayNumber}`, copyJson(lesson));
+    },
+
+    async deleteLesson(userId, weekNumber, dayNumber, course, language) {
+      lessons.delete(`${userId}_${language}_${course}_${weekNumber}_${dayNumber}`);
+    },
+
+    async getDrillStats(userId, language, drill) {
+      return Array.from(drills.values())
+        .filter(entry => entry.userId === userId && entry.language === language && entry.drill === drill)
+        .map(({ skill, attempts, correct }) => ({ skill, attempts, correct }));
+    },
+
+    async saveDrillStats(userId, language, drill, skill, { attempts, correct }) {
+      drills.set(`${userId}_${language}_${drill}_${skill}`, { userId, language, drill, skill, attempts, correct });
+    },
+
+    async deleteUserData(userId) {
+      users.delete(userId);
+      ledger.delete(userId);
+      conversations.delete(userId);
+      sessions.delete(userId);
+      positions.delete(userId);
+
+      for (const store of [progress, lessons]) {
+        for (const key of Array.from(store.keys())) {
+          if (key.startsWith(`${userId}_`)) {
+            store.delete(key);
+          }
+        }
+      }
+
+      for (const store of [reviews, drills]) {
+        for (const [key, entry] of Array.from(store.entries())) {
+          if (entry.userId === userId) {
+            store.delete(key);
+          }
+        }
+      }
+    }
+  };
+}
@@ -0,0 +1,63 @@
+import mysql from 'mysql2/promise';
+import { createSqlStore } from './sqlStore.js';
+
+/**
+ * MySQL Store - Persistent storage adapter for production deployments
+ * Connection settings come from the MYSQL_* environment variables
+ */
+
+const dialect = {
+  types: {
+    bigint: 'BIGINT',
+    string: 'VARCHAR(255)',
+    // Compared byte for byte, so lemmas that differ only by an accent (e / è) stay distinct
+    exactString: 'VARCHAR(255) COLLATE utf8mb4_bin',
+    float: 'DOUBLE',
+    datetime: 'DATETIME',
+    boolean: 'TINYINT(1)',
+    json: 'JSON'
+  },
+
+  upsert(table, columns, keys) {
+    const updates = columns
+      .filter(column => !keys.includes(column))
+      .map(column => `${column} = VALUES(${column})`);
+
+    return `INSERT INTO ${table} (${columns.join(', ')})
+      VALUES (${columns.map(() => '?').join(', ')})
+      ON DUPLICATE KEY UPDATE ${updates.join(', ')}`;
+  }
+};
+
+/**
+ * Create a MySQL storage adapter
+ * @param {Object} config - Connection settings (defaults to MYSQL_* env variables)
+ * @returns {Object} Storage adapter (see services/storage/index.js)
+ */
+export function createMysqlStore(config = {}) {
+  const pool = mysql.createPool({
+    host: process.env.MYSQL_HOST,
+    port: parseInt(process.env.MYSQL_PORT || '3306'),
+    user: process.env.MYSQL_USER,
+    password: process.env.MYSQL_PASSWORD,
+    database: process.env.MYSQL_DATABASE,
+    waitForConnections: true,
+    connectionLimit: 5,
+    timezone: 'Z',
+    ...config
+  });
+
+  return createSqlStore({
+    name: 'mysql',
+    dialect,
+
+    async query(sql, params = []) {
+      const [rows] = await pool.query(sql, params);
+      return rows;
+    },
+
+    async close() {
+      await pool.end();
+    }
+  });
+}
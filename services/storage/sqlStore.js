@@ -0,0 +1,723 @@
+import { buildEntries } from '../vocabularyService.js';
+
+/**
+ * SQL Store - Storage adapter shared by the MySQL and SQLite drivers
+ * Drivers supply a query executor and a dialect; schema and queries live here
+ */
+
+/**
+ * Versioned schema migrations
+ * Never edit an applied migration - append a new version instead
+ * Column types come from the dialect so both drivers share one schema;
+ * an optional migrate(query) step runs after the statements to move data
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create users, user_vocabulary and daily_progress tables',
+    statements: t => [
+      `CREATE TABLE IF NOT EXISTS users (
+        user_id ${t.bigint} NOT NULL PRIMARY KEY,
+        username ${t.string} NULL,
+        first_name ${t.string} NULL,
+        start_date ${t.datetime} NOT NULL,
+        is_active ${t.boolean} NOT NULL DEFAULT 1,
+        created_at ${t.datetime} NOT NULL
+      )`,
+      `CREATE TABLE IF NOT EXISTS user_vocabulary (
+        user_id ${t.bigint} NOT NULL,
+        week_number INT NOT NULL,
+        vocabulary ${t.json} NOT NULL,
+        saved_at ${t.datetime} NOT NULL,
+        PRIMARY KEY (user_id, week_number)
+      )`,
+      `CREATE TABLE IF NOT EXISTS daily_progress (
+        user_id ${t.bigint} NOT NULL,
+        week_number INT NOT NULL,
+        day_number INT NOT NULL,
+        progress ${t.json} NOT NULL,
+        completed_at ${t.datetime} NOT NULL,
+        PRIMARY KEY (user_id, week_number, day_number)
+      )`
+    ]
+  },
+  {
+    version: 2,
+    description: 'Create word_reviews table for spaced repetition data',
+    statements: t => [
+      `CREATE TABLE IF NOT EXISTS word_reviews (
+        user_id ${t.bigint} NOT NULL,
+        week_number INT NOT NULL,
+        word ${t.string} NOT NULL,
+        review ${t.json} NOT NULL,
+        updated_at ${t.datetime} NOT NULL,
+        PRIMARY KEY (user_id, week_number, word)
+      )`
+    ]
+  },
+  {
+    version: 3,
+    description: 'Add users.review_algorithm for per-user SM-2/FSRS scheduling',
+    statements: t => [
+      `ALTER TABLE users ADD COLUMN review_algorithm ${t.string} NOT NULL DEFAULT 'sm2'`
+    ]
+  },
+  {
+    version: 4,
+    description: 'Add per-user timezone, delivery times and last delivery dates',
+    statements: t => [
+      `ALTER TABLE users ADD COLUMN timezone ${t.string} NOT NULL DEFAULT 'UTC'`,
+      `ALTER TABLE users ADD COLUMN morning_time ${t.string} NOT NULL DEFAULT '08:00'`,
+      `ALTER TABLE users ADD COLUMN evening_time ${t.string} NOT NULL DEFAULT '20:00'`,
+      `ALTER TABLE users ADD COLUMN last_morning_sent ${t.string} NULL`,
+      `ALTER TABLE users ADD COLUMN last_evening_sent ${t.string} NULL`
+    ]
+  },
+  {
+    version: 5,
+    description: 'Add pause and vacation state to users',
+    statements: t => [
+      `ALTER TABLE users ADD COLUMN paused_at ${t.datetime} NULL`,
+      `ALTER TABLE users ADD COLUMN paused_days INT NOT NULL DEFAULT 0`,
+      `ALTER TABLE users ADD COLUMN pause_reason ${t.string} NULL`,
+      `ALTER TABLE users ADD COLUMN vacation_start ${t.string} NULL`,
+      `ALTER TABLE users ADD COLUMN vacation_end ${t.string} NULL`
+    ]
+  },
+  {
+    version: 6,
+    description: 'Add pacing mode and mastery position to users',
+    statements: t => [
+      `ALTER TABLE users ADD COLUMN pacing ${t.string} NOT NULL DEFAULT 'calendar'`,
+      `ALTER TABLE users ADD COLUMN current_week INT NOT NULL DEFAULT 1`,
+      `ALTER TABLE users ADD COLUMN current_day INT NOT NULL DEFAULT 1`
+    ]
+  },
+  {
+    version: 7,
+    description: 'Create conversations table for free-text chat history',
+    statements: t => [
+      `CREATE TABLE IF NOT EXISTS conversations (
+        user_id ${t.bigint} NOT NULL PRIMARY KEY,
+        messages ${t.json} NOT NULL,
+        updated_at ${t.datetime} NOT NULL
+      )`
+    ]
+  },
+  {
+    version: 8,
+    description: 'Create user_sessions table for multi-step flows (quiz, practice, settings)',
+    statements: t => [
+      `CREATE TABLE IF NOT EXISTS user_sessions (
+        user_id ${t.bigint} NOT NULL PRIMARY KEY,
+        session ${t.json} NOT NULL,
+        updated_at ${t.datetime} NOT NULL
+      )`
+    ]
+  },
+  {
+    version: 9,
+    description: 'Create lesson_snapshots table so each day\'s generated lesson is reused',
+    statements: t => [
+      `CREATE TABLE IF NOT EXISTS lesson_snapshots (
+        user_id ${t.bigint} NOT NULL,
+        week_number INT NOT NULL,
+        day_number INT NOT NULL,
+        lesson ${t.json} NOT NULL,
+        updated_at ${t.datetime} NOT NULL,
+        PRIMARY KEY (user_id, week_number, day_number)
+      )`
+    ]
+  },
+  {
+    version: 10,
+    description: 'Replace per-week user_vocabulary with a per-word vocabulary_ledger',
+    statements: t => [
+      `CREATE TABLE IF NOT EXISTS vocabulary_ledger (
+        user_id ${t.bigint} NOT NULL,
+        lemma ${t.exactString} NOT NULL,
+        week_number INT NOT NULL,
+        day_number INT NULL,
+        theme ${t.string} NULL,
+        word ${t.json} NOT NULL,
+        position INT NOT NULL,
+        learned_at ${t.datetime} NOT NULL,
+        PRIMARY KEY (user_id, lemma)
+      )`
+    ],
+    // Each saved week becomes ledger entries (day unknown), oldest week first
+    async migrate(query) {
+      const rows = await query(
+        'SELECT user_id, week_number, vocabulary, saved_at FROM user_vocabulary ORDER BY user_id, week_number'
+      );
+
+      for (const row of rows) {
+        const entries = buildEntries(parseJson(row.vocabulary), { weekNumber: Number(row.week_number) });
+        await appendToLedger(query, row.user_id, entries, new Date(row.saved_at));
+      }
+
+      await query('DROP TABLE user_vocabulary');
+    }
+  },
+  {
+    version: 11,
+    description: 'Track the chosen course and keep progress, lessons and positions per course',
+    statements: t => [
+      `ALTER TABLE users ADD COLUMN course ${t.string} NOT NULL DEFAULT 'A1'`,
+      `ALTER TABLE vocabulary_ledger ADD COLUMN course ${t.string} NOT NULL DEFAULT 'A1'`,
+      `CREATE TABLE IF NOT EXISTS course_progress (
+        user_id ${t.bigint} NOT NULL,
+        course ${t.string} NOT NULL,
+        week_number INT NOT NULL,
+        day_number INT NOT NULL,
+        updated_at ${t.datetime} NOT NULL,
+        PRIMARY KEY (user_id, course)
+      )`,
+      // Everything stored before courses existed belongs to the A1 course
+      'ALTER TABLE daily_progress RENAME TO daily_progress_v10',
+      `CREATE TABLE daily_progress (
+        user_id ${t.bigint} NOT NULL,
+        course ${t.string} NOT NULL,
+        week_number INT NOT NULL,
+        day_number INT NOT NULL,
+        progress ${t.json} NOT NULL,
+        completed_at ${t.datetime} NOT NULL,
+        PRIMARY KEY (user_id, course, week_number, day_number)
+      )`,
+      `INSERT INTO daily_progress (user_id, course, week_number, day_number, progress, completed_at)
+        SELECT user_id, 'A1', week_number, day_number, progress, completed_at FROM daily_progress_v10`,
+      'DROP TABLE daily_progress_v10',
+      'ALTER TABLE lesson_snapshots RENAME TO lesson_snapshots_v10',
+      `CREATE TABLE lesson_snapshots (
+        user_id ${t.bigint} NOT NULL,
+        course ${t.string} NOT NULL,
+        week_number INT NOT NULL,
+        day_number INT NOT NULL,
+        lesson ${t.json} NOT NULL,
+        updated_at ${t.datetime} NOT NULL,
+        PRIMARY KEY (user_id, course, week_number, day_number)
+      )`,
+      `INSERT INTO lesson_snapshots (user_id, course, week_number, day_number, lesson, updated_at)
+        SELECT user_id, 'A1', week_number, day_number, lesson, updated_at FROM lesson_snapshots_v10`,
+      'DROP TABLE lesson_snapshots_v10'
+    ]
+  },
+  {
+    version: 12,
+    description: 'Track the language being learned and keep vocabulary, progress, lessons and positions per language',
+    statements: t => [
+      `ALTER TABLE users ADD COLUMN language ${t.string} NOT NULL DEFAULT 'it'`,
+      // Everything stored before language packs existed is Italian
+      'ALTER TABLE vocabulary_ledger RENAME TO vocabulary_ledger_v11',
+      `CREATE TABLE vocabulary_ledger (
+        user_id ${t.bigint} NOT NULL,
+        language ${t.string} NOT NULL DEFAULT 'it',
+        lemma ${t.exactString} NOT NULL,
+        course ${t.string} NOT NULL DEFAULT 'A1',
+        week_number INT NOT NULL,
+        day_number INT NULL,
+        theme ${t.string} NULL,
+        word ${t.json} NOT NULL,
+        position INT NOT NULL,
+        learned_at ${t.datetime} NOT NULL,
+        PRIMARY KEY (user_id, language, lemma)
+      )`,
+      `INSERT INTO vocabulary_ledger (user_id, language, lemma, course, week_number, day_number, theme, word, position, learned_at)
+        SELECT user_id, 'it', lemma, course, week_number, day_number, theme, word, position, learned_at FROM vocabulary_ledger_v11`,
+      'DROP TABLE vocabulary_ledger_v11',
+      'ALTER TABLE course_progress RENAME TO course_progress_v11',
+      `CREATE TABLE course_progress (
+        user_id ${t.bigint} NOT NULL,
+        language ${t.string} NOT NULL,
+        course ${t.string} NOT NULL,
+        week_number INT NOT NULL,
+        day_number INT NOT NULL,
+        updated_at ${t.datetime} NOT NULL,
+        PRIMARY KEY (user_id, language, course)
+      )`,
+      `INSERT INTO course_progress (user_id, language, course, week_number, day_number, updated_at)
+        SELECT user_id, 'it', course, week_number, day_number, updated_at FROM course_progress_v11`,
+      'DROP TABLE course_progress_v11',
+      'ALTER TABLE daily_progress RENAME TO daily_progress_v11',
+      `CREATE TABLE daily_progress (
+        user_id ${t.bigint} NOT NULL,
+        language ${t.string} NOT NULL,
+        course ${t.string} NOT NULL,
+        week_number INT NOT NULL,
+        day_number INT NOT NULL,
+        progress ${t.json} NOT NULL,
+        completed_at ${t.datetime} NOT NULL,
+        PRIMARY KEY (user_id, language, course, week_number, day_number)
+      )`,
+      `INSERT INTO daily_progress (user_id, language, course, week_number, day_number, progress, completed_at)
+        SELECT user_id, 'it', course, week_number, day_number, progress, completed_at FROM daily_progress_v11`,
+      'DROP TABLE daily_progress_v11',
+      'ALTER TABLE lesson_snapshots RENAME TO lesson_snapshots_v11',
+      `CREATE TABLE lesson_snapshots (
+        user_id ${t.bigint} NOT NULL,
+        language ${t.string} NOT NULL,
+        course ${t.string} NOT NULL,
+        week_number INT NOT NULL,
+        day_number INT NOT NULL,
+        lesson ${t.json} NOT NULL,
+        updated_at ${t.datetime} NOT NULL,
+        PRIMARY KEY (user_id, language, course, week_number, day_number)
+      )`,
+      `INSERT INTO lesson_snapshots (user_id, language, course, week_number, day_number, lesson, updated_at)
+        SELECT user_id, 'it', course, week_number, day_number, lesson, updated_at FROM lesson_snapshots_v11`,
+      'DROP TABLE lesson_snapshots_v11'
+    ]
+  },
+  {
+    version: 13,
+    description: 'Track the native language translations, explanations and messages are written in',
+    statements: t => [
+      `ALTER TABLE users ADD COLUMN native_language ${t.string} NOT NULL DEFAULT 'en'`
+    ]
+  },
+  {
+    version: 14,
+    description: 'Create drill_stats table for per-skill drill accuracy (e.g. conjugation tenses)',
+    statements: t => [
+      `CREATE TABLE IF NOT EXISTS drill_stats (
+        user_id ${t.bigint} NOT NULL,
+        language ${t.string} NOT NULL,
+        drill ${t.string} NOT NULL,
+        skill ${t.string} NOT NULL,
+        attempts INT NOT NULL DEFAULT 0,
+        correct INT NOT NULL DEFAULT 0,
+        updated_at ${t.datetime} NOT NULL,
+        PRIMARY KEY (user_id, language, drill, skill)
+      )`
+    ]
+  },
+  {
+    version: 15,
+    description: 'Keep word reviews per language and course, with words compared exactly (e and è differ)',
+    statements: t => [
+      'ALTER TABLE word_reviews RENAME TO word_reviews_v14',
+      `CREATE TABLE word_reviews (
+        user_id ${t.bigint} NOT NULL,
+        language ${t.string} NOT NULL DEFAULT 'it',
+        course ${t.string} NOT NULL DEFAULT 'A1',
+        week_number INT NOT NULL,
+        word ${t.exactString} NOT NULL,
+        review ${t.json} NOT NULL,
+        updated_at ${t.datetime} NOT NULL,
+        PRIMARY KEY (user_id, language, course, week_number, word)
+      )`
+    ],
+    // Each review belongs to the ledger word it was made for (Italian A1 when none matches)
+    async migrate(query) {
+      const rows = await query('SELECT user_id, week_number, word, review, updated_at FROM word_reviews_v14');
+      const ledger = await query('SELECT user_id, language, course, week_number, word FROM vocabulary_ledger');
+
+      for (const row of rows) {
+        const entry = ledger.find(candidate => String(candidate.user_id) === String(row.user_id)
+          && Number(candidate.week_number) === Number(row.week_number)
+          && parseJson(candidate.word)?.italian === row.word);
+        await query(
+          `INSERT INTO word_reviews (user_id, language, course, week_number, word, review, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [row.user_id, entry?.language || 'it', entry?.course || 'A1', row.week_number, row.word,
+            typeof row.review === 'string' ? row.review : JSON.stringify(row.review), row.updated_at]
+        );
+      }
+
+      await query('DROP TABLE word_reviews_v14');
+    }
+  },
+  {
+    version: 16,
+    description: 'Keep paused_days exact (fractional days), so resuming never moves the course day',
+    statements: t => [
+      `ALTER TABLE users ADD COLUMN paused_days_exact ${t.float} NOT NULL DEFAULT 0`,
+      'UPDATE users SET paused_days_exact = paused_days',
+      'ALTER TABLE users DROP COLUMN paused_days',
+      'ALTER TABLE users RENAME COLUMN paused_days_exact TO paused_days'
+    ]
+  }
+];
+
+/**
+ * User columns that updateUser() may change
+ */
+const USER_COLUMNS = [
+  'username', 'first_name', 'start_date', 'is_active', 'review_algorithm',
+  'timezone', 'morning_time', 'evening_time', 'last_morning_sent', 'last_evening_sent',
+  'paused_at', 'paused_days', 'pause_reason', 'vacation_start', 'vacation_end',
+  'pacing', 'current_week', 'current_day', 'course', 'language', 'native_language'
+];
+
+/**
+ * Parse a JSON column (mysql2 parses JSON columns itself, SQLite returns text)
+ * @param {*} value - Column value
+ * @returns {*} Parsed value
+ */
+function parseJson(value) {
+  if (typeof value === 'string') {
+    return JSON.parse(value);
+  }
+  return value;
+}
+
+/**
+ * Append entries to a user's vocabulary ledger, skipping lemmas already in it for the entries' language
+ * @param {Function} query - async (sql, params) => rows
+ * @param {number} userId - User ID
+ * @param {Array} entries - Array of { lemma, language, course, weekNumber, dayNumber, theme, word }
+ *   (one language per call)
+ * @param {Date} learnedAt - When the words were learned
+ * @returns {number} Number of entries added
+ */
+async function appendToLedger(query, userId, entries, learnedAt = new Date()) {
+  // Migration 10 runs before the language and course columns exist: its entries carry neither
+  // and keep the column defaults
+  const language = entries.find(entry => entry.language)?.language;
+  const rows = await query(
+    `SELECT lemma${language ? ', language' : ''} FROM vocabulary_ledger WHERE user_id = ?`,
+    [userId]
+  );
+  const known = new Set(rows.filter(row => !language || row.language === language).map(row => row.lemma));
+  let position = rows.length;
+  let added = 0;
+
+  for (const entry of entries) {
+    if (known.has(entry.lemma)) continue;
+    known.add(entry.lemma);
+
+    const row = {
+      user_id: userId,
+      lemma: entry.lemma,
+      ...(entry.language ? { language: entry.language } : {}),
+      ...(entry.course ? { course: entry.course } : {}),
+      week_number: entry.weekNumber,
+      day_number: entry.dayNumber ?? null,
+      theme: entry.theme ?? null,
+      word: JSON.stringify(entry.word),
+      position: position++,
+      learned_at: learnedAt
+    };
+    const columns = Object.keys(row);
+    await query(
+      `INSERT INTO vocabulary_ledger (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      Object.values(row)
+    );
+    added++;
+  }
+
+  return added;
+}
+
+/**
+ * Convert a vocabulary_ledger row to a ledger entry
+ * @param {Object} row - Database row
+ * @returns {Object} { lemma, language, course, weekNumber, dayNumber, theme, word, learnedAt }
+ */
+function mapLedgerRow(row) {
+  return {
+    lemma: row.lemma,
+    language: row.language || 'it',
+    course: row.course || 'A1',
+    weekNumber: Number(row.week_number),
+    dayNumber: row.day_number === null ? null : Number(row.day_number),
+    theme: row.theme ?? null,
+    word: parseJson(row.word),
+    learnedAt: new Date(row.learned_at)
+  };
+}
+
+/**
+ * Convert a users row to the user object shape used across the bot
+ * @param {Object} row - Database row
+ * @returns {Object} User object
+ */
+function mapUserRow(row) {
+  return {
+    user_id: Number(row.user_id),
+    username: row.username,
+    first_name: row.first_name,
+    start_date: new Date(row.start_date),
+    is_active: Boolean(row.is_active),
+    review_algorithm: row.review_algorithm || 'sm2',
+    timezone: row.timezone || 'UTC',
+    morning_time: row.morning_time || '08:00',
+    evening_time: row.evening_time || '20:00',
+    last_morning_sent: row.last_morning_sent || null,
+    last_evening_sent: row.last_evening_sent || null,
+    paused_at: row.paused_at ? new Date(row.paused_at) : null,
+    paused_days: Number(row.paused_days) || 0,
+    pause_reason: row.pause_reason || null,
+    vacation_start: row.vacation_start || null,
+    vacation_end: row.vacation_end || null,
+    pacing: row.pacing || 'calendar',
+    current_week: Number(row.current_week) || 1,
+    current_day: Number(row.current_day) || 1,
+    course: row.course || 'A1',
+    language: row.language || 'it',
+    native_language: row.native_language || 'en',
+    created_at: new Date(row.created_at)
+  };
+}
+
+/**
+ * Create a SQL-backed storage adapter
+ * @param {Object} options - Driver options
+ * @param {string} options.name - Driver name
+ * @param {Object} options.dialect - Column types and upsert builder
+ * @param {Function} options.query - async (sql, params) => rows
+ * @param {Function} options.close - async () => void
+ * @returns {Object} Storage adapter (see services/storage/index.js)
+ */
+export function createSqlStore({ name, dialect, query, close }) {
+  const upsert = (table, columns, keys) => dialect.upsert(table, columns, keys);
+
+  /**
+   * Apply pending migrations in version order
+   */
+  async function runMigrations() {
+    await query(`CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INT NOT NULL PRIMARY KEY,
+      description ${dialect.types.string} NOT NULL,
+      applied_at ${dialect.types.datetime} NOT NULL
+    )`);
+
+    const rows = await query('SELECT version FROM schema_migrations');
+    const applied = new Set(rows.map(row => Number(row.version)));
+
+    for (const migration of MIGRATIONS) {
+      if (applied.has(migration.version)) continue;
+
+      for (const statement of migration.statements(dialect.types)) {
+        await query(statement);
+      }
+
+      if (migration.migrate) {
+        await migration.migrate(query);
+      }
+
+      await query(
+        'INSERT INTO schema_migrations (version, description, applied_at) VALUES (?, ?, ?)',
+        [migration.version, migration.description, new Date()]
+      );
+
+      console.log(`✅ Applied migration ${migration.version}: ${migration.description}`);
+    }
+  }
+
+  return {
+    name,
+
+    async init() {
+      await runMigrations();
+    },
+
+    close,
+
+    async saveUser(user) {
+      const columns = ['user_id', ...USER_COLUMNS, 'created_at']
+        .filter(column => user[column] !== undefined);
+      const values = columns.map(column => {
+        const value = user[column];
+        return typeof value === 'boolean' ? (value ? 1 : 0) : value;
+      });
+
+      await query(upsert('users', columns, ['user_id']), values);
+    },
+
+    async getUser(userId) {
+      const rows = await query('SELECT * FROM users WHERE user_id = ?', [userId]);
+      return rows.length > 0 ? mapUserRow(rows[0]) : null;
+    },
+
+    async getActiveUsers() {
+      const rows = await query('SELECT * FROM users WHERE is_active = 1');
+      return rows.map(mapUserRow);
+    },
+
+    async updateUser(userId, fields) {
+      const columns = Object.keys(fields).filter(column => USER_COLUMNS.includes(column));
+      if (columns.length === 0) return;
+
+      const values = columns.map(column => {
+        const value = fields[column];
+        return typeof value === 'boolean' ? (value ? 1 : 0) : value;
+      });
+
+      await query(
+        `UPDATE users SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE user_id = ?`,
+        [...values, userId]
+      );
+    },
+
+    async addVocabulary(userId, entries) {
+      return appendToLedger(query, userId, entries);
+    },
+
+    async getVocabulary(userId, weekNumber, course, language) {
+      const rows = weekNumber === undefined
+        ? await query('SELECT * FROM vocabulary_ledger WHERE user_id = ? ORDER BY position', [userId])
+        : await query(
+          'SELECT * FROM vocabulary_ledger WHERE user_id = ? AND language = ? AND course = ? AND week_number = ? ORDER BY position',
+          [userId, language, course, weekNumber]
+        );
+      return rows.map(mapLedgerRow);
+    },
+
+    async saveDailyProgress(userId, weekNumber, dayNumber, data, course, language) {
+      await query(
+        upsert('daily_progress', ['user_id', 'language', 'course', 'week_number', 'day_number', 'progress', 'completed_at'], ['user_id', 'language', 'course', 'week_number', 'day_number']),
+        [userId, language, course, weekNumber, dayNumber, JSON.stringify(data), new Date()]
+      );
+    },
+
+    async getDailyProgress(userId, weekNumber, dayNumber, course, language) {
+      const rows = await query(
+        'SELECT progress FROM daily_progress WHERE user_id = ? AND language = ? AND course = ? AND week_number = ? AND day_number = ?',
+        [userId, language, course, weekNumber, dayNumber]
+      );
+      return rows.length > 0 ? parseJson(rows[0].progress) : null;
+    },
+
+    async getCourseProgress(userId) {
+      const rows = await query(
+        'SELECT language, course, week_number, day_number, updated_at FROM course_progress WHERE user_id = ?',
+        [userId]
+      );
+      return rows.map(row => ({
+        language: row.language,
+        course: row.course,
+        weekNumber: Number(row.week_number),
+        dayNumber: Number(row.day_number),
+        updatedAt: new Date(row.updated_at)
+      }));
+    },
+
+    async saveCourseProgress(userId, course, weekNumber, dayNumber, language) {
+      await query(
+        upsert('course_progress', ['user_id', 'language', 'course', 'week_number', 'day_number', 'updated_at'], ['user_id', 'language', 'course']),
+        [userId, language, course, weekNumber, dayNumber, new Date()]
+      );
+    },
+
+    async getProgressSummary(userId) {
+      const vocabRows = await query('SELECT COUNT(*) AS count FROM vocabulary_ledger WHERE user_id = ?', [userId]);
+      const progressRows = await query('SELECT progress FROM daily_progress WHERE user_id = ?', [userId]);
+
+      return {
+        totalVocabulary: Number(vocabRows[0].count),
+        completedDays: progressRows.filter(row => parseJson(row.progress).taskCompleted).length
+      };
+    },
+
+    async getWordReview(userId, weekNumber, word, course, language) {
+      const rows = await query(
+        'SELECT review FROM word_reviews WHERE user_id = ? AND language = ? AND course = ? AND week_number = ? AND word = ?',
+        [userId, language, course, weekNumber, word]
+      );
+      return rows.length > 0 ? parseJson(rows[0].review) : null;
+    },
+
+    async saveWordReview(userId, weekNumber, word, review, course, language) {
+      await query(
+        upsert('word_reviews', ['user_id', 'language', 'course', 'week_number', 'word', 'review', 'updated_at'], ['user_id', 'language', 'course', 'week_number', 'word']),
+        [userId, language, course, weekNumber, word, JSON.stringify(review), new Date()]
+      );
+    },
+
+    async getUserWordReviews(userId) {
+      const rows = await query(
+        'SELECT language, course, week_number, word, review FROM word_reviews WHERE user_id = ?',
+        [userId]
+      );
+      return rows.map(row => ({
+        language: row.language,
+        course: row.course,
+        weekNumber: Number(row.week_number),
+        word: row.word,
+        review: parseJson(row.review)
+      }));
+    },
+
+    async getConversation(userId) {
+      const rows = await query('SELECT messages FROM conversations WHERE user_id = ?', [userId]);
+      return rows.length > 0 ? parseJson(rows[0].messages) : [];
+    },
+
+    async saveConversation(userId, messages) {
+      await query(
+        upsert('conversations', ['user_id', 'messages', 'updated_at'], ['user_id']),
+        [userId, JSON.stringify(messages), new Date()]
+      );
+    },
+
+    async deleteConversation(userId) {
+      await query('DELETE FROM conversations WHERE user_id = ?', [userId]);
+    },
+
+    async getSession(userId) {
+      const rows = await query('SELECT session FROM user_sessions WHERE user_id = ?', [userId]);
+      return rows.length > 0 ? parseJson(rows[0].session) : null;
+    },
+
+    async saveSession(userId, session) {
+      await query(
+        upsert('user_sessions', ['user_id', 'session', 'updated_at'], ['user_id']),
+        [userId, JSON.stringify(session), new Date()]
+      );
+    },
+
+    async deleteSession(userId) {
+      await query('DELETE FROM user_sessions WHERE user_id = ?', [userId]);
+    },
+
+    async getLesson(userId, weekNumber, dayNumber, course, language) {
+      const rows = await query(
+        'SELECT lesson FROM lesson_snapshots WHERE user_id = ? AND language = ? AND course = ? AND week_number = ? AND day_number = ?',
+        [userId, language, course, weekNumber, dayNumber]
+      );
+      return rows.length > 0 ? parseJson(rows[0].lesson) : null;
+    },
+
+    async saveLesson(userId, weekNumber, dayNumber, lesson, course, language) {
+      await query(
+        upsert('lesson_snapshots', ['user_id', 'language', 'course', 'week_number', 'day_number', 'lesson', 'updated_at'], ['user_id', 'language', 'course', 'week_number', 'day_number']),
+        [userId, language, course, weekNumber, dayNumber, JSON.stringify(lesson), new Date()]
+      );
+    },
+
+    async deleteLesson(userId, weekNumber, dayNumber, course, language) {
+      await query(
+        'DELETE FROM lesson_snapshots WHERE user_id = ? AND language = ? AND course = ? AND week_number = ? AND day_number = ?',
+        [userId, language, course, weekNumber, dayNumber]
+      );
+    },
+
+    async getDrillStats(userId, language, drill) {
+      const rows = await query(
+        'SELECT skill, attempts, correct FROM drill_stats WHERE user_id = ? AND language = ? AND drill = ?',
+        [userId, language, drill]
+      );
+      return rows.map(row => ({ skill: row.skill, attempts: Number(row.attempts), correct: Number(row.correct) }));
+    },
+
+    async saveDrillStats(userId, language, drill, skill, { attempts, correct }) {
+      await query(
+        upsert('drill_stats', ['user_id', 'language', 'drill', 'skill', 'attempts', 'correct', 'updated_at'], ['user_id', 'language', 'drill', 'skill']),
+        [userId, language, drill, skill, attempts, correct, new Date()]
+      );
+    },
+
+    async deleteUserData(userId) {
+      await query('DELETE FROM drill_stats WHERE user_id = ?', [userId]);
+      await query('DELETE FROM course_progress WHERE user_id = ?', [userId]);
+      await query('DELETE FROM lesson_snapshots WHERE user_id = ?', [userId]);
+      await query('DELETE FROM user_sessions WHERE user_id = ?', [userId]);
+      await query('DELETE FROM conversations WHERE user_id = ?', [userId]);
+      await query('DELETE FROM word_reviews WHERE user_id = ?', [userId]);
+      await query('DELETE FROM daily_progress WHERE user_id = ?', [userId]);
+      await query('DELETE FROM vocabulary_ledger WHERE user_id = ?', [userId]);
+      await query('DELETE FROM users WHERE user_id = ?', [userId]);
+    }
+  };
+}
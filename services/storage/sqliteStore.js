@@ -0,0 +1,103 @@
+import fs from 'fs';
+import path from 'path';
+import { createSqlStore } from './sqlStore.js';
+
+/**
+ * SQLite Store - Embedded single-file storage adapter for laptops and small VPS hosts
+ * Requires the optional better-sqlite3 dependency
+ */
+
+const dialect = {
+  types: {
+    bigint: 'INTEGER',
+    string: 'TEXT',
+    exactString: 'TEXT',
+    float: 'REAL',
+    datetime: 'TEXT',
+    boolean: 'INTEGER',
+    json: 'TEXT'
+  },
+
+  upsert(table, columns, keys) {
+    const updates = columns
+      .filter(column => !keys.includes(column))
+      .map(column => `${column} = excluded.${column}`);
+
+    return `INSERT INTO ${table} (${columns.join(', ')})
+      VALUES (${columns.map(() => '?').join(', ')})
+      ON CONFLICT (${keys.join(', ')}) DO UPDATE SET ${updates.join(', ')}`;
+  }
+};
+
+/**
+ * Convert a parameter into something SQLite can bind
+ * @param {*} value - Query parameter
+ * @returns {*} Bindable value
+ */
+function toSqliteValue(value) {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  if (value === undefined) {
+    return null;
+  }
+  return value;
+}
+
+/**
+ * Create a SQLite storage adapter
+ * @param {string} filePath - Database file (defaults to SQLITE_PATH or data/imparo.sqlite)
+ * @returns {Object} Storage adapter (see services/storage/index.js)
+ */
+export function createSqliteStore(filePath = process.env.SQLITE_PATH || 'data/imparo.sqlite') {
+  let database = null;
+
+  const store = createSqlStore({
+    name: 'sqlite',
+    dialect,
+
+    async query(sql, params = []) {
+      const statement = database.prepare(sql);
+      const values = params.map(toSqliteValue);
+
+      if (statement.reader) {
+        return statement.all(...values);
+      }
+
+      statement.run(...values);
+      return [];
+    },
+
+    async close() {
+      if (database) {
+        database.close();
+        database = null;
+      }
+    }
+  });
+
+  const runMigrations = store.init;
+
+  store.init = async () => {
+    let Database;
+    try {
+      Database = (await import('better-sqlite3')).default;
+    } catch (error) {
+      throw new Error('DB_DRIVER=sqlite requires the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    if (filePath !== ':memory:') {
+      fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+    }
+
+    database = new Database(filePath);
+    database.pragma('journal_mode = WAL');
+
+    await runMigrations();
+  };
+
+  return store;
+}
@@ -1,70 +1,41 @@
-import OpenAI from 'openai';
+import * as llmService from './llmService.js';
+import * as schemaService from './schemaService.js';
+import * as contentService from './contentService.js';
+import * as curriculumService from './curriculumService.js';
+import * as languageService from './languageService.js';
+import { getLocaleName, t } from './localeService.js';
 
 /**
  * Story Service - Handles story generation, practice prompts, and reading comprehension
- * Uses OpenAI to generate Italian stories and practice exercises
+ * Uses OpenAI to generate stories and practice exercises in the language being learned
  */
 
-let openai = null;
-
-/**
- * Initialize OpenAI client
- */
-export function initializeOpenAI() {
-  if (!process.env.OPENAI_API_KEY) {
-    throw new Error('OPENAI_API_KEY environment variable is required');
-  }
-  
-  // Trim whitespace and newlines from API key (common issue when copying from files)
-  const apiKey = process.env.OPENAI_API_KEY.trim().replace(/\r?\n|\r/g, '');
-  
-  if (!apiKey) {
-    throw new Error('OPENAI_API_KEY is empty after trimming');
-  }
-  
-  openai = new OpenAI({
-    apiKey: apiKey
-  });
-  
-  console.log('✅ OpenAI initialized for story service');
-  return openai;
-}
-
 /**
  * Generate a story based on task and vocabulary
  * @param {string} theme - Week theme
  * @param {string} task - Daily task description
  * @param {Array} vocabulary - Array of vocabulary words
+ * @param {number} dayNumber - Curriculum day, picks the offline fallback (default 1)
+ * @param {string} level - Course level (CEFR, defaults to A1)
+ * @param {string} language - Language pack code (defaults to the deployment's language)
+ * @param {string} nativeLanguage - Locale code translations are written in (defaults to the deployment's)
  * @returns {Object} Story object
  */
-export async function generateTaskBasedStory(theme, task, vocabulary) {
+export async function generateTaskBasedStory(theme, task, vocabulary, dayNumber = 1, level = curriculumService.DEFAULT_LEVEL, language = languageService.getDefaultLanguage(), nativeLanguage) {
   try {
-    if (!openai) {
-      initializeOpenAI();
-    }
-    
     const vocabList = vocabulary.map(word => `${word.italian} (${word.english})`).join(', ');
     
-    const systemPrompt = `Italian teacher. Generate 150-200 word story for "${theme}".
+    const systemPrompt = `${languageService.getTeacher(language)}. Generate 150-200 word story for "${theme}".
 
-Use vocab: ${vocabList.substring(0, 200)}. Beginner-intermediate level. Add 3 comprehension questions.
+Use vocab: ${vocabList.substring(0, 200)}. Level: ${curriculumService.describeLevel(level, language)}. Add 3 comprehension questions.
+Translations ("translation", "answer_translation") in ${getLocaleName(nativeLanguage)}.
 
 JSON: {"title":"...","story":"...","translation":"...","vocabulary_used":[...],"questions":[{"question":"...","translation":"...","answer":"...","answer_translation":"..."}]}`;
 
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: `Theme: ${theme}` }
-      ],
-      temperature: 0.8,
-      max_tokens: 1800,
-    });
-
-    const response = completion.choices[0].message.content;
-    
-    // Parse JSON response
-    const story = JSON.parse(response);
+    const story = await llmService.completeJSON('story', [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: `Theme: ${theme}` }
+    ], schemaService.SCHEMAS.story);
     
     console.log(`✅ Generated story for theme: ${theme}`);
     return story;
@@ -72,8 +43,8 @@ JSON: {"title":"...","story":"...","translation":"...","vocabulary_used":[...],"
   } catch (error) {
     console.error('Error generating story:', error);
     
-    // Fallback story
-    return getFallbackStory(theme);
+    // Fallback story from the offline content pack
+    return contentService.getStory(theme, dayNumber, level, language);
   }
 }
 
@@ -81,36 +52,27 @@ JSON: {"title":"...","story":"...","translation":"...","vocabulary_used":[...],"
  * Generate practice prompt for writing exercises
  * @param {string} theme - Week theme
  * @param {Array} vocabulary - Array of vocabulary words
+ * @param {number} dayNumber - Curriculum day, picks the offline fallback (default 1)
+ * @param {string} level - Course level (CEFR, defaults to A1)
+ * @param {string} language - Language pack code (defaults to the deployment's language)
+ * @param {string} nativeLanguage - Locale code translations are written in (defaults to the deployment's)
  * @returns {Object} Practice prompt object
  */
-export async function generatePracticePrompt(theme, vocabulary) {
+export async function generatePracticePrompt(theme, vocabulary, dayNumber = 1, level = curriculumService.DEFAULT_LEVEL, language = languageService.getDefaultLanguage(), nativeLanguage) {
   try {
-    if (!openai) {
-      initializeOpenAI();
-    }
-    
     const vocabList = vocabulary.map(word => `${word.italian} (${word.english})`).join(', ');
     
-    const systemPrompt = `Italian teacher. Generate writing exercise for "${theme}".
+    const systemPrompt = `${languageService.getTeacher(language)}. Generate writing exercise for "${theme}".
 
-Use vocab: ${vocabList.substring(0, 150)}. Beginner-intermediate level.
+Use vocab: ${vocabList.substring(0, 150)}. Level: ${curriculumService.describeLevel(level, language)}.
+Instructions, tips and translations in ${getLocaleName(nativeLanguage)}.
 
 JSON: {"title":"...","instructions":"...","prompt":"...","prompt_translation":"...","vocabulary_to_use":[...],"example_response":"...","example_translation":"...","tips":[...]}`;
 
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: `Theme: ${theme}` }
-      ],
-      temperature: 0.7,
-      max_tokens: 1200,
-    });
-
-    const response = completion.choices[0].message.content;
-    
-    // Parse JSON response
-    const practicePrompt = JSON.parse(response);
+    const practicePrompt = await llmService.completeJSON('practicePrompt', [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: `Theme: ${theme}` }
+    ], schemaService.SCHEMAS.practicePrompt);
     
     console.log(`✅ Generated practice prompt for theme: ${theme}`);
     return practicePrompt;
@@ -118,8 +80,8 @@ JSON: {"title":"...","instructions":"...","prompt":"...","prompt_translation":".
   } catch (error) {
     console.error('Error generating practice prompt:', error);
     
-    // Fallback practice prompt
-    return getFallbackPracticePrompt(theme);
+    // Fallback practice prompt from the offline content pack
+    return contentService.getPracticePrompt(theme, dayNumber, level, language);
   }
 }
 
@@ -128,29 +90,21 @@ JSON: {"title":"...","instructions":"...","prompt":"...","prompt_translation":".
  * @param {string} userSentences - User's submitted sentences
  * @param {string} theme - Week theme
  * @param {Array} vocabulary - Array of vocabulary words
+ * @param {string} level - Course level (CEFR, defaults to A1)
+ * @param {string} language - Language pack code (defaults to the deployment's language)
+ * @param {string} nativeLanguage - Locale code the feedback is written in (defaults to the deployment's)
  * @returns {string} Feedback message
  */
-export async function checkUserSentences(userSentences, theme, vocabulary) {
+export async function checkUserSentences(userSentences, theme, vocabulary, level = curriculumService.DEFAULT_LEVEL, language = languageService.getDefaultLanguage(), nativeLanguage) {
   try {
-    if (!openai) {
-      initializeOpenAI();
-    }
-    
     const vocabList = vocabulary.map(word => `${word.italian} (${word.english})`).join(', ');
     
-    const systemPrompt = `Italian teacher. Review student sentences. Check grammar, vocabulary, coherence. Provide constructive feedback. Theme: "${theme}". Vocab: ${vocabList.substring(0, 150)}. Be encouraging.`;
+    const systemPrompt = `${languageService.getTeacher(language)}. Review student sentences. Check grammar, vocabulary, coherence. Provide constructive feedback pitched at the student's level. Level: ${curriculumService.describeLevel(level, language)}. Theme: "${theme}". Vocab: ${vocabList.substring(0, 150)}. Be encouraging. Write the feedback in ${getLocaleName(nativeLanguage)}.`;
 
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: `Review: ${userSentences.substring(0, 500)}` }
-      ],
-      temperature: 0.7,
-      max_tokens: 800,
-    });
-
-    const feedback = completion.choices[0].message.content;
+    const feedback = await llmService.complete('sentenceFeedback', [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: `Review: ${userSentences.substring(0, 500)}` }
+    ]);
     
     console.log(`✅ Generated feedback for user sentences`);
     return feedback;
@@ -158,28 +112,33 @@ export async function checkUserSentences(userSentences, theme, vocabulary) {
   } catch (error) {
     console.error('Error checking user sentences:', error);
     
-    return `Grazie per aver condiviso le tue frasi! (Thank you for sharing your sentences!)
-
-I'm sorry, but I'm having trouble providing detailed feedback right now. Please keep practicing with the vocabulary we've learned about ${theme}. 
-
-Your effort to write in Italian is commendable! Keep up the great work! 💪🇮🇹`;
+    const { name, flag } = languageService.loadLanguage(language);
+    const thanks = languageService.getPhraseText(language, 'thanksForSharing');
+    return t(nativeLanguage, 'practice.fallbackFeedback', {
+      thanks: `${thanks} (${languageService.getPhraseTranslation(language, 'thanksForSharing', nativeLanguage)})`,
+      theme,
+      name,
+      flag
+    });
   }
 }
 
 /**
  * Format story message for Telegram
  * @param {Object} story - Story object
+ * @param {string} language - Language pack code (defaults to the deployment's language)
+ * @param {string} nativeLanguage - Locale code the message is written in (defaults to the deployment's)
  * @returns {string} Formatted message
  */
-export function formatStoryMessage(story) {
-  let message = `📖 *Reading Practice* 📖\n\n`;
+export function formatStoryMessage(story, language = languageService.getDefaultLanguage(), nativeLanguage) {
+  let message = t(nativeLanguage, 'story.title');
   message += `*${story.title}*\n\n`;
   message += `${story.story}\n\n`;
-  message += `*English Translation:*\n`;
+  message += t(nativeLanguage, 'story.translation');
   message += `${story.translation}\n\n`;
   
   if (story.vocabulary_used && story.vocabulary_used.length > 0) {
-    message += `*Vocabulary Used:*\n`;
+    message += t(nativeLanguage, 'story.vocabulary');
     story.vocabulary_used.forEach(word => {
       message += `• ${word}\n`;
     });
@@ -187,14 +146,14 @@ export function formatStoryMessage(story) {
   }
   
   if (story.questions && story.questions.length > 0) {
-    message += `*Comprehension Questions:*\n\n`;
+    message += t(nativeLanguage, 'story.questions');
     story.questions.forEach((q, index) => {
       message += `*${index + 1}. ${q.question}*\n`;
       message += `_${q.translation}_\n\n`;
     });
   }
   
-  message += `\n*Buona lettura!* (Happy reading!) 📚✨`;
+  message += `\n${languageService.formatPhrase(language, 'happyReading', nativeLanguage)} 📚✨`;
   
   return message;
 }
@@ -202,19 +161,21 @@ export function formatStoryMessage(story) {
 /**
  * Format practice message for Telegram
  * @param {Object} practicePrompt - Practice prompt object
+ * @param {string} language - Language pack code (defaults to the deployment's language)
+ * @param {string} nativeLanguage - Locale code the message is written in (defaults to the deployment's)
  * @returns {string} Formatted message
  */
-export function formatPracticeMessage(practicePrompt) {
-  let message = `✍️ *Writing Practice* ✍️\n\n`;
+export function formatPracticeMessage(practicePrompt, language = languageService.getDefaultLanguage(), nativeLanguage) {
+  let message = t(nativeLanguage, 'practice.title');
   message += `*${practicePrompt.title}*\n\n`;
-  message += `*Instructions:*\n`;
+  message += t(nativeLanguage, 'practice.instructions');
   message += `${practicePrompt.instructions}\n\n`;
-  message += `*Your Task:*\n`;
+  message += t(nativeLanguage, 'practice.task');
   message += `${practicePrompt.prompt}\n`;
   message += `_${practicePrompt.prompt_translation}_\n\n`;
   
   if (practicePrompt.vocabulary_to_use && practicePrompt.vocabulary_to_use.length > 0) {
-    message += `*Vocabulary to Use:*\n`;
+    message += t(nativeLanguage, 'practice.vocabulary');
     practicePrompt.vocabulary_to_use.forEach(word => {
       message += `• ${word}\n`;
     });
@@ -222,78 +183,21 @@ export function formatPracticeMessage(practicePrompt) {
   }
   
   if (practicePrompt.example_response) {
-    message += `*Example Response:*\n`;
+    message += t(nativeLanguage, 'practice.example');
     message += `${practicePrompt.example_response}\n`;
     message += `_${practicePrompt.example_translation}_\n\n`;
   }
   
   if (practicePrompt.tips && practicePrompt.tips.length > 0) {
-    message += `*Tips:*\n`;
+    message += t(nativeLanguage, 'practice.tips');
     practicePrompt.tips.forEach(tip => {
       message += `• ${tip}\n`;
     });
     message += `\n`;
   }
   
-  message += `\n*Buona scrittura!* (Happy writing!) ✍️✨\n`;
-  message += `\n_Type your response and I'll provide feedback!_ 💬`;
+  message += `\n${languageService.formatPhrase(language, 'happyWriting', nativeLanguage)} ✍️✨\n`;
+  message += t(nativeLanguage, 'practice.reply');
   
   return message;
 }
-
-/**
- * Get fallback story when OpenAI fails
- * @param {string} theme - Week theme
- * @returns {Object} Fallback story object
- */
-function getFallbackStory(theme) {
-  return {
-    title: "Una Storia Semplice",
-    story: "Ciao! Mi chiamo Marco. Sono italiano e vivo a Roma. Oggi è una bella giornata. Il sole splende e gli uccelli cantano. Marco va al parco per camminare. Incontra un amico e si salutano. 'Buongiorno, come stai?' chiede Marco. 'Sto bene, grazie!' risponde l'amico. Poi vanno insieme al bar per prendere un caffè.",
-    translation: "Hello! My name is Marco. I am Italian and I live in Rome. Today is a beautiful day. The sun is shining and the birds are singing. Marco goes to the park to walk. He meets a friend and they greet each other. 'Good morning, how are you?' asks Marco. 'I'm fine, thank you!' replies the friend. Then they go together to the bar to have a coffee.",
-    vocabulary_used: ["Ciao", "Buongiorno", "grazie"],
-    questions: [
-      {
-        question: "Come si chiama il protagonista?",
-        translation: "What is the protagonist's name?",
-        answer: "Si chiama Marco",
-        answer_translation: "His name is Marco"
-      },
-      {
-        question: "Dove vive Marco?",
-        translation: "Where does Marco live?",
-        answer: "Vive a Roma",
-        answer_translation: "He lives in Rome"
-      },
-      {
-        question: "Cosa fanno Marco e il suo amico?",
-        translation: "What do Marco and his friend do?",
-        answer: "Vanno al bar per prendere un caffè",
-        answer_translation: "They go to the bar to have a coffee"
-      }
-    ]
-  };
-}
-
-/**
- * Get fallback practice prompt when OpenAI fails
- * @param {string} theme - Week theme
- * @returns {Object} Fallback practice prompt object
- */
-function getFallbackPracticePrompt(theme) {
-  return {
-    title: "Writing Practice",
-    instructions: "Write 3-5 sentences in Italian about the theme using the vocabulary we've learned.",
-    prompt: `Scrivi 3-5 frasi in italiano su "${theme}". Usa le parole che abbiamo imparato.`,
-    prompt_translation: `Write 3-5 sentences in Italian about "${theme}". Use the words we've learned.`,
-    vocabulary_to_use: ["vocabulary", "words", "from", "this", "week"],
-    example_response: "Oggi parlo italiano. Studio molto. Mi piace imparare nuove parole.",
-    example_translation: "Today I speak Italian. I study a lot. I like learning new words.",
-    tips: [
-      "Start with simple sentences",
-      "Use vocabulary from this week",
-      "Don't worry about perfection",
-      "Practice makes perfect!"
-    ]
-  };
-}
@@ -0,0 +1,64 @@
+import { DEFAULT_ARTICLES, normalizeText, stripArticle } from './gradingService.js';
+
+/**
+ * Vocabulary Service - The cumulative word ledger
+ * Pure helpers: db.js stores one ledger entry per user, language and lemma, appended as words are learned
+ *
+ * A lemma is the word's dictionary key: lowercase, no leading article, no punctuation or
+ * parenthesised notes ("La casa" and "casa (house)" are both "casa"). A word whose lemma is
+ * already in the user's ledger for that language is not added again, so the week and day it was
+ * first learned stick.
+ *
+ * Words keep the `italian` key for the target-language word whatever the pack, so stored
+ * ledgers and lessons stay readable.
+ */
+
+/**
+ * Get the lemma used to deduplicate a word
+ * @param {string} italian - Target-language word or phrase
+ * @param {Array<string>} articles - The language's articles (defaults to Italian)
+ * @returns {string} Lemma ('' when nothing is left)
+ */
+export function getLemma(italian, articles = DEFAULT_ARTICLES) {
+  return stripArticle(normalizeText(italian), articles);
+}
+
+/**
+ * Turn a batch of words into ledger entries, dropping words without a lemma and repeats in the batch
+ * @param {Array} words - Array of { italian, english, ... }
+ * @param {Object} source - { language, course, weekNumber, dayNumber, theme } where the words were learned
+ * @param {Array<string>} articles - The language's articles (defaults to Italian)
+ * @returns {Array} Array of { lemma, language, course, weekNumber, dayNumber, theme, word }
+ */
+export function buildEntries(words, { language = null, course = null, weekNumber, dayNumber = null, theme = null }, articles = DEFAULT_ARTICLES) {
+  const seen = new Set();
+  const entries = [];
+
+  for (const word of words || []) {
+    const lemma = getLemma(word?.italian, articles);
+    if (!lemma || seen.has(lemma)) continue;
+
+    seen.add(lemma);
+    entries.push({ lemma, language, course, weekNumber, dayNumber, theme, word });
+  }
+
+  return entries;
+}
+
+/**
+ * Turn a ledger entry back into a word object for lessons, quizzes and reviews
+ * @param {Object} entry - Ledger entry from the store
+ * @returns {Object} Word with lemma, language, course, weekLearned, dayLearned, theme and learnedAt
+ */
+export function toWord(entry) {
+  return {
+    ...entry.word,
+    lemma: entry.lemma,
+    language: entry.language,
+    course: entry.course,
+    weekLearned: entry.weekNumber,
+    dayLearned: entry.dayNumber,
+    theme: entry.theme,
+    learnedAt: entry.learnedAt
+  };
+}
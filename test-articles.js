@@ -0,0 +1,253 @@
+#!/usr/bin/env node
+/**
+ * Article and noun gender tests (languages/it/nouns.json, memory storage, seeded random)
+ * Run: node test-articles.js
+ */
+
+import assert from 'node:assert/strict';
+
+process.env.DB_DRIVER = 'memory';
+
+const db = await import('./services/db.js');
+const articleService = await import('./services/articleService.js');
+const articleDrill = await import('./services/drills/articleDrill.js');
+const drillService = await import('./services/drillService.js');
+
+const { definiteArticle, indefiniteArticle, pluralize, articulate, withArticle } = articleService;
+
+const USER_ID = 950000001;
+const NO_NOUNS_USER_ID = 950000002;
+
+const WORDS = [
+  { italian: 'casa', english: 'house', example: 'La mia casa è piccola.' },
+  { italian: 'alto', english: 'tall', example: 'Mio fratello è alto.' },
+  { italian: 'parlare', english: 'to speak', example: 'Parlo italiano.' },
+  { italian: "l'acqua", english: 'the water' },
+  { italian: 'zaino', english: 'backpack', example: 'Ho uno zaino nuovo.' },
+  { italian: 'pane', english: 'bread', example: 'Compro pane fresco.' },
+  { italian: 'ospite', english: 'guest', example: "L'ospite arriva alle otto." }
+];
+
+/**
+ * Deterministic random numbers in [0, 1)
+ * @param {number} seed - Starting seed
+ * @returns {Function} () => number
+ */
+function seeded(seed = 1) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+}
+
+/**
+ * A noun with its definite article, as the drills write it
+ * @param {string} noun - Singular noun
+ * @param {string} gender - 'm' or 'f'
+ * @returns {string} e.g. "lo zaino"
+ */
+function definite(noun, gender) {
+  return withArticle(definiteArticle(noun, gender), noun);
+}
+
+/**
+ * A noun's plural with its article
+ * @param {string} noun - Singular noun
+ * @param {string} gender - 'm' or 'f'
+ * @returns {string} e.g. "gli zaini"
+ */
+function plural(noun, gender) {
+  const result = pluralize(noun, gender, 'it');
+  return withArticle(result.article, result.noun);
+}
+
+const CHECKS = [
+  ['the Italian pack ships a valid exceptions list', () => {
+    const nouns = articleService.loadNouns('it');
+    assert.ok(nouns);
+    assert.deepEqual(articleService.validateNouns(nouns), []);
+    assert.equal(articleService.loadNouns('xx'), null);
+  }],
+
+  ['invalid exceptions lists name the field', () => {
+    const errors = articleService.validateNouns({
+      version: 2,
+      masculine: ['mano'],
+      feminine: ['mano'],
+      plurals: { uovo: 'the eggs' }
+    });
+    assert.ok(errors.some(error => error.startsWith('version: unsupported nouns version 2')), errors.join('\n'));
+    assert.ok(errors.some(error => error.startsWith('plurals.uovo')), errors.join('\n'));
+  }],
+
+  ['genders come from the exceptions list, then the article seen, then the ending', () => {
+    assert.equal(articleService.getGender('libro', 'it'), 'm');
+    assert.equal(articleService.getGender('casa', 'it'), 'f');
+    assert.equal(articleService.getGender('città', 'it'), 'f');
+    assert.equal(articleService.getGender('stazione', 'it'), 'f');
+    assert.equal(articleService.getGender('ascensore', 'it'), 'm');
+    assert.equal(articleService.getGender('mano', 'it'), 'f');
+    assert.equal(articleService.getGender('problema', 'it'), 'm');
+    assert.equal(articleService.getGender('pane', 'it'), 'm');
+    assert.equal(articleService.getGender('ospite', 'it'), null);
+    assert.equal(articleService.getGender('turista', 'it'), null);
+    assert.equal(articleService.getGender('turista', 'it', 'f'), 'f');
+  }],
+
+  ['definite and indefinite articles follow the sound the noun starts with', () => {
+    assert.deepEqual(
+      [['libro', 'm'], ['zaino', 'm'], ['studente', 'm'], ['psicologo', 'm'], ['gnocco', 'm'], ['yogurt', 'm'], ['amico', 'm'], ['hotel', 'm']]
+        .map(([noun, gender]) => [definiteArticle(noun, gender), indefiniteArticle(noun, gender)]),
+      [['il', 'un'], ['lo', 'uno'], ['lo', 'uno'], ['lo', 'uno'], ['lo', 'uno'], ['lo', 'uno'], ["l'", 'un'], ["l'", 'un']]
+    );
+    assert.deepEqual(
+      [['casa', 'f'], ['amica', 'f'], ['iena', 'f'], ['studentessa', 'f']]
+        .map(([noun, gender]) => [definiteArticle(noun, gender), indefiniteArticle(noun, gender)]),
+      [['la', 'una'], ["l'", "un'"], ['la', 'una'], ['la', 'una']]
+    );
+    assert.equal(definite('acqua', 'f'), "l'acqua");
+  }],
+
+  ['plurals follow the ending rules', () => {
+    assert.equal(plural('libro', 'm'), 'i libri');
+    assert.equal(plural('zaino', 'm'), 'gli zaini');
+    assert.equal(plural('amico', 'm'), 'gli amici');
+    assert.equal(plural('parco', 'm'), 'i parchi');
+    assert.equal(plural('albergo', 'm'), 'gli alberghi');
+    assert.equal(plural('negozio', 'm'), 'i negozi');
+    assert.equal(plural('problema', 'm'), 'i problemi');
+    assert.equal(plural('chiave', 'f'), 'le chiavi');
+    assert.equal(plural('amica', 'f'), 'le amiche');
+    assert.equal(plural('camicia', 'f'), 'le camicie');
+    assert.equal(plural('arancia', 'f'), 'le arance');
+    assert.equal(plural('città', 'f'), 'le città');
+    assert.equal(plural('bar', 'm'), 'i bar');
+    assert.equal(plural('crisi', 'f'), 'le crisi');
+  }],
+
+  ['irregular and invariable plurals come from the exceptions list', () => {
+    assert.equal(plural('uomo', 'm'), 'gli uomini');
+    assert.equal(plural('uovo', 'm'), 'le uova');
+    assert.deepEqual(pluralize('uovo', 'm', 'it'), { article: 'le', noun: 'uova', gender: 'f' });
+    assert.equal(plural('dio', 'm'), 'gli dei');
+    assert.equal(plural('zio', 'm'), 'gli zii');
+    assert.equal(plural('moglie', 'f'), 'le mogli');
+    assert.equal(plural('foto', 'f'), 'le foto');
+    assert.equal(plural('mano', 'f'), 'le mani');
+  }],
+
+  ['prepositions combine with the article', () => {
+    assert.equal(articulate('di', 'il'), 'del');
+    assert.equal(articulate('in', 'la'), 'nella');
+    assert.equal(articulate('su', 'il'), 'sul');
+    assert.equal(articulate('su', 'gli'), 'sugli');
+    assert.equal(articulate('a', 'i'), 'ai');
+    assert.equal(articulate('da', "l'"), "dall'");
+    assert.equal(articulate('con', 'il'), null);
+    assert.equal(withArticle(articulate('da', "l'"), 'amico'), "dall'amico");
+  }],
+
+  ['nouns are the words seen with an article, or listed', () => {
+    assert.deepEqual(articleService.findNouns(WORDS, 'it'), [
+      { noun: 'casa', gender: 'f' },
+      { noun: 'acqua', gender: 'f' },
+      { noun: 'zaino', gender: 'm' },
+      { noun: 'pane', gender: 'm' }
+    ]);
+    assert.deepEqual(articleService.parseNoun({ italian: 'cucina', example: 'Mangiamo nella cucina.' }, 'it'), { noun: 'cucina', gender: 'f' });
+    assert.deepEqual(articleService.parseNoun({ italian: 'la gente' }, 'it'), { noun: 'gente', gender: 'f' });
+    assert.equal(articleService.parseNoun({ italian: 'camera da letto' }, 'it'), null);
+    assert.deepEqual(articleService.findNouns(WORDS, 'xx'), []);
+  }],
+
+  ['answers take the article with the noun, or alone except for plurals', () => {
+    assert.deepEqual(
+      articleDrill.getAcceptedAnswers({ skill: 'definite', noun: 'acqua', article: "l'", answer: "l'acqua" }),
+      ["l'acqua", "l' acqua", "l'"]
+    );
+    assert.deepEqual(
+      articleDrill.getAcceptedAnswers({ skill: 'plural', noun: 'zaino', phrase: 'lo zaino', article: 'gli', answer: 'gli zaini' }),
+      ['gli zaini']
+    );
+  }],
+
+  ['users without learned nouns get no article drill', async () => {
+    await db.saveVocabulary(NO_NOUNS_USER_ID, 1, [{ italian: 'parlare', english: 'to speak' }], { dayNumber: 1 });
+    assert.equal(await drillService.startDrill(NO_NOUNS_USER_ID, await db.getUser(NO_NOUNS_USER_ID), 'articles'), null);
+  }],
+
+  ['an article drill asks about the learned nouns and counts per skill', async () => {
+    await db.saveVocabulary(USER_ID, 1, WORDS, { dayNumber: 1 });
+    const drill = await drillService.startDrill(USER_ID, await db.getUser(USER_ID), 'articles', seeded(11));
+    assert.deepEqual(drill.skills, articleDrill.SKILLS);
+    assert.ok(['casa', 'acqua', 'zaino', 'pane'].includes(drill.question.noun));
+
+    drill.question = { skill: 'indefinite', noun: 'zaino', article: 'uno', answer: 'uno zaino' };
+    const right = await drillService.answerDrill(USER_ID, drill, 'Uno zaino', seeded(1));
+    assert.equal(right.grade.verdict, 'correct');
+
+    drill.question = { skill: 'preposition', noun: 'casa', phrase: 'la casa', preposition: 'in', article: 'nella', answer: 'nella casa' };
+    const wrong = await drillService.answerDrill(USER_ID, drill, 'nela casa', seeded(1));
+    assert.equal(wrong.grade.verdict, 'wrong');
+    assert.match(drillService.formatDrillFeedback(wrong, 'en'), /The answer is \*nella casa\*/);
+
+    assert.deepEqual(await db.getDrillStats(USER_ID, 'articles', 'it'), {
+      indefinite: { attempts: 1, correct: 1 },
+      preposition: { attempts: 1, correct: 0 }
+    });
+  }],
+
+  ['questions read in the native language', () => {
+    const drill = drillService.createDrill('articles', { items: [{ noun: 'zaino', gender: 'm' }], nativeLanguage: 'ru' }, seeded(4));
+    drill.question = { skill: 'preposition', noun: 'zaino', phrase: 'gli zaini', preposition: 'su', article: 'sugli', answer: 'sugli zaini' };
+    assert.match(drillService.formatDrillQuestion(drill), /Предлог \+ артикль \(del, nella, sul\)\n\n👉 \*su\* \+ \*gli zaini\* = \?/);
+    drill.question = { skill: 'definite', noun: 'zaino', article: 'lo', answer: 'lo zaino' };
+    assert.match(drillService.formatDrillQuestion(drill), /👉 … \*zaino\*/);
+  }],
+
+  ['every skill builds a question the grader accepts', () => {
+    const random = seeded(9);
+    for (const skill of articleDrill.SKILLS) {
+      for (let i = 0; i < 10; i++) {
+        const question = articleDrill.articleDrill.buildQuestion([{ noun: 'amica', gender: 'f' }], skill, 'it', random);
+        assert.equal(question.skill, skill);
+        assert.ok(articleDrill.getAcceptedAnswers(question).includes(question.answer));
+        assert.match(question.answer, /amic(?:a|he)$/);
+      }
+    }
+  }]
+];
+
+console.log('🧪 Article drill tests\n');
+
+await db.initializeDatabase();
+await db.registerUser(USER_ID, 'articolista', 'Laura');
+await db.registerUser(NO_NOUNS_USER_ID, 'verbista', 'Piero');
+
+const originalLog = console.log;
+let failures = 0;
+
+for (const [description, check] of CHECKS) {
+  try {
+    console.log = () => {};
+    await check();
+    console.log = originalLog;
+    console.log(`   ✅ ${description}`);
+  } catch (error) {
+    console.log = originalLog;
+    failures++;
+    console.log(`   ❌ ${description}`);
+    console.log(`      ${error.message.split('\n').join('\n      ')}`);
+  }
+}
+
+console.log('');
+
+if (failures > 0) {
+  console.log(`❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+
+console.log('✅ All article drill checks passed');
+process.exit(0);
@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+/**
+ * Verb conjugation tests (languages/it/verbs.json)
+ * Run: node test-conjugation.js
+ */
+
+import assert from 'node:assert/strict';
+
+const conjugationService = await import('./services/conjugationService.js');
+const wordsService = await import('./services/wordsService.js');
+
+const { conjugate, classify, tagVerbs } = conjugationService;
+
+const CHECKS = [
+  ['the Italian pack ships a valid verb table', () => {
+    const verbs = conjugationService.loadVerbs('it');
+    assert.ok(verbs);
+    assert.deepEqual(conjugationService.validateVerbs(verbs), []);
+    assert.ok(verbs.irregular.essere && verbs.irregular.avere);
+  }],
+
+  ['invalid verb tables name the field', () => {
+    const errors = conjugationService.validateVerbs({
+      version: 2,
+      irregular: { andare: { auxiliary: 'venire', presente: ['vado'] } }
+    });
+    assert.ok(errors.some(error => error.startsWith('version: unsupported verbs version 2')), errors.join('\n'));
+    assert.ok(errors.some(error => error.startsWith('irregular.andare.presente')), errors.join('\n'));
+    assert.ok(errors.some(error => error.startsWith('irregular.andare.auxiliary')), errors.join('\n'));
+  }],
+
+  ['verbs are classified by ending, -isc- list and irregular table', () => {
+    assert.equal(classify('parlare', 'it'), 'are');
+    assert.equal(classify('credere', 'it'), 'ere');
+    assert.equal(classify('dormire', 'it'), 'ire');
+    assert.equal(classify('finire', 'it'), 'isc');
+    assert.equal(classify('andare', 'it'), 'irregular');
+    assert.equal(classify('Alzarsi', 'it'), 'are');
+    assert.equal(classify('casa', 'it'), null);
+  }],
+
+  ['regular -are verbs conjugate in every tense', () => {
+    const { tenses, auxiliary, participle } = conjugate('parlare', 'it');
+    assert.equal(auxiliary, 'avere');
+    assert.equal(participle, 'parlato');
+    assert.deepEqual(tenses.presente, ['parlo', 'parli', 'parla', 'parliamo', 'parlate', 'parlano']);
+    assert.deepEqual(tenses.passatoProssimo, ['ho parlato', 'hai parlato', 'ha parlato', 'abbiamo parlato', 'avete parlato', 'hanno parlato']);
+    assert.deepEqual(tenses.imperfetto, ['parlavo', 'parlavi', 'parlava', 'parlavamo', 'parlavate', 'parlavano']);
+    assert.deepEqual(tenses.futuro, ['parlerò', 'parlerai', 'parlerà', 'parleremo', 'parlerete', 'parleranno']);
+    assert.deepEqual(tenses.condizionale, ['parlerei', 'parleresti', 'parlerebbe', 'parleremmo', 'parlereste', 'parlerebbero']);
+    assert.deepEqual(tenses.imperativo, [null, 'parla', 'parli', 'parliamo', 'parlate', 'parlino']);
+  }],
+
+  ['-ere, -ire and -isc- verbs take their own endings', () => {
+    assert.deepEqual(conjugate('credere', 'it').tenses.presente, ['credo', 'credi', 'crede', 'crediamo', 'credete', 'credono']);
+    assert.equal(conjugate('credere', 'it').participle, 'creduto');
+    assert.deepEqual(conjugate('dormire', 'it').tenses.presente, ['dormo', 'dormi', 'dorme', 'dormiamo', 'dormite', 'dormono']);
+    assert.deepEqual(conjugate('finire', 'it').tenses.presente, ['finisco', 'finisci', 'finisce', 'finiamo', 'finite', 'finiscono']);
+    assert.deepEqual(conjugate('finire', 'it').tenses.imperativo, [null, 'finisci', 'finisca', 'finiamo', 'finite', 'finiscano']);
+  }],
+
+  ['spelling follows -care/-gare, -ciare/-giare and -iare', () => {
+    assert.equal(conjugate('cercare', 'it').tenses.presente[1], 'cerchi');
+    assert.equal(conjugate('cercare', 'it').tenses.futuro[0], 'cercherò');
+    assert.equal(conjugate('pagare', 'it').tenses.presente[3], 'paghiamo');
+    assert.equal(conjugate('mangiare', 'it').tenses.presente[1], 'mangi');
+    assert.equal(conjugate('mangiare', 'it').tenses.futuro[0], 'mangerò');
+    assert.equal(conjugate('lasciare', 'it').tenses.condizionale[0], 'lascerei');
+    assert.equal(conjugate('studiare', 'it').tenses.presente[1], 'studi');
+    assert.equal(conjugate('inviare', 'it').tenses.presente[1], 'invii');
+  }],
+
+  ['irregular verbs use the table', () => {
+    assert.deepEqual(conjugate('essere', 'it').tenses.presente, ['sono', 'sei', 'è', 'siamo', 'siete', 'sono']);
+    assert.deepEqual(conjugate('andare', 'it').tenses.futuro, ['andrò', 'andrai', 'andrà', 'andremo', 'andrete', 'andranno']);
+    assert.equal(conjugate('fare', 'it').participle, 'fatto');
+    assert.equal(conjugate('fare', 'it').tenses.imperfetto[0], 'facevo');
+    assert.equal(conjugate('prendere', 'it').tenses.passatoProssimo[0], 'ho preso');
+    assert.deepEqual(conjugate('potere', 'it').tenses.imperativo, [null, null, null, null, null, null]);
+  }],
+
+  ['essere verbs agree with the subject in the passato prossimo', () => {
+    const andare = conjugate('andare', 'it');
+    assert.equal(andare.auxiliary, 'essere');
+    assert.equal(andare.tenses.passatoProssimo[0], 'sono andato/a');
+    assert.equal(andare.tenses.passatoProssimo[5], 'sono andati/e');
+    assert.equal(conjugate('arrivare', 'it').tenses.passatoProssimo[2], 'è arrivato/a');
+  }],
+
+  ['reflexive verbs take pronouns and essere', () => {
+    const alzarsi = conjugate('alzarsi', 'it');
+    assert.equal(alzarsi.reflexive, true);
+    assert.equal(alzarsi.infinitive, 'alzarsi');
+    assert.deepEqual(alzarsi.tenses.presente, ['mi alzo', 'ti alzi', 'si alza', 'ci alziamo', 'vi alzate', 'si alzano']);
+    assert.equal(alzarsi.tenses.passatoProssimo[3], 'ci siamo alzati/e');
+    assert.deepEqual(alzarsi.tenses.imperativo, [null, 'alzati', 'si alzi', 'alziamoci', 'alzatevi', 'si alzino']);
+  }],
+
+  ['compounds follow their base verb', () => {
+    assert.equal(conjugate('ottenere', 'it').tenses.presente[0], 'ottengo');
+    assert.equal(conjugate('disdire', 'it').tenses.imperativo[1], 'disdici');
+    assert.equal(conjugate('iscrivere', 'it').participle, 'iscritto');
+  }],
+
+  ['words that are not known verbs give nothing', () => {
+    assert.equal(conjugate('casa', 'it'), null);
+    assert.equal(conjugate('', 'it'), null);
+    assert.equal(conjugate('ridurre', 'it'), null);
+    assert.equal(conjugationService.loadVerbs('xx'), null);
+  }],
+
+  ['only bare infinitives are tagged as verbs', () => {
+    const tagged = tagVerbs([
+      { italian: 'parlare' },
+      { italian: 'Finire' },
+      { italian: 'il mare' },
+      { italian: 'mare' },
+      { italian: 'Piacere!' },
+      { italian: 'la casa' },
+      { italian: 'piacere' }
+    ], 'it');
+    assert.deepEqual(tagged.map(word => word.conjugation || null), ['are', 'isc', null, null, null, null, 'irregular']);
+  }],
+
+  ['no word the pack conjugates is listed as a non-verb', () => {
+    const verbs = conjugationService.loadVerbs('it');
+    const conjugated = [...Object.keys(verbs.irregular), ...Object.keys(verbs.compounds)];
+    assert.deepEqual(verbs.notVerbs.filter(word => conjugated.includes(word)), []);
+  }],
+
+  ['tables are headed in the native language', () => {
+    const message = conjugationService.formatConjugation(conjugate('finire', 'it'), 'it', 'ru');
+    assert.match(message, /\*finire\* - глагол на -ire с -isc-/);
+    assert.match(message, /Presente - настоящее время/);
+    assert.match(message, /loro: finiscono/);
+  }],
+
+  ['daily words point verbs to /conj', () => {
+    const message = wordsService.formatWordsMessage(tagVerbs([
+      { italian: 'parlare', english: 'to speak', pronunciation: 'par-LA-re', example: 'Parlo italiano.', translation: 'I speak Italian.' },
+      { italian: 'la casa', english: 'the house', pronunciation: 'la KA-za', example: 'La casa è grande.', translation: 'The house is big.' }
+    ], 'it'), 'it', 'en');
+    assert.match(message, /\/conj parlare/);
+    assert.doesNotMatch(message, /\/conj la casa/);
+  }]
+];
+
+console.log('🧪 Verb conjugation tests\n');
+
+const originalLog = console.log;
+let failures = 0;
+
+for (const [description, check] of CHECKS) {
+  try {
+    console.log = () => {};
+    await check();
+    console.log = originalLog;
+    console.log(`   ✅ ${description}`);
+  } catch (error) {
+    console.log = originalLog;
+    failures++;
+    console.log(`   ❌ ${description}`);
+    console.log(`      ${error.message.split('\n').join('\n      ')}`);
+  }
+}
+
+console.log('');
+
+if (failures > 0) {
+  console.log(`❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+
+console.log('✅ All verb conjugation checks passed');
+process.exit(0);
@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+/**
+ * Offline content pack tests (coverage, schemas, day selection and service fallbacks)
+ * Run: node test-content.js
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'fs';
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.LLM_MAX_RETRIES = '0';
+
+const contentService = await import('./services/contentService.js');
+const curriculumService = await import('./services/curriculumService.js');
+const schemaService = await import('./services/schemaService.js');
+const llmService = await import('./services/llmService.js');
+const wordsService = await import('./services/wordsService.js');
+const storyService = await import('./services/storyService.js');
+const quizService = await import('./services/quizService.js');
+
+const { SCHEMAS } = schemaService;
+const PLAN = JSON.parse(fs.readFileSync('./languages/it/courses/a1.json', 'utf8'));
+const PACKS = readPacks('A1');
+
+/**
+ * Read a level's pack files in week order
+ */
+function readPacks(level) {
+  const dir = `./languages/it/content/${level.toLowerCase()}`;
+  return fs.readdirSync(dir)
+    .sort()
+    .map(file => JSON.parse(fs.readFileSync(`${dir}/${file}`, 'utf8')));
+}
+
+/**
+ * Assert a value passes a schema unchanged (no missing fields left to defaults)
+ */
+function assertValid(value, schema, label) {
+  const errors = schemaService.validate(schemaService.normalize(value, schema), schema);
+  assert.deepEqual(errors, [], `${label}: ${errors.join('; ')}`);
+}
+
+/**
+ * Provider that is always down, so every service takes its fallback
+ */
+const offlineProvider = {
+  name: 'offline',
+  async complete() {
+    throw new Error('offline');
+  }
+};
+
+const CHECKS = [
+  ['every course theme has a pack, in week order', () => {
+    assert.deepEqual(contentService.listLevels(), curriculumService.listLevels());
+    for (const level of curriculumService.listLevels()) {
+      const course = curriculumService.loadCourse(level);
+      assert.deepEqual(contentService.listThemes(level), course.weeks.map(week => week.theme), level);
+    }
+  }],
+
+  ['lessons teach the seed words each course lists for each day', () => {
+    for (const level of curriculumService.listLevels()) {
+      const packs = readPacks(level);
+      curriculumService.loadCourse(level).weeks.forEach((week, index) => {
+        const seeds = [...week.days.map(day => day.vocabulary), week.vocabulary];
+        const lessons = packs[index].lessons;
+        assert.deepEqual(lessons.map(lesson => lesson.day), [1, 2, 3, 4], `${level} ${week.theme}`);
+        lessons.forEach((lesson, i) => {
+          assert.deepEqual(lesson.words.map(word => word.italian), seeds[i], `${level} ${week.theme} day ${lesson.day}`);
+        });
+      });
+    }
+  }],
+
+  ['every lesson, story, prompt and quiz matches its LLM schema', () => {
+    for (const pack of curriculumService.listLevels().flatMap(readPacks)) {
+      for (const lesson of pack.lessons) {
+        assertValid(lesson, schemaService.wordsSchema(lesson.words.length), `${pack.theme} lesson ${lesson.day}`);
+        for (const word of lesson.words) {
+          assert.ok(word.pronunciation && word.example && word.translation, `${pack.theme}: ${word.italian}`);
+        }
+      }
+      pack.stories.forEach(story => assertValid(story, SCHEMAS.story, `${pack.theme} story ${story.day}`));
+      pack.practicePrompts.forEach(prompt => assertValid(prompt, SCHEMAS.practicePrompt, `${pack.theme} prompt ${prompt.day}`));
+      assertValid(pack.quiz, SCHEMAS.quiz, `${pack.theme} quiz`);
+    }
+  }],
+
+  ['multiple-choice answers point at an option', () => {
+    for (const pack of curriculumService.listLevels().flatMap(readPacks)) {
+      for (const question of pack.quiz.questions.filter(q => q.type === 'multiple_choice')) {
+        assert.ok(question.options[question.correct_answer] !== undefined, `${pack.theme}: ${question.question}`);
+      }
+    }
+  }],
+
+  ['lessons are picked by day and topped up to the word count', () => {
+    const dayTwo = contentService.getLesson('Food and Drinks', 2, 10);
+    assert.equal(dayTwo.words.length, 10);
+    assert.deepEqual(dayTwo.words.slice(0, 8).map(word => word.italian), PLAN.weeks[4].days[1].vocabulary);
+    assert.match(dayTwo.context, /pasta/);
+
+    const dayFive = contentService.getLesson('Food and Drinks', 5, 8);
+    assert.deepEqual(dayFive.words.map(word => word.italian), PLAN.weeks[4].vocabulary);
+    assert.equal(new Set(contentService.getLesson('Food and Drinks', 1, 40).words.map(w => w.italian)).size, 34);
+  }],
+
+  ['stories, prompts and quizzes follow the week', () => {
+    assert.equal(contentService.getStory('Travel and Transportation', 3).title, 'Il treno per Venezia');
+    assert.equal(contentService.getStory('Travel and Transportation', 6).title, 'Un turista a Roma');
+    assert.equal(contentService.getPracticePrompt('Travel and Transportation', 4).day, undefined);
+
+    const mondayQuiz = contentService.getQuiz('Health and Body', 1);
+    const sundayQuiz = contentService.getQuiz('Health and Body', 7);
+    assert.ok(mondayQuiz.questions.length < sundayQuiz.questions.length);
+    assert.equal(sundayQuiz.questions.length, PACKS[9].quiz.questions.length);
+    assert.equal(sundayQuiz.scoring.total_points, 10 * sundayQuiz.questions.length);
+    assert.equal(contentService.getQuiz('Health and Body', 7, 5).questions.length, 5);
+  }],
+
+  ['pack content is copied, not shared', () => {
+    contentService.getLesson('Daily Routine', 1).words[0].italian = 'changed';
+    assert.equal(contentService.getLesson('Daily Routine', 1).words[0].italian, 'svegliarsi');
+  }],
+
+  ['unknown themes fall back to the first pack', () => {
+    assert.equal(contentService.hasTheme('Astrophysics'), false);
+    assert.equal(contentService.getLesson('Astrophysics', 1).words[0].italian, 'ciao');
+    assert.equal(contentService.getLesson('Astrophysics', 1, 10, 'B1').words[0].italian, readPacks('B1')[0].lessons[0].words[0].italian);
+  }],
+
+  ['packs are picked from the learner\'s level, then any level with the theme', () => {
+    const a2 = readPacks('A2')[0];
+    assert.equal(contentService.hasTheme(a2.theme, 'A2'), true);
+    assert.equal(contentService.hasTheme(a2.theme), false);
+    assert.equal(contentService.getStory(a2.theme, 1, 'A2').title, a2.stories[0].title);
+    assert.equal(contentService.getStory(a2.theme, 1).title, a2.stories[0].title);
+    assert.equal(contentService.getLesson('Food and Drinks', 1, 10, 'B1').words[0].italian, 'caffè');
+    assert.equal(contentService.getLesson('Food and Drinks', 1, 10, 'C2').words[0].italian, 'caffè');
+  }],
+
+  ['services teach the week\'s topic when the LLM is down', async () => {
+    llmService.setProvider(offlineProvider);
+
+    const words = await wordsService.generateDailyWords('Food and Drinks', 'Order at a bar', 'introduction', 10, { dayNumber: 1 });
+    assert.equal(words.words[0].italian, 'caffè');
+    assert.ok(!words.words.some(word => word.italian === 'ciao'));
+
+    const story = await storyService.generateTaskBasedStory('Weather and Seasons', 'Talk about the weather', [], 4);
+    assert.equal(story.title, 'Gita in montagna');
+
+    const prompt = await storyService.generatePracticePrompt('Clothes and Shopping', [], 2);
+    assert.deepEqual(prompt.vocabulary_to_use, PACKS[6].practicePrompts[0].vocabulary_to_use);
+
+    const quiz = await quizService.generateWeeklyQuiz(5, 'Food and Drinks', []);
+    assert.equal(quiz.week, 5);
+    assert.equal(quiz.theme, 'Food and Drinks');
+    assert.equal(quiz.questions.length, PACKS[4].quiz.questions.length);
+
+    const practice = await quizService.generatePracticeQuiz(2, 'Numbers and Dates', [], 3);
+    assert.equal(practice.title, 'Practice Quiz');
+    assert.ok(practice.questions.length <= 5);
+
+    const spanish = await quizService.generatePracticeQuiz(2, 'Numbers and Dates', [], 3, 'A1', 'it', 'es');
+    assert.equal(spanish.title, 'Test de práctica');
+    assert.match(quizService.formatQuizMessage(spanish, 'it', 'es'), /Responde estas preguntas/);
+
+    const structured = await wordsService.generateStructuredVocabulary('Family and Relationships', 'Describe your family');
+    assert.equal(structured.length, 4);
+    assert.equal(structured[0].words[0].italian, 'madre');
+
+    const b1 = readPacks('B1')[7];
+    const b1Story = await storyService.generateTaskBasedStory(b1.theme, 'Talk about dreams', [], 1, 'B1');
+    assert.equal(b1Story.title, b1.stories[0].title);
+    const b1Quiz = await quizService.generateWeeklyQuiz(8, b1.theme, [], 7, 'B1');
+    assert.equal(b1Quiz.questions.length, b1.quiz.questions.length);
+  }]
+];
+
+console.log('🧪 Offline content tests\n');
+
+const originalLog = console.log;
+const originalError = console.error;
+let failures = 0;
+
+for (const [description, check] of CHECKS) {
+  try {
+    console.log = () => {};
+    console.error = () => {};
+    await check();
+    console.log = originalLog;
+    console.error = originalError;
+    console.log(`   ✅ ${description}`);
+  } catch (error) {
+    console.log = originalLog;
+    console.error = originalError;
+    failures++;
+    console.log(`   ❌ ${description}`);
+    console.log(`      ${error.message.split('\n').join('\n      ')}`);
+  }
+}
+
+console.log('');
+
+if (failures > 0) {
+  console.log(`❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+
+console.log('✅ All offline content checks passed');
+process.exit(0);
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+/**
+ * Conversation memory tests (memory storage)
+ * Run: node test-conversation.js
+ */
+
+import assert from 'node:assert/strict';
+
+process.env.DB_DRIVER = 'memory';
+
+const db = await import('./services/db.js');
+const planService = await import('./services/planService.js');
+const conversationService = await import('./services/conversationService.js');
+
+const USER_ID = 930000001;
+
+/**
+ * Build an alternating user/assistant history of the given length
+ */
+function chat(length, content = 'Ciao!') {
+  return Array.from({ length }, (_, i) => ({
+    role: i % 2 === 0 ? 'user' : 'assistant',
+    content: `${content} ${i}`
+  }));
+}
+
+const CHECKS = [
+  ['token estimate grows with the text', () => {
+    assert.ok(conversationService.estimateTokens('a'.repeat(400)) > conversationService.estimateTokens('ciao'));
+    assert.equal(conversationService.estimateTokens(''), 4);
+  }],
+
+  ['history keeps at most the last 20 messages', () => {
+    const trimmed = conversationService.trimHistory(chat(30));
+    assert.equal(trimmed.length, 20);
+    assert.equal(trimmed[trimmed.length - 1].content, 'Ciao! 29');
+  }],
+
+  ['history is trimmed to the token budget', () => {
+    const long = chat(10, 'x'.repeat(400));
+    const trimmed = conversationService.trimHistory(long, { maxTokens: 500 });
+    const tokens = trimmed.reduce((sum, m) => sum + conversationService.estimateTokens(m.content), 0);
+    assert.ok(tokens <= 500);
+    assert.ok(trimmed.length < 10);
+  }],
+
+  ['trimmed history starts with a user message', () => {
+    const trimmed = conversationService.trimHistory(chat(5), { maxMessages: 4 });
+    assert.equal(trimmed[0].role, 'user');
+    assert.equal(trimmed.length, 3);
+  }],
+
+  ['the newest message is kept even when over budget', () => {
+    const trimmed = conversationService.trimHistory([{ role: 'user', content: 'x'.repeat(20000) }], { maxTokens: 10 });
+    assert.equal(trimmed.length, 1);
+  }],
+
+  ['the system prompt names the current week, day and task', async () => {
+    const currentTask = { weekNumber: 2, dayNumber: 3, totalWeeks: 12 };
+    const dailyPlan = await planService.generateDailyPlan(2, 3);
+    const prompt = conversationService.buildSystemPrompt(currentTask, dailyPlan);
+    assert.match(prompt, /Week 2\/12, Day 3\/7/);
+    assert.ok(prompt.includes(dailyPlan.theme));
+    assert.ok(prompt.includes(dailyPlan.task));
+  }],
+
+  ['follow-ups are sent with the earlier exchange', async () => {
+    let history = await conversationService.prepareHistory(USER_ID, 'Come si dice "cat"?');
+    await conversationService.recordReply(USER_ID, history, 'Il gatto.');
+
+    history = await conversationService.prepareHistory(USER_ID, 'And what about the plural?');
+    assert.deepEqual(history.map(m => m.role), ['user', 'assistant', 'user']);
+    assert.equal(history[1].content, 'Il gatto.');
+  }],
+
+  ['an unanswered message is not saved', async () => {
+    assert.equal((await db.getConversation(USER_ID)).length, 2);
+  }],
+
+  ['long messages are cut before they are stored', async () => {
+    const history = await conversationService.prepareHistory(USER_ID, 'a'.repeat(5000));
+    assert.equal(history[history.length - 1].content.length, conversationService.MAX_MESSAGE_CHARS);
+  }],
+
+  ['/clear forgets the history', async () => {
+    await conversationService.clearHistory(USER_ID);
+    assert.deepEqual(await db.getConversation(USER_ID), []);
+  }]
+];
+
+console.log('🧪 Conversation memory tests\n');
+
+await db.initializeDatabase();
+await db.registerUser(USER_ID, 'chatter', 'Chiara');
+
+const originalLog = console.log;
+let failures = 0;
+
+for (const [description, check] of CHECKS) {
+  try {
+    console.log = () => {};
+    await check();
+    console.log = originalLog;
+    console.log(`   ✅ ${description}`);
+  } catch (error) {
+    console.log = originalLog;
+    failures++;
+    console.log(`   ❌ ${description}`);
+    console.log(`      ${error.message.split('\n').join('\n      ')}`);
+  }
+}
+
+console.log('');
+
+if (failures > 0) {
+  console.log(`❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+
+console.log('✅ All conversation checks passed');
+process.exit(0);
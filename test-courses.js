@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+/**
+ * Course switching tests (memory storage)
+ * Run: node test-courses.js
+ */
+
+import assert from 'node:assert/strict';
+
+process.env.DB_DRIVER = 'memory';
+
+const db = await import('./services/db.js');
+const planService = await import('./services/planService.js');
+const pacingService = await import('./services/pacingService.js');
+const courseService = await import('./services/courseService.js');
+
+const USER_ID = 930000001;
+const MASTERY_USER_ID = 930000002;
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Current task for a test user
+ */
+async function currentTask(userId = USER_ID, now = new Date()) {
+  const user = await db.getUser(userId);
+  return planService.getCurrentTask(user.start_date, user, now);
+}
+
+const CHECKS = [
+  ['courses are listed in CEFR order with their length', () => {
+    const courses = courseService.listCourses();
+    assert.deepEqual(courses.map(course => course.level), ['A1', 'A2', 'B1']);
+    assert.equal(courses[0].weeks, 12);
+    assert.ok(courses.every(course => course.title && course.description));
+    assert.equal(courseService.getNextLevel('A1'), 'A2');
+    assert.equal(courseService.getNextLevel('B1'), null);
+  }],
+
+  ['new users start on A1', async () => {
+    const task = await currentTask();
+    assert.equal(task.course, 'A1');
+    assert.equal(task.totalWeeks, 12);
+    assert.equal(task.weekNumber, 2);
+    assert.equal(task.dayNumber, 3);
+  }],
+
+  ['switching starts a new course on Week 1, Day 1', async () => {
+    const { currentTask: task, resumed } = await courseService.setCourse(USER_ID, 'A2');
+    assert.equal(resumed, false);
+    assert.equal(task.course, 'A2');
+    assert.equal(task.totalWeeks, 8);
+    assert.equal(task.weekNumber, 1);
+    assert.equal(task.dayNumber, 1);
+    assert.equal((await db.getUser(USER_ID)).course, 'A2');
+  }],
+
+  ['the old course position is saved', async () => {
+    const saved = await db.getCourseProgress(USER_ID);
+    assert.deepEqual(saved.map(({ course, weekNumber, dayNumber }) => ({ course, weekNumber, dayNumber })), [
+      { course: 'A1', weekNumber: 2, dayNumber: 3 }
+    ]);
+  }],
+
+  ['daily progress belongs to the course it was made in', async () => {
+    await pacingService.completeDay(USER_ID, 1, 1);
+    assert.equal((await db.getDailyProgress(USER_ID, 1, 1, 'A2')).taskCompleted, true);
+    assert.equal(await db.getDailyProgress(USER_ID, 1, 1, 'A1'), null);
+  }],
+
+  ['switching back resumes where the user left off', async () => {
+    const { currentTask: task, resumed } = await courseService.setCourse(USER_ID, 'A1');
+    const later = new Date(Date.now() + 2 * DAY_MS);
+    assert.equal(resumed, true);
+    assert.equal(task.weekNumber, 2);
+    assert.equal(task.dayNumber, 3);
+
+    // The calendar keeps running from the resumed day
+    assert.equal((await currentTask(USER_ID, later)).dayNumber, 5);
+    const a2 = (await db.getCourseProgress(USER_ID)).find(entry => entry.course === 'A2');
+    assert.deepEqual([a2.weekNumber, a2.dayNumber], [1, 1]);
+  }],
+
+  ['choosing the current course changes nothing', async () => {
+    const before = await db.getUser(USER_ID);
+    const { currentTask: task, resumed } = await courseService.setCourse(USER_ID, 'A1');
+    assert.equal(resumed, true);
+    assert.equal(task.dayNumber, 3);
+    assert.deepEqual(await db.getUser(USER_ID), before);
+  }],
+
+  ['mastery users keep their stored position per course', async () => {
+    await pacingService.setPacing(MASTERY_USER_ID, 'mastery');
+    await db.updateUserPacing(MASTERY_USER_ID, { current_week: 5, current_day: 2 });
+
+    const { currentTask: b1 } = await courseService.setCourse(MASTERY_USER_ID, 'B1');
+    assert.equal(b1.pacing, 'mastery');
+    assert.equal(b1.weekNumber, 1);
+    assert.equal(b1.daysBehind, 0);
+
+    await pacingService.completeDay(MASTERY_USER_ID, 1, 1);
+    const { currentTask: a1 } = await courseService.setCourse(MASTERY_USER_ID, 'A1');
+    assert.equal(a1.weekNumber, 5);
+    assert.equal(a1.dayNumber, 2);
+    assert.equal(a1.daysBehind, 0);
+
+    const { currentTask: back } = await courseService.setCourse(MASTERY_USER_ID, 'B1');
+    assert.equal(back.weekNumber, 1);
+    assert.equal(back.dayNumber, 2);
+  }],
+
+  ['the course list shows where the user is in each course', async () => {
+    const user = await db.getUser(USER_ID);
+    const message = courseService.formatCourseList(user, await db.getCourseProgress(USER_ID));
+    assert.match(message, /👉 \*A1 - .+\* \(12 weeks\) - you're on Week 2, Day 3/);
+    assert.match(message, /📌 \*A2 - .+\* \(8 weeks\) - left at Week 1, Day 1/);
+    assert.match(message, /📌 \*B1 - .+\* \(8 weeks\) - not started/);
+  }],
+
+  ['finishing a course points at the next one', () => {
+    assert.match(courseService.formatCompletion({ completed: true, course: 'A2', totalWeeks: 8 }), /\/course B1/);
+    assert.doesNotMatch(courseService.formatCompletion({ completed: true, course: 'B1', totalWeeks: 8 }), /\/course/);
+  }],
+
+  ['unknown users cannot switch', async () => {
+    assert.equal(await courseService.setCourse(930009999, 'A2'), null);
+  }]
+];
+
+console.log('🧪 Course tests\n');
+
+await db.initializeDatabase();
+await db.registerUser(USER_ID, 'switcher', 'Sam');
+await db.updateUserStartDate(USER_ID, new Date(Date.now() - 9 * DAY_MS - 60 * 1000));
+await db.registerUser(MASTERY_USER_ID, 'climber', 'Alex');
+
+const originalLog = console.log;
+let failures = 0;
+
+for (const [description, check] of CHECKS) {
+  try {
+    console.log = () => {};
+    await check();
+    console.log = originalLog;
+    console.log(`   ✅ ${description}`);
+  } catch (error) {
+    console.log = originalLog;
+    failures++;
+    console.log(`   ❌ ${description}`);
+    console.log(`      ${error.message.split('\n').join('\n      ')}`);
+  }
+}
+
+console.log('');
+
+if (failures > 0) {
+  console.log(`❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+
+console.log('✅ All course checks passed');
+process.exit(0);
@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+/**
+ * Curriculum format tests (course file validation and daily plan resolution)
+ * Run: node test-curriculum.js
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const curriculumService = await import('./services/curriculumService.js');
+const planService = await import('./services/planService.js');
+
+const PLAN = JSON.parse(fs.readFileSync('./languages/it/courses/a1.json', 'utf8'));
+
+/**
+ * Deep copy of the shipped A1 course for tests to break
+ */
+function planCopy() {
+  return JSON.parse(JSON.stringify(PLAN));
+}
+
+const CHECKS = [
+  ['the shipped A1 course is valid', () => {
+    assert.deepEqual(curriculumService.validateCurriculum(PLAN), []);
+    assert.equal(PLAN.weeks.length, 12);
+    assert.equal(PLAN.level, 'A1');
+  }],
+
+  ['A1, A2 and B1 courses ship and load for their level', () => {
+    assert.deepEqual(curriculumService.listLevels(), ['A1', 'A2', 'B1']);
+    for (const level of curriculumService.listLevels()) {
+      const course = curriculumService.loadCourse(level);
+      assert.equal(course.level, level);
+      assert.ok(course.title.length > 0, `${level} title`);
+      assert.ok(course.weeks.length >= 8, `${level} weeks`);
+    }
+    assert.throws(() => curriculumService.loadCourse('C2'), /ENOENT/);
+  }],
+
+  ['every week has objectives, grammar and seed words for its first days', () => {
+    for (const level of curriculumService.listLevels()) {
+      for (const week of curriculumService.loadCourse(level).weeks) {
+        assert.ok(week.objectives.length > 0, `${level} week ${week.week} objectives`);
+        assert.ok(week.grammar.length > 0, `${level} week ${week.week} grammar`);
+        assert.ok(week.vocabulary.length > 0, `${level} week ${week.week} vocabulary`);
+        for (const day of week.days) {
+          assert.ok(day.vocabulary.length > 0, `${level} week ${week.week} day ${day.day} vocabulary`);
+        }
+      }
+    }
+  }],
+
+  ['levels are parsed and described for prompts', () => {
+    assert.equal(curriculumService.parseLevel(' b1 '), 'B1');
+    assert.equal(curriculumService.parseLevel('Z9'), null);
+    assert.match(curriculumService.describeLevel('A2'), /^CEFR A2 \(elementary\)/);
+    assert.match(curriculumService.describeLevel('nope'), /^CEFR A1 \(beginner\)/);
+  }],
+
+  ['a course file must teach the level it is named after', () => {
+    const plan = planCopy();
+    delete plan.level;
+    assert.ok(curriculumService.validateCurriculum(plan).includes('level: is required'));
+  }],
+
+  ['errors name the field that is wrong', () => {
+    const plan = planCopy();
+    delete plan.weeks[2].theme;
+    plan.weeks[3].days[0].focus = 'karaoke';
+    plan.weeks[4].days.push({ day: 1 });
+    plan.weeks[5].days.push({ day: 9 });
+    delete plan.dayTemplates['7'];
+
+    const errors = curriculumService.validateCurriculum(plan);
+    assert.ok(errors.includes('weeks[2].theme: is required'), errors.join('\n'));
+    assert.ok(errors.some(error => error.startsWith('weeks[3].days[0].focus: must be one of')), errors.join('\n'));
+    assert.ok(errors.includes('weeks[4].days[3].day: day 1 is listed twice'), errors.join('\n'));
+    assert.ok(errors.includes('weeks[5].days[3].day: must be between 1 and 7'), errors.join('\n'));
+    assert.ok(errors.includes('dayTemplates.7: is required'), errors.join('\n'));
+  }],
+
+  ['weeks must be numbered in order', () => {
+    const plan = planCopy();
+    plan.weeks.splice(4, 1);
+    assert.deepEqual(curriculumService.validateCurriculum(plan), [
+      'weeks[4].week: expected week 5 (weeks must be numbered 1, 2, 3... in order), got 6'
+    ]);
+  }],
+
+  ['old and unknown versions are rejected', () => {
+    const legacy = { weeks: [{ week: 1, theme: 'Greetings' }] };
+    assert.match(curriculumService.validateCurriculum(legacy)[0], /version 1 plan/);
+
+    const plan = planCopy();
+    plan.version = 3;
+    assert.deepEqual(curriculumService.validateCurriculum(plan), ['version: unsupported curriculum version 3 (expected 2)']);
+  }],
+
+  ['day entries override the template and fill placeholders', () => {
+    const plan = planCopy();
+    plan.weeks[0].days.push({ day: 5, task: 'Role-play meeting a {theme} pen pal', vocabularyCount: 4, grammar: ['Lei'] });
+    const { curriculum } = curriculumService.parseCurriculum(plan);
+
+    const day = curriculumService.resolveDay(curriculum, 1, 5);
+    assert.equal(day.task, 'Role-play meeting a Greetings and Basic Phrases pen pal');
+    assert.equal(day.vocabularyCount, 4);
+    assert.equal(day.focus, 'application');
+    assert.deepEqual(day.grammar, ['Lei']);
+    assert.deepEqual(day.objectives, plan.weeks[0].objectives);
+    assert.deepEqual(day.seedVocabulary, plan.weeks[0].vocabulary);
+    assert.match(day.exercises[1].description, /about Greetings and Basic Phrases using/);
+    assert.equal(curriculumService.resolveDay(curriculum, 13, 1), null);
+  }],
+
+  ['daily plans keep their shape and gain curriculum fields', async () => {
+    const plan = await planService.generateDailyPlan(3, 1);
+    assert.equal(plan.theme, 'Family and Relationships');
+    assert.equal(plan.focus, 'introduction');
+    assert.equal(plan.vocabularyCount, 10);
+    assert.equal(plan.includesReview, false);
+    assert.match(plan.description, /^Day 1: Introduction to "Family and Relationships"/);
+    assert.equal(plan.exercises[0].description, 'Learn 8-10 words in a dialogue/story context about Family and Relationships');
+    assert.deepEqual(plan.objectives, ['I can name my close family members']);
+    assert.ok(plan.seedVocabulary.includes('madre'));
+    assert.ok(plan.weekObjectives.length > 0);
+
+    assert.equal(plan.level, 'A1');
+
+    const sunday = await planService.generateDailyPlan(3, 7);
+    assert.equal(sunday.vocabularyCount, 0);
+    assert.equal(sunday.includesReview, true);
+    assert.equal(sunday.estimatedTime, '30-35 minutes total (quiz + review + preview)');
+  }],
+
+  ['week overviews list every day with its objectives', async () => {
+    const overview = await planService.getWeekOverview(5);
+    assert.equal(overview.days.length, 7);
+    assert.equal(overview.days[0].objectives[0], 'I can order at a bar');
+    assert.deepEqual(overview.days[6].objectives, overview.objectives);
+  }],
+
+  ['plans and the current task follow the course level', async () => {
+    const plan = await planService.generateDailyPlan(1, 1, 'B1');
+    assert.equal(plan.level, 'B1');
+    assert.equal(plan.theme, curriculumService.loadCourse('B1').weeks[0].theme);
+
+    const overview = await planService.getWeekOverview(2, 'A2');
+    assert.equal(overview.level, 'A2');
+    assert.equal(overview.totalWeeks, 8);
+
+    const start = new Date('2026-01-01T08:00:00Z');
+    const a2 = planService.getCurrentTask(start, { course: 'A2' }, new Date('2026-02-20T08:00:00Z'));
+    assert.equal(a2.course, 'A2');
+    assert.equal(a2.weekNumber, 8);
+    assert.deepEqual(
+      planService.getCurrentTask(start, { course: 'A2' }, new Date('2026-03-01T08:00:00Z')),
+      { completed: true, course: 'A2', language: 'it', nativeLanguage: 'en', totalWeeks: 8 }
+    );
+    assert.equal(planService.getCurrentTask(start, null, new Date('2026-03-01T08:00:00Z')).course, 'A1');
+  }],
+
+  ['invalid files fail to load with every error listed', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'imparo-plan-'));
+    const file = path.join(dir, 'a1.json');
+    try {
+      const plan = planCopy();
+      plan.weeks[0].theme = '';
+      plan.weeks[1].days[0].vocabulary = 'uno';
+      plan.weeks[1].days[1].exercises = [{ type: 'quiz' }];
+      fs.writeFileSync(file, JSON.stringify(plan));
+
+      await assert.rejects(curriculumService.loadCurriculum(file), error => {
+        assert.deepEqual(error.validationErrors, [
+          'weeks[0].theme: must not be empty',
+          'weeks[1].days[1].exercises[0].description: is required'
+        ]);
+        return true;
+      });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }]
+];
+
+console.log('🧪 Curriculum tests\n');
+
+const originalLog = console.log;
+const originalError = console.error;
+let failures = 0;
+
+for (const [description, check] of CHECKS) {
+  try {
+    console.log = () => {};
+    console.error = () => {};
+    await check();
+    console.log = originalLog;
+    console.error = originalError;
+    console.log(`   ✅ ${description}`);
+  } catch (error) {
+    console.log = originalLog;
+    console.error = originalError;
+    failures++;
+    console.log(`   ❌ ${description}`);
+    console.log(`      ${error.message.split('\n').join('\n      ')}`);
+  }
+}
+
+console.log('');
+
+if (failures > 0) {
+  console.log(`❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+
+console.log('✅ All curriculum checks passed');
+process.exit(0);
@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+/**
+ * Verb drill tests (memory storage, seeded random)
+ * Run: node test-drill.js
+ */
+
+import assert from 'node:assert/strict';
+
+process.env.DB_DRIVER = 'memory';
+
+const db = await import('./services/db.js');
+const drillService = await import('./services/drillService.js');
+const conjugationDrill = await import('./services/drills/conjugationDrill.js');
+const sessionService = await import('./services/sessionService.js');
+
+const USER_ID = 940000001;
+const NO_VERBS_USER_ID = 940000002;
+
+const WORDS = [
+  { italian: 'parlare', english: 'to speak' },
+  { italian: 'il mare', english: 'the sea' },
+  { italian: 'andare', english: 'to go' },
+  { italian: 'Piacere!', english: 'Nice to meet you!' },
+  { italian: 'alzarsi', english: 'to get up' },
+  { italian: 'la casa', english: 'the house' }
+];
+
+/**
+ * Deterministic random numbers in [0, 1)
+ * @param {number} seed - Starting seed
+ * @returns {Function} () => number
+ */
+function seeded(seed = 1) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+}
+
+const CHECKS = [
+  ['tenses open up with the course level', () => {
+    assert.deepEqual(conjugationDrill.getDrillTenses('A1'), ['presente', 'passatoProssimo']);
+    assert.deepEqual(conjugationDrill.getDrillTenses('A2'), ['presente', 'passatoProssimo', 'imperfetto', 'futuro', 'imperativo']);
+    assert.equal(conjugationDrill.getDrillTenses('C1').length, 6);
+    assert.deepEqual(conjugationDrill.getDrillTenses('XX'), ['presente', 'passatoProssimo']);
+  }],
+
+  ['weak tenses weigh more than untried ones, and untried more than strong ones', () => {
+    const weights = drillService.getSkillWeights(['presente', 'futuro', 'imperfetto'], {
+      presente: { attempts: 10, correct: 2 },
+      futuro: { attempts: 10, correct: 10 }
+    });
+    assert.ok(weights.presente > weights.imperfetto);
+    assert.ok(weights.imperfetto > weights.futuro);
+    assert.ok(weights.futuro > 0);
+  }],
+
+  ['verbs come from bare infinitives in the vocabulary', () => {
+    assert.deepEqual(conjugationDrill.findDrillVerbs([...WORDS, { italian: 'Parlare', english: 'to talk' }], 'it'), ['parlare', 'andare', 'alzarsi']);
+    assert.deepEqual(conjugationDrill.findDrillVerbs([{ italian: 'ridurre' }, { italian: 'il mare' }], 'it'), []);
+  }],
+
+  ['agreeing forms and subject pronouns are accepted', () => {
+    assert.deepEqual(conjugationDrill.expandForm('sono andati/e'), ['sono andati', 'sono andate']);
+    assert.deepEqual(conjugationDrill.expandForm('parlo'), ['parlo']);
+    assert.deepEqual(
+      conjugationDrill.getAcceptedAnswers({ skill: 'passatoProssimo', person: 2, answer: 'è andato/a' }),
+      ['è andato', 'è andata', 'lui è andato', 'lui è andata', 'lei è andato', 'lei è andata']
+    );
+    assert.deepEqual(conjugationDrill.getAcceptedAnswers({ skill: 'imperativo', person: 1, answer: 'parla' }), ['parla']);
+  }],
+
+  ['users without learned verbs get no drill', async () => {
+    await db.saveVocabulary(NO_VERBS_USER_ID, 1, [{ italian: 'la casa', english: 'the house' }], { dayNumber: 1 });
+    assert.equal(await drillService.startDrill(NO_VERBS_USER_ID, await db.getUser(NO_VERBS_USER_ID), 'conjugation'), null);
+  }],
+
+  ['a drill asks A1 tenses of the learned verbs', async () => {
+    await db.saveVocabulary(USER_ID, 1, WORDS, { dayNumber: 1 });
+    const drill = await drillService.startDrill(USER_ID, await db.getUser(USER_ID), 'conjugation', seeded(7));
+    assert.deepEqual(drill.items, ['parlare', 'andare', 'alzarsi']);
+    assert.deepEqual(drill.skills, ['presente', 'passatoProssimo']);
+    assert.ok(drill.items.includes(drill.question.verb));
+    assert.ok(drill.skills.includes(drill.question.skill));
+    assert.match(drillService.formatDrillQuestion(drill), new RegExp(`\\*1/${drillService.DRILL_LENGTH}\\*`));
+  }],
+
+  ['answers are graded exactly, forgiving only accents, and counted per tense', async () => {
+    const drill = drillService.createDrill('conjugation', { items: ['parlare'], level: 'A2', stats: {} }, seeded(3));
+
+    drill.question = { skill: 'futuro', verb: 'parlare', person: 3, answer: 'parleremo' };
+    const right = await drillService.answerDrill(USER_ID, drill, 'Noi parleremo', seeded(1));
+    assert.equal(right.grade.verdict, 'correct');
+    assert.match(drillService.formatDrillFeedback(right, 'en'), /✅ \*noi parleremo\*/);
+
+    drill.question = { skill: 'futuro', verb: 'parlare', person: 0, answer: 'parlerò' };
+    const accent = await drillService.answerDrill(USER_ID, drill, 'parlero', seeded(1));
+    assert.equal(accent.grade.verdict, 'almost');
+    assert.match(drillService.formatDrillFeedback(accent, 'en'), /parler\(o→ò\)/);
+
+    drill.question = { skill: 'presente', verb: 'parlare', person: 3, answer: 'parliamo' };
+    const typo = await drillService.answerDrill(USER_ID, drill, 'parliammo', seeded(1));
+    assert.equal(typo.grade.verdict, 'wrong');
+    assert.match(drillService.formatDrillFeedback(typo, 'en'), /The answer is \*parliamo\*/);
+
+    assert.deepEqual(drill.stats.futuro, { attempts: 2, correct: 2 });
+    assert.deepEqual(drill.stats.presente, { attempts: 1, correct: 0 });
+    assert.deepEqual(await db.getDrillStats(USER_ID, 'conjugation', 'it'), drill.stats);
+  }],
+
+  ['weak tenses come up more often', () => {
+    const options = {
+      items: ['parlare', 'andare'],
+      stats: { presente: { attempts: 20, correct: 4 }, passatoProssimo: { attempts: 20, correct: 20 } }
+    };
+    const random = seeded(5);
+    const counts = { presente: 0, passatoProssimo: 0 };
+    for (let i = 0; i < 300; i++) {
+      counts[drillService.createDrill('conjugation', options, random).question.skill]++;
+    }
+    assert.ok(counts.presente > counts.passatoProssimo * 3, JSON.stringify(counts));
+    assert.ok(counts.passatoProssimo > 0);
+  }],
+
+  ['a round ends after its questions with accuracy by tense', async () => {
+    const drill = drillService.createDrill('conjugation', { items: ['parlare'], nativeLanguage: 'en' }, seeded(2));
+    let result;
+    for (let i = 0; i < drillService.DRILL_LENGTH; i++) {
+      result = await drillService.answerDrill(USER_ID, drill, i === 0 ? 'sbagliato' : drill.question.answer.split('/')[0], seeded(i + 1));
+      assert.equal(result.finished, i === drillService.DRILL_LENGTH - 1);
+    }
+    assert.equal(drill.question, null);
+
+    const summary = drillService.formatDrillSummary(drill);
+    assert.match(summary, new RegExp(`${drillService.DRILL_LENGTH - 1}/${drillService.DRILL_LENGTH}`));
+    assert.match(summary, /Presente - present: \d+\/\d+ \(\d+%\)/);
+    assert.match(summary, /will come up more often/);
+    assert.match(summary, /\/drill verbs - Another round/);
+  }],
+
+  ['imperative questions address tu, Lei, noi, voi or Loro', () => {
+    const drill = drillService.createDrill('conjugation', { items: ['parlare'], level: 'B1', nativeLanguage: 'ru' }, seeded(4));
+    drill.question = { skill: 'imperativo', verb: 'parlare', person: 2, answer: 'parli' };
+    assert.match(drillService.formatDrillQuestion(drill), /Imperativo - повелительное наклонение\n\n👤 Lei \+ \*parlare\* = \?/);
+  }],
+
+  ['/drill picks the kind by keyword, verbs by default', () => {
+    assert.equal(drillService.parseDrillKeyword(undefined), 'conjugation');
+    assert.equal(drillService.parseDrillKeyword('Verbs'), 'conjugation');
+    assert.equal(drillService.parseDrillKeyword('articles'), 'articles');
+    assert.equal(drillService.parseDrillKeyword('nouns'), null);
+    const usage = drillService.formatDrillUsage('it', 'en');
+    assert.match(usage, /\/drill verbs/);
+    assert.match(usage, /\/drill articles/);
+  }],
+
+  ['drills are a session flow that restarts with /drill', () => {
+    const session = sessionService.createSession('drill', { drill: {} }, new Date('2024-07-01T08:00:00Z'));
+    assert.equal(session.state, 'answering');
+    assert.match(sessionService.formatExpiredMessage(session, 'en'), /drill timed out after 30 minutes.*\/drill/);
+  }]
+];
+
+console.log('🧪 Verb drill tests\n');
+
+await db.initializeDatabase();
+await db.registerUser(USER_ID, 'coniugatore', 'Dante');
+await db.registerUser(NO_VERBS_USER_ID, 'principiante', 'Bice');
+
+const originalLog = console.log;
+let failures = 0;
+
+for (const [description, check] of CHECKS) {
+  try {
+    console.log = () => {};
+    await check();
+    console.log = originalLog;
+    console.log(`   ✅ ${description}`);
+  } catch (error) {
+    console.log = originalLog;
+    failures++;
+    console.log(`   ❌ ${description}`);
+    console.log(`      ${error.message.split('\n').join('\n      ')}`);
+  }
+}
+
+console.log('');
+
+if (failures > 0) {
+  console.log(`❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+
+console.log('✅ All verb drill checks passed');
+process.exit(0);
@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+/**
+ * Answer grading tests (accent, article and typo tolerance)
+ * Run: node test-grading.js
+ */
+
+import assert from 'node:assert/strict';
+import * as gradingService from './services/gradingService.js';
+import * as quizService from './services/quizService.js';
+
+const CHECKS = [
+  ['exact answers are correct regardless of case, punctuation and spacing', () => {
+    assert.equal(gradingService.gradeAnswer('  Buongiorno! ', 'buongiorno').verdict, 'correct');
+    assert.equal(gradingService.gradeAnswer('goodbye', 'Hello/Goodbye').verdict, 'correct');
+    assert.equal(gradingService.gradeAnswer('ciao', 'Ciao (informal)').verdict, 'correct');
+  }],
+
+  ['missing accents are near-misses', () => {
+    const grade = gradingService.gradeAnswer('perche', 'perché');
+    assert.equal(grade.verdict, 'almost');
+    assert.equal(grade.reason, 'accent');
+    assert.equal(grade.correct, true);
+    assert.equal(grade.hint, 'perch(e→é)');
+  }],
+
+  ['missing articles are near-misses, wrong ones are not', () => {
+    assert.equal(gradingService.gradeAnswer('casa', 'la casa').reason, 'article');
+    assert.equal(gradingService.gradeAnswer('il casa', 'la casa').verdict, 'wrong');
+    assert.equal(gradingService.gradeAnswer('un gatto', 'il gatto').correct, false);
+    assert.equal(gradingService.gradeAnswer('acqua', "l'acqua").reason, 'article');
+    assert.equal(gradingService.gradeAnswer('eat', 'to eat').reason, 'article');
+    assert.equal(gradingService.gradeAnswer('casa', 'la casa').hint, '(+la )casa');
+  }],
+
+  ['small typos are near-misses, scaled by length', () => {
+    assert.equal(gradingService.gradeAnswer('grazei', 'grazie').verdict, 'almost');
+    assert.equal(gradingService.gradeAnswer('arrivederchi', 'arrivederci').verdict, 'almost');
+    assert.equal(gradingService.gradeAnswer('tra', 'tre').verdict, 'wrong');
+  }],
+
+  ['a changed final vowel is a wrong ending, not a typo', () => {
+    assert.equal(gradingService.gradeAnswer('parla', 'parlo').verdict, 'wrong');
+    assert.equal(gradingService.gradeAnswer('gatti', 'gatto').verdict, 'wrong');
+    assert.equal(gradingService.gradeAnswer('buona', 'buono').verdict, 'wrong');
+    assert.equal(gradingService.gradeAnswer('il gatti', 'il gatto').verdict, 'wrong');
+    assert.equal(gradingService.gradeAnswer('la casa bianco', 'la casa bianca').verdict, 'wrong');
+    assert.equal(gradingService.gradeAnswer('gatoo', 'gatto').verdict, 'almost');
+  }],
+
+  ['different words are wrong', () => {
+    const grade = gradingService.gradeAnswer('cane', 'gatto');
+    assert.equal(grade.verdict, 'wrong');
+    assert.equal(grade.correct, false);
+    assert.ok(grade.distance > 1);
+  }],
+
+  ['empty answers are wrong without a hint', () => {
+    const grade = gradingService.gradeAnswer(null, 'ciao');
+    assert.equal(grade.reason, 'empty');
+    assert.equal(grade.hint, null);
+  }],
+
+  ['exact grading forgives accents but not typos or articles', () => {
+    assert.equal(gradingService.gradeExact('Parliamo!', ['parliamo']).verdict, 'correct');
+    assert.equal(gradingService.gradeExact('sono andata', ['sono andato', 'sono andata']).expected, 'sono andata');
+
+    const accent = gradingService.gradeExact('parlero', ['parlerò']);
+    assert.equal(accent.verdict, 'almost');
+    assert.equal(accent.hint, 'parler(o→ò)');
+    assert.equal(gradingService.gradeExact("parlero'", ['parlerò']).reason, 'accent');
+
+    assert.equal(gradingService.gradeExact('parliammo', ['parliamo']).verdict, 'wrong');
+    assert.equal(gradingService.gradeExact('la parla', ['parla']).verdict, 'wrong');
+    assert.equal(gradingService.gradeExact('', ['parla']).reason, 'empty');
+  }],
+
+  ['edit distance counts adjacent swaps once', () => {
+    assert.equal(gradingService.editDistance('grazie', 'grazie'), 0);
+    assert.equal(gradingService.editDistance('grazei', 'grazie'), 1);
+    assert.equal(gradingService.editDistance('kitten', 'sitting'), 3);
+  }],
+
+  ['only wrong multi-word translations are ambiguous', () => {
+    const question = { type: 'translation', correctAnswer: 'Mi chiamo Marco' };
+    assert.equal(gradingService.isAmbiguous(gradingService.gradeAnswer('Il mio nome è Marco', question.correctAnswer), question), true);
+    assert.equal(gradingService.isAmbiguous(gradingService.gradeAnswer('mi chiamo marco', question.correctAnswer), question), false);
+    assert.equal(gradingService.isAmbiguous(gradingService.gradeAnswer('cane', 'gatto'), { type: 'translation', correctAnswer: 'gatto' }), false);
+  }],
+
+  ['the judge can upgrade ambiguous answers but is off unless enabled', async () => {
+    const question = { type: 'translation', prompt: 'Translate: My name is Marco', correctAnswer: 'Mi chiamo Marco' };
+    const judge = async () => 'correct';
+
+    assert.equal((await gradingService.gradeWithJudge('Il mio nome è Marco', question, { judge, enabled: false })).verdict, 'wrong');
+
+    const judged = await gradingService.gradeWithJudge('Il mio nome è Marco', question, { judge, enabled: true });
+    assert.equal(judged.verdict, 'correct');
+    assert.equal(judged.reason, 'judge');
+  }],
+
+  ['a failing judge leaves the local verdict', async () => {
+    const question = { type: 'translation', prompt: 'Translate', correctAnswer: 'Mi chiamo Marco' };
+    const judge = async () => { throw new Error('offline'); };
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+      assert.equal((await gradingService.gradeWithJudge('Sono Marco', question, { judge, enabled: true })).verdict, 'wrong');
+    } finally {
+      console.error = originalError;
+    }
+  }],
+
+  ['quiz sessions count near-misses as correct and show the hint', async () => {
+    const session = quizService.createQuizSession({
+      title: 'Test',
+      questions: [{ type: 'fill_in_blank', question: 'Why?', correct_answer: 'perché' }]
+    });
+
+    const result = await quizService.answerCurrentQuestion(session, 'perche');
+    assert.equal(result.correct, true);
+    assert.equal(result.almost, true);
+    assert.match(quizService.formatAnswerFeedback(result), /perch\(e→é\)/);
+    assert.match(quizService.formatQuizSummary(session), /1\/1/);
+    assert.equal(quizService.getQuizScore(session, { nearMisses: false }).percentage, 0);
+  }]
+];
+
+console.log('🧪 Answer grading tests\n');
+
+let failures = 0;
+
+for (const [description, check] of CHECKS) {
+  try {
+    await check();
+    console.log(`   ✅ ${description}`);
+  } catch (error) {
+    failures++;
+    console.log(`   ❌ ${description}`);
+    console.log(`      ${error.message.split('\n').join('\n      ')}`);
+  }
+}
+
+console.log('');
+
+if (failures > 0) {
+  console.log(`❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+
+console.log('✅ All grading checks passed');
+process.exit(0);
@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+/**
+ * Grammar reference tests (services/grammarService.js, languages/it/grammar.json, /grammar)
+ * Run: node test-grammar.js
+ */
+
+import assert from 'node:assert/strict';
+
+const grammarService = await import('./services/grammarService.js');
+const { loadCourse, listLevels } = await import('./services/curriculumService.js');
+
+const { loadGrammar, validateGrammar, getLessonTopics, findTopic, parseGrammarCallback } = grammarService;
+
+/**
+ * A valid grammar reference with one topic, to break in the validation checks
+ * @returns {Object} grammar.json data
+ */
+function sample() {
+  return {
+    version: 1,
+    topics: [{
+      id: 'essere',
+      title: 'The verb essere',
+      summary: 'To be.',
+      sections: [{ heading: 'Present', table: [['io', 'sono']], examples: [{ italian: 'Sono Marta.', english: 'I am Marta.' }] }],
+      lessons: [{ level: 'A1', week: 1, days: [1] }]
+    }]
+  };
+}
+
+const CHECKS = [
+  ['the Italian grammar reference loads, and packs without one have none', () => {
+    const grammar = loadGrammar('it');
+    assert.ok(grammar.topics.length >= 10);
+    assert.deepEqual(validateGrammar(sample()), []);
+    assert.equal(loadGrammar('xx'), null);
+  }],
+
+  ['invalid grammar data names the field', () => {
+    assert.deepEqual(validateGrammar({ ...sample(), version: 2 }), ['version: unsupported grammar version 2 (expected 1)']);
+
+    const duplicate = sample();
+    duplicate.topics.push(sample().topics[0]);
+    assert.deepEqual(validateGrammar(duplicate), ['topics: "essere" is used by more than one topic']);
+
+    const day = sample();
+    day.topics[0].lessons[0].days = [1, 8];
+    assert.deepEqual(validateGrammar(day), ['topics[0].lessons[0].days[1]: must be a day from 1 to 7']);
+
+    const markdown = sample();
+    markdown.topics[0].sections[0].examples[0].english = 'I_am';
+    assert.match(validateGrammar(markdown)[0], /^topics\[0\]: "I_am" breaks the Markdown/);
+
+    const empty = sample();
+    empty.topics[0].sections[0] = { heading: 'Nothing' };
+    assert.deepEqual(validateGrammar(empty), ['topics[0].sections[0]: needs a text, a table or examples']);
+
+    const id = sample();
+    id.topics[0].id = 'Essere verbo';
+    assert.match(validateGrammar(id)[0], /^topics\[0\]\.id: must be lowercase/);
+
+    const list = sample();
+    list.topics[0].id = 'list';
+    assert.deepEqual(validateGrammar(list), ['topics[0].id: "list" is taken by the topic list button']);
+  }],
+
+  ['every A1 week explains its grammar, and lessons point at course weeks that exist', () => {
+    for (const { week } of loadCourse('A1', 'it').weeks) {
+      for (const day of [1, 2, 3]) {
+        assert.ok(getLessonTopics('A1', week, day, 'it').length > 0, `A1 week ${week} day ${day}`);
+      }
+    }
+
+    const levels = listLevels('it');
+    for (const topic of loadGrammar('it').topics) {
+      for (const lesson of topic.lessons) {
+        assert.ok(levels.includes(lesson.level), `${topic.id}: ${lesson.level}`);
+        assert.ok(loadCourse(lesson.level, 'it').weeks.some(({ week }) => week === lesson.week), `${topic.id}: ${lesson.level} week ${lesson.week}`);
+      }
+    }
+  }],
+
+  ['a day gets its own topics, and a revision day every topic of the week', () => {
+    const week = loadGrammar('it').topics.filter(topic => topic.lessons.some(lesson => lesson.level === 'A1' && lesson.week === 1));
+    const dayOne = getLessonTopics('A1', 1, 1, 'it');
+    assert.ok(dayOne.length > 0 && dayOne.length < week.length);
+    assert.deepEqual(getLessonTopics('A1', 1, 6, 'it'), week);
+    assert.deepEqual(getLessonTopics('C2', 1, 1, 'it'), []);
+    assert.deepEqual(getLessonTopics('A1', 1, 1, 'xx'), []);
+  }],
+
+  ['topics are found by id or by part of the title', () => {
+    assert.equal(findTopic('articles', 'it').id, 'articles');
+    assert.equal(findTopic('Passato prossimo', 'it').id, 'passato-prossimo');
+    assert.equal(findTopic('  ESSERE ', 'it').id, 'essere');
+    assert.equal(findTopic('possessive', 'it').id, 'possessives');
+    assert.equal(findTopic('quantum physics', 'it'), null);
+    assert.equal(findTopic('', 'it'), null);
+  }],
+
+  ['grammar callbacks open the list or a topic, and leave other buttons alone', () => {
+    assert.deepEqual(parseGrammarCallback('grammar:list'), { topic: null, send: false });
+    assert.deepEqual(parseGrammarCallback('grammar:passato-prossimo'), { topic: 'passato-prossimo', send: false });
+    assert.deepEqual(parseGrammarCallback('grammar:essere:send'), { topic: 'essere', send: true });
+    assert.equal(parseGrammarCallback('settings:level:A2'), null);
+    assert.equal(parseGrammarCallback('grammar:'), null);
+    assert.equal(parseGrammarCallback(undefined), null);
+  }],
+
+  ['a topic page fits in one message, in the native language, with a way back', () => {
+    for (const topic of loadGrammar('it').topics) {
+      const { text, options } = grammarService.formatTopic(topic, 'en');
+      assert.ok(text.length < 4096, `${topic.id} is ${text.length} characters`);
+      assert.equal(text.includes('🔁'), Boolean(topic.practice), topic.id);
+      assert.deepEqual(options.reply_markup.inline_keyboard, [[{ text: '⬅️ All topics', callback_data: 'grammar:list' }]]);
+    }
+
+    const { text, options } = grammarService.formatTopic(findTopic('articles', 'it'), 'es');
+    assert.match(text, /^📘 \*/);
+    assert.match(text, /› \*/);
+    assert.match(text, /\/drill articles/);
+    assert.equal(options.reply_markup.inline_keyboard[0][0].text, '⬅️ Todos los temas');
+  }],
+
+  ['the topic list marks today\'s topics, and says so when the pack has no reference', () => {
+    const today = getLessonTopics('A1', 1, 1, 'it');
+    const { text, options } = grammarService.formatTopicList('it', 'en', today, 'Italian');
+    assert.match(text, /Italian course/);
+    assert.ok(text.includes(`📌 *Today:* ${today.map(topic => topic.title).join(', ')}`));
+
+    const buttons = options.reply_markup.inline_keyboard.flat();
+    assert.equal(buttons.length, loadGrammar('it').topics.length);
+    assert.equal(buttons.filter(button => button.text.startsWith('📌')).length, today.length);
+    assert.ok(buttons.every(button => parseGrammarCallback(button.callback_data)?.send === false));
+
+    assert.doesNotMatch(grammarService.formatTopicList('it', 'en', [], 'Italian').text, /Today/);
+
+    // An old button pressed after switching to a pack without a reference
+    const unavailable = grammarService.formatTopicList('xx', 'en', [], 'Klingon');
+    assert.match(unavailable.text, /Klingon/);
+    assert.deepEqual(unavailable.options, {});
+  }],
+
+  ['the daily plan links its topics in new messages', () => {
+    assert.deepEqual(grammarService.formatTopicButtons([]), {});
+    const topics = getLessonTopics('A1', 1, 1, 'it');
+    const { reply_markup: markup } = grammarService.formatTopicButtons(topics);
+    assert.deepEqual(markup.inline_keyboard.map(([button]) => button.callback_data), topics.map(topic => `grammar:${topic.id}:send`));
+    assert.ok(markup.inline_keyboard.every(([button]) => Buffer.byteLength(button.callback_data) <= 64));
+  }]
+];
+
+console.log('🧪 Grammar reference tests\n');
+
+const originalLog = console.log;
+let failures = 0;
+
+for (const [description, check] of CHECKS) {
+  try {
+    console.log = () => {};
+    await check();
+    console.log = originalLog;
+    console.log(`   ✅ ${description}`);
+  } catch (error) {
+    console.log = originalLog;
+    failures++;
+    console.log(`   ❌ ${description}`);
+    console.log(`      ${error.message.split('\n').join('\n      ')}`);
+  }
+}
+
+console.log('');
+
+if (failures > 0) {
+  console.log(`❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+
+console.log('✅ All grammar reference checks passed');
+process.exit(0);
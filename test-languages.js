@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+/**
+ * Language pack tests (memory storage)
+ * Run: node test-languages.js
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'fs';
+
+process.env.DB_DRIVER = 'memory';
+delete process.env.LANGUAGE;
+
+const languageService = await import('./services/languageService.js');
+const curriculumService = await import('./services/curriculumService.js');
+const contentService = await import('./services/contentService.js');
+const courseService = await import('./services/courseService.js');
+const db = await import('./services/db.js');
+
+const USER_ID = 940000001;
+const ITALIAN = JSON.parse(fs.readFileSync('./languages/it/language.json', 'utf8'));
+
+const CHECKS = [
+  ['Italian is the installed default pack', () => {
+    assert.deepEqual(languageService.listLanguages(), ['it']);
+    assert.equal(languageService.getDefaultLanguage(), 'it');
+    const pack = languageService.loadLanguage('it');
+    assert.equal(pack.name, 'Italian');
+    assert.equal(pack.flag, '🇮🇹');
+    assert.ok(pack.articles.includes("l'"));
+  }],
+
+  ['LANGUAGE picks the default pack', () => {
+    process.env.LANGUAGE = ' ES ';
+    assert.equal(languageService.getDefaultLanguage(), 'es');
+    delete process.env.LANGUAGE;
+  }],
+
+  ['languages are found by code, English name or native name', () => {
+    assert.equal(languageService.parseLanguage('it'), 'it');
+    assert.equal(languageService.parseLanguage('Italian'), 'it');
+    assert.equal(languageService.parseLanguage(' ITALIANO '), 'it');
+    assert.equal(languageService.parseLanguage('klingon'), null);
+    assert.equal(languageService.parseLanguage(''), null);
+  }],
+
+  ['the Italian pack is valid', () => {
+    assert.deepEqual(languageService.validateLanguage(ITALIAN), []);
+  }],
+
+  ['invalid packs name the field', () => {
+    const { goodMorning, ...phrases } = ITALIAN.phrases;
+    const errors = languageService.validateLanguage({ ...ITALIAN, version: 9, levels: {}, phrases });
+    assert.ok(errors.some(error => error.startsWith('version: unsupported language pack version 9')), errors.join('\n'));
+    assert.ok(errors.some(error => error.startsWith('levels: must describe at least one level')), errors.join('\n'));
+    assert.ok(errors.some(error => error.startsWith('phrases.goodMorning')), errors.join('\n'));
+  }],
+
+  ['phrases are formatted with their translation', () => {
+    assert.equal(languageService.formatPhrase('it', 'happyStudying'), '*Buono studio!* (Happy studying!)');
+    assert.equal(languageService.getPhraseText('it', 'wellDone'), 'Bravissimo!');
+    assert.equal(languageService.getTeacher('it'), 'Italian teacher');
+  }],
+
+  ['courses, content and level styles come from the pack', () => {
+    assert.match(curriculumService.getCoursePath('A2', 'it'), /languages[\\/]it[\\/]courses[\\/]a2\.json$/);
+    assert.deepEqual(curriculumService.listLevels('it'), ['A1', 'A2', 'B1']);
+    assert.match(curriculumService.describeLevel('A2', 'it'), /^CEFR A2 \(elementary\): .*passato prossimo/);
+    assert.ok(contentService.listThemes('A1', 'it').length > 0);
+    assert.deepEqual(curriculumService.listLevels('xx'), []);
+  }],
+
+  ['new users learn the default language', async () => {
+    assert.equal((await db.getUser(USER_ID)).language, 'it');
+  }],
+
+  ['the language list marks the current one', async () => {
+    const message = courseService.formatLanguageList(await db.getUser(USER_ID));
+    assert.match(message, /👉 🇮🇹 \*Italian\* \(Italiano, `it`\) - courses: A1, A2, B1/);
+  }],
+
+  ['vocabulary is kept per language', async () => {
+    await db.saveVocabulary(USER_ID, 1, [{ italian: 'la casa', english: 'the house' }], { language: 'it', dayNumber: 1 });
+    assert.deepEqual((await db.getVocabulary(USER_ID, 'it')).map(word => word.italian), ['la casa']);
+    assert.deepEqual(await db.getVocabulary(USER_ID, 'es'), []);
+  }],
+
+  ['choosing the current language changes nothing', async () => {
+    const before = await db.getUser(USER_ID);
+    const { resumed } = await courseService.setLanguage(USER_ID, 'it');
+    assert.equal(resumed, true);
+    assert.deepEqual(await db.getUser(USER_ID), before);
+  }]
+];
+
+console.log('🧪 Language pack tests\n');
+
+await db.initializeDatabase();
+await db.registerUser(USER_ID, 'polyglot', 'Robin');
+
+const originalLog = console.log;
+let failures = 0;
+
+for (const [description, check] of CHECKS) {
+  try {
+    console.log = () => {};
+    await check();
+    console.log = originalLog;
+    console.log(`   ✅ ${description}`);
+  } catch (error) {
+    console.log = originalLog;
+    failures++;
+    console.log(`   ❌ ${description}`);
+    console.log(`      ${error.message.split('\n').join('\n      ')}`);
+  }
+}
+
+console.log('');
+
+if (failures > 0) {
+  console.log(`❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+
+console.log('✅ All language pack checks passed');
+process.exit(0);
@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+/**
+ * Lesson snapshot tests (memory storage, mock LLM)
+ * Run: node test-lessons.js
+ */
+
+import assert from 'node:assert/strict';
+
+process.env.DB_DRIVER = 'memory';
+process.env.LLM_PROVIDER = 'mock';
+
+const db = await import('./services/db.js');
+const llmService = await import('./services/llmService.js');
+const lessonService = await import('./services/lessonService.js');
+const { createProvider } = await import('./services/llm/index.js');
+
+const USER_ID = 950000001;
+const TASK = { weekNumber: 1, dayNumber: 2 };
+const PLAN = { theme: 'Greetings', task: 'Say hello', focus: 'introduction', vocabularyCount: 8 };
+
+/**
+ * Mock provider that counts requests per task
+ */
+function countingProvider() {
+  const mock = createProvider('mock');
+  return {
+    name: 'counting',
+    calls: {},
+    async complete(request) {
+      this.calls[request.task] = (this.calls[request.task] || 0) + 1;
+      return mock.complete(request);
+    }
+  };
+}
+
+const provider = countingProvider();
+llmService.setProvider(provider);
+
+const CHECKS = [
+  ['the first request generates and stores the words', async () => {
+    const words = await lessonService.getWords(USER_ID, TASK, PLAN);
+    assert.equal(words.words.length, 8);
+    assert.equal(provider.calls.words, 1);
+
+    const snapshot = await lessonService.getLesson(USER_ID, 1, 2);
+    assert.equal(snapshot.theme, 'Greetings');
+    assert.deepEqual(snapshot.parts.words, words);
+    assert.equal((await db.getWeekVocabulary(USER_ID, 1)).length, 8);
+  }],
+
+  ['later requests serve the stored lesson', async () => {
+    const first = await lessonService.getWords(USER_ID, TASK, PLAN);
+    const second = await lessonService.getWords(USER_ID, TASK, PLAN);
+    assert.deepEqual(first, second);
+    assert.equal(provider.calls.words, 1);
+  }],
+
+  ['story, prompt and quiz are added to the same snapshot', async () => {
+    const story = await lessonService.getStory(USER_ID, TASK, PLAN);
+    const prompt = await lessonService.getPracticePrompt(USER_ID, TASK, PLAN);
+    const quiz = await lessonService.getQuiz(USER_ID, TASK, PLAN);
+    await lessonService.getQuiz(USER_ID, TASK, PLAN);
+
+    assert.equal(quiz.week, 1);
+    assert.equal(provider.calls.weeklyQuiz, 1);
+
+    const { parts } = await lessonService.getLesson(USER_ID, 1, 2);
+    assert.deepEqual(Object.keys(parts).sort(), ['prompt', 'quiz', 'story', 'words']);
+    assert.deepEqual(parts.story, story);
+    assert.deepEqual(parts.prompt, prompt);
+  }],
+
+  ['each day has its own lesson', async () => {
+    await lessonService.getWords(USER_ID, { weekNumber: 1, dayNumber: 3 }, PLAN);
+    assert.equal(provider.calls.words, 2);
+    assert.notEqual(await lessonService.getLesson(USER_ID, 1, 2), null);
+  }],
+
+  ['concurrent requests generate only once', async () => {
+    const task = { weekNumber: 2, dayNumber: 1 };
+    const before = provider.calls.story || 0;
+    const [first, second] = await Promise.all([
+      lessonService.getStory(USER_ID, task, PLAN),
+      lessonService.getStory(USER_ID, task, PLAN)
+    ]);
+    assert.deepEqual(first, second);
+    assert.equal(provider.calls.story, before + 1);
+  }],
+
+  ['regenerating one part keeps the rest', async () => {
+    assert.equal(await lessonService.regenerateLesson(USER_ID, 1, 2, 'quiz'), true);
+    const { parts } = await lessonService.getLesson(USER_ID, 1, 2);
+    assert.equal(parts.quiz, undefined);
+    assert.ok(parts.words);
+
+    await lessonService.getQuiz(USER_ID, TASK, PLAN);
+    assert.equal(provider.calls.weeklyQuiz, 2);
+    await assert.rejects(lessonService.regenerateLesson(USER_ID, 1, 2, 'poem'), /Unknown lesson part/);
+  }],
+
+  ['regenerating the lesson starts the day over', async () => {
+    assert.equal(await lessonService.regenerateLesson(USER_ID, 1, 2), true);
+    assert.equal(await lessonService.getLesson(USER_ID, 1, 2), null);
+    assert.equal(await lessonService.regenerateLesson(USER_ID, 1, 2), false);
+
+    await lessonService.getWords(USER_ID, TASK, PLAN);
+    assert.equal(provider.calls.words, 3);
+  }]
+];
+
+console.log('🧪 Lesson snapshot tests\n');
+
+await db.initializeDatabase();
+
+const originalLog = console.log;
+let failures = 0;
+
+for (const [description, check] of CHECKS) {
+  try {
+    console.log = () => {};
+    await check();
+    console.log = originalLog;
+    console.log(`   ✅ ${description}`);
+  } catch (error) {
+    console.log = originalLog;
+    failures++;
+    console.log(`   ❌ ${description}`);
+    console.log(`      ${error.message.split('\n').join('\n      ')}`);
+  }
+}
+
+console.log('');
+
+if (failures > 0) {
+  console.log(`❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+
+console.log('✅ All lesson snapshot checks passed');
+process.exit(0);
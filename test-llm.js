@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+/**
+ * LLM gateway tests (mock provider, no network)
+ * Run: node test-llm.js
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'fs';
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.LLM_RETRY_BASE_MS = '1';
+delete process.env.LLM_MODEL;
+
+const llmService = await import('./services/llmService.js');
+const { createProvider } = await import('./services/llm/index.js');
+const wordsService = await import('./services/wordsService.js');
+const storyService = await import('./services/storyService.js');
+const quizService = await import('./services/quizService.js');
+
+const mockProvider = createProvider('mock');
+
+/**
+ * Provider that fails with the given errors before answering
+ */
+function flakyProvider(errors) {
+  const queue = [...errors];
+  return {
+    name: 'flaky',
+    calls: 0,
+    async complete() {
+      this.calls++;
+      if (queue.length > 0) {
+        throw queue.shift();
+      }
+      return { content: 'ok', usage: { promptTokens: 10, completionTokens: 2 } };
+    }
+  };
+}
+
+/**
+ * Error shaped like an API error
+ */
+function apiError(status, retryAfter) {
+  const error = new Error(`HTTP ${status}`);
+  error.status = status;
+  if (retryAfter !== undefined) error.retryAfter = retryAfter;
+  return error;
+}
+
+const CHECKS = [
+  ['every task has a mock fixture', async () => {
+    for (const task of Object.keys(llmService.TASKS)) {
+      assert.ok(fs.existsSync(`./services/llm/fixtures/${task}.json`), `missing fixture for ${task}`);
+    }
+  }],
+
+  ['the mock provider is deterministic and counts tokens', async () => {
+    llmService.setProvider(mockProvider);
+    llmService.resetUsage();
+    const messages = [{ role: 'user', content: 'Ciao!' }];
+    const first = await llmService.complete('chat', messages);
+    const second = await llmService.complete('chat', messages);
+    assert.equal(first, second);
+
+    const { total } = llmService.getUsage();
+    assert.equal(total.requests, 2);
+    assert.ok(total.promptTokens > 0 && total.completionTokens > 0);
+  }],
+
+  ['services run end to end on fixtures', async () => {
+    llmService.setProvider(mockProvider);
+    const words = await wordsService.generateDailyWords('Greetings', 'Say hello', 'vocabulary', 8);
+    assert.equal(words.words.length, 8);
+    assert.match(words.context, /Marco/);
+
+    const story = await storyService.generateTaskBasedStory('Greetings', 'Say hello', words.words);
+    assert.equal(story.title, 'Un caffè al bar');
+
+    const quiz = await quizService.generateWeeklyQuiz(1, 'Greetings', words.words);
+    assert.ok(quizService.createQuizSession(quiz).questions.length > 0);
+  }],
+
+  ['models are configurable per task', () => {
+    assert.equal(llmService.getModel('story'), llmService.DEFAULT_MODEL);
+    process.env.LLM_MODEL = 'gpt-4o';
+    process.env.LLM_MODEL_WEEKLY_QUIZ = 'gpt-4.1';
+    assert.equal(llmService.getModel('story'), 'gpt-4o');
+    assert.equal(llmService.getModel('weeklyQuiz'), 'gpt-4.1');
+    delete process.env.LLM_MODEL;
+    delete process.env.LLM_MODEL_WEEKLY_QUIZ;
+  }],
+
+  ['429 and 5xx responses are retried', async () => {
+    const provider = flakyProvider([apiError(429), apiError(503)]);
+    llmService.setProvider(provider);
+    llmService.resetUsage();
+
+    assert.equal(await llmService.complete('chat', []), 'ok');
+    assert.equal(provider.calls, 3);
+    assert.equal(llmService.getUsage().total.retries, 2);
+  }],
+
+  ['client errors are not retried', async () => {
+    const provider = flakyProvider([apiError(400)]);
+    llmService.setProvider(provider);
+    llmService.resetUsage();
+
+    await assert.rejects(llmService.complete('chat', []), /HTTP 400/);
+    assert.equal(provider.calls, 1);
+    assert.equal(llmService.getUsage().total.failures, 1);
+  }],
+
+  ['retries stop after LLM_MAX_RETRIES', async () => {
+    process.env.LLM_MAX_RETRIES = '1';
+    const provider = flakyProvider([apiError(500), apiError(500), apiError(500)]);
+    llmService.setProvider(provider);
+
+    await assert.rejects(llmService.complete('chat', []), /HTTP 500/);
+    assert.equal(provider.calls, 2);
+    delete process.env.LLM_MAX_RETRIES;
+  }],
+
+  ['backoff doubles and honours Retry-After', () => {
+    assert.equal(llmService.getBackoffDelay(0, 500), 500);
+    assert.equal(llmService.getBackoffDelay(2, 500), 2000);
+    assert.equal(llmService.getBackoffDelay(0, 500, 3), 3000);
+    assert.equal(llmService.getBackoffDelay(10, 500), 30000);
+  }],
+
+  ['slow requests time out', async () => {
+    process.env.LLM_TIMEOUT_MS = '20';
+    process.env.LLM_MAX_RETRIES = '0';
+    llmService.setProvider({ name: 'stuck', complete: () => new Promise(() => {}) });
+
+    await assert.rejects(llmService.complete('chat', []), /timed out after 20ms/);
+    delete process.env.LLM_TIMEOUT_MS;
+    delete process.env.LLM_MAX_RETRIES;
+  }],
+
+  ['unknown tasks are rejected', async () => {
+    await assert.rejects(llmService.complete('poetry', []), /Unknown LLM task/);
+  }]
+];
+
+console.log('🧪 LLM gateway tests\n');
+
+const originalLog = console.log;
+const originalError = console.error;
+let failures = 0;
+
+for (const [description, check] of CHECKS) {
+  try {
+    console.log = () => {};
+    console.error = () => {};
+    await check();
+    console.log = originalLog;
+    console.error = originalError;
+    console.log(`   ✅ ${description}`);
+  } catch (error) {
+    console.log = originalLog;
+    console.error = originalError;
+    failures++;
+    console.log(`   ❌ ${description}`);
+    console.log(`      ${error.message.split('\n').join('\n      ')}`);
+  }
+}
+
+console.log('');
+
+if (failures > 0) {
+  console.log(`❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+
+console.log('✅ All LLM gateway checks passed');
+process.exit(0);
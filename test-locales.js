@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+/**
+ * Native language tests (memory storage)
+ * Run: node test-locales.js
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'fs';
+
+process.env.DB_DRIVER = 'memory';
+delete process.env.NATIVE_LANGUAGE;
+
+const localeService = await import('./services/localeService.js');
+const languageService = await import('./services/languageService.js');
+const quizService = await import('./services/quizService.js');
+const settingsService = await import('./services/settingsService.js');
+const conversationService = await import('./services/conversationService.js');
+const db = await import('./services/db.js');
+
+const USER_ID = 930000001;
+const OTHER_USER_ID = 930000002;
+const ENGLISH = JSON.parse(fs.readFileSync('./locales/en.json', 'utf8'));
+
+const CHECKS = [
+  ['English, Russian and Spanish are installed, English by default', () => {
+    assert.deepEqual(localeService.listLocales(), ['en', 'es', 'ru']);
+    assert.equal(localeService.getDefaultLocale(), 'en');
+    assert.equal(localeService.getLocaleName('ru'), 'Russian');
+    assert.equal(localeService.getLocaleNativeName('es'), 'Español');
+  }],
+
+  ['NATIVE_LANGUAGE picks the default locale', () => {
+    process.env.NATIVE_LANGUAGE = ' RU ';
+    assert.equal(localeService.getDefaultLocale(), 'ru');
+    delete process.env.NATIVE_LANGUAGE;
+  }],
+
+  ['every locale is valid and translates every English message', () => {
+    for (const code of localeService.listLocales()) {
+      const locale = localeService.loadLocale(code);
+      assert.deepEqual(localeService.validateLocale(locale), [], code);
+      for (const [key, text] of Object.entries(ENGLISH.messages)) {
+        assert.ok(locale.messages[key], `${code} lacks ${key}`);
+        const allowed = localeService.getPlaceholders(text);
+        const used = localeService.getPlaceholders(locale.messages[key]);
+        assert.deepEqual(used.filter(name => !allowed.includes(name)), [], `${code} ${key}`);
+      }
+    }
+  }],
+
+  ['every locale but English translates every language pack phrase', () => {
+    const keys = Object.keys(languageService.loadLanguage('it').phrases).sort();
+    assert.deepEqual(Object.keys(localeService.loadLocale('ru').phrases).sort(), keys);
+    assert.deepEqual(Object.keys(localeService.loadLocale('es').phrases).sort(), keys);
+  }],
+
+  ['invalid catalogs name the field', () => {
+    const errors = localeService.validateLocale({ ...ENGLISH, version: 2, messages: { 'common.or': '' } });
+    assert.ok(errors.some(error => error.startsWith('version: unsupported locale version 2')), errors.join('\n'));
+    assert.ok(errors.some(error => error.startsWith('messages.common.or')), errors.join('\n'));
+  }],
+
+  ['locales are found by code, tag, English name or native name', () => {
+    assert.equal(localeService.parseLocale('ru'), 'ru');
+    assert.equal(localeService.parseLocale('ru-RU'), 'ru');
+    assert.equal(localeService.parseLocale('Russian'), 'ru');
+    assert.equal(localeService.parseLocale('русский'), 'ru');
+    assert.equal(localeService.parseLocale(' ESPAÑOL '), 'es');
+    assert.equal(localeService.parseLocale('xx'), null);
+    assert.equal(localeService.parseLocale(undefined), null);
+  }],
+
+  ['messages fill placeholders and fall back to English', () => {
+    assert.equal(localeService.t('ru', 'common.weekDay', { week: 2, day: 3 }), 'Неделя 2, день 3');
+    assert.equal(localeService.t('es', 'common.weekDay', { week: 2, day: 3 }), 'Semana 2, día 3');
+    assert.equal(localeService.t('xx', 'common.weekDay', { week: 2, day: 3 }), 'Week 2, Day 3');
+    assert.equal(localeService.t('ru', 'common.weekDay', { week: 2 }), 'Неделя 2, день {day}');
+  }],
+
+  ['unknown message keys are reported and returned as is', () => {
+    const originalError = console.error;
+    const errors = [];
+    console.error = (...args) => errors.push(args.join(' '));
+    try {
+      assert.equal(localeService.t('ru', 'nope.missing'), 'nope.missing');
+    } finally {
+      console.error = originalError;
+    }
+    assert.equal(errors.length, 1);
+  }],
+
+  ['phrases are translated into the native language', () => {
+    assert.equal(languageService.formatPhrase('it', 'happyStudying', 'ru'), '*Buono studio!* (Приятной учёбы!)');
+    assert.equal(languageService.formatPhrase('it', 'happyStudying', 'en'), '*Buono studio!* (Happy studying!)');
+    assert.equal(languageService.getPhraseTranslation('it', 'goodMorning', 'es'), '¡Buenos días!');
+  }],
+
+  ['users get the default native language unless one is given', async () => {
+    await db.registerUser(USER_ID, 'lettrice', 'Anya', 'ru');
+    await db.registerUser(OTHER_USER_ID, 'reader', 'Sam');
+    assert.equal((await db.getUser(USER_ID)).native_language, 'ru');
+    assert.equal((await db.getUser(OTHER_USER_ID)).native_language, 'en');
+
+    await db.updateUserNativeLanguage(OTHER_USER_ID, 'es');
+    assert.equal((await db.getUser(OTHER_USER_ID)).native_language, 'es');
+  }],
+
+  ['settings are shown in the native language', async () => {
+    const { text, options } = settingsService.formatSettingsMessage(await db.getUser(USER_ID));
+    assert.match(text, /Ваши настройки/);
+    assert.equal(options.reply_markup.inline_keyboard[0][0].text, '🌍 Часовой пояс');
+  }],
+
+  ['quiz questions and summaries follow the session\'s native language', async () => {
+    const session = quizService.createQuizSession({
+      title: 'Test',
+      questions: [{ type: 'fill_in_blank', question: 'Grazie = ?', correct_answer: 'thank you' }]
+    }, 'weekly', 'A1', 'it', 'ru');
+    assert.equal(session.nativeLanguage, 'ru');
+    assert.match(quizService.formatQuestionMessage(session).text, /Вопрос 1 из 1/);
+
+    await quizService.answerCurrentQuestion(session, 'thank you');
+    const summary = quizService.formatQuizSummary(session);
+    assert.match(summary, /Результат:\* 1\/1 \(100%\)/);
+    assert.match(summary, /Отличная работа/);
+  }],
+
+  ['the tutor explains in the native language', () => {
+    const prompt = conversationService.buildSystemPrompt(
+      { language: 'it', nativeLanguage: 'ru', weekNumber: 1, totalWeeks: 12, dayNumber: 2 },
+      { level: 'A1', theme: 'Greetings', task: 'Say hello', focus: 'vocabulary' }
+    );
+    assert.match(prompt, /Explain in Russian\./);
+  }]
+];
+
+console.log('🧪 Native language tests\n');
+
+await db.initializeDatabase();
+
+const originalLog = console.log;
+let failures = 0;
+
+for (const [description, check] of CHECKS) {
+  try {
+    console.log = () => {};
+    await check();
+    console.log = originalLog;
+    console.log(`   ✅ ${description}`);
+  } catch (error) {
+    console.log = originalLog;
+    failures++;
+    console.log(`   ❌ ${description}`);
+    console.log(`      ${error.message.split('\n').join('\n      ')}`);
+  }
+}
+
+console.log('');
+
+if (failures > 0) {
+  console.log(`❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+
+console.log('✅ All native language checks passed');
+process.exit(0);
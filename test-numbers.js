@@ -0,0 +1,267 @@
+#!/usr/bin/env node
+/**
+ * Italian numbers, prices, clock times and dates tests (services/numberService.js, /drill numbers;
+ * memory storage, seeded random)
+ * Run: node test-numbers.js
+ */
+
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+
+process.env.DB_DRIVER = 'memory';
+
+const db = await import('./services/db.js');
+const numberService = await import('./services/numberService.js');
+const numberDrill = await import('./services/drills/numberDrill.js');
+const drillService = await import('./services/drillService.js');
+const { gradeExact } = await import('./services/gradingService.js');
+
+const { numberToWords, parseNumber, timeVariants, parseTime, dateVariants, parseDate } = numberService;
+
+const USER_ID = 960000001;
+
+// Monday 19 October 2026, 9:00 in Rome
+const NOW = new Date('2026-10-19T07:00:00Z');
+
+/**
+ * Deterministic random numbers in [0, 1)
+ * @param {number} seed - Starting seed
+ * @returns {Function} () => number
+ */
+function seeded(seed = 1) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+}
+
+/**
+ * Every string in a JSON value
+ * @param {*} value - Parsed JSON
+ * @returns {Array<string>} Strings
+ */
+function strings(value) {
+  if (typeof value === 'string') return [value];
+  if (value && typeof value === 'object') return Object.values(value).flatMap(strings);
+  return [];
+}
+
+/**
+ * The clock times told in the Italian content pack ("Sono le tre e mezza")
+ * @returns {Array<string>} Sentences, up to the first punctuation mark
+ */
+function contentTimes() {
+  const root = 'languages/it/content';
+  const files = readdirSync(root, { recursive: true }).filter(file => file.endsWith('.json'));
+  const text = files.flatMap(file => strings(JSON.parse(readFileSync(join(root, file), 'utf8')))).join('\n');
+  return (text.match(/(?:sono le \S+|è l'una|è mezzogiorno|è mezzanotte)[^.,;:!?«»"\n]*/gi) || [])
+    // "sono le chiavi" is not a time: only sentences that tell a number of hours
+    .filter(sentence => !/^sono le /i.test(sentence) || parseNumber(sentence.split(' ')[2]) !== null);
+}
+
+const CHECKS = [
+  ['numbers are written as one word, with the elisions and the final accent', () => {
+    assert.equal(numberToWords(1847), 'milleottocentoquarantasette');
+    assert.equal(numberToWords(21), 'ventuno');
+    assert.equal(numberToWords(28), 'ventotto');
+    assert.equal(numberToWords(23), 'ventitré');
+    assert.equal(numberToWords(3), 'tre');
+    assert.equal(numberToWords(13), 'tredici');
+    assert.equal(numberToWords(180), 'centottanta');
+    assert.equal(numberToWords(2000), 'duemila');
+    assert.equal(numberToWords(21000), 'ventunmila');
+    assert.equal(numberToWords(1000000), 'un milione');
+    assert.equal(numberToWords(2300000), 'due milioni trecentomila');
+    assert.equal(numberToWords(23000000), 'ventitré milioni');
+    assert.equal(numberToWords(123456789), 'centoventitré milioni quattrocentocinquantaseimilasettecentottantanove');
+    assert.equal(numberToWords(3000003), 'tre milioni tre');
+    assert.equal(numberToWords(101000), 'centounomila');
+    assert.equal(numberToWords(201001), 'duecentounomilauno');
+    assert.equal(numberToWords(-1), null);
+    assert.equal(numberService.formatNumber(1847), '1.847');
+  }],
+
+  ['numbers read back from every accepted spelling', () => {
+    for (let n = 0; n <= 10000; n++) {
+      for (const words of numberService.numberVariants(n)) {
+        assert.equal(parseNumber(words), n, words);
+      }
+    }
+    assert.equal(parseNumber('ventiuno'), 21);
+    assert.equal(parseNumber('mille ottocento'), 1800);
+    assert.equal(parseNumber('tre milioni e due'), 3000002);
+    for (const n of [23000000, 123456789, 101000, 101000000]) {
+      assert.equal(parseNumber(numberToWords(n)), n);
+    }
+    assert.equal(parseNumber('unomila'), null);
+    assert.equal(parseNumber('mila'), null);
+    assert.equal(parseNumber('ciao'), null);
+  }],
+
+  ['prices are said in euro and centesimi', () => {
+    assert.equal(numberService.formatPrice(1250), '12,50 €');
+    assert.equal(numberService.priceToWords(1250), 'dodici euro e cinquanta');
+    assert.deepEqual(numberService.priceVariants(100), ['un euro']);
+    assert.deepEqual(numberService.priceVariants(2100), ['ventun euro', 'ventuno euro']);
+    assert.deepEqual(numberService.priceVariants(50), ['cinquanta centesimi']);
+    for (const cents of [1, 50, 100, 1250, 2125, 9999]) {
+      for (const words of numberService.priceVariants(cents)) {
+        assert.equal(numberService.parsePrice(words), cents, words);
+      }
+    }
+    assert.equal(numberService.parsePrice('dodici'), null);
+  }],
+
+  ['clock times are told with the hour and e or meno', () => {
+    assert.equal(numberService.timeToWords(18, 45), 'sono le sette meno un quarto');
+    assert.equal(numberService.timeToWords(13, 0), "è l'una");
+    assert.equal(numberService.timeToWords(12, 30), 'è mezzogiorno e mezza');
+    assert.equal(numberService.timeToWords(23, 50), 'è mezzanotte meno dieci');
+    assert.equal(numberService.timeToWords(9, 5), 'sono le nove e cinque');
+    assert.ok(timeVariants(18, 45).includes('le diciotto e quarantacinque'));
+    assert.ok(timeVariants(14, 30).includes('sono le due e mezzo'));
+  }],
+
+  ['clock times read back, and "sono le trenta" is not one', () => {
+    for (let hour = 0; hour < 24; hour++) {
+      for (let minutes = 0; minutes < 60; minutes += 5) {
+        for (const words of timeVariants(hour, minutes)) {
+          const time = parseTime(words);
+          assert.ok(time, words);
+          assert.deepEqual([time.hour % 12, time.minutes], [hour % 12, minutes], words);
+        }
+      }
+    }
+    assert.deepEqual(parseTime('Sono le sette meno un quarto'), { hour: 6, minutes: 45 });
+    assert.equal(parseTime('Sono le trenta'), null);
+    assert.equal(parseTime('sono le una'), null);
+    assert.equal(parseTime('le mezzogiorno'), null);
+    assert.equal(parseTime('sono le tre meno quaranta'), null);
+  }],
+
+  ['every time told in the Italian content pack is a real time', () => {
+    const times = contentTimes();
+    assert.ok(times.length > 0);
+    for (const sentence of times) {
+      assert.ok(parseTime(sentence), `"${sentence}" is not a clock time`);
+    }
+  }],
+
+  ['dates take il, l\' or primo, and today\'s date its weekday', () => {
+    assert.equal(numberService.dateToWords('2026-05-03'), 'il tre maggio');
+    assert.equal(numberService.dateToWords('2026-10-08'), "l'otto ottobre");
+    assert.equal(numberService.dateToWords('2026-03-01'), 'il primo marzo');
+    assert.equal(numberService.dateToWords('2026-10-19', { weekday: true }), 'oggi è lunedì diciannove ottobre');
+    assert.ok(dateVariants('2026-05-03').includes('il 3 maggio duemilaventisei'));
+    assert.ok(dateVariants('2026-10-19', { weekday: true }).includes('lunedì 19 ottobre 2026'));
+    for (const words of [...dateVariants('2026-10-08'), ...dateVariants('2026-10-19', { weekday: true })]) {
+      assert.ok(parseDate(words), words);
+    }
+    assert.deepEqual(parseDate("Oggi è l'undici aprile"), { day: 11, month: 4, year: null, weekday: null });
+    assert.equal(parseDate('lunedì 19 ottobre').weekday, 1);
+    assert.equal(parseDate('il quaranta maggio'), null);
+    assert.equal(parseDate('il otto maggio'), null);
+  }],
+
+  ['answers are graded exactly, in words or in digits', () => {
+    const write = { skill: 'number', direction: 'write', value: 1847 };
+    assert.equal(gradeExact('milleottocentoquarantasette', numberDrill.getAcceptedAnswers(write)).verdict, 'correct');
+    assert.equal(gradeExact('ventitre', numberDrill.getAcceptedAnswers({ skill: 'number', direction: 'write', value: 23 })).verdict, 'almost');
+
+    const read = { skill: 'number', direction: 'read', value: 1847 };
+    assert.equal(gradeExact('1847', numberDrill.getAcceptedAnswers(read)).verdict, 'correct');
+    assert.equal(gradeExact('1.847', numberDrill.getAcceptedAnswers(read)).verdict, 'correct');
+
+    const clock = numberDrill.getAcceptedAnswers({ skill: 'time', direction: 'read', value: { hour: 18, minutes: 45 } });
+    assert.deepEqual(clock, ['6:45', '06:45', '18:45']);
+    assert.equal(gradeExact('18.45', clock).verdict, 'correct');
+
+    const price = numberDrill.getAcceptedAnswers({ skill: 'price', direction: 'read', value: 1250 });
+    assert.equal(gradeExact('€12,50', price).verdict, 'correct');
+    assert.equal(gradeExact('12.50', price).verdict, 'correct');
+  }],
+
+  ['words are read back, so any spelling of the right value is right', () => {
+    const { gradeAnswer } = numberDrill.numberDrill;
+    const write = { skill: 'number', direction: 'write', value: 1847 };
+    assert.equal(gradeAnswer('mille ottocento quarantasette', write).verdict, 'correct');
+    assert.equal(gradeAnswer('milleottocentoquarantasei', write).verdict, 'wrong');
+    assert.equal(gradeAnswer('cento ventitre', { skill: 'number', direction: 'write', value: 123 }).verdict, 'almost');
+    assert.equal(gradeAnswer('uno euro', { skill: 'price', direction: 'write', value: 100 }).verdict, 'wrong');
+
+    const time = { skill: 'time', direction: 'write', value: { hour: 18, minutes: 45 } };
+    assert.equal(gradeAnswer('sono le sei e quarantacinque', time).verdict, 'correct');
+    assert.equal(gradeAnswer('le diciotto e quarantacinque', { ...time, value: { hour: 6, minutes: 45 } }).verdict, 'wrong');
+
+    const today = { skill: 'date', direction: 'today', value: '2026-10-19' };
+    assert.equal(gradeAnswer('oggi e lunedi diciannove ottobre', today).verdict, 'almost');
+    assert.equal(gradeAnswer('martedì 19 ottobre', today).verdict, 'wrong');
+    assert.equal(gradeAnswer('il tre maggio 2025', { skill: 'date', direction: 'write', value: '2026-05-03' }).verdict, 'wrong');
+  }],
+
+  ['a number drill needs no vocabulary and asks about today in the user\'s time zone', async () => {
+    const drill = await drillService.startDrill(USER_ID, await db.getUser(USER_ID), 'numbers', seeded(3), NOW);
+    assert.deepEqual(drill.items, [{ today: '2026-10-19' }]);
+    assert.deepEqual(drill.skills, numberDrill.SKILLS);
+
+    drill.question = { skill: 'date', direction: 'today', value: '2026-10-19', answer: 'oggi è lunedì diciannove ottobre' };
+    const result = await drillService.answerDrill(USER_ID, drill, 'Lunedì 19 ottobre', seeded(1));
+    assert.equal(result.grade.verdict, 'correct');
+    assert.deepEqual(await db.getDrillStats(USER_ID, 'numbers', 'it'), { date: { attempts: 1, correct: 1 } });
+  }],
+
+  ['questions read in the native language', () => {
+    const drill = drillService.createDrill('numbers', { items: [{ today: '2026-10-19' }], nativeLanguage: 'es' }, seeded(4));
+    drill.question = { skill: 'date', direction: 'write', value: '2026-05-03', answer: 'il tre maggio' };
+    assert.match(drillService.formatDrillQuestion(drill), /Fechas\n\n📅 Di la fecha en italiano: \*3 de mayo\*/);
+    drill.question = { skill: 'time', direction: 'read', value: { hour: 18, minutes: 45 }, answer: '6:45' };
+    assert.match(drillService.formatDrillQuestion(drill), /\*sono le sette meno un quarto\*/);
+  }],
+
+  ['every skill builds a question the grader accepts', () => {
+    const random = seeded(7);
+    for (const skill of numberDrill.SKILLS) {
+      for (let i = 0; i < 50; i++) {
+        const question = numberDrill.numberDrill.buildQuestion([{ today: '2026-10-19' }], skill, 'it', random);
+        assert.equal(question.skill, skill);
+        assert.equal(numberDrill.numberDrill.gradeAnswer(question.answer, question).verdict, 'correct', JSON.stringify(question));
+        assert.ok(numberDrill.numberDrill.formatQuestion(question, 'en'));
+      }
+    }
+    assert.equal(numberDrill.numberDrill.buildQuestion([{ today: '2026-10-19' }], 'number', 'xx', random), null);
+  }]
+];
+
+console.log('🧪 Number drill tests\n');
+
+await db.initializeDatabase();
+await db.registerUser(USER_ID, 'contabile', 'Marta');
+
+const originalLog = console.log;
+let failures = 0;
+
+for (const [description, check] of CHECKS) {
+  try {
+    console.log = () => {};
+    await check();
+    console.log = originalLog;
+    console.log(`   ✅ ${description}`);
+  } catch (error) {
+    console.log = originalLog;
+    failures++;
+    console.log(`   ❌ ${description}`);
+    console.log(`      ${error.message.split('\n').join('\n      ')}`);
+  }
+}
+
+console.log('');
+
+if (failures > 0) {
+  console.log(`❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+
+console.log('✅ All number drill checks passed');
+process.exit(0);
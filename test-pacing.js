@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+/**
+ * Mastery pacing tests (memory storage)
+ * Run: node test-pacing.js
+ */
+
+import assert from 'node:assert/strict';
+
+process.env.DB_DRIVER = 'memory';
+
+const db = await import('./services/db.js');
+const planService = await import('./services/planService.js');
+const pacingService = await import('./services/pacingService.js');
+
+const USER_ID = 920000001;
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Current task for the test user
+ */
+async function currentTask(now = new Date()) {
+  const user = await db.getUser(USER_ID);
+  return planService.getCurrentTask(user.start_date, user, now);
+}
+
+const CHECKS = [
+  ['calendar pacing jumps ahead with the calendar', async () => {
+    const task = await currentTask();
+    assert.equal(task.pacing, 'calendar');
+    assert.equal(task.totalDays, 4);
+    assert.equal(task.daysBehind, 0);
+  }],
+
+  ['switching to mastery keeps the current position', async () => {
+    const task = await pacingService.setPacing(USER_ID, 'mastery');
+    assert.equal(task.weekNumber, 1);
+    assert.equal(task.dayNumber, 4);
+  }],
+
+  ['mastery position waits for the day to be completed', async () => {
+    const later = new Date(Date.now() + 3 * DAY_MS);
+    const task = await currentTask(later);
+    assert.equal(task.dayNumber, 4);
+    assert.equal(task.daysBehind, 3);
+    assert.equal(task.calendarDay, 7);
+  }],
+
+  ['completing the current day advances one day', async () => {
+    const outcome = await pacingService.completeDay(USER_ID, 1, 4);
+    assert.deepEqual(outcome, { advanced: true, weekNumber: 1, dayNumber: 5 });
+    assert.equal((await db.getDailyProgress(USER_ID, 1, 4)).taskCompleted, true);
+  }],
+
+  ['completing another day does not move the position', async () => {
+    const outcome = await pacingService.completeDay(USER_ID, 1, 2);
+    assert.equal(outcome.advanced, false);
+    assert.equal((await currentTask()).dayNumber, 5);
+  }],
+
+  ['day 7 rolls over to the next week', () => {
+    assert.deepEqual(pacingService.nextDay(1, 7), { current_week: 2, current_day: 1 });
+    assert.deepEqual(pacingService.nextDay(2, 3), { current_week: 2, current_day: 4 });
+  }],
+
+  ['a passed weekly quiz unlocks the next week', async () => {
+    const outcome = await pacingService.recordWeeklyQuiz(USER_ID, 1, 80);
+    assert.equal(outcome.advanced, true);
+    const task = await currentTask();
+    assert.equal(task.weekNumber, 2);
+    assert.equal(task.dayNumber, 1);
+  }],
+
+  ['a failed weekly quiz keeps the user in the week', async () => {
+    const outcome = await pacingService.recordWeeklyQuiz(USER_ID, 2, pacingService.QUIZ_PASS_PERCENTAGE - 1);
+    assert.equal(outcome.passed, false);
+    assert.equal(outcome.advanced, false);
+    assert.equal((await currentTask()).weekNumber, 2);
+    assert.equal((await db.getDailyProgress(USER_ID, 2, 1)).quizScore, pacingService.QUIZ_PASS_PERCENTAGE - 1);
+  }],
+
+  ['passing a retake of the week\'s quiz does not unlock the next week', async () => {
+    const outcome = await pacingService.recordWeeklyQuiz(USER_ID, 2, 100);
+    assert.deepEqual(outcome, { passed: true, retake: true, advanced: false, weekNumber: 2, dayNumber: 1 });
+    assert.equal((await currentTask()).weekNumber, 2);
+    assert.equal((await db.getDailyProgress(USER_ID, 2, 1)).quizScore, pacingService.QUIZ_PASS_PERCENTAGE - 1);
+  }],
+
+  ['completing a day keeps the quiz score saved with it', async () => {
+    await pacingService.completeDay(USER_ID, 2, 1);
+    const progress = await db.getDailyProgress(USER_ID, 2, 1);
+    assert.equal(progress.taskCompleted, true);
+    assert.equal(progress.quizScore, pacingService.QUIZ_PASS_PERCENTAGE - 1);
+    assert.equal((await pacingService.recordWeeklyQuiz(USER_ID, 2, 100)).retake, true);
+    await db.updateUserPacing(USER_ID, { current_week: 2, current_day: 1 });
+  }],
+
+  ['switching back to calendar moves the start date, not the user', async () => {
+    const task = await pacingService.setPacing(USER_ID, 'calendar');
+    assert.equal(task.pacing, 'calendar');
+    assert.equal(task.weekNumber, 2);
+    assert.equal(task.dayNumber, 1);
+  }],
+
+  ['calendar users are never advanced by completing days', async () => {
+    const outcome = await pacingService.completeDay(USER_ID, 2, 1);
+    assert.equal(outcome.advanced, false);
+  }]
+];
+
+console.log('🧪 Pacing tests\n');
+
+await db.initializeDatabase();
+await db.registerUser(USER_ID, 'pacer', 'Pat');
+await db.updateUserStartDate(USER_ID, new Date(Date.now() - 3 * DAY_MS - 60 * 1000));
+
+const originalLog = console.log;
+let failures = 0;
+
+for (const [description, check] of CHECKS) {
+  try {
+    console.log = () => {};
+    await check();
+    console.log = originalLog;
+    console.log(`   ✅ ${description}`);
+  } catch (error) {
+    console.log = originalLog;
+    failures++;
+    console.log(`   ❌ ${description}`);
+    console.log(`      ${error.message.split('\n').join('\n      ')}`);
+  }
+}
+
+console.log('');
+
+if (failures > 0) {
+  console.log(`❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+
+console.log('✅ All pacing checks passed');
+process.exit(0);
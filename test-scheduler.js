@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+/**
+ * Per-user delivery scheduling, pause and vacation tests
+ * Drives scheduler.runDeliveryTick with explicit times and a fake bot (memory storage)
+ * Run: node test-scheduler.js
+ */
+
+import assert from 'node:assert/strict';
+
+process.env.DB_DRIVER = 'memory';
+
+const db = await import('./services/db.js');
+const scheduler = await import('./services/scheduler.js');
+const settingsService = await import('./services/settingsService.js');
+const pauseService = await import('./services/pauseService.js');
+const planService = await import('./services/planService.js');
+
+const ROME_USER = 910000001;
+const NEW_YORK_USER = 910000002;
+
+const sent = [];
+const fakeBot = {
+  sendMessage: async (chatId, text) => {
+    sent.push({ chatId, text });
+  }
+};
+
+/**
+ * Run one tick and return the slots delivered, as "userId:slot"
+ * (only for userId when given; sent keeps only that user's messages too)
+ */
+async function tickAt(iso, userId = null) {
+  sent.length = 0;
+  const deliveries = await scheduler.runDeliveryTick(new Date(iso));
+  if (userId) {
+    sent.splice(0, sent.length, ...sent.filter(message => message.chatId === userId));
+  }
+  return deliveries
+    .filter(d => !userId || d.userId === userId)
+    .map(d => `${d.userId}:${d.slot}`);
+}
+
+const CHECKS = [
+  ['times parse from loose input', () => {
+    assert.equal(settingsService.parseTime('7'), '07:00');
+    assert.equal(settingsService.parseTime('7:30'), '07:30');
+    assert.equal(settingsService.parseTime('19h'), '19:00');
+    assert.equal(settingsService.parseTime('21.15'), '21:15');
+    assert.equal(settingsService.parseTime('25:00'), null);
+    assert.equal(settingsService.parseTime('soon'), null);
+  }],
+
+  ['timezones are validated and canonicalized', () => {
+    assert.equal(settingsService.parseTimezone('europe/rome'), 'Europe/Rome');
+    assert.equal(settingsService.parseTimezone('Mars/Olympus'), null);
+  }],
+
+  ['local time follows the timezone and daylight saving', () => {
+    // 12:00 UTC is 08:00 in New York in summer (EDT) and 07:00 in winter (EST)
+    assert.equal(settingsService.getLocalTime(new Date('2024-07-01T12:00:00Z'), 'America/New_York').time, '08:00');
+    assert.equal(settingsService.getLocalTime(new Date('2024-01-15T12:00:00Z'), 'America/New_York').time, '07:00');
+    assert.equal(settingsService.getLocalTime(new Date('2024-03-03T23:30:00Z'), 'Europe/Rome').weekday, 1);
+  }],
+
+  ['each user gets the morning task at their own local time', async () => {
+    assert.deepEqual(await tickAt('2024-07-01T06:00:00Z'), [`${ROME_USER}:morning`]);
+    assert.deepEqual(await tickAt('2024-07-01T06:01:00Z'), []);
+    assert.deepEqual(await tickAt('2024-07-01T11:30:00Z'), [`${NEW_YORK_USER}:morning`]);
+    assert.match(sent[0].text, /Buongiorno/);
+  }],
+
+  ['a missed slot is caught up within the hour, but not later', async () => {
+    assert.deepEqual(await tickAt('2024-07-02T06:45:00Z'), [`${ROME_USER}:morning`]);
+    assert.deepEqual(await tickAt('2024-07-03T08:00:00Z'), []);
+  }],
+
+  ['evening reminders use the evening time', async () => {
+    assert.deepEqual(await tickAt('2024-07-01T18:00:00Z'), [`${ROME_USER}:evening`]);
+    assert.match(sent[0].text, /Evening Reminder/);
+  }],
+
+  ['changing settings moves delivery', async () => {
+    await db.updateUserSettings(ROME_USER, { timezone: 'Asia/Tokyo', morning_time: '09:00' });
+    // 09:00 in Tokyo on July 4th is 00:00 UTC
+    assert.deepEqual(await tickAt('2024-07-04T00:00:00Z'), [`${ROME_USER}:morning`]);
+  }],
+
+  ["deliveries are recorded on the user's local date", async () => {
+    const user = await db.getUser(NEW_YORK_USER);
+    assert.equal(user.last_morning_sent, '2024-07-01');
+  }],
+
+  ['the curriculum day stops advancing while paused', () => {
+    const start = new Date('2024-01-01T08:00:00Z');
+    const user = { paused_at: null, paused_days: 0 };
+
+    assert.equal(planService.getCurrentTask(start, user, new Date('2024-01-10T09:00:00Z')).totalDays, 10);
+
+    Object.assign(user, pauseService.pause(user, 'manual', new Date('2024-01-10T09:00:00Z')));
+    const frozen = planService.getCurrentTask(start, user, new Date('2024-01-20T09:00:00Z'));
+    assert.equal(frozen.totalDays, 10);
+    assert.equal(frozen.paused, true);
+
+    Object.assign(user, pauseService.resume(user, new Date('2024-01-20T09:00:00Z')));
+    assert.equal(user.paused_days, 10);
+    assert.equal(planService.getCurrentTask(start, user, new Date('2024-01-21T09:00:00Z')).totalDays, 11);
+  }],
+
+  ['resuming after a fractional-day pause keeps the course day', () => {
+    const start = new Date('2024-01-01T08:00:00Z');
+    const user = { paused_at: null, paused_days: 0 };
+
+    // Paused at 09:00 on day 10 for 1.6 days; the day shown while paused must survive the resume
+    Object.assign(user, pauseService.pause(user, 'manual', new Date('2024-01-10T09:00:00Z')));
+    const resumeAt = new Date('2024-01-11T23:24:00Z');
+    const paused = planService.getCurrentTask(start, user, resumeAt);
+    Object.assign(user, pauseService.resume(user, resumeAt));
+
+    assert.equal(user.paused_days, 1.6);
+    assert.equal(planService.getCurrentTask(start, user, resumeAt).totalDays, paused.totalDays);
+    assert.equal(planService.getCurrentTask(start, user, new Date('2024-01-12T10:00:00Z')).totalDays, 10);
+    assert.equal(planService.getCurrentTask(start, user, new Date('2024-01-12T22:23:00Z')).totalDays, 10);
+    assert.equal(planService.getCurrentTask(start, user, new Date('2024-01-12T22:25:00Z')).totalDays, 11);
+  }],
+
+  ['vacation dates are validated', () => {
+    assert.deepEqual(pauseService.parseVacation('2024-07-01 14/07/2024', '2024-06-20'), { start: '2024-07-01', end: '2024-07-14' });
+    assert.ok(pauseService.parseVacation('2024-07-14 2024-07-01', '2024-06-20').error);
+    assert.ok(pauseService.parseVacation('2024-02-30 2024-03-02', '2024-01-01').error);
+    assert.ok(pauseService.parseVacation('2024-05-01 2024-05-02', '2024-06-20').error);
+  }],
+
+  ['paused users get no scheduled messages', async () => {
+    const user = await db.getUser(NEW_YORK_USER);
+    await db.updateUserPause(NEW_YORK_USER, pauseService.pause(user, 'manual', new Date('2024-07-05T00:00:00Z')));
+    assert.deepEqual(await tickAt('2024-07-05T11:30:00Z', NEW_YORK_USER), []);
+
+    await db.updateUserPause(NEW_YORK_USER, pauseService.resume(await db.getUser(NEW_YORK_USER), new Date('2024-07-06T00:00:00Z')));
+    assert.deepEqual(await tickAt('2024-07-06T11:30:00Z', NEW_YORK_USER), [`${NEW_YORK_USER}:morning`]);
+  }],
+
+  ['a vacation pauses on its first day and resumes after its last', async () => {
+    await db.updateUserPause(NEW_YORK_USER, pauseService.planVacation('2024-07-10', '2024-07-12'));
+
+    assert.deepEqual(await tickAt('2024-07-10T11:30:00Z', NEW_YORK_USER), []);
+    assert.match(sent[0].text, /Buone vacanze/);
+    assert.equal((await db.getUser(NEW_YORK_USER)).pause_reason, 'vacation');
+
+    assert.deepEqual(await tickAt('2024-07-12T11:30:00Z', NEW_YORK_USER), []);
+
+    assert.deepEqual(await tickAt('2024-07-13T11:30:00Z', NEW_YORK_USER), [`${NEW_YORK_USER}:morning`]);
+    assert.match(sent[0].text, /Bentornato/);
+
+    const user = await db.getUser(NEW_YORK_USER);
+    assert.equal(user.paused_at, null);
+    assert.equal(user.vacation_start, null);
+    assert.equal(user.paused_days, 4);
+  }]
+];
+
+console.log('🧪 Delivery scheduling tests\n');
+
+await db.initializeDatabase();
+scheduler.initializeScheduler(fakeBot);
+
+await db.registerUser(ROME_USER, 'rome', 'Giulia');
+await db.updateUserSettings(ROME_USER, { timezone: 'Europe/Rome' });
+await db.registerUser(NEW_YORK_USER, 'nyc', 'Sam');
+await db.updateUserSettings(NEW_YORK_USER, { timezone: 'America/New_York', morning_time: '07:30', evening_time: '23:00' });
+
+// Keep the output readable: delivery logs are not part of the checks
+const originalLog = console.log;
+let failures = 0;
+
+for (const [description, check] of CHECKS) {
+  try {
+    console.log = () => {};
+    await check();
+    console.log = originalLog;
+    console.log(`   ✅ ${description}`);
+  } catch (error) {
+    console.log = originalLog;
+    failures++;
+    console.log(`   ❌ ${description}`);
+    console.log(`      ${error.message.split('\n').join('\n      ')}`);
+  }
+}
+
+console.log('');
+
+if (failures > 0) {
+  console.log(`❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+
+console.log('✅ All scheduling checks passed');
+process.exit(0);
@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+/**
+ * LLM JSON schema validation and repair tests (no network)
+ * Run: node test-schema.js
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'fs';
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.LLM_RETRY_BASE_MS = '1';
+delete process.env.LLM_REPAIR_ATTEMPTS;
+
+const schemaService = await import('./services/schemaService.js');
+const llmService = await import('./services/llmService.js');
+const quizService = await import('./services/quizService.js');
+const wordsService = await import('./services/wordsService.js');
+
+const { SCHEMAS } = schemaService;
+
+/**
+ * Provider that answers with the given replies in order and records each request
+ */
+function scriptedProvider(replies) {
+  const queue = [...replies];
+  return {
+    name: 'scripted',
+    requests: [],
+    async complete(request) {
+      this.requests.push(request);
+      const reply = queue.length > 1 ? queue.shift() : queue[0];
+      return {
+        content: typeof reply === 'string' ? reply : JSON.stringify(reply),
+        usage: { promptTokens: 10, completionTokens: 10 }
+      };
+    }
+  };
+}
+
+const VALID_QUIZ = {
+  title: 'Quiz',
+  questions: [
+    { type: 'multiple_choice', question: 'Ciao means?', options: ['Hello', 'Bye'], correct_answer: 0 },
+    { type: 'translation', question: 'Translate "grazie"', correct_answer: 'thank you' }
+  ]
+};
+
+const CHECKS = [
+  ['code fences and surrounding text are stripped', () => {
+    assert.deepEqual(schemaService.parseJsonResponse('```json\n{"a":1}\n```'), { a: 1 });
+    assert.deepEqual(schemaService.parseJsonResponse('Here you go:\n[1, 2]\nEnjoy!'), [1, 2]);
+    assert.throws(() => schemaService.parseJsonResponse('no json here'), /not valid JSON/);
+  }],
+
+  ['errors name the field that is wrong', () => {
+    const quiz = {
+      questions: [
+        VALID_QUIZ.questions[0],
+        { type: 'multiple_choice', question: 42, options: ['a', 'b'], correct_answer: 0 },
+        { type: 'essay', question: 'Q?' }
+      ]
+    };
+    const { errors } = schemaService.parseAndValidate(JSON.stringify(quiz), SCHEMAS.quiz);
+    assert.ok(errors.includes('questions[1].question: expected string, got integer'), errors.join('\n'));
+    assert.ok(errors.some(error => error.startsWith('questions[2].type: must be one of')), errors.join('\n'));
+  }],
+
+  ['question types must carry their own fields', () => {
+    const quiz = { questions: [{ type: 'fill_in_blank', question: 'Io ___ italiano' }] };
+    const errors = schemaService.validate(schemaService.normalize(quiz, SCHEMAS.quiz), SCHEMAS.quiz);
+    assert.deepEqual(errors, ['questions[0].correct_answer: is required for fill_in_blank questions']);
+  }],
+
+  ['word counts are enforced exactly', () => {
+    const words = Array.from({ length: 5 }, (_, i) => ({ italian: `parola${i}`, english: `word${i}` }));
+    const { errors } = schemaService.parseAndValidate(JSON.stringify({ words }), schemaService.wordsSchema(8));
+    assert.deepEqual(errors, ['words: expected at least 8 item(s), got 5']);
+  }],
+
+  ['missing fields get defaults and numeric strings become numbers', () => {
+    const quiz = {
+      questions: [{ type: 'multiple_choice', question: 'Q?', options: 'Hello', correct_answer: 0 }],
+      scoring: { points_per_question: '5' }
+    };
+    const { value, errors } = schemaService.parseAndValidate(JSON.stringify(quiz), SCHEMAS.quiz);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(value.questions[0].options, ['Hello']);
+    assert.equal(value.questions[0].explanation, '');
+    assert.equal(value.scoring.points_per_question, 5);
+  }],
+
+  ['a quiz without scoring still formats its results', () => {
+    const { value } = schemaService.parseAndValidate(JSON.stringify(VALID_QUIZ), SCHEMAS.quiz);
+    assert.deepEqual(value.scoring, { points_per_question: 10, total_points: 20 });
+    assert.match(quizService.formatQuizMessage(value), /2 questions/);
+
+    const session = quizService.createQuizSession(value);
+    session.answers = [{ correct: true }, { correct: false }];
+    assert.match(quizService.formatQuizSummary(session), /Points:\* 10/);
+  }],
+
+  ['invalid replies are repaired with the errors sent back', async () => {
+    const provider = scriptedProvider(['{"title": "Quiz"}', VALID_QUIZ]);
+    llmService.setProvider(provider);
+    llmService.resetUsage();
+
+    const quiz = await llmService.completeJSON('weeklyQuiz', [{ role: 'user', content: 'Quiz please' }], SCHEMAS.quiz);
+    assert.equal(quiz.questions.length, 2);
+    assert.equal(provider.requests.length, 2);
+    assert.deepEqual(provider.requests[0].responseFormat, { type: 'json_object' });
+
+    const repairMessages = provider.requests[1].messages;
+    assert.equal(repairMessages[1].role, 'assistant');
+    assert.match(repairMessages[2].content, /questions: is required/);
+    assert.equal(llmService.getUsage().total.repairs, 1);
+  }],
+
+  ['repairs stop after LLM_REPAIR_ATTEMPTS', async () => {
+    process.env.LLM_REPAIR_ATTEMPTS = '1';
+    const provider = scriptedProvider(['not json']);
+    llmService.setProvider(provider);
+
+    await assert.rejects(
+      llmService.completeJSON('story', [], SCHEMAS.story),
+      error => error.validationErrors?.[0].startsWith('(root): Response is not valid JSON')
+    );
+    assert.equal(provider.requests.length, 2);
+    delete process.env.LLM_REPAIR_ATTEMPTS;
+  }],
+
+  ['array payloads are not sent in json_object mode', async () => {
+    const provider = scriptedProvider([[{ category: 'Nouns', words: [{ italian: 'casa', english: 'house' }] }]]);
+    llmService.setProvider(provider);
+
+    await llmService.completeJSON('structuredVocabulary', [], SCHEMAS.structuredVocabulary);
+    assert.equal(provider.requests[0].responseFormat, undefined);
+  }],
+
+  ['services fall back when repairs run out', async () => {
+    process.env.LLM_REPAIR_ATTEMPTS = '0';
+    llmService.setProvider(scriptedProvider([{ words: [] }]));
+
+    const result = await wordsService.generateDailyWords('Greetings', 'Say hello', 'vocabulary', 8);
+    assert.equal(result.words.length, 8);
+    delete process.env.LLM_REPAIR_ATTEMPTS;
+  }],
+
+  ['mock fixtures match their schemas', () => {
+    const fixtures = {
+      words: schemaService.wordsSchema(),
+      structuredVocabulary: SCHEMAS.structuredVocabulary,
+      story: SCHEMAS.story,
+      practicePrompt: SCHEMAS.practicePrompt,
+      weeklyQuiz: SCHEMAS.quiz,
+      practiceQuiz: SCHEMAS.quiz
+    };
+    for (const [task, schema] of Object.entries(fixtures)) {
+      const entries = JSON.parse(fs.readFileSync(`./services/llm/fixtures/${task}.json`, 'utf8'));
+      for (const entry of entries) {
+        const { errors } = schemaService.parseAndValidate(JSON.stringify(entry.content), schema);
+        assert.deepEqual(errors, [], `${task} fixture: ${errors.join('; ')}`);
+      }
+    }
+  }]
+];
+
+console.log('🧪 LLM schema tests\n');
+
+const originalLog = console.log;
+const originalError = console.error;
+let failures = 0;
+
+for (const [description, check] of CHECKS) {
+  try {
+    console.log = () => {};
+    console.error = () => {};
+    await check();
+    console.log = originalLog;
+    console.error = originalError;
+    console.log(`   ✅ ${description}`);
+  } catch (error) {
+    console.log = originalLog;
+    console.error = originalError;
+    failures++;
+    console.log(`   ❌ ${description}`);
+    console.log(`      ${error.message.split('\n').join('\n      ')}`);
+  }
+}
+
+console.log('');
+
+if (failures > 0) {
+  console.log(`❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+
+console.log('✅ All LLM schema checks passed');
+process.exit(0);
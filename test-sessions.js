@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+/**
+ * Session state machine tests (memory storage)
+ * Run: node test-sessions.js
+ */
+
+import assert from 'node:assert/strict';
+
+process.env.DB_DRIVER = 'memory';
+
+const db = await import('./services/db.js');
+const sessionService = await import('./services/sessionService.js');
+
+const USER_ID = 940000001;
+const MINUTE_MS = 1000 * 60;
+const START = new Date('2024-07-01T10:00:00Z');
+
+/**
+ * A time the given number of minutes after START
+ */
+function minutesLater(minutes) {
+  return new Date(START.getTime() + minutes * MINUTE_MS);
+}
+
+const CHECKS = [
+  ['sessions start in their flow\'s initial state', () => {
+    const session = sessionService.createSession('practice', { revisions: 0 }, START);
+    assert.equal(session.state, 'awaiting_submission');
+    assert.equal(session.expiresAt.getTime(), minutesLater(120).getTime());
+    assert.throws(() => sessionService.createSession('karaoke'), /Unknown session type/);
+  }],
+
+  ['events move the session and merge data', () => {
+    const session = sessionService.createSession('practice', { revisions: 0, theme: 'Food' }, START);
+    const next = sessionService.applyEvent(session, 'submit', { revisions: 0 }, minutesLater(30));
+    assert.equal(next.state, 'reviewing');
+    assert.equal(next.data.theme, 'Food');
+    assert.equal(next.expiresAt.getTime(), minutesLater(150).getTime());
+    assert.equal(session.state, 'awaiting_submission');
+  }],
+
+  ['events not allowed in the current state are rejected', () => {
+    const session = sessionService.createSession('practice', {}, START);
+    assert.throws(() => sessionService.applyEvent(session, 'revise'), /not allowed/);
+  }],
+
+  ['sessions are persisted through db.js with Date fields', async () => {
+    await sessionService.startSession(USER_ID, 'practice', { weekNumber: 2, revisions: 0 }, START);
+    const { session } = await sessionService.getSession(USER_ID, minutesLater(5));
+    assert.equal(session.type, 'practice');
+    assert.equal(session.data.weekNumber, 2);
+    assert.ok(session.expiresAt instanceof Date);
+  }],
+
+  ['advancing saves the new state', async () => {
+    const { session } = await sessionService.getSession(USER_ID, minutesLater(10));
+    await sessionService.advanceSession(USER_ID, session, 'submit', { revisions: 0 }, minutesLater(10));
+    assert.equal((await sessionService.getSession(USER_ID, minutesLater(11))).session.state, 'reviewing');
+  }],
+
+  ['starting another flow replaces the session', async () => {
+    const { session, replaced } = await sessionService.startSession(USER_ID, 'setting', { field: 'timezone' }, minutesLater(20));
+    assert.equal(session.type, 'setting');
+    assert.equal(replaced.type, 'practice');
+  }],
+
+  ['idle sessions time out and are cleared', async () => {
+    const { session, expired } = await sessionService.getSession(USER_ID, minutesLater(31));
+    assert.equal(session, null);
+    assert.equal(expired.type, 'setting');
+    assert.match(sessionService.formatExpiredMessage(expired), /timed out after 10 minutes/);
+    assert.deepEqual(await sessionService.getSession(USER_ID, minutesLater(32)), { session: null, expired: null });
+  }],
+
+  ['touching a session resets its idle timer', async () => {
+    const { session } = await sessionService.startSession(USER_ID, 'quiz', { quiz: { current: 0 } }, START);
+    session.data.quiz.current = 1;
+    await sessionService.touchSession(USER_ID, session, minutesLater(50));
+
+    const { session: stored } = await sessionService.getSession(USER_ID, minutesLater(100));
+    assert.equal(stored.data.quiz.current, 1);
+  }],
+
+  ['ending a session removes it', async () => {
+    await sessionService.endSession(USER_ID);
+    assert.equal(await db.getSession(USER_ID), null);
+  }],
+
+  ['only the Finish button is a session callback', () => {
+    assert.deepEqual(sessionService.parseSessionCallback('session:end'), { action: 'end' });
+    assert.equal(sessionService.parseSessionCallback('settings:menu'), null);
+  }]
+];
+
+console.log('🧪 Session state machine tests\n');
+
+await db.initializeDatabase();
+await db.registerUser(USER_ID, 'writer', 'Dante');
+
+const originalLog = console.log;
+let failures = 0;
+
+for (const [description, check] of CHECKS) {
+  try {
+    console.log = () => {};
+    await check();
+    console.log = originalLog;
+    console.log(`   ✅ ${description}`);
+  } catch (error) {
+    console.log = originalLog;
+    failures++;
+    console.log(`   ❌ ${description}`);
+    console.log(`      ${error.message.split('\n').join('\n      ')}`);
+  }
+}
+
+console.log('');
+
+if (failures > 0) {
+  console.log(`❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+
+console.log('✅ All session checks passed');
+process.exit(0);
@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+/**
+ * Spaced repetition scheduler tests (SM-2 and FSRS)
+ * Every check runs on a fake clock - no real time passes
+ * Run: node test-srs.js
+ */
+
+import assert from 'node:assert/strict';
+import * as srsService from './services/srsService.js';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const START = new Date('2024-03-01T08:00:00.000Z');
+
+/**
+ * Fake clock: a mutable "now" that only moves when told to
+ */
+function createClock(start = START) {
+  let now = new Date(start);
+  return {
+    now: () => new Date(now),
+    advanceDays: (days) => { now = new Date(now.getTime() + days * DAY_MS); }
+  };
+}
+
+/**
+ * Review a word repeatedly on its due date with the same quality
+ * @returns {Array} Interval after each review
+ */
+function reviewOnDueDates(algorithm, qualities) {
+  const clock = createClock();
+  let state = null;
+  const intervals = [];
+
+  for (const quality of qualities) {
+    state = srsService.scheduleReview(state, quality, { algorithm, now: clock.now() });
+    intervals.push(state.intervalDays);
+    clock.advanceDays(state.intervalDays);
+  }
+
+  return intervals;
+}
+
+const CHECKS = [
+  ['qualityFromAnswer maps answers to 0-5 grades', () => {
+    assert.equal(srsService.qualityFromAnswer({ correct: true }), 4);
+    assert.equal(srsService.qualityFromAnswer({ correct: true, almost: true }), 2);
+    assert.equal(srsService.qualityFromAnswer({ correct: false }), 1);
+    assert.equal(srsService.qualityFromAnswer({ correct: false, skipped: true }), 0);
+  }],
+
+  ['new words are due one day after they were learned', () => {
+    const clock = createClock();
+    assert.equal(srsService.isDue(null, { now: clock.now(), startDate: START }), false);
+
+    clock.advanceDays(0.99);
+    assert.equal(srsService.isDue(null, { now: clock.now(), startDate: START }), false);
+
+    clock.advanceDays(0.01);
+    assert.equal(srsService.isDue(null, { now: clock.now(), startDate: START }), true);
+  }],
+
+  ['SM-2 intervals follow 1, 6, then interval × ease', () => {
+    assert.deepEqual(reviewOnDueDates('sm2', [5, 5, 5, 5]), [1, 6, 16, 45]);
+    assert.deepEqual(reviewOnDueDates('sm2', [4, 4, 4, 4]), [1, 6, 15, 38]);
+  }],
+
+  ['SM-2 ease factor drops on hard answers and never goes below 1.3', () => {
+    const clock = createClock();
+    let state = null;
+    for (let i = 0; i < 10; i++) {
+      state = srsService.scheduleReview(state, 3, { algorithm: 'sm2', now: clock.now() });
+      clock.advanceDays(state.intervalDays);
+    }
+    assert.equal(state.easeFactor, 1.3);
+  }],
+
+  ['SM-2 failure resets repetitions to a 1-day interval', () => {
+    const clock = createClock();
+    let state = null;
+    for (const quality of [5, 5, 5]) {
+      state = srsService.scheduleReview(state, quality, { algorithm: 'sm2', now: clock.now() });
+      clock.advanceDays(state.intervalDays);
+    }
+    const before = state.easeFactor;
+
+    state = srsService.scheduleReview(state, 1, { algorithm: 'sm2', now: clock.now() });
+    assert.equal(state.intervalDays, 1);
+    assert.equal(state.repetitions, 0);
+    assert.equal(state.lapses, 1);
+    assert.ok(state.easeFactor < before);
+  }],
+
+  ['due date is last review + interval on the fake clock', () => {
+    const clock = createClock();
+    const state = srsService.scheduleReview(null, 4, { algorithm: 'sm2', now: clock.now() });
+
+    assert.equal(srsService.getDueDate(state, START).getTime(), START.getTime() + DAY_MS);
+    assert.equal(srsService.isDue(state, { now: clock.now(), startDate: START }), false);
+
+    clock.advanceDays(1);
+    assert.equal(srsService.isDue(state, { now: clock.now(), startDate: START }), true);
+  }],
+
+  ['scheduleReview does not mutate its input', () => {
+    const state = srsService.scheduleReview(null, 4, { algorithm: 'sm2', now: START });
+    const snapshot = JSON.stringify(state);
+    srsService.scheduleReview(state, 1, { algorithm: 'sm2', now: START });
+    assert.equal(JSON.stringify(state), snapshot);
+  }],
+
+  ['FSRS first review uses the initial stability for the rating', () => {
+    const good = srsService.scheduleReview(null, 4, { algorithm: 'fsrs', now: START });
+    const again = srsService.scheduleReview(null, 1, { algorithm: 'fsrs', now: START });
+
+    assert.equal(good.stability, 3.7145);
+    assert.equal(good.intervalDays, 4);
+    assert.equal(again.intervalDays, 1);
+    assert.ok(again.difficulty > good.difficulty);
+  }],
+
+  ['FSRS intervals grow with successful reviews', () => {
+    const intervals = reviewOnDueDates('fsrs', [4, 4, 4, 4]);
+    for (let i = 1; i < intervals.length; i++) {
+      assert.ok(intervals[i] > intervals[i - 1], `interval ${i} should grow: ${intervals}`);
+    }
+  }],
+
+  ['FSRS easy answers schedule further out than hard ones', () => {
+    const base = srsService.scheduleReview(null, 4, { algorithm: 'fsrs', now: START });
+    const later = new Date(START.getTime() + base.intervalDays * DAY_MS);
+
+    const hard = srsService.scheduleReview(base, 3, { algorithm: 'fsrs', now: later });
+    const easy = srsService.scheduleReview(base, 5, { algorithm: 'fsrs', now: later });
+    assert.ok(easy.intervalDays > hard.intervalDays);
+  }],
+
+  ['FSRS lapse shrinks stability and interval', () => {
+    const clock = createClock();
+    let state = null;
+    for (const quality of [4, 4, 4]) {
+      state = srsService.scheduleReview(state, quality, { algorithm: 'fsrs', now: clock.now() });
+      clock.advanceDays(state.intervalDays);
+    }
+
+    const failed = srsService.scheduleReview(state, 1, { algorithm: 'fsrs', now: clock.now() });
+    assert.ok(failed.stability < state.stability);
+    assert.equal(failed.intervalDays, 1);
+    assert.equal(failed.lapses, 1);
+  }],
+
+  ['FSRS retrievability is 90% after one stability period', () => {
+    assert.equal(Math.round(srsService.fsrsRetrievability(10, 10) * 100), 90);
+  }],
+
+  ['legacy ladder records stay due on their old schedule and upgrade on review', () => {
+    const legacy = {
+      reviewLevel: 3,
+      dateLearned: START,
+      lastReviewed: START,
+      correctCount: 1,
+      incorrectCount: 0
+    };
+    const clock = createClock();
+    clock.advanceDays(6);
+    assert.equal(srsService.isDue(legacy, { now: clock.now(), startDate: START }), false);
+    clock.advanceDays(1);
+    assert.equal(srsService.isDue(legacy, { now: clock.now(), startDate: START }), true);
+
+    const upgraded = srsService.scheduleReview(legacy, 5, { algorithm: 'sm2', now: clock.now() });
+    assert.equal(upgraded.algorithm, 'sm2');
+    assert.ok(upgraded.dueDate instanceof Date);
+  }],
+
+  ['review levels follow the interval', () => {
+    assert.equal(srsService.levelFromInterval(1), 1);
+    assert.equal(srsService.levelFromInterval(6), 2);
+    assert.equal(srsService.levelFromInterval(30), 5);
+  }],
+
+  ['unknown algorithms fall back to SM-2', () => {
+    assert.equal(srsService.resolveAlgorithm('leitner'), 'sm2');
+    assert.equal(srsService.scheduleReview(null, 4, { algorithm: 'leitner', now: START }).algorithm, 'sm2');
+  }]
+];
+
+console.log('🧪 Spaced repetition scheduler tests\n');
+
+let failures = 0;
+
+for (const [description, check] of CHECKS) {
+  try {
+    check();
+    console.log(`   ✅ ${description}`);
+  } catch (error) {
+    failures++;
+    console.log(`   ❌ ${description}`);
+    console.log(`      ${error.message.split('\n').join('\n      ')}`);
+  }
+}
+
+console.log('');
+
+if (failures > 0) {
+  console.log(`❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+
+console.log('✅ All scheduler checks passed');
+process.exit(0);
@@ -0,0 +1,428 @@
+#!/usr/bin/env node
+/**
+ * Storage adapter conformance suite
+ * Every driver in services/storage must pass these checks
+ * Run: node test-storage.js            (memory + sqlite, plus mysql when MYSQL_HOST is set)
+ *      node test-storage.js sqlite     (only the named drivers)
+ */
+
+import 'dotenv/config';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createStore, driverNames } from './services/storage/index.js';
+
+const USER_ID = 900000001;
+const OTHER_USER_ID = 900000002;
+
+/**
+ * Conformance checks, run in order against a fresh adapter
+ */
+const CHECKS = [
+  ['saveUser / getUser round-trip with Date fields', async (store) => {
+    const startDate = new Date('2024-03-01T08:00:00.000Z');
+    await store.saveUser({
+      user_id: USER_ID,
+      username: 'conformance',
+      first_name: 'Conformance',
+      start_date: startDate,
+      is_active: true,
+      created_at: startDate
+    });
+
+    const user = await store.getUser(USER_ID);
+    assert.equal(user.user_id, USER_ID);
+    assert.equal(user.username, 'conformance');
+    assert.equal(user.first_name, 'Conformance');
+    assert.equal(user.is_active, true);
+    assert.ok(user.start_date instanceof Date);
+    assert.equal(user.start_date.getTime(), startDate.getTime());
+  }],
+
+  ['getUser returns null for unknown users', async (store) => {
+    assert.equal(await store.getUser(OTHER_USER_ID), null);
+  }],
+
+  ['saveUser replaces an existing record', async (store) => {
+    const user = await store.getUser(USER_ID);
+    await store.saveUser({ ...user, first_name: 'Renamed' });
+    assert.equal((await store.getUser(USER_ID)).first_name, 'Renamed');
+  }],
+
+  ['getActiveUsers only returns active users', async (store) => {
+    const now = new Date();
+    await store.saveUser({
+      user_id: OTHER_USER_ID,
+      username: null,
+      first_name: 'Inactive',
+      start_date: now,
+      is_active: false,
+      created_at: now
+    });
+
+    const ids = (await store.getActiveUsers()).map(user => user.user_id);
+    assert.ok(ids.includes(USER_ID));
+    assert.ok(!ids.includes(OTHER_USER_ID));
+  }],
+
+  ['users default to the sm2 review algorithm', async (store) => {
+    assert.equal((await store.getUser(USER_ID)).review_algorithm, 'sm2');
+  }],
+
+  ['users default to UTC delivery at 08:00 and 20:00', async (store) => {
+    const user = await store.getUser(USER_ID);
+    assert.equal(user.timezone, 'UTC');
+    assert.equal(user.morning_time, '08:00');
+    assert.equal(user.evening_time, '20:00');
+    assert.equal(user.last_morning_sent, null);
+    assert.equal(user.last_evening_sent, null);
+  }],
+
+  ['users start unpaused', async (store) => {
+    const user = await store.getUser(USER_ID);
+    assert.equal(user.paused_at, null);
+    assert.equal(user.paused_days, 0);
+    assert.equal(user.pause_reason, null);
+    assert.equal(user.vacation_start, null);
+    assert.equal(user.vacation_end, null);
+  }],
+
+  ['users default to calendar pacing at week 1, day 1', async (store) => {
+    const user = await store.getUser(USER_ID);
+    assert.equal(user.pacing, 'calendar');
+    assert.equal(user.current_week, 1);
+    assert.equal(user.current_day, 1);
+  }],
+
+  ['users start on the A1 course', async (store) => {
+    assert.equal((await store.getUser(USER_ID)).course, 'A1');
+  }],
+
+  ['updateUser patches columns', async (store) => {
+    const newStart = new Date('2024-02-01T00:00:00.000Z');
+    await store.updateUser(USER_ID, { start_date: newStart });
+    assert.equal((await store.getUser(USER_ID)).start_date.getTime(), newStart.getTime());
+
+    await store.updateUser(OTHER_USER_ID, { is_active: true });
+    assert.equal((await store.getUser(OTHER_USER_ID)).is_active, true);
+
+    await store.updateUser(USER_ID, { review_algorithm: 'fsrs' });
+    assert.equal((await store.getUser(USER_ID)).review_algorithm, 'fsrs');
+
+    await store.updateUser(USER_ID, { timezone: 'America/New_York', morning_time: '07:30', last_morning_sent: '2024-03-01' });
+    const user = await store.getUser(USER_ID);
+    assert.equal(user.timezone, 'America/New_York');
+    assert.equal(user.morning_time, '07:30');
+    assert.equal(user.last_morning_sent, '2024-03-01');
+
+    const pausedAt = new Date('2024-03-05T10:00:00.000Z');
+    await store.updateUser(USER_ID, { paused_at: pausedAt, pause_reason: 'vacation', vacation_start: '2024-03-05', vacation_end: '2024-03-12' });
+    const paused = await store.getUser(USER_ID);
+    assert.ok(paused.paused_at instanceof Date);
+    assert.equal(paused.paused_at.getTime(), pausedAt.getTime());
+    assert.equal(paused.vacation_end, '2024-03-12');
+
+    await store.updateUser(USER_ID, { paused_at: null, paused_days: 7, pause_reason: null });
+    const resumed = await store.getUser(USER_ID);
+    assert.equal(resumed.paused_at, null);
+    assert.equal(resumed.paused_days, 7);
+
+    // Pauses are banked exactly, in fractional days
+    await store.updateUser(USER_ID, { paused_days: 7 + 2 / 3 });
+    assert.equal((await store.getUser(USER_ID)).paused_days, 7 + 2 / 3);
+
+    await store.updateUser(USER_ID, { pacing: 'mastery', current_week: 3, current_day: 5 });
+    const mastery = await store.getUser(USER_ID);
+    assert.equal(mastery.pacing, 'mastery');
+    assert.equal(mastery.current_week, 3);
+    assert.equal(mastery.current_day, 5);
+  }],
+
+  ['vocabulary entries are appended per user and deduplicated by lemma', async (store) => {
+    const entries = [
+      { lemma: 'ciao', weekNumber: 1, dayNumber: 1, theme: 'Greetings', word: { italian: 'Ciao', english: 'Hello' } },
+      { lemma: 'grazie', weekNumber: 1, dayNumber: 1, theme: 'Greetings', word: { italian: 'Grazie', english: 'Thank you' } }
+    ];
+    assert.equal(await store.addVocabulary(USER_ID, entries), 2);
+    assert.equal(await store.addVocabulary(USER_ID, [
+      { lemma: 'ciao', weekNumber: 1, dayNumber: 2, theme: 'Greetings', word: { italian: 'ciao!', english: 'Hi' } },
+      { lemma: 'prego', weekNumber: 1, dayNumber: 2, theme: 'Greetings', word: { italian: 'Prego', english: "You're welcome" } }
+    ]), 1);
+
+    const week = await store.getVocabulary(USER_ID, 1, 'A1', 'it');
+    assert.deepEqual(week.map(entry => `${entry.lemma}:${entry.dayNumber}`), ['ciao:1', 'grazie:1', 'prego:2']);
+    assert.deepEqual(week[0].word, { italian: 'Ciao', english: 'Hello' });
+    assert.equal(week[0].theme, 'Greetings');
+    assert.ok(week[0].learnedAt instanceof Date);
+
+    assert.deepEqual(await store.getVocabulary(USER_ID, 2, 'A1', 'it'), []);
+    assert.deepEqual(await store.getVocabulary(USER_ID, 1, 'A2', 'it'), []);
+    assert.deepEqual(await store.getVocabulary(OTHER_USER_ID), []);
+  }],
+
+  ['returned vocabulary is a copy', async (store) => {
+    const entries = await store.getVocabulary(USER_ID);
+    entries[0].word.italian = 'Arrivederci';
+    entries.push({ lemma: 'extra' });
+    const stored = await store.getVocabulary(USER_ID);
+    assert.equal(stored.length, 3);
+    assert.equal(stored[0].word.italian, 'Ciao');
+  }],
+
+  ['daily progress round-trip and overwrite', async (store) => {
+    await store.saveDailyProgress(USER_ID, 1, 1, { taskCompleted: false }, 'A1', 'it');
+    await store.saveDailyProgress(USER_ID, 1, 1, { taskCompleted: true, sentencesSubmitted: 'Ciao!' }, 'A1', 'it');
+    await store.saveDailyProgress(USER_ID, 1, 2, { taskCompleted: false }, 'A1', 'it');
+
+    assert.deepEqual(await store.getDailyProgress(USER_ID, 1, 1, 'A1', 'it'), { taskCompleted: true, sentencesSubmitted: 'Ciao!' });
+    assert.equal(await store.getDailyProgress(USER_ID, 1, 3, 'A1', 'it'), null);
+  }],
+
+  ['daily progress is kept per course', async (store) => {
+    await store.saveDailyProgress(USER_ID, 1, 1, { taskCompleted: false }, 'A2', 'it');
+
+    assert.deepEqual(await store.getDailyProgress(USER_ID, 1, 1, 'A2', 'it'), { taskCompleted: false });
+    assert.deepEqual(await store.getDailyProgress(USER_ID, 1, 1, 'A1', 'it'), { taskCompleted: true, sentencesSubmitted: 'Ciao!' });
+    assert.equal(await store.getDailyProgress(USER_ID, 1, 1, 'B1', 'it'), null);
+  }],
+
+  ['course positions are saved per user and course', async (store) => {
+    assert.deepEqual(await store.getCourseProgress(USER_ID), []);
+    await store.saveCourseProgress(USER_ID, 'A1', 3, 2, 'it');
+    await store.saveCourseProgress(USER_ID, 'A1', 3, 4, 'it');
+    await store.saveCourseProgress(USER_ID, 'B1', 1, 1, 'it');
+
+    const positions = await store.getCourseProgress(USER_ID);
+    assert.deepEqual(
+      positions.map(({ course, weekNumber, dayNumber }) => `${course}:${weekNumber}.${dayNumber}`).sort(),
+      ['A1:3.4', 'B1:1.1']
+    );
+    assert.ok(positions[0].updatedAt instanceof Date);
+    assert.deepEqual(await store.getCourseProgress(OTHER_USER_ID), []);
+
+    await store.updateUser(USER_ID, { course: 'B1' });
+    assert.equal((await store.getUser(USER_ID)).course, 'B1');
+    await store.updateUser(USER_ID, { course: 'A1' });
+  }],
+
+  ['getProgressSummary counts words and completed days', async (store) => {
+    await store.addVocabulary(USER_ID, [{ lemma: 'uno', weekNumber: 2, dayNumber: null, theme: null, word: { italian: 'Uno', english: 'One' } }]);
+
+    assert.deepEqual(await store.getProgressSummary(USER_ID), { totalVocabulary: 4, completedDays: 1 });
+    assert.deepEqual(await store.getProgressSummary(OTHER_USER_ID), { totalVocabulary: 0, completedDays: 0 });
+  }],
+
+  ['vocabulary, progress and positions are kept per language', async (store) => {
+    assert.equal((await store.getUser(USER_ID)).language, 'it');
+    assert.equal(await store.addVocabulary(USER_ID, [
+      { lemma: 'ciao', language: 'es', weekNumber: 1, dayNumber: 1, theme: 'Saludos', word: { italian: 'Ciao', english: 'Bye' } }
+    ]), 1);
+    assert.deepEqual((await store.getVocabulary(USER_ID, 1, 'A1', 'es')).map(entry => entry.lemma), ['ciao']);
+    assert.equal((await store.getVocabulary(USER_ID, 1, 'A1', 'it')).length, 3);
+
+    await store.saveDailyProgress(USER_ID, 1, 1, { taskCompleted: false }, 'A1', 'es');
+    assert.deepEqual(await store.getDailyProgress(USER_ID, 1, 1, 'A1', 'es'), { taskCompleted: false });
+    assert.deepEqual(await store.getDailyProgress(USER_ID, 1, 1, 'A1', 'it'), { taskCompleted: true, sentencesSubmitted: 'Ciao!' });
+
+    await store.saveCourseProgress(USER_ID, 'A1', 2, 2, 'es');
+    assert.deepEqual(
+      (await store.getCourseProgress(USER_ID)).map(({ language, course, weekNumber, dayNumber }) => `${language}/${course}:${weekNumber}.${dayNumber}`).sort(),
+      ['es/A1:2.2', 'it/A1:3.4', 'it/B1:1.1']
+    );
+
+    await store.updateUser(USER_ID, { language: 'es' });
+    assert.equal((await store.getUser(USER_ID)).language, 'es');
+    await store.updateUser(USER_ID, { language: 'it' });
+  }],
+
+  ['native language defaults to English and can be changed', async (store) => {
+    assert.equal((await store.getUser(USER_ID)).native_language, 'en');
+    await store.updateUser(USER_ID, { native_language: 'ru' });
+    assert.equal((await store.getUser(USER_ID)).native_language, 'ru');
+    await store.updateUser(USER_ID, { native_language: 'en' });
+  }],
+
+  ['word reviews round-trip per user, language, course, week and word', async (store) => {
+    const review = {
+      reviewLevel: 2,
+      dateLearned: '2024-03-01T08:00:00.000Z',
+      lastReviewed: '2024-03-02T08:00:00.000Z',
+      correctCount: 1,
+      incorrectCount: 0
+    };
+    await store.saveWordReview(USER_ID, 1, 'Ciao', review, 'A1', 'it');
+    await store.saveWordReview(USER_ID, 1, 'Ciao', { ...review, reviewLevel: 3 }, 'A1', 'it');
+    await store.saveWordReview(USER_ID, 2, 'Uno', review, 'A1', 'it');
+    await store.saveWordReview(OTHER_USER_ID, 1, 'Ciao', review, 'A1', 'it');
+
+    assert.deepEqual(await store.getWordReview(USER_ID, 1, 'Ciao', 'A1', 'it'), { ...review, reviewLevel: 3 });
+    assert.equal(await store.getWordReview(USER_ID, 1, 'Grazie', 'A1', 'it'), null);
+    assert.equal(await store.getWordReview(USER_ID, 1, 'Ciao', 'A2', 'it'), null);
+    assert.equal(await store.getWordReview(USER_ID, 1, 'Ciao', 'A1', 'es'), null);
+
+    const reviews = await store.getUserWordReviews(USER_ID);
+    assert.equal(reviews.length, 2);
+    assert.deepEqual(
+      reviews.map(entry => `${entry.language}:${entry.course}:${entry.weekNumber}:${entry.word}`).sort(),
+      ['it:A1:1:Ciao', 'it:A1:2:Uno']
+    );
+  }],
+
+  ['word reviews keep words that differ by an accent or a course apart', async (store) => {
+    const review = { reviewLevel: 1, correctCount: 0, incorrectCount: 1 };
+    await store.saveWordReview(OTHER_USER_ID, 1, 'e', review, 'A1', 'it');
+    await store.saveWordReview(OTHER_USER_ID, 1, 'è', { ...review, reviewLevel: 4 }, 'A1', 'it');
+    await store.saveWordReview(OTHER_USER_ID, 1, 'è', { ...review, reviewLevel: 2 }, 'A2', 'it');
+
+    assert.equal((await store.getWordReview(OTHER_USER_ID, 1, 'e', 'A1', 'it')).reviewLevel, 1);
+    assert.equal((await store.getWordReview(OTHER_USER_ID, 1, 'è', 'A1', 'it')).reviewLevel, 4);
+    assert.equal((await store.getWordReview(OTHER_USER_ID, 1, 'è', 'A2', 'it')).reviewLevel, 2);
+    assert.equal((await store.getUserWordReviews(OTHER_USER_ID)).length, 4);
+  }],
+
+  ['conversations are replaced per user and cleared', async (store) => {
+    const messages = [
+      { role: 'user', content: 'Come si dice "cat"?' },
+      { role: 'assistant', content: 'Si dice *il gatto*.' }
+    ];
+    await store.saveConversation(USER_ID, messages.slice(0, 1));
+    await store.saveConversation(USER_ID, messages);
+    await store.saveConversation(OTHER_USER_ID, messages);
+
+    const stored = await store.getConversation(USER_ID);
+    assert.deepEqual(stored, messages);
+    stored.push({ role: 'user', content: 'Grazie' });
+    assert.equal((await store.getConversation(USER_ID)).length, 2);
+
+    await store.deleteConversation(OTHER_USER_ID);
+    assert.deepEqual(await store.getConversation(OTHER_USER_ID), []);
+  }],
+
+  ['sessions are stored per user and deleted', async (store) => {
+    const session = { type: 'practice', state: 'awaiting_submission', data: { weekNumber: 1 } };
+    await store.saveSession(USER_ID, session);
+    await store.saveSession(USER_ID, { ...session, state: 'reviewing' });
+
+    assert.deepEqual(await store.getSession(USER_ID), { ...session, state: 'reviewing' });
+    assert.equal(await store.getSession(OTHER_USER_ID), null);
+
+    await store.saveSession(OTHER_USER_ID, session);
+    await store.deleteSession(OTHER_USER_ID);
+    assert.equal(await store.getSession(OTHER_USER_ID), null);
+  }],
+
+  ['lessons are stored per user, week and day', async (store) => {
+    const lesson = { weekNumber: 1, dayNumber: 2, parts: { words: { words: [{ italian: 'Ciao', english: 'Hello' }] } } };
+    await store.saveLesson(USER_ID, 1, 2, lesson, 'A1', 'it');
+    await store.saveLesson(USER_ID, 1, 2, { ...lesson, parts: {} }, 'A1', 'it');
+    await store.saveLesson(OTHER_USER_ID, 1, 2, lesson, 'A1', 'it');
+
+    assert.deepEqual(await store.getLesson(USER_ID, 1, 2, 'A1', 'it'), { ...lesson, parts: {} });
+    assert.deepEqual(await store.getLesson(OTHER_USER_ID, 1, 2, 'A1', 'it'), lesson);
+    assert.equal(await store.getLesson(USER_ID, 1, 3, 'A1', 'it'), null);
+    assert.equal(await store.getLesson(USER_ID, 1, 2, 'A2', 'it'), null);
+
+    await store.deleteLesson(OTHER_USER_ID, 1, 2, 'A1', 'it');
+    assert.equal(await store.getLesson(OTHER_USER_ID, 1, 2, 'A1', 'it'), null);
+  }],
+
+  ['drill stats are kept per user, language, drill and skill', async (store) => {
+    await store.saveDrillStats(USER_ID, 'it', 'conjugation', 'presente', { attempts: 1, correct: 0 });
+    await store.saveDrillStats(USER_ID, 'it', 'conjugation', 'presente', { attempts: 2, correct: 1 });
+    await store.saveDrillStats(USER_ID, 'it', 'conjugation', 'futuro', { attempts: 1, correct: 1 });
+    await store.saveDrillStats(USER_ID, 'es', 'conjugation', 'presente', { attempts: 5, correct: 5 });
+    await store.saveDrillStats(OTHER_USER_ID, 'it', 'conjugation', 'presente', { attempts: 3, correct: 3 });
+
+    const stats = await store.getDrillStats(USER_ID, 'it', 'conjugation');
+    assert.deepEqual(
+      stats.sort((a, b) => a.skill.localeCompare(b.skill)),
+      [{ skill: 'futuro', attempts: 1, correct: 1 }, { skill: 'presente', attempts: 2, correct: 1 }]
+    );
+    assert.deepEqual(await store.getDrillStats(USER_ID, 'it', 'articles'), []);
+  }],
+
+  ['deleteUserData removes only that user', async (store) => {
+    await store.deleteUserData(USER_ID);
+
+    assert.equal(await store.getUser(USER_ID), null);
+    assert.deepEqual(await store.getVocabulary(USER_ID), []);
+    assert.equal(await store.getDailyProgress(USER_ID, 1, 1, 'A1', 'it'), null);
+    assert.deepEqual(await store.getCourseProgress(USER_ID), []);
+    assert.deepEqual(await store.getUserWordReviews(USER_ID), []);
+    assert.deepEqual(await store.getConversation(USER_ID), []);
+    assert.equal(await store.getSession(USER_ID), null);
+    assert.equal(await store.getLesson(USER_ID, 1, 2, 'A1', 'it'), null);
+    assert.deepEqual(await store.getDrillStats(USER_ID, 'it', 'conjugation'), []);
+
+    assert.notEqual(await store.getUser(OTHER_USER_ID), null);
+    assert.equal((await store.getUserWordReviews(OTHER_USER_ID)).length, 4);
+    assert.equal((await store.getDrillStats(OTHER_USER_ID, 'it', 'conjugation')).length, 1);
+
+    await store.deleteUserData(OTHER_USER_ID);
+  }]
+];
+
+/**
+ * Build the adapters to test, with throwaway locations where possible
+ * @param {Array} requested - Driver names from the command line
+ * @returns {Array} Array of { name, store, cleanup }
+ */
+function buildTargets(requested) {
+  const names = requested.length > 0
+    ? requested
+    : driverNames.filter(name => name !== 'mysql' || process.env.MYSQL_HOST);
+
+  return names.map(name => {
+    if (name === 'sqlite') {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'imparo-storage-'));
+      return {
+        name,
+        store: createStore('sqlite', path.join(dir, 'test.sqlite')),
+        cleanup: () => fs.rmSync(dir, { recursive: true, force: true })
+      };
+    }
+    return { name, store: createStore(name), cleanup: () => {} };
+  });
+}
+
+console.log('🧪 Storage adapter conformance suite\n');
+
+let failures = 0;
+
+for (const { name, store, cleanup } of buildTargets(process.argv.slice(2))) {
+  console.log(`📦 Driver: ${name}`);
+
+  try {
+    await store.init();
+    // Running init twice must be safe (migrations are idempotent)
+    await store.init();
+
+    for (const [description, check] of CHECKS) {
+      try {
+        await check(store);
+        console.log(`   ✅ ${description}`);
+      } catch (error) {
+        failures++;
+        console.log(`   ❌ ${description}`);
+        console.log(`      ${error.message.split('\n').join('\n      ')}`);
+      }
+    }
+  } catch (error) {
+    failures++;
+    console.log(`   ❌ Driver failed to initialize: ${error.message}`);
+  } finally {
+    await store.close();
+    cleanup();
+  }
+
+  console.log('');
+}
+
+if (failures > 0) {
+  console.log(`❌ ${failures} conformance check(s) failed`);
+  process.exit(1);
+}
+
+console.log('✅ All storage drivers conform to the adapter contract');
+process.exit(0);
@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+/**
+ * Vocabulary ledger tests (memory storage, plus the SQLite upgrade from per-week vocabulary)
+ * Run: node test-vocabulary.js
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+process.env.DB_DRIVER = 'memory';
+
+const db = await import('./services/db.js');
+const vocabularyService = await import('./services/vocabularyService.js');
+const reviewService = await import('./services/reviewService.js');
+const { createStore } = await import('./services/storage/index.js');
+
+const USER_ID = 960000001;
+const START = new Date('2024-07-01T08:00:00Z');
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const DAY_ONE = [
+  { italian: 'Ciao', english: 'Hello' },
+  { italian: 'la casa', english: 'the house' },
+  { italian: 'Grazie', english: 'Thank you' }
+];
+const DAY_TWO = [
+  { italian: 'Casa', english: 'House' },
+  { italian: 'Prego', english: "You're welcome" }
+];
+
+const CHECKS = [
+  ['lemmas ignore case, articles and punctuation', () => {
+    assert.equal(vocabularyService.getLemma('La Casa'), 'casa');
+    assert.equal(vocabularyService.getLemma("L'acqua!"), 'acqua');
+    assert.equal(vocabularyService.getLemma('Buongiorno (good morning)'), 'buongiorno');
+    assert.equal(vocabularyService.getLemma('perché'), 'perché');
+  }],
+
+  ['repeats inside one batch are dropped', () => {
+    const entries = vocabularyService.buildEntries(
+      [...DAY_ONE, { italian: 'ciao!', english: 'Hi' }, { italian: '', english: 'nothing' }],
+      { weekNumber: 1, dayNumber: 1, theme: 'Greetings' }
+    );
+    assert.deepEqual(entries.map(entry => entry.lemma), ['ciao', 'casa', 'grazie']);
+    assert.equal(entries[0].theme, 'Greetings');
+  }],
+
+  ['day two adds to day one instead of replacing it', async () => {
+    assert.equal(await db.saveVocabulary(USER_ID, 1, DAY_ONE, { dayNumber: 1, theme: 'Greetings' }), 3);
+    assert.equal(await db.saveVocabulary(USER_ID, 1, DAY_TWO, { dayNumber: 2, theme: 'Greetings' }), 1);
+
+    const week = await db.getWeekVocabulary(USER_ID, 1);
+    assert.deepEqual(week.map(word => word.italian), ['Ciao', 'la casa', 'Grazie', 'Prego']);
+    assert.equal(week[1].dayLearned, 1);
+    assert.equal(week[3].dayLearned, 2);
+    assert.equal(week[3].weekLearned, 1);
+  }],
+
+  ['words learned in earlier weeks are not added again', async () => {
+    await db.saveVocabulary(USER_ID, 2, [{ italian: 'ciao', english: 'Bye' }, { italian: 'Uno', english: 'One' }], { dayNumber: 1 });
+    assert.deepEqual((await db.getWeekVocabulary(USER_ID, 2)).map(word => word.italian), ['Uno']);
+    assert.equal((await db.getVocabulary(USER_ID)).length, 5);
+  }],
+
+  ['stats count distinct words', async () => {
+    const stats = await db.getUserStats(USER_ID);
+    assert.equal(stats.totalVocabulary, 5);
+  }],
+
+  ['reviews see every day of the week', async () => {
+    const due = await reviewService.getWordsForReview(USER_ID, 2, START, new Date(Date.now() + 2 * DAY_MS));
+    assert.deepEqual(due.map(word => word.italian).sort(), ['Ciao', 'Grazie', 'Prego', 'Uno', 'la casa']);
+    assert.equal(due.find(word => word.italian === 'Prego').weekLearned, 1);
+  }],
+
+  ['reviews only reach back four weeks', async () => {
+    const due = await reviewService.getWordsForReview(USER_ID, 5, START, new Date(Date.now() + 2 * DAY_MS));
+    assert.deepEqual(due.map(word => word.italian), ['Uno']);
+  }],
+
+  ['a word learned today is not reviewed until the next day, however far into the course', async () => {
+    await db.saveVocabulary(USER_ID, 3, [{ italian: 'Oggi', english: 'Today' }], { dayNumber: 1 });
+    const [{ learnedAt }] = (await db.getVocabulary(USER_ID)).filter(word => word.italian === 'Oggi');
+
+    const today = await reviewService.getWordsForReview(USER_ID, 3, START, new Date(learnedAt.getTime() + DAY_MS - 60000));
+    assert.ok(!today.some(word => word.italian === 'Oggi'));
+
+    const tomorrow = await reviewService.getWordsForReview(USER_ID, 3, START, new Date(learnedAt.getTime() + DAY_MS));
+    assert.ok(tomorrow.some(word => word.italian === 'Oggi'));
+  }],
+
+  ['SQLite upgrades copy per-week vocabulary into the ledger', async () => {
+    let Database;
+    try {
+      Database = (await import('better-sqlite3')).default;
+    } catch (error) {
+      console.info('better-sqlite3 not installed, skipping');
+      return;
+    }
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'imparo-ledger-'));
+    const file = path.join(dir, 'upgrade.sqlite');
+    try {
+      const store = createStore('sqlite', file);
+      await store.init();
+      await store.close();
+
+      // Roll the file back to version 9 with two saved weeks
+      const raw = new Database(file);
+      raw.exec('DROP TABLE vocabulary_ledger');
+      raw.exec('DROP TABLE course_progress');
+      raw.exec('ALTER TABLE users DROP COLUMN language');
+      raw.exec('ALTER TABLE users DROP COLUMN course');
+      raw.exec('ALTER TABLE users DROP COLUMN native_language');
+      raw.exec('DELETE FROM schema_migrations WHERE version >= 10');
+      raw.exec(`CREATE TABLE user_vocabulary (user_id INTEGER NOT NULL, week_number INT NOT NULL,
+        vocabulary TEXT NOT NULL, saved_at TEXT NOT NULL, PRIMARY KEY (user_id, week_number))`);
+      const insert = raw.prepare('INSERT INTO user_vocabulary VALUES (?, ?, ?, ?)');
+      insert.run(USER_ID, 1, JSON.stringify(DAY_ONE), '2024-07-01T08:00:00.000Z');
+      insert.run(USER_ID, 2, JSON.stringify(DAY_TWO), '2024-07-08T08:00:00.000Z');
+      raw.close();
+
+      const upgraded = createStore('sqlite', file);
+      await upgraded.init();
+      const entries = await upgraded.getVocabulary(USER_ID);
+      await upgraded.close();
+
+      assert.deepEqual(entries.map(entry => `${entry.weekNumber}:${entry.lemma}`), ['1:ciao', '1:casa', '1:grazie', '2:prego']);
+      assert.equal(entries[3].dayNumber, null);
+      assert.equal(entries[3].learnedAt.toISOString(), '2024-07-08T08:00:00.000Z');
+
+      const check = new Database(file);
+      assert.equal(check.prepare("SELECT name FROM sqlite_master WHERE name = 'user_vocabulary'").get(), undefined);
+      check.close();
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }],
+
+  ['SQLite upgrades give word reviews the language and course of their ledger word', async () => {
+    let Database;
+    try {
+      Database = (await import('better-sqlite3')).default;
+    } catch (error) {
+      console.info('better-sqlite3 not installed, skipping');
+      return;
+    }
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'imparo-reviews-'));
+    const file = path.join(dir, 'upgrade.sqlite');
+    try {
+      const store = createStore('sqlite', file);
+      await store.init();
+      await store.addVocabulary(USER_ID, [
+        { lemma: 'ciao', language: 'it', course: 'A2', weekNumber: 1, dayNumber: 1, theme: null, word: { italian: 'Ciao', english: 'Hi' } }
+      ]);
+      await store.close();
+
+      // Roll the file back to version 14, with reviews keyed by week and word only
+      const raw = new Database(file);
+      raw.exec('DROP TABLE word_reviews');
+      raw.exec('DELETE FROM schema_migrations WHERE version >= 15');
+      raw.exec(`CREATE TABLE word_reviews (user_id INTEGER NOT NULL, week_number INT NOT NULL, word TEXT NOT NULL,
+        review TEXT NOT NULL, updated_at TEXT NOT NULL, PRIMARY KEY (user_id, week_number, word))`);
+      const insert = raw.prepare('INSERT INTO word_reviews VALUES (?, ?, ?, ?, ?)');
+      insert.run(USER_ID, 1, 'Ciao', JSON.stringify({ reviewLevel: 3 }), '2024-07-02T08:00:00.000Z');
+      insert.run(USER_ID, 2, 'Uno', JSON.stringify({ reviewLevel: 1 }), '2024-07-09T08:00:00.000Z');
+      raw.close();
+
+      const upgraded = createStore('sqlite', file);
+      await upgraded.init();
+      const reviews = await upgraded.getUserWordReviews(USER_ID);
+      await upgraded.close();
+
+      assert.deepEqual(
+        reviews.map(entry => `${entry.language}:${entry.course}:${entry.weekNumber}:${entry.word}:${entry.review.reviewLevel}`).sort(),
+        ['it:A1:2:Uno:1', 'it:A2:1:Ciao:3']
+      );
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }]
+];
+
+console.log('🧪 Vocabulary ledger tests\n');
+
+await db.initializeDatabase();
+await db.registerUser(USER_ID, 'lettore', 'Italo');
+
+const originalLog = console.log;
+let failures = 0;
+
+for (const [description, check] of CHECKS) {
+  try {
+    console.log = () => {};
+    await check();
+    console.log = originalLog;
+    console.log(`   ✅ ${description}`);
+  } catch (error) {
+    console.log = originalLog;
+    failures++;
+    console.log(`   ❌ ${description}`);
+    console.log(`      ${error.message.split('\n').join('\n      ')}`);
+  }
+}
+
+console.log('');
+
+if (failures > 0) {
+  console.log(`❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+
+console.log('✅ All vocabulary ledger checks passed');
+process.exit(0);
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+/**
+ * Validate language packs, locales and course files before deploying them
+ * Run: node validate-plan.js [path/to/course.json]   (every pack in languages/ and locale in locales/ when no path is given)
+ */
+
+import path from 'path';
+import { loadCurriculum, listLevels, getCoursePath } from './services/curriculumService.js';
+import { listLanguages, loadLanguage } from './services/languageService.js';
+import { loadVerbs } from './services/conjugationService.js';
+import { loadNouns } from './services/articleService.js';
+import { loadGrammar } from './services/grammarService.js';
+import { FALLBACK_LOCALE, listLocales, loadLocale, getPlaceholders } from './services/localeService.js';
+
+let failed = false;
+
+if (!process.argv[2]) {
+  for (const code of listLanguages()) {
+    try {
+      const pack = loadLanguage(code);
+      console.log(`✅ languages/${code}/language.json is valid (${pack.name}, ${Object.keys(pack.levels).join('/')})`);
+      const verbs = loadVerbs(code);
+      if (verbs) {
+        console.log(`✅ languages/${code}/verbs.json is valid (${Object.keys(verbs.irregular).length} irregular verbs, ${Object.keys(verbs.compounds).length} compounds)`);
+      }
+      const nouns = loadNouns(code);
+      if (nouns) {
+        console.log(`✅ languages/${code}/nouns.json is valid (${nouns.masculine.length + nouns.feminine.length} listed genders, ${Object.keys(nouns.plurals).length} irregular plurals)`);
+      }
+      const grammar = loadGrammar(code);
+      if (grammar) {
+        console.log(`✅ languages/${code}/grammar.json is valid (${grammar.topics.length} topics)`);
+      }
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      failed = true;
+    }
+  }
+
+  const reference = loadLocale(FALLBACK_LOCALE).messages;
+  for (const code of listLocales()) {
+    try {
+      const locale = loadLocale(code);
+      const unknown = Object.entries(locale.messages)
+        .flatMap(([key, text]) => getPlaceholders(text)
+          .filter(name => !reference[key] || !getPlaceholders(reference[key]).includes(name))
+          .map(name => `messages.${key}: unknown placeholder {${name}}`));
+      if (unknown.length > 0) {
+        throw new Error(`Invalid locale ${code}:\n- ${unknown.join('\n- ')}`);
+      }
+
+      const missing = Object.keys(reference).filter(key => !locale.messages[key]);
+      console.log(`✅ locales/${code}.json is valid (${locale.name}, ${Object.keys(locale.messages).length} messages)`);
+      missing.forEach(key => console.log(`   ⚠️ ${key} is missing and falls back to English`));
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      failed = true;
+    }
+  }
+}
+
+const files = process.argv[2]
+  ? [path.resolve(process.argv[2])]
+  : listLanguages().flatMap(code => listLevels(code).map(level => getCoursePath(level, code)));
+
+for (const file of files) {
+  try {
+    const curriculum = await loadCurriculum(file);
+    const days = curriculum.weeks.reduce((total, week) => total + week.days.length, 0);
+
+    console.log(`✅ ${path.relative(process.cwd(), file)} is valid (version ${curriculum.version}, level ${curriculum.level})`);
+    console.log(`   ${curriculum.weeks.length} weeks, ${days} day entries`);
+    curriculum.weeks
+      .filter(week => week.objectives.length === 0)
+      .forEach(week => console.log(`   ⚠️ Week ${week.week} (${week.theme}) has no objectives`));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    failed = true;
+  }
+}
+
+if (failed) {
+  process.exit(1);
+}